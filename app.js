@@ -47,11 +47,33 @@ class StoryboardCreator {
                 imageAspectRatio: 'none', // Aspect ratio for image cropping: 'none', '16:9', '21:9', etc., or 'custom'
                 customAspectRatioWidth: 16, // Custom aspect ratio width
                 customAspectRatioHeight: 9, // Custom aspect ratio height
+                frameFitMode: 'crop', // Images of another ratio than the frame: 'crop' (fill), 'letterbox' (black bars) or 'fit'
+                sceneAspectRatios: {}, // Per-scene frame aspect ratio overrides: { [sceneNumber]: '2.39:1' }
+                frameOverlaysStoryboard: false, // Show the frame overlays (settings.frameOverlays) in the storyboard
+                frameOverlaysEditor: false, // ... in the drawing editor
+                frameOverlaysPreview: false, // ... in the previz preview
+                frameOverlaysPdf: false, // Burn them into PDF exports
+                frameOverlaysVideo: false, // Burn them into video exports
+                showShotBadges: false, // Show shot list fields (settings.shotBadges) under each frame
+                shotBadgesPdf: false, // ... in PDF exports
+                pdfExportMode: 'image', // PDF export as page images ('image') or with real text ('vector')
+                enableSceneDividers: false, // Title page before every scene (with separateScenes)
+                enableTableOfContents: false,
+                sceneDetails: {}, // { [sceneNumber]: { heading, intExt, timeOfDay, synopsis } }
+                pageHeaderTemplate: '', // Header on every page, with tokens such as {project} and {page}; 'left|center|right'
+                pageFooterTemplate: '', // Footer on every page (pages can override either in project.pageTemplates)
+                pageTemplateFontSize: 10,
+                revisionLabel: '', // Value of the {revision} token
+                confidentialText: 'CONFIDENTIAL', // Value of the {confidential} token
+                stylePresets: [], // Named appearance presets: [{ id, name, settings: { subset of settings } }]
                 enableDrawing: false,
                 // Shot list settings
                 frameRate: 24, // Default frame rate for shot list duration calculations
                 productionTimeMultiplier: 1.5, // Multiplier for expected production time
                 customShotListColumns: [], // Custom columns added by user
+                importRules: [], // User-defined filename pattern rules for image import
+                duplicateDetection: { enabled: true, maxDistance: 6 }, // Perceptual-hash duplicate check on import
+                versionHistory: { enabled: true, keepVersions: 0 }, // Per-frame art history (keepVersions: newest N saved, 0 = all)
                 // Image compression settings
                 imageCompression: {
                     enabled: true, // Whether compression is enabled
@@ -61,8 +83,9 @@ class StoryboardCreator {
                     format: 'webp' // Output format: 'webp', 'jpeg', 'png'
                 }
             },
-            frameTexts: {}, // Store text for each frame by image name
+            frameFieldTexts: {}, // Structured frame text by image name: { [imageName]: { [fieldId]: text } }
             pageTexts: {}, // Store custom text for each page
+            pageTemplates: {}, // Per-page header/footer template overrides: { [pageIndex]: { header, footer } }
             imageScenes: {}, // Store scene for each image
             drawings: {}, // Store legacy drawing data for each page (for backward compatibility)
             activePanel: null,
@@ -93,9 +116,42 @@ class StoryboardCreator {
         this.modalController = null; // Will be initialized after ModalController class is available
         this.imageSettingsController = null; // Will be initialized after ImageSettingsController class is available
         this.shotListController = null; // Will be initialized after ShotListController class is available
+        this.importRulesController = null; // Will be initialized after ImportRulesController class is available
+        this.duplicateReviewController = null; // Will be initialized after DuplicateReviewController class is available
+        this.renumberController = null; // Will be initialized after RenumberController class is available
+        this.storyboardDragController = null; // Will be initialized after StoryboardDragController class is available
+        this.pageVirtualizationController = null; // Will be initialized after PageVirtualizationController class is available
+        this.frameAspectController = null; // Will be initialized after FrameAspectController class is available
+        this.frameFieldsController = null; // Will be initialized after FrameFieldsController class is available
+        this.richTextToolbarController = null; // Will be initialized after RichTextToolbarController class is available
+        this.versionHistoryController = null; // Will be initialized after VersionHistoryController class is available
         this.previsController = null; // Will be initialized after PrevisController class is available
         this.storageService = null; // Will be initialized after StorageService class is available
         this.renderService = null; // Will be initialized after RenderService class is available
+        this.pdfImportService = null; // Will be initialized after PDFImportService class is available
+        this.videoImportService = null; // Will be initialized after VideoImportService class is available
+        this.shotListCSVImportService = null; // Will be initialized after ShotListCSVImportService class is available
+        this.layeredImageImportService = null; // Will be initialized after LayeredImageImportService class is available
+        this.renumberService = null; // Will be initialized after RenumberService class is available
+        this.variantService = null; // Will be initialized after VariantService class is available
+        this.frameFieldService = null; // Will be initialized after FrameFieldService class is available
+        this.pageTemplateService = null; // Will be initialized after PageTemplateService class is available
+        this.pageTemplateController = null; // Will be initialized after PageTemplateController class is available
+        this.stylePresetService = null; // Will be initialized after StylePresetService class is available
+        this.stylePresetController = null; // Will be initialized after StylePresetController class is available
+        this.sceneDividerService = null; // Will be initialized after SceneDividerService class is available
+        this.frameOverlayService = null; // Will be initialized after FrameOverlayService class is available
+        this.frameOverlayController = null; // Will be initialized after FrameOverlayController class is available
+        this.sceneDividerController = null; // Will be initialized after SceneDividerController class is available
+        this.shotBadgeService = null; // Will be initialized after ShotBadgeService class is available
+        this.shotBadgeController = null; // Will be initialized after ShotBadgeController class is available
+        this.vectorPdfService = null; // Will be initialized after VectorPDFService class is available
+        this.watermarkBatchService = null; // Will be initialized after WatermarkBatchService class is available
+        this.watermarkBatchController = null; // Will be initialized after WatermarkBatchController class is available
+        this.exportFilterService = null; // Will be initialized after ExportFilterService class is available
+        this.exportFilterController = null; // Will be initialized after ExportFilterController class is available
+        this.pptxExportService = null; // Will be initialized after PPTXExportService class is available
+        this.pptxExportController = null; // Will be initialized after PPTXExportController class is available
         this.shotListManager = null; // Will be initialized after ShotListManager class is available
         this.imagesNeedReload = false; // Flag for images that need to be reloaded
         this.pendingImageMetadata = null; // Store image metadata when reloading
@@ -107,6 +163,7 @@ class StoryboardCreator {
             'Legal': { width: 215.9, height: 355.6 },
             'Tabloid': { width: 279.4, height: 431.8 }
         };
+        this.builtInPageSizes = Object.keys(this.pageSizes); // The project's custom paper sizes are added by applyCustomPageSizes
         
         // Initialize managers first (before event listeners)
         if (typeof FileManager !== 'undefined') {
@@ -130,6 +187,57 @@ class StoryboardCreator {
         if (typeof ShotListController !== 'undefined') {
             this.shotListController = new ShotListController(this);
         }
+        if (typeof ImportRulesController !== 'undefined') {
+            this.importRulesController = new ImportRulesController(this);
+        }
+        if (typeof DuplicateReviewController !== 'undefined') {
+            this.duplicateReviewController = new DuplicateReviewController(this);
+        }
+        if (typeof RenumberController !== 'undefined') {
+            this.renumberController = new RenumberController(this);
+        }
+        if (typeof StoryboardDragController !== 'undefined') {
+            this.storyboardDragController = new StoryboardDragController(this);
+        }
+        if (typeof PageVirtualizationController !== 'undefined') {
+            this.pageVirtualizationController = new PageVirtualizationController(this);
+        }
+        if (typeof FrameAspectController !== 'undefined') {
+            this.frameAspectController = new FrameAspectController(this);
+        }
+        if (typeof FrameFieldsController !== 'undefined') {
+            this.frameFieldsController = new FrameFieldsController(this);
+        }
+        if (typeof PageTemplateController !== 'undefined') {
+            this.pageTemplateController = new PageTemplateController(this);
+        }
+        if (typeof StylePresetController !== 'undefined') {
+            this.stylePresetController = new StylePresetController(this);
+        }
+        if (typeof SceneDividerController !== 'undefined') {
+            this.sceneDividerController = new SceneDividerController(this);
+        }
+        if (typeof FrameOverlayController !== 'undefined') {
+            this.frameOverlayController = new FrameOverlayController(this);
+        }
+        if (typeof ShotBadgeController !== 'undefined') {
+            this.shotBadgeController = new ShotBadgeController(this);
+        }
+        if (typeof WatermarkBatchController !== 'undefined') {
+            this.watermarkBatchController = new WatermarkBatchController(this);
+        }
+        if (typeof ExportFilterController !== 'undefined') {
+            this.exportFilterController = new ExportFilterController(this);
+        }
+        if (typeof PPTXExportController !== 'undefined') {
+            this.pptxExportController = new PPTXExportController(this);
+        }
+        if (typeof RichTextToolbarController !== 'undefined') {
+            this.richTextToolbarController = new RichTextToolbarController(this);
+        }
+        if (typeof VersionHistoryController !== 'undefined') {
+            this.versionHistoryController = new VersionHistoryController(this);
+        }
         if (typeof PrevisController !== 'undefined') {
             this.previsController = new PrevisController(this);
         }
@@ -139,6 +247,54 @@ class StoryboardCreator {
         if (typeof RenderService !== 'undefined') {
             this.renderService = new RenderService(this);
         }
+        if (typeof PDFImportService !== 'undefined') {
+            this.pdfImportService = new PDFImportService(this);
+        }
+        if (typeof VideoImportService !== 'undefined') {
+            this.videoImportService = new VideoImportService(this);
+        }
+        if (typeof ShotListCSVImportService !== 'undefined') {
+            this.shotListCSVImportService = new ShotListCSVImportService(this);
+        }
+        if (typeof LayeredImageImportService !== 'undefined') {
+            this.layeredImageImportService = new LayeredImageImportService(this);
+        }
+        if (typeof RenumberService !== 'undefined') {
+            this.renumberService = new RenumberService(this);
+        }
+        if (typeof VariantService !== 'undefined') {
+            this.variantService = new VariantService(this);
+        }
+        if (typeof FrameFieldService !== 'undefined') {
+            this.frameFieldService = new FrameFieldService(this);
+        }
+        if (typeof PageTemplateService !== 'undefined') {
+            this.pageTemplateService = new PageTemplateService(this);
+        }
+        if (typeof StylePresetService !== 'undefined') {
+            this.stylePresetService = new StylePresetService(this);
+        }
+        if (typeof SceneDividerService !== 'undefined') {
+            this.sceneDividerService = new SceneDividerService(this);
+        }
+        if (typeof FrameOverlayService !== 'undefined') {
+            this.frameOverlayService = new FrameOverlayService(this);
+        }
+        if (typeof ShotBadgeService !== 'undefined') {
+            this.shotBadgeService = new ShotBadgeService(this);
+        }
+        if (typeof VectorPDFService !== 'undefined') {
+            this.vectorPdfService = new VectorPDFService(this);
+        }
+        if (typeof WatermarkBatchService !== 'undefined') {
+            this.watermarkBatchService = new WatermarkBatchService(this);
+        }
+        if (typeof ExportFilterService !== 'undefined') {
+            this.exportFilterService = new ExportFilterService(this);
+        }
+        if (typeof PPTXExportService !== 'undefined') {
+            this.pptxExportService = new PPTXExportService(this);
+        }
         if (typeof ShotListManager !== 'undefined') {
             this.shotListManager = new ShotListManager(this);
         }
@@ -399,6 +555,30 @@ class StoryboardCreator {
                 });
             }
             
+            // Import PDF storyboard
+            const importPDFBtn = document.getElementById('importPDFBtn');
+            if (importPDFBtn) {
+                importPDFBtn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    e.preventDefault();
+                    if (this.pdfImportService) {
+                        await this.pdfImportService.showImportDialog();
+                    }
+                });
+            }
+            
+            // Import reference video
+            const importVideoBtn = document.getElementById('importVideoBtn');
+            if (importVideoBtn) {
+                importVideoBtn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    e.preventDefault();
+                    if (this.videoImportService) {
+                        await this.videoImportService.showImportDialog();
+                    }
+                });
+            }
+            
             // Initialize Image Import Modal
             this.initImageImportModal();
             
@@ -561,7 +741,15 @@ class StoryboardCreator {
                 this.renderStoryboard();
             });
             
-            document.getElementById('pageSize').addEventListener('change', (e) => {
+            document.getElementById('pageSize').addEventListener('change', async (e) => {
+                if (e.target.value === 'custom') {
+                    // The other Page Size listeners run once the new size exists
+                    e.stopImmediatePropagation();
+                    const name = await this.addCustomPageSize();
+                    e.target.value = name || this.project.settings.pageSize || 'A4';
+                    if (name) e.target.dispatchEvent(new Event('change'));
+                    return;
+                }
                 this.project.settings.pageSize = e.target.value;
                 this.markChanged();
                 this.updateLayoutInfo();
@@ -690,6 +878,9 @@ class StoryboardCreator {
                     
                     this.markChanged();
                     this.renderStoryboard();
+                    if (this.previsController) {
+                        this.previsController.renderVideoPreview();
+                    }
                 });
             }
             
@@ -709,6 +900,65 @@ class StoryboardCreator {
                 customAspectRatioHeight.addEventListener('input', updateCustomAspectRatio);
             }
             
+            const frameFitMode = document.getElementById('frameFitMode');
+            if (frameFitMode) {
+                frameFitMode.addEventListener('change', (e) => {
+                    this.project.settings.frameFitMode = e.target.value;
+                    this.markChanged();
+                    this.renderStoryboard();
+                    if (this.previsController) {
+                        this.previsController.renderVideoPreview();
+                    }
+                });
+            }
+            
+            const sceneAspectRatiosBtn = document.getElementById('sceneAspectRatiosBtn');
+            if (sceneAspectRatiosBtn) {
+                sceneAspectRatiosBtn.addEventListener('click', () => {
+                    if (this.frameAspectController) {
+                        this.frameAspectController.openSceneRatiosDialog();
+                    }
+                });
+            }
+            
+            // Frame overlays (safe areas, grids, crops) - edit them, or show them in the storyboard from the toolbar
+            const frameOverlaysBtn = document.getElementById('frameOverlaysBtn');
+            if (frameOverlaysBtn) {
+                frameOverlaysBtn.addEventListener('click', () => {
+                    if (this.frameOverlayController) {
+                        this.frameOverlayController.openOverlaysDialog();
+                    }
+                });
+            }
+            const frameOverlaysToggle = document.getElementById('frameOverlaysToggle');
+            if (frameOverlaysToggle) {
+                frameOverlaysToggle.addEventListener('click', () => {
+                    if (this.frameOverlayController) {
+                        this.frameOverlayController.toggle('storyboard');
+                    }
+                });
+            }
+            
+            // Style presets - apply one from the menu, or manage them in a dialog
+            const stylePresetSelect = document.getElementById('stylePresetSelect');
+            if (stylePresetSelect) {
+                stylePresetSelect.addEventListener('change', (e) => {
+                    const presetId = e.target.value;
+                    e.target.value = '';
+                    if (presetId && this.stylePresetController) {
+                        this.stylePresetController.applyPreset(presetId);
+                    }
+                });
+            }
+            const stylePresetsBtn = document.getElementById('stylePresetsBtn');
+            if (stylePresetsBtn) {
+                stylePresetsBtn.addEventListener('click', () => {
+                    if (this.stylePresetController) {
+                        this.stylePresetController.openPresetsDialog();
+                    }
+                });
+            }
+            
             document.getElementById('showBottomText').addEventListener('change', (e) => {
                 this.project.settings.showBottomText = e.target.checked;
                 this.markChanged();
@@ -880,6 +1130,25 @@ class StoryboardCreator {
                 this.markChanged();
                 this.renderStoryboard();
             });
+            
+            // Scene title pages and table of contents
+            ['enableSceneDividers', 'enableTableOfContents'].forEach(id => {
+                const checkbox = document.getElementById(id);
+                if (!checkbox) return;
+                checkbox.addEventListener('change', (e) => {
+                    this.project.settings[id] = e.target.checked;
+                    this.markChanged();
+                    this.renderStoryboard();
+                });
+            });
+            const sceneDetailsBtn = document.getElementById('sceneDetailsBtn');
+            if (sceneDetailsBtn) {
+                sceneDetailsBtn.addEventListener('click', () => {
+                    if (this.sceneDividerController) {
+                        this.sceneDividerController.openSceneDetailsDialog();
+                    }
+                });
+            }
         } catch (error) {
             console.error('Error setting up settings event listeners:', error);
         }
@@ -1002,6 +1271,26 @@ class StoryboardCreator {
             });
         }
         
+        // Header and footer templates (resolved per page when rendering)
+        ['pageHeaderTemplate', 'pageFooterTemplate', 'revisionLabel', 'confidentialText'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.addEventListener('change', (e) => {
+                    this.project.settings[id] = e.target.value;
+                    this.markChanged();
+                    this.renderStoryboard();
+                });
+            }
+        });
+        const pageTemplateFontSizeEl = document.getElementById('pageTemplateFontSize');
+        if (pageTemplateFontSizeEl) {
+            pageTemplateFontSizeEl.addEventListener('change', (e) => {
+                this.project.settings.pageTemplateFontSize = parseInt(e.target.value) || 10;
+                this.markChanged();
+                this.renderStoryboard();
+            });
+        }
+        
         // Frame text settings
         ['frameFontStyle', 'frameTextColor', 'frameTextAlign'].forEach(id => {
             const el = document.getElementById(id);
@@ -1014,6 +1303,34 @@ class StoryboardCreator {
             }
         });
         
+        // Structured frame fields (Action, Dialogue, Camera, SFX…)
+        const frameFieldsBtn = document.getElementById('frameFieldsBtn');
+        if (frameFieldsBtn) {
+            frameFieldsBtn.addEventListener('click', () => {
+                if (this.frameFieldsController) {
+                    this.frameFieldsController.openFieldsDialog();
+                }
+            });
+        }
+        const frameFieldSearchBtn = document.getElementById('frameFieldSearchBtn');
+        if (frameFieldSearchBtn) {
+            frameFieldSearchBtn.addEventListener('click', () => {
+                if (this.frameFieldsController) {
+                    this.frameFieldsController.openSearchDialog();
+                }
+            });
+        }
+        
+        // Shot list fields shown under frames
+        const shotBadgesBtn = document.getElementById('shotBadgesBtn');
+        if (shotBadgesBtn) {
+            shotBadgesBtn.addEventListener('click', () => {
+                if (this.shotBadgeController) {
+                    this.shotBadgeController.openBadgesDialog();
+                }
+            });
+        }
+        
         // Frame font family - update weight options when changed
         const frameFontFamilyEl = document.getElementById('frameFontFamily');
         if (frameFontFamilyEl) {
@@ -2089,6 +2406,15 @@ class StoryboardCreator {
             });
         }
         
+        const overlaysToggle = document.getElementById('drawingOverlaysToggle');
+        if (overlaysToggle) {
+            overlaysToggle.addEventListener('click', () => {
+                if (this.frameOverlayController) {
+                    this.frameOverlayController.toggle('editor');
+                }
+            });
+        }
+        
         // Color picker
         if (colorPicker) {
             // Update color immediately on input (as user drags) and on change (when released)
@@ -2326,9 +2652,18 @@ class StoryboardCreator {
             // Store image editing context if provided
             this.drawingCanvas.editingImage = options.editingImage || null;
             
+            // Frame overlays are laid over the canvas, outside the drawing
+            if (this.frameOverlayController) {
+                this.frameOverlayController.attachToEditor();
+            }
+            
             // Setup callbacks
             this.drawingCanvas.onHistoryChange = () => {
                 this.updateDrawingCanvasButtons();
+                // A crop changes the canvas aspect ratio, and so the overlays
+                if (this.frameOverlayController) {
+                    this.frameOverlayController.attachToEditor(false);
+                }
             };
             this.drawingCanvas.onLayersChange = () => {
                 this.updateLayersUI();
@@ -2512,6 +2847,9 @@ class StoryboardCreator {
             this.drawingCanvas.destroy();
             this.drawingCanvas = null;
         }
+        if (this.frameOverlayController) {
+            this.frameOverlayController.attachToEditor();
+        }
         
         // Clear inputs
         const sceneInput = document.getElementById('drawingScene');
@@ -3306,6 +3644,10 @@ class StoryboardCreator {
         // CRITICAL: Store aspect ratio in both places to ensure resize handlers always use it
         this.drawingCanvas.aspectRatio = aspectRatio;
         this.drawingCanvas.originalAspectRatio = aspectRatio; // Also update original so fallback works
+        
+        if (this.frameOverlayController) {
+            this.frameOverlayController.attachToEditor();
+        }
     }
     
     /**
@@ -3396,6 +3738,11 @@ class StoryboardCreator {
                     if (imageIndex !== -1) {
                         const imageInProject = this.project.images[imageIndex];
                         
+                        // Keep the art being drawn over in the frame's version history
+                        if (this.imageManager) {
+                            this.imageManager.recordImageVersion(imageInProject, rasterizedDataURL, { source: 'drawing' });
+                        }
+                        
                         // CRITICAL: Save the original URL before replacing it (if not already saved)
                         // This allows us to restore the original image later
                         if (!imageInProject.originalUrl) {
@@ -3404,6 +3751,9 @@ class StoryboardCreator {
                         
                         // Replace the image URL with the rasterized version
                         imageInProject.url = rasterizedDataURL;
+                        // A drawn-over placeholder is a real frame now
+                        delete imageInProject.isPlaceholder;
+                        delete imageInProject.perceptualHash;
                         // CRITICAL: Delete editLayers (don't set to empty array) so renderer uses URL directly
                         delete imageInProject.editLayers;
                         imageInProject.compositeUrl = null;
@@ -3414,15 +3764,20 @@ class StoryboardCreator {
                             editingImage.originalUrl = editingImage.url;
                         }
                         editingImage.url = rasterizedDataURL;
+                        delete editingImage.isPlaceholder;
                         delete editingImage.editLayers;
                         editingImage.compositeUrl = null;
                         delete editingImage.compositeUrl;
                     } else {
+                        if (this.imageManager) {
+                            this.imageManager.recordImageVersion(editingImage, rasterizedDataURL, { source: 'drawing' });
+                        }
                         // Save original URL before replacing
                         if (!editingImage.originalUrl) {
                             editingImage.originalUrl = editingImage.url;
                         }
                         editingImage.url = rasterizedDataURL;
+                        delete editingImage.isPlaceholder;
                         delete editingImage.editLayers;
                         editingImage.compositeUrl = null;
                         delete editingImage.compositeUrl;
@@ -3455,14 +3810,8 @@ class StoryboardCreator {
                             await this.storageService.saveToStorage(false);
                         }
                         
-                        // Force re-render storyboard
-                        if (this.renderService && this.renderService.renderStoryboard) {
-                            this.renderService.renderStoryboard();
-                        } else if (this.uiManager && this.uiManager.renderStoryboard) {
-                            this.uiManager.renderStoryboard();
-                        } else if (this.renderStoryboard) {
-                            this.renderStoryboard();
-                        }
+                        // Redraw the edited frame
+                        this.updateFrame(editingImage.name);
                     }, 300);
                 };
                 
@@ -3534,6 +3883,10 @@ class StoryboardCreator {
             this.project.images.push(newImage);
         }
         
+        if (this.imageManager) {
+            this.imageManager.replacePlaceholders([newImage]);
+        }
+        
         // Sort images
         this.sortImagesByStructure();
         
@@ -4119,7 +4472,8 @@ class StoryboardCreator {
     
     updateProjectInfo() {
         // Calculate statistics
-        const frames = this.project.images.length;
+        // Alternate frames that are not shown don't take up page slots
+        const frames = this.variantService ? this.variantService.getLayoutImages(null).length : this.project.images.length;
         const shots = new Set(this.project.images
             .filter(img => img.shotNumber && img.shotNumber.trim() !== '')
             .map(img => img.shotNumber.trim())
@@ -5009,14 +5363,15 @@ class StoryboardCreator {
             // Page padding in pixels (5mm = ~18.9px)
             const pagePaddingPx = 5 * mmToPx;
             
-            // Header text space (removed - no global page text)
-            const headerTextSpacePx = 0;
+            // Header line from the header template (no global page text)
+            const headerTextSpacePx = this.pageTemplateService ? this.pageTemplateService.getReservedHeight('header') : 0;
             
             // Footer text space in pixels (bottom text area + margin-top)
             // Footer has max-height: 80px + margin-top: 10px = 90px max
             // IMPORTANT: When showBottomText is false, footerTextSpacePx is 0,
             // meaning that 90px becomes available for the image grid container
-            const footerTextSpacePx = this.project.settings.showBottomText ? 90 : 0;
+            const footerTextSpacePx = (this.project.settings.showBottomText ? 90 : 0) +
+                (this.pageTemplateService ? this.pageTemplateService.getReservedHeight('footer') : 0);
             
             // Available space for grid
             // Must account for: padding (top + bottom), header, footer
@@ -5037,7 +5392,11 @@ class StoryboardCreator {
         // Apply frame text scale (30-100%) - this makes the entire frame smaller, allowing better distribution
         const frameTextScale = (this.project.settings.frameTextScale || 100) / 100;
         const baseFrameTextTotalPx = 81; // Base height: 60px min-height + 16px padding + 5px margin
-        const frameTextTotalPx = baseFrameTextTotalPx * frameTextScale;
+        // Structured frame fields stack one text box per shown field
+        const frameTextTotalPx = (this.frameFieldService
+            ? this.frameFieldService.getTextBlockHeight(frameTextScale)
+            : baseFrameTextTotalPx * frameTextScale) +
+            (this.shotBadgeService ? this.shotBadgeService.getRowHeight() : 0); // Shot badges row above the text
         
         // Margins between components: 
         // - shot-number-container margin-bottom: 10px
@@ -5048,6 +5407,9 @@ class StoryboardCreator {
         // Image scale factor
         const imageScale = (this.project.settings.imageScale || 100) / 100;
         
+        // Frame image height as a share of frame width (project / scene aspect ratio)
+        const frameHeightRatio = this.getFrameHeightRatio();
+        
         // Image container no longer has min-height - it can shrink to natural image size
         const IMAGE_CONTAINER_MIN_HEIGHT_PX = 0;
         
@@ -5078,7 +5440,7 @@ class StoryboardCreator {
             if (baseFrameWidthPx < MIN_FRAME_WIDTH_PX) continue;
             
             // Calculate what frame height would be at base width
-            const baseScaledImageHeightPx = baseFrameWidthPx * 0.5 * imageScale;
+            const baseScaledImageHeightPx = baseFrameWidthPx * frameHeightRatio * imageScale;
             const baseImageContainerHeightPx = Math.max(baseScaledImageHeightPx, IMAGE_CONTAINER_MIN_HEIGHT_PX);
             const baseFrameHeightPx = shotNumberHeightPx + baseImageContainerHeightPx + frameTextTotalPx + componentMarginsPx;
             const baseTotalHeightNeededPx = rows * baseFrameHeightPx + (rows - 1) * gapPx;
@@ -5101,7 +5463,7 @@ class StoryboardCreator {
                 // Ensure we don't go below minimum width
                 if (frameWidthPx < MIN_FRAME_WIDTH_PX) continue;
                 
-                const scaledImageHeightPx = frameWidthPx * 0.5 * imageScale;
+                const scaledImageHeightPx = frameWidthPx * frameHeightRatio * imageScale;
                 const imageContainerHeightPx = Math.max(scaledImageHeightPx, IMAGE_CONTAINER_MIN_HEIGHT_PX);
                 frameHeightPx = shotNumberHeightPx + imageContainerHeightPx + frameTextTotalPx + componentMarginsPx;
                 totalHeightNeededPx = rows * frameHeightPx + (rows - 1) * gapPx;
@@ -5120,7 +5482,7 @@ class StoryboardCreator {
                     optimalScale = frameWidthPx / baseFrameWidthPx;
                 }
                 
-                const scaledImageHeightPx = frameWidthPx * 0.5 * imageScale;
+                const scaledImageHeightPx = frameWidthPx * frameHeightRatio * imageScale;
                 const imageContainerHeightPx = Math.max(scaledImageHeightPx, IMAGE_CONTAINER_MIN_HEIGHT_PX);
                 frameHeightPx = shotNumberHeightPx + imageContainerHeightPx + frameTextTotalPx + componentMarginsPx;
                 totalHeightNeededPx = rows * frameHeightPx + (rows - 1) * gapPx;
@@ -5279,10 +5641,15 @@ class StoryboardCreator {
         // Apply frame text scale (30-100%) - this makes the entire frame smaller, allowing better distribution
         const frameTextScale = (this.project.settings.frameTextScale || 100) / 100;
         const baseFrameTextTotalPx = 81; // Base height: 60px min-height + 16px padding + 5px margin
-        const frameTextTotalPx = baseFrameTextTotalPx * frameTextScale;
+        // Structured frame fields stack one text box per shown field
+        const frameTextTotalPx = (this.frameFieldService
+            ? this.frameFieldService.getTextBlockHeight(frameTextScale)
+            : baseFrameTextTotalPx * frameTextScale) +
+            (this.shotBadgeService ? this.shotBadgeService.getRowHeight() : 0); // Shot badges row above the text
         const componentMarginsPx = 25;
         const IMAGE_CONTAINER_MIN_HEIGHT_PX = 0;
         const imageScale = (this.project.settings.imageScale || 100) / 100;
+        const frameHeightRatio = this.getFrameHeightRatio();
         
         // Frame text scale applied
         
@@ -5327,7 +5694,7 @@ class StoryboardCreator {
                     continue;
                 }
                 
-                const scaledImageHeightPx = frameWidthPx * 0.5 * imageScale;
+                const scaledImageHeightPx = frameWidthPx * frameHeightRatio * imageScale;
                 const imageContainerHeightPx = Math.max(scaledImageHeightPx, IMAGE_CONTAINER_MIN_HEIGHT_PX);
                 // Frame height includes scaled frame text - smaller text = smaller frame = better distribution
                 const frameHeightPx = shotNumberHeightPx + imageContainerHeightPx + frameTextTotalPx + componentMarginsPx;
@@ -5397,10 +5764,11 @@ class StoryboardCreator {
         const pagePaddingPx = 5 * mmToPx;
         
         // Header and footer space
-        const headerTextSpacePx = 0; // No global page text
+        const headerTextSpacePx = this.pageTemplateService ? this.pageTemplateService.getReservedHeight('header') : 0; // No global page text
         // IMPORTANT: When showBottomText is false, footerTextSpacePx is 0,
         // meaning that 90px becomes available for the image grid container
-        const footerTextSpacePx = this.project.settings.showBottomText ? 90 : 0;
+        const footerTextSpacePx = (this.project.settings.showBottomText ? 90 : 0) +
+            (this.pageTemplateService ? this.pageTemplateService.getReservedHeight('footer') : 0);
         
         // Available space for grid
         // When footer is disabled (showBottomText = false), footerTextSpacePx = 0,
@@ -5411,12 +5779,24 @@ class StoryboardCreator {
         return this.calculateMaxFromDimensions(availableWidthPx, availableHeightPx);
     }
     
+    /**
+     * Frame image height as a share of frame width, used by the page layout
+     * Follows the project aspect ratio; with per-scene ratios the tallest frame wins so every page fits.
+     * Frames without a fixed ratio ('none') are estimated at 50% of their width.
+     */
+    getFrameHeightRatio() {
+        if (typeof FrameAspect === 'undefined') return 0.5;
+        return FrameAspect.getLayoutHeightRatio(this.project.settings);
+    }
+    
     /**
      * Helper function to test if a specific number of images can fit on the page
      * This is used by calculateOptimalLayout, not by getMaxImagesPerPage
      * Image scale IS considered here for actual layout calculations
      */
     canFitImagesOnPage(imagesPerPage, pageSize, orientation, imageScale, availableWidthPx, availableHeightPx, gapPx, shotNumberHeightPx, frameTextTotalPx, componentMarginsPx, MIN_FRAME_WIDTH_PX, maxCols, IMAGE_CONTAINER_MIN_HEIGHT_PX) {
+        const frameHeightRatio = this.getFrameHeightRatio();
+        
         // Test all possible row/column combinations
         for (let rows = 1; rows <= imagesPerPage; rows++) {
             const cols = Math.ceil(imagesPerPage / rows);
@@ -5433,10 +5813,8 @@ class StoryboardCreator {
             // Skip if frame is too narrow
             if (frameWidthPx < MIN_FRAME_WIDTH_PX) continue;
             
-            // Calculate image height based on frame width and scale
-            // Most storyboard images are landscape (16:9 or 4:3)
-            // Use 0.5 as estimate (height = 50% of width for landscape)
-            const scaledImageHeightPx = frameWidthPx * 0.5 * imageScale;
+            // Calculate image height based on frame width, frame aspect ratio and scale
+            const scaledImageHeightPx = frameWidthPx * frameHeightRatio * imageScale;
             
             // CRITICAL: Use the MAXIMUM of scaled height and container min-height
             // The container enforces a minimum height regardless of image scale
@@ -5572,10 +5950,33 @@ class StoryboardCreator {
                 shotFontWeight: 'bold',
                 shotTextColor: '#ebebeb',
                 shotCircleScale: 100,
-                frameScale: 100
+                frameScale: 100,
+                imageAspectRatio: 'none',
+                customAspectRatioWidth: 16,
+                customAspectRatioHeight: 9,
+                frameFitMode: 'crop',
+                sceneAspectRatios: {},
+                frameOverlaysStoryboard: false,
+                frameOverlaysEditor: false,
+                frameOverlaysPreview: false,
+                frameOverlaysPdf: false,
+                frameOverlaysVideo: false,
+                showShotBadges: false,
+                shotBadgesPdf: false,
+                pdfExportMode: 'image',
+                enableSceneDividers: false,
+                enableTableOfContents: false,
+                sceneDetails: {},
+                pageHeaderTemplate: '',
+                pageFooterTemplate: '',
+                pageTemplateFontSize: 10,
+                revisionLabel: '',
+                confidentialText: 'CONFIDENTIAL',
+                stylePresets: []
             },
-            frameTexts: {},
+            frameFieldTexts: {},
             pageTexts: {},
+            pageTemplates: {},
             imageScenes: {},
             drawings: {},
             activePanel: null
@@ -5587,7 +5988,71 @@ class StoryboardCreator {
         this.renderStoryboard();
     }
     
+    /**
+     * Add the project's custom paper sizes (settings.customPageSizes, in mm) to pageSizes and the Page Size list
+     */
+    applyCustomPageSizes() {
+        Object.keys(this.pageSizes).forEach(name => {
+            if (!this.builtInPageSizes.includes(name)) delete this.pageSizes[name];
+        });
+        (this.project.settings.customPageSizes || []).forEach(size => {
+            if (!this.builtInPageSizes.includes(size.name) && size.width > 0 && size.height > 0) {
+                this.pageSizes[size.name] = { width: size.width, height: size.height };
+            }
+        });
+
+        const select = document.getElementById('pageSize');
+        if (!select) return;
+        select.querySelectorAll('option[data-custom-size], option[value="custom"]').forEach(option => option.remove());
+        Object.keys(this.pageSizes).filter(name => !this.builtInPageSizes.includes(name)).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.dataset.customSize = 'true';
+            option.textContent = `${name} (${this.pageSizes[name].width} × ${this.pageSizes[name].height} mm)`;
+            select.appendChild(option);
+        });
+        const addOption = document.createElement('option');
+        addOption.value = 'custom';
+        addOption.textContent = 'Custom size…';
+        select.appendChild(addOption);
+        // Also rebuilt while an export applies a style preset, so select the size in use again
+        if (this.pageSizes[this.project.settings.pageSize]) select.value = this.project.settings.pageSize;
+    }
+
+    /**
+     * Ask for a custom paper size and add it to the project
+     * @returns {Promise<string|null>} Name of the new size, null if cancelled
+     */
+    async addCustomPageSize() {
+        const answer = await this.customPrompt('Custom paper size - a name, then width × height in mm (e.g. "Storyboard Pad 240 x 320"):', '');
+        if (!answer) return null;
+        const match = /^(.*?)\s*(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)\s*(?:mm)?$/i.exec(answer.trim());
+        if (!match) {
+            await this.customAlert('Enter a name followed by the width and height in mm, e.g. "Storyboard Pad 240 x 320".');
+            return null;
+        }
+        const width = parseFloat(match[2]);
+        const height = parseFloat(match[3]);
+        const name = match[1].trim() || `${width} × ${height} mm`;
+        if (Math.min(width, height) < 50 || Math.max(width, height) > 2000) {
+            await this.customAlert('Paper sizes go from 50 to 2000 mm.');
+            return null;
+        }
+        if (this.builtInPageSizes.includes(name) || name === 'custom') {
+            await this.customAlert(`"${name}" is already a page size name.`);
+            return null;
+        }
+        // Stored upright like the built-in sizes; the orientation setting turns it
+        const sizes = (this.project.settings.customPageSizes || []).filter(size => size.name !== name);
+        sizes.push({ name, width: Math.min(width, height), height: Math.max(width, height) });
+        this.project.settings.customPageSizes = sizes;
+        this.applyCustomPageSizes();
+        this.markChanged();
+        return name;
+    }
+
     resetUI() {
+        this.applyCustomPageSizes();
         const pageOrientation = document.getElementById('pageOrientation');
         const pageSize = document.getElementById('pageSize');
         const layoutRowsSlider = document.getElementById('layoutRows');
@@ -5644,10 +6109,26 @@ class StoryboardCreator {
         const customAspectRatioContainer = document.getElementById('customAspectRatioContainer');
         const customAspectRatioWidth = document.getElementById('customAspectRatioWidth');
         const customAspectRatioHeight = document.getElementById('customAspectRatioHeight');
-        if (imageAspectRatio) imageAspectRatio.value = '16:9';
+        if (imageAspectRatio) imageAspectRatio.value = 'none';
         if (customAspectRatioContainer) customAspectRatioContainer.style.display = 'none';
         if (customAspectRatioWidth) customAspectRatioWidth.value = 16;
         if (customAspectRatioHeight) customAspectRatioHeight.value = 9;
+        const frameFitMode = document.getElementById('frameFitMode');
+        if (frameFitMode) frameFitMode.value = 'crop';
+        if (this.frameAspectController) this.frameAspectController.updateSummary();
+        if (this.frameFieldsController) this.frameFieldsController.updateSummary();
+        if (this.stylePresetController) this.stylePresetController.updateSummary();
+        if (this.sceneDividerController) this.sceneDividerController.updateSummary();
+        if (this.frameOverlayController) this.frameOverlayController.updateSummary();
+        if (this.shotBadgeController) this.shotBadgeController.updateSummary();
+        ['pageHeaderTemplate', 'pageFooterTemplate', 'revisionLabel'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.value = '';
+        });
+        const pageTemplateFontSize = document.getElementById('pageTemplateFontSize');
+        if (pageTemplateFontSize) pageTemplateFontSize.value = 10;
+        const confidentialText = document.getElementById('confidentialText');
+        if (confidentialText) confidentialText.value = 'CONFIDENTIAL';
         if (fontFamily) fontFamily.value = 'Arial, sans-serif';
         if (fontSize) fontSize.value = 12;
         if (lineHeight) lineHeight.value = 1.5;
@@ -5662,6 +6143,10 @@ class StoryboardCreator {
         if (document.getElementById('shotCircleScale')) document.getElementById('shotCircleScale').value = 100;
         if (document.getElementById('shotCircleScaleInput')) document.getElementById('shotCircleScaleInput').value = 100;
         if (separateScenes) separateScenes.checked = false;
+        ['enableSceneDividers', 'enableTableOfContents'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.checked = false;
+        });
         if (showBottomText) showBottomText.checked = true;
         if (enableCoverPage) enableCoverPage.checked = false;
         const enablePageNumbers = document.getElementById('enablePageNumbers');
@@ -5743,6 +6228,23 @@ class StoryboardCreator {
         if (closeBtn) closeBtn.addEventListener('click', closeModal);
         if (cancelBtn) cancelBtn.addEventListener('click', closeModal);
 
+        // Setup custom naming rule editor
+        if (this.importRulesController) {
+            this.importRulesController.init();
+        }
+
+        // Near-duplicate detection toggle (stored per project)
+        const duplicateDetectionCheck = document.getElementById('enableDuplicateDetection');
+        if (duplicateDetectionCheck) {
+            duplicateDetectionCheck.addEventListener('change', () => {
+                this.project.settings.duplicateDetection = {
+                    ...(this.project.settings.duplicateDetection || {}),
+                    enabled: duplicateDetectionCheck.checked
+                };
+                this.markChanged();
+            });
+        }
+
         // Browse button
         if (browseBtn) {
             browseBtn.addEventListener('click', async () => {
@@ -5786,7 +6288,7 @@ class StoryboardCreator {
         if (fileInput) {
             fileInput.addEventListener('change', async (e) => {
                 const files = Array.from(e.target.files).filter(file => 
-                    file.type.startsWith('image/')
+                    file.type.startsWith('image/') || this.layeredImageImportService?.isLayeredFile(file)
                 );
                 if (files.length > 0) {
                     this.pendingImportFiles = files;
@@ -5865,6 +6367,15 @@ class StoryboardCreator {
             modal.style.display = 'block';
             // Repopulate examples when modal opens (in case parser wasn't ready before)
             this.populateStructureExamples();
+            // Show the current project's custom naming rules
+            if (this.importRulesController) {
+                this.importRulesController.applyRulesToParser();
+                this.importRulesController.renderRules();
+            }
+            const duplicateDetectionCheck = document.getElementById('enableDuplicateDetection');
+            if (duplicateDetectionCheck) {
+                duplicateDetectionCheck.checked = this.project.settings.duplicateDetection?.enabled !== false;
+            }
         }
     }
 
@@ -5909,7 +6420,7 @@ class StoryboardCreator {
             await processEntry(entry);
         }
 
-        return files.filter(file => file.type && file.type.startsWith('image/'));
+        return files.filter(file => (file.type && file.type.startsWith('image/')) || this.layeredImageImportService?.isLayeredFile(file));
     }
 
     /**
@@ -5924,12 +6435,28 @@ class StoryboardCreator {
         if (!enableRecognition) {
             resultsDiv.style.display = 'block';
             infoDiv.innerHTML = '<em>Structure recognition is disabled. Images will be loaded without automatic numbering. You can add scene/shot/frame numbers manually in the storyboard.</em>';
+            if (this.importRulesController) this.importRulesController.renderPreview(null);
             loadBtn.disabled = false;
             return;
         }
 
+        if (this.importRulesController) {
+            this.importRulesController.applyRulesToParser();
+        }
         const structure = this.imageStructureParser.parseFileStructure(files);
 
+        // Show per-file custom rule results, even when the rules did not match enough files
+        if (this.importRulesController) {
+            const hasCustomRules = this.imageStructureParser.compiledRules && this.imageStructureParser.compiledRules.length > 0;
+            let previewImages = null;
+            if (structure.type === 'custom_rules') {
+                previewImages = structure.images;
+            } else if (hasCustomRules) {
+                previewImages = this.imageStructureParser.detectCustomRuleStructure(files).images;
+            }
+            this.importRulesController.renderPreview(previewImages);
+        }
+
         if (structure.recognized && structure.structureInfo) {
             resultsDiv.style.display = 'block';
             const info = structure.structureInfo;
@@ -5941,6 +6468,11 @@ class StoryboardCreator {
             if (info.recognized !== undefined) {
                 infoText += `<strong>Recognized:</strong> ${info.recognized} of ${info.total} files<br>`;
             }
+            if (info.rules) {
+                Object.entries(info.rules).forEach(([ruleName, count]) => {
+                    infoText += `<strong>Rule "${ruleName}":</strong> ${count} file${count !== 1 ? 's' : ''}<br>`;
+                });
+            }
             
             infoText += '<br><em>Scene, shot, and frame numbers will be automatically populated.</em>';
             infoDiv.innerHTML = infoText;
@@ -5961,6 +6493,9 @@ class StoryboardCreator {
         
         let structure;
         if (enableRecognition) {
+            if (this.importRulesController) {
+                this.importRulesController.applyRulesToParser();
+            }
             structure = this.imageStructureParser.parseFileStructure(files);
         } else {
             // Disabled: just load files without structure recognition
@@ -5997,6 +6532,9 @@ class StoryboardCreator {
         }
         
         try {
+            // Flattened-feature warnings from layered (.psd/.ora) files
+            const layeredReports = [];
+            
             // Load images as base64
             const loadedImages = await Promise.all(
                 structure.images.map(async (item) => {
@@ -6041,7 +6579,10 @@ class StoryboardCreator {
                             const compSettings = this.project.settings.imageCompression || {};
                             const enabled = compSettings.enabled !== false; // Default to true
                             
-                            if (enabled && window.ImageCompression && typeof window.ImageCompression.compressImage === 'function') {
+                            const layered = this.layeredImageImportService ? await this.layeredImageImportService.importFile(file) : null;
+                            if (layered) {
+                                layeredReports.push({ fileName: file.name, warnings: layered.warnings });
+                            } else if (enabled && window.ImageCompression && typeof window.ImageCompression.compressImage === 'function') {
                                 const format = compSettings.format || 'webp';
                                 compressedUrl = await window.ImageCompression.compressImage(file, {
                                     maxSizeMB: compSettings.maxSizeMB || 0.5, // Reduced from 1MB
@@ -6073,6 +6614,8 @@ class StoryboardCreator {
                                 shotNumber: item.shotNumber || '',
                                 frameNumber: item.frameNumber || '', // Don't use filename when recognition disabled
                                 scene: item.sceneNumber || '', // For backward compatibility
+                                ...(item.version ? { fileVersion: item.version } : {}), // Version token from a custom naming rule
+                                ...(layered ? layered.fields : {}), // Base image and layers of a .psd/.ora file
                                 filePath: finalFilePath // CRITICAL: Save the relative path (filename for root files, "folder/subfolder/filename" for nested files)
                             });
                         } catch (error) {
@@ -6131,8 +6674,17 @@ class StoryboardCreator {
                 handleDuplicates = choice;
             }
 
+            // Re-exported frames often come back under new names - compare the pictures too
+            let nearDuplicates = null;
+            if (this.imageManager && !isFirstImport) {
+                nearDuplicates = await this.imageManager.reviewNearDuplicates(newImages, this.project.images);
+                if (!nearDuplicates) {
+                    return; // User cancelled
+                }
+            }
+
             // Process images based on duplicate handling choice
-            const imagesToAdd = [...newImages];
+            const imagesToAdd = nearDuplicates ? [...nearDuplicates.keep] : [...newImages];
             if (handleDuplicates === 'copy') {
                 // Add duplicates as copies with unique names
                 duplicateImages.forEach(dupImg => {
@@ -6170,6 +6722,11 @@ class StoryboardCreator {
                             if (dupImg.frameNumber) existing.frameNumber = dupImg.frameNumber;
                         }
                         existing.url = dupImg.url; // Update URL
+                        delete existing.perceptualHash; // Picture may have changed - rehash on next import
+                        if (dupImg.editLayers) {
+                            existing.editLayers = dupImg.editLayers; // Re-imported layered file brings its layers
+                            delete existing.compositeUrl;
+                        }
                     }
                 });
             }
@@ -6188,6 +6745,15 @@ class StoryboardCreator {
                 }
             });
             
+            // Real frames for shots planned in the shot list take over their placeholders
+            if (this.imageManager) {
+                this.imageManager.replacePlaceholders(imagesToAdd);
+                // Hash now so the next import can compare against these frames right away
+                if (this.project.settings.duplicateDetection?.enabled !== false) {
+                    await this.imageManager.ensureImageHashes(imagesToAdd);
+                }
+            }
+            
             // Store the directory name for reference (needed when loading project)
             if (this.fileManager && this.fileManager.directoryHandle) {
                 this.imageFolderPath = this.fileManager.directoryHandle.name;
@@ -6222,10 +6788,17 @@ class StoryboardCreator {
             } else if (copiedCount > 0) {
                 message += ` (${copiedCount} duplicate${copiedCount !== 1 ? 's' : ''} loaded as copies)`;
             }
+            if (nearDuplicates && (nearDuplicates.replaced > 0 || nearDuplicates.skipped > 0)) {
+                message += `, ${nearDuplicates.replaced} replaced, ${nearDuplicates.skipped} look-alike${nearDuplicates.skipped !== 1 ? 's' : ''} skipped`;
+            }
             if (structure.recognized) {
                 message += ' with structure recognition';
             }
             this.showToast(message);
+            
+            if (this.layeredImageImportService) {
+                await this.layeredImageImportService.showWarnings(layeredReports);
+            }
         } catch (error) {
             console.error('Error loading images:', error);
             await this.customAlert('Error loading images: ' + error.message);
@@ -6239,7 +6812,7 @@ class StoryboardCreator {
         }
         
         const files = Array.from(event.target.files).filter(file => 
-            file.type.startsWith('image/')
+            file.type.startsWith('image/') || this.layeredImageImportService?.isLayeredFile(file)
         );
         
         
@@ -6260,17 +6833,31 @@ class StoryboardCreator {
                 const isFirstImport = this.project.images.length === 0 || isReloading;
                 
                 // Load images using ImageManager
-                const newImages = await this.imageManager.loadImagesFromFiles(files, {
+                let newImages = await this.imageManager.loadImagesFromFiles(files, {
                     preserveMetadata: !isFirstImport,
                     isReloading: isReloading,
                     pendingMetadata: this.pendingImageMetadata
                 });
                 
+                // Renamed re-exports of existing frames: let the user skip, replace or keep them
+                let matchedExisting = [];
+                if (!isFirstImport) {
+                    const existingNames = new Set(this.project.images.map(img => img.name));
+                    const renamedImages = newImages.filter(img => !existingNames.has(img.name));
+                    const nearDuplicates = await this.imageManager.reviewNearDuplicates(renamedImages, this.project.images);
+                    if (!nearDuplicates) {
+                        return; // User cancelled
+                    }
+                    newImages = newImages.filter(img => existingNames.has(img.name) || nearDuplicates.keep.includes(img));
+                    matchedExisting = nearDuplicates.matchedExisting;
+                }
+                
                 // Merge with existing images
                 this.project.images = this.imageManager.mergeImages(
                     newImages,
                     this.project.images,
-                    isFirstImport
+                    isFirstImport,
+                    matchedExisting
                 );
                 
                 // Clear reload flags if reloading
@@ -6315,7 +6902,8 @@ class StoryboardCreator {
     
     zoomFit() {
         const container = document.getElementById('storyboardContainer');
-        const pages = container.querySelectorAll('.storyboard-page');
+        // Pages far from the viewport are placeholders of the same size
+        const pages = container.querySelectorAll('.storyboard-page, .storyboard-page-placeholder');
         if (pages.length === 0) return;
         
         const firstPage = pages[0];
@@ -6335,6 +6923,27 @@ class StoryboardCreator {
         }
     }
     
+    /**
+     * Save, re-render the storyboard and bring the previs timeline and shot list in step
+     * after frames were added, removed, renumbered or swapped
+     */
+    async refreshAfterStructureChange() {
+        this.markChanged();
+        if (this.storageService) {
+            await this.storageService.saveToStorage(false);
+        }
+        this.renderStoryboard();
+
+        if (this.previsController && this.previsController.previsManager) {
+            this.previsController.previsManager.buildTimelineFromStoryboard();
+            this.previsController.renderTimeline();
+        }
+        if (this.shotListController) {
+            this.shotListController.renderShotList();
+        }
+        this.updateProjectInfo();
+    }
+    
     renderStoryboard() {
         if (this.renderService) {
             this.renderService.renderStoryboard();
@@ -6346,6 +6955,17 @@ class StoryboardCreator {
         }
     }
     
+    /**
+     * Redraw one frame after it was edited; re-renders the storyboard if the edit moved frames between pages
+     * @param {string} imageName - Name of the edited image
+     */
+    updateFrame(imageName) {
+        if (this.renderService && this.renderService.updateFrame(imageName)) {
+            return;
+        }
+        this.renderStoryboard();
+    }
+    
     // Rendering methods moved to RenderService
     // These are kept as fallback stubs for compatibility
     createPage(...args) {
@@ -6507,8 +7127,16 @@ class StoryboardCreator {
                     // Preserve the original image's metadata
                     const oldImage = { ...this.currentEditingImage };
                     
+                    // Keep the replaced art in the frame's version history
+                    if (this.imageManager) {
+                        this.imageManager.recordImageVersion(this.currentEditingImage, newImageData.url, { source: 'replace', note: newFile.name });
+                    }
+                    
                     // Update the image with new data
                     Object.assign(this.currentEditingImage, newImageData);
+                    if (newImageData.editLayers) {
+                        delete this.currentEditingImage.compositeUrl; // Layers changed - rebuild the composite
+                    }
                     
                     // Preserve scene/shot/frame numbers if they exist
                     if (oldImage.sceneNumber) {
@@ -6522,9 +7150,8 @@ class StoryboardCreator {
                     }
                     
                     // Preserve frame text
-                    if (this.project.frameTexts[oldImage.name]) {
-                        this.project.frameTexts[this.currentEditingImage.name] = this.project.frameTexts[oldImage.name];
-                        delete this.project.frameTexts[oldImage.name];
+                    if (this.frameFieldService) {
+                        this.frameFieldService.moveValues(oldImage.name, this.currentEditingImage.name);
                     }
                     
                     // Update image scenes mapping
@@ -6575,6 +7202,20 @@ class StoryboardCreator {
     }
     
     async loadSingleImageFile(file) {
+        const layered = this.layeredImageImportService ? await this.layeredImageImportService.importFile(file) : null;
+        if (layered) {
+            await this.layeredImageImportService.showWarnings([{ fileName: file.name, warnings: layered.warnings }]);
+            return {
+                name: file.name,
+                originalName: file.name,
+                filePath: file.name,
+                ...layered.fields,
+                sceneNumber: '',
+                shotNumber: '',
+                frameNumber: ''
+            };
+        }
+        
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
@@ -6604,7 +7245,9 @@ class StoryboardCreator {
             // Mark as removed for reload
             this.removedImages.add(this.currentEditingImage.name);
             // Clean up associated data
-            delete this.project.frameTexts[this.currentEditingImage.name];
+            if (this.frameFieldService) {
+                this.frameFieldService.removeValues(this.currentEditingImage.name);
+            }
             delete this.project.imageScenes[this.currentEditingImage.name];
             
             this.markChanged();
@@ -6715,6 +7358,16 @@ class StoryboardCreator {
             loadAsCopy = true;
         }
         
+        let layered = null;
+        if (this.layeredImageImportService) {
+            try {
+                layered = await this.layeredImageImportService.importFile(file);
+            } catch (error) {
+                await this.customAlert(`Failed to read ${file.name}: ${error.message}`);
+                return;
+            }
+        }
+        
         const reader = new FileReader();
         reader.onload = async (e) => {
             // Get values from inputs (user may have edited them)
@@ -6746,7 +7399,8 @@ class StoryboardCreator {
                 shotNumber: shotNumber,
                 frameNumber: frameNumber,
                 scene: sceneNumber, // Keep for backward compatibility
-                filePath: file.webkitRelativePath || file.name
+                filePath: file.webkitRelativePath || file.name,
+                ...(layered ? layered.fields : {}) // Base image and layers of a .psd/.ora file
             };
             
             // Insert at current position or at end
@@ -6774,6 +7428,10 @@ class StoryboardCreator {
             setTimeout(() => {
                 this.ensureAnnotationSystemState();
             }, 200);
+            
+            if (layered) {
+                await this.layeredImageImportService.showWarnings([{ fileName: file.name, warnings: layered.warnings }]);
+            }
         };
         reader.readAsDataURL(file);
     }
@@ -6790,11 +7448,15 @@ class StoryboardCreator {
             if (aHasScene && !bHasScene) return -1;
             if (!aHasScene && bHasScene) return 1;
             
+            // Numbers may carry letter suffixes from inserts (0010 < 0010A < 0011)
+            const compareNumbers = (x, y) => this.imageManager
+                ? this.imageManager.compareStructureNumbers(x, y)
+                : (parseInt(x) || 0) - (parseInt(y) || 0);
+            
             // If both have scenes, sort by scene number
             if (aHasScene && bHasScene) {
-                const sceneA = parseInt(a.sceneNumber) || 0;
-                const sceneB = parseInt(b.sceneNumber) || 0;
-                if (sceneA !== sceneB) return sceneA - sceneB;
+                const sceneOrder = compareNumbers(a.sceneNumber, b.sceneNumber);
+                if (sceneOrder !== 0) return sceneOrder;
             }
             
             // Sort by shot
@@ -6805,9 +7467,8 @@ class StoryboardCreator {
             if (!aHasShot && bHasShot) return 1;
             
             if (aHasShot && bHasShot) {
-                const shotA = parseInt(a.shotNumber) || 0;
-                const shotB = parseInt(b.shotNumber) || 0;
-                if (shotA !== shotB) return shotA - shotB;
+                const shotOrder = compareNumbers(a.shotNumber, b.shotNumber);
+                if (shotOrder !== 0) return shotOrder;
             }
             
             // Sort by frame
@@ -6818,15 +7479,13 @@ class StoryboardCreator {
             if (!aHasFrame && bHasFrame) return 1;
             
             if (aHasFrame && bHasFrame) {
-                // Try numeric comparison first
-                const frameA = parseInt(a.frameNumber);
-                const frameB = parseInt(b.frameNumber);
-                if (!isNaN(frameA) && !isNaN(frameB)) {
-                    if (frameA !== frameB) return frameA - frameB;
-                } else {
-                    // If not numeric, use alphabetical
-                    return a.frameNumber.localeCompare(b.frameNumber, undefined, { numeric: true, sensitivity: 'base' });
-                }
+                const frameOrder = compareNumbers(a.frameNumber, b.frameNumber);
+                if (frameOrder !== 0) return frameOrder;
+            }
+            
+            // Alternates of the same frame sort by variant label (A, B, C)
+            if ((a.variant || '') !== (b.variant || '')) {
+                return (a.variant || '').length - (b.variant || '').length || (a.variant || '').localeCompare(b.variant || '');
             }
             
             // If all else is equal, sort by filename
@@ -6873,7 +7532,8 @@ class StoryboardCreator {
     }
     
     updatePageDimensions() {
-        const pages = document.querySelectorAll('.storyboard-page');
+        // Placeholders of unmounted pages are resized too, so mounting a page does not move the ones below
+        const pages = document.querySelectorAll('.storyboard-page, .storyboard-page-placeholder');
         if (pages.length === 0) return;
         
         const mmToPx = 3.779527559;
@@ -6964,6 +7624,7 @@ class StoryboardCreator {
     
     
     loadProjectToUI() {
+        this.applyCustomPageSizes();
         document.getElementById('pageOrientation').value = this.project.settings.orientation || 'landscape';
         document.getElementById('pageSize').value = this.project.settings.pageSize || 'A4';
         const maxImages = this.getMaxImagesPerPage();
@@ -7007,13 +7668,20 @@ class StoryboardCreator {
         const customAspectRatioWidth = document.getElementById('customAspectRatioWidth');
         const customAspectRatioHeight = document.getElementById('customAspectRatioHeight');
         if (imageAspectRatio) {
-            imageAspectRatio.value = this.project.settings.imageAspectRatio || '16:9';
+            imageAspectRatio.value = this.project.settings.imageAspectRatio || 'none';
             if (customAspectRatioContainer) {
                 customAspectRatioContainer.style.display = (this.project.settings.imageAspectRatio === 'custom') ? 'block' : 'none';
             }
         }
         if (customAspectRatioWidth) customAspectRatioWidth.value = this.project.settings.customAspectRatioWidth || 16;
         if (customAspectRatioHeight) customAspectRatioHeight.value = this.project.settings.customAspectRatioHeight || 9;
+        const frameFitMode = document.getElementById('frameFitMode');
+        if (frameFitMode) frameFitMode.value = this.project.settings.frameFitMode || 'crop';
+        if (this.frameAspectController) this.frameAspectController.updateSummary();
+        if (this.stylePresetController) this.stylePresetController.updateSummary();
+        if (this.sceneDividerController) this.sceneDividerController.updateSummary();
+        if (this.frameOverlayController) this.frameOverlayController.updateSummary();
+        if (this.shotBadgeController) this.shotBadgeController.updateSummary();
         
         const fontFamily = document.getElementById('fontFamily');
         const fontSize = document.getElementById('fontSize');
@@ -7039,6 +7707,10 @@ class StoryboardCreator {
         if (frameScale) frameScale.value = this.project.settings.frameScale || 100;
         if (frameScaleInput) frameScaleInput.value = this.project.settings.frameScale || 100;
         if (separateScenes) separateScenes.checked = this.project.settings.separateScenes || false;
+        ['enableSceneDividers', 'enableTableOfContents'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.checked = !!this.project.settings[id];
+        });
         if (enablePageNumbers) enablePageNumbers.checked = this.project.settings.enablePageNumbers !== false; // Default to true
         if (pageNumberPosition) pageNumberPosition.value = this.project.settings.pageNumberPosition || 'bottom-center';
         if (pageNumberFontSize) pageNumberFontSize.value = this.project.settings.pageNumberFontSize || 12;
@@ -7083,6 +7755,11 @@ class StoryboardCreator {
         if (document.getElementById('pageLineHeight')) document.getElementById('pageLineHeight').value = this.project.settings.pageLineHeight || 1.5;
         if (document.getElementById('pageTextColor')) document.getElementById('pageTextColor').value = this.project.settings.pageTextColor || '#b4b4b4';
         if (document.getElementById('pageTextAlign')) document.getElementById('pageTextAlign').value = this.project.settings.pageTextAlign || 'left';
+        if (document.getElementById('pageHeaderTemplate')) document.getElementById('pageHeaderTemplate').value = this.project.settings.pageHeaderTemplate || '';
+        if (document.getElementById('pageFooterTemplate')) document.getElementById('pageFooterTemplate').value = this.project.settings.pageFooterTemplate || '';
+        if (document.getElementById('pageTemplateFontSize')) document.getElementById('pageTemplateFontSize').value = this.project.settings.pageTemplateFontSize || 10;
+        if (document.getElementById('revisionLabel')) document.getElementById('revisionLabel').value = this.project.settings.revisionLabel || '';
+        if (document.getElementById('confidentialText')) document.getElementById('confidentialText').value = this.project.settings.confidentialText ?? 'CONFIDENTIAL';
         
         if (document.getElementById('frameFontFamily')) document.getElementById('frameFontFamily').value = this.project.settings.frameFontFamily || "'Kalam', cursive";
         if (document.getElementById('frameFontSize')) document.getElementById('frameFontSize').value = this.project.settings.frameFontSize || 12;
@@ -7094,6 +7771,7 @@ class StoryboardCreator {
         if (document.getElementById('frameFontStyle')) document.getElementById('frameFontStyle').value = this.project.settings.frameFontStyle || 'normal';
         if (document.getElementById('frameTextColor')) document.getElementById('frameTextColor').value = this.project.settings.frameTextColor || '#b4b4b4';
         if (document.getElementById('frameTextAlign')) document.getElementById('frameTextAlign').value = this.project.settings.frameTextAlign || 'left';
+        if (this.frameFieldsController) this.frameFieldsController.updateSummary();
         
         if (document.getElementById('shotFontFamily')) document.getElementById('shotFontFamily').value = this.project.settings.shotFontFamily || "'Kalam', cursive";
         if (document.getElementById('shotFontSize')) document.getElementById('shotFontSize').value = this.project.settings.shotFontSize || 14;
@@ -7355,17 +8033,10 @@ class StoryboardCreator {
                             pdf.addImage(img, format, imgX, imgY, imgWidth, imgHeight);
                             
                             // Frame text below image
-                            const frameText = this.project.frameTexts[image.name] || '';
-                            if (frameText) {
-                                pdf.setFontSize(7);
-                                pdf.setFont('helvetica', 'normal');
+                            const frameParagraphs = this.frameFieldService ? this.frameFieldService.getParagraphs(image.name, { pdfOnly: true }) : [];
+                            if (frameParagraphs.length > 0) {
                                 const textY = imageStartY + imageAreaHeight + 3;
-                                const textLines = pdf.splitTextToSize(frameText, cellWidth - 2 * imagePadding);
-                                if (Array.isArray(textLines)) {
-                                    pdf.text(textLines, xPos + imagePadding, textY);
-                                } else {
-                                    pdf.text(textLines, xPos + imagePadding, textY);
-                                }
+                                this.drawRichTextToPDF(pdf, frameParagraphs, xPos + imagePadding, textY, cellWidth - 2 * imagePadding, 7);
                             }
                         } catch (err) {
                             console.error('Error processing image:', err);
@@ -7385,21 +8056,29 @@ class StoryboardCreator {
         
         // Add per-page text at bottom (if enabled)
         if (this.project.settings.showBottomText) {
-            const pageTextBottom = this.project.pageTexts[pageIndex] || '';
+            const pageTextBottom = pageIndex !== null ? this.project.pageTexts[pageIndex] || '' : '';
             if (pageTextBottom) {
-                pdf.setFontSize(9);
-                pdf.setFont('helvetica', 'normal');
                 pdf.setTextColor(0, 0, 0);
                 const textY = pageHeight - 20;
-                const textLines = pdf.splitTextToSize(pageTextBottom, pageWidth - 2 * pagePadding);
-                if (Array.isArray(textLines)) {
-                    pdf.text(textLines, pagePadding, textY);
-                } else {
-                    pdf.text(textLines, pagePadding, textY);
-                }
+                this.drawRichTextToPDF(pdf, RichText.toParagraphs(pageTextBottom), pagePaddingMm, textY, pageWidth - 2 * pagePaddingMm, 9);
             }
         }
         
+        // Header and footer templates, in the page padding
+        if (this.pageTemplateService) {
+            const templateFontSize = Math.max(6, (this.project.settings.pageTemplateFontSize || 10) * 0.75); // px to pt
+            [['header', pagePaddingMm - 1], ['footer', pageHeight - 1.5]].forEach(([position, textY]) => {
+                const parts = this.pageTemplateService.resolveForPage(position, pageIndex, images);
+                if (!parts) return;
+                pdf.setFontSize(templateFontSize);
+                pdf.setFont('helvetica', 'normal');
+                pdf.setTextColor(0, 0, 0);
+                if (parts.left) pdf.text(parts.left, pagePaddingMm, textY);
+                if (parts.center) pdf.text(parts.center, pageWidth / 2, textY, { align: 'center' });
+                if (parts.right) pdf.text(parts.right, pageWidth - pagePaddingMm, textY, { align: 'right' });
+            });
+        }
+        
         // Add watermark if enabled
         if (this.project.settings.enableWatermark) {
             const opacity = this.project.settings.watermarkOpacity / 100;
@@ -7434,7 +8113,7 @@ class StoryboardCreator {
         }
         
         // Add drawing if exists
-        if (this.project.drawings && this.project.drawings[pageIndex]) {
+        if (pageIndex !== null && this.project.drawings && this.project.drawings[pageIndex]) {
             const img = new Image();
             img.crossOrigin = 'anonymous';
             await new Promise((resolve) => {
@@ -7452,6 +8131,64 @@ class StoryboardCreator {
         }
     }
     
+    /**
+     * Draw formatted text (RichText.toParagraphs) with jsPDF, wrapping words to a width
+     * Bold/italic use the Helvetica variants; underlines and highlights are drawn as lines and boxes
+     * @param {Object} pdf - jsPDF document
+     * @param {Array} paragraphs - { bullet, runs: [{ text, bold, italic, underline, highlight }] }
+     * @param {number} x - Left edge in mm
+     * @param {number} y - Baseline of the first line in mm
+     * @param {number} maxWidth - Wrap width in mm
+     * @param {number} fontSize - Font size in pt
+     * @returns {number} Baseline y of the line after the text
+     */
+    drawRichTextToPDF(pdf, paragraphs, x, y, maxWidth, fontSize) {
+        const fontMm = fontSize * 0.3528;
+        const lineHeight = fontMm * 1.15;
+        const bulletIndent = fontMm * 1.2;
+        const textColor = pdf.getTextColor();
+        pdf.setFontSize(fontSize);
+        
+        paragraphs.forEach(paragraph => {
+            const lineStart = x + (paragraph.bullet ? bulletIndent : 0);
+            if (paragraph.bullet) {
+                pdf.setFont('helvetica', 'normal');
+                pdf.text('•', x, y);
+            }
+            let cursorX = lineStart;
+            paragraph.runs.forEach(run => {
+                const style = run.bold && run.italic ? 'bolditalic' : run.bold ? 'bold' : run.italic ? 'italic' : 'normal';
+                pdf.setFont('helvetica', style);
+                run.text.split(/(\s+)/).forEach(token => {
+                    if (!token) return;
+                    const isSpace = !token.trim();
+                    const width = pdf.getTextWidth(token);
+                    if (cursorX + width > x + maxWidth && cursorX > lineStart) {
+                        y += lineHeight;
+                        cursorX = lineStart;
+                    }
+                    if (isSpace && cursorX === lineStart) return;
+                    
+                    const highlight = run.highlight ? RichText.colorToRgb(run.highlight) : null;
+                    if (highlight) {
+                        pdf.setFillColor(highlight.r, highlight.g, highlight.b);
+                        pdf.rect(cursorX, y - fontMm * 0.8, width, fontMm * 1.05, 'F');
+                    }
+                    if (!isSpace) pdf.text(token, cursorX, y);
+                    if (run.underline) {
+                        pdf.setDrawColor(textColor);
+                        pdf.setLineWidth(fontMm * 0.06);
+                        pdf.line(cursorX, y + fontMm * 0.15, cursorX + width, y + fontMm * 0.15);
+                    }
+                    cursorX += width;
+                });
+            });
+            y += lineHeight;
+        });
+        pdf.setFont('helvetica', 'normal');
+        return y;
+    }
+    
     hexToRgb(hex) {
         const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
         return result ? {
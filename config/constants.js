@@ -11,6 +11,21 @@ export const PAGE_SIZES = {
     'Tabloid': { width: 279.4, height: 431.8 }
 };
 
+/**
+ * Paper sizes including a project's custom ones (settings.customPageSizes); built-in names win
+ * @param {Array} customPageSizes - { name, width, height } in mm, upright
+ * @returns {Object} Page sizes by name
+ */
+export function getPageSizes(customPageSizes = []) {
+    const sizes = { ...PAGE_SIZES };
+    customPageSizes.forEach(size => {
+        if (!PAGE_SIZES[size.name] && size.width > 0 && size.height > 0) {
+            sizes[size.name] = { width: size.width, height: size.height };
+        }
+    });
+    return sizes;
+}
+
 export const DEFAULT_SETTINGS = {
     orientation: 'landscape',
     pageSize: 'A4',
@@ -50,7 +65,7 @@ export const LAYOUT_CONSTANTS = {
     HEIGHT_TOLERANCE_PX: 5
 };
 
-export const IMAGE_ASPECT_RATIO = 0.5; // Height = 50% of width for landscape images
+export const IMAGE_ASPECT_RATIO = 0.5; // Frame height / width used for layout when the project has no frame aspect ratio ('none')
 
 export const HANDWRITING_FONTS = [
     'Kalam',
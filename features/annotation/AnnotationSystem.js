@@ -97,6 +97,27 @@ class AnnotationSystem {
         this.setTool(this.currentTool);
     }
     
+    /**
+     * Remove the stage of a page that leaves the DOM (cleanup)
+     * Its annotations stay saved in the project and are loaded again by initCanvas
+     * @param {number} pageIndex - Page index
+     * @param {HTMLElement} pageElement - Only remove the stage if it belongs to this page element
+     */
+    removeCanvas(pageIndex, pageElement = null) {
+        const existing = this.stages.get(pageIndex);
+        if (!existing || (pageElement && existing.pageElement !== pageElement)) return;
+        if (existing.stage) {
+            existing.stage.destroy();
+        }
+        if (existing.container && existing.container.parentNode) {
+            existing.container.parentNode.removeChild(existing.container);
+        }
+        this.stages.delete(pageIndex);
+        this.drawingState.delete(pageIndex);
+        this.history.delete(pageIndex);
+        this.historyIndex.delete(pageIndex);
+    }
+
     /**
      * Setup event listeners for canvas
      */
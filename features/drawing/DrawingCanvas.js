@@ -2969,6 +2969,21 @@ class DrawingCanvas {
                         const actualY = shape.y();
                         const actualWidth = shape.width ? shape.width() : undefined;
                         const actualHeight = shape.height ? shape.height() : undefined;
+                        
+                        // Imported raster layers (PSD/ORA) keep their bitmap as a data URL and
+                        // store position and size in image coordinates inside attrs
+                        if (shapeData.className === 'Image' && shapeData.attrs && shapeData.attrs.imageSrc) {
+                            const scaleX = this.backgroundImageUrl && this.imageScaleX ? this.imageScaleX : 1;
+                            const scaleY = this.backgroundImageUrl && this.imageScaleY ? this.imageScaleY : 1;
+                            const offsetX = this.backgroundImageUrl ? (this.imageOffsetX || 0) : 0;
+                            const offsetY = this.backgroundImageUrl ? (this.imageOffsetY || 0) : 0;
+                            shapeData.attrs.x = (actualX - offsetX) * scaleX;
+                            shapeData.attrs.y = (actualY - offsetY) * scaleY;
+                            shapeData.attrs.width = actualWidth * scaleX;
+                            shapeData.attrs.height = actualHeight * scaleY;
+                            layerState.shapes.push(shapeData);
+                            return;
+                        }
 
                         // If we have a background image with scaling, convert coordinates to image space
                         if (this.backgroundImageUrl && this.imageScaleX && this.imageScaleY) {
@@ -3082,6 +3097,11 @@ class DrawingCanvas {
                 // Create a copy to avoid modifying the original
                 const shapeDataCopy = JSON.parse(JSON.stringify(shapeData));
                 
+                if (shapeDataCopy.className === 'Image' && shapeDataCopy.attrs && shapeDataCopy.attrs.imageSrc) {
+                    newLayer.add(this.createImportedImageShape(shapeDataCopy.attrs, newLayer));
+                    return;
+                }
+                
                 // If we have a background image with scaling, convert coordinates from image space to canvas space
                 if (this.backgroundImageUrl && this.imageScaleX && this.imageScaleY) {
                     // Convert shape coordinates from image space to canvas space
@@ -3146,7 +3166,8 @@ class DrawingCanvas {
                 filters: layerState.filters || []
             };
             
-            // Apply opacity and blending mode
+            // Apply visibility, opacity and blending mode
+            newLayer.visible(layerData.visible);
             newLayer.opacity(layerData.opacity / 100);
             if (layerData.blendingMode && layerData.blendingMode !== 'normal') {
                 newLayer.globalCompositeOperation(this.getBlendingModeOperation(layerData.blendingMode));
@@ -3171,6 +3192,36 @@ class DrawingCanvas {
         }
     }
     
+    /**
+     * Create an image shape for an imported raster layer (PSD/ORA)
+     * attrs are in image coordinates; the bitmap loads asynchronously from attrs.imageSrc
+     * @param {Object} attrs - Shape attributes with imageSrc
+     * @param {Konva.Layer} layer - Layer to redraw once the bitmap has loaded
+     * @returns {Konva.Image} Shape in canvas coordinates
+     */
+    createImportedImageShape(attrs, layer) {
+        const scaleX = this.backgroundImageUrl && this.imageScaleX ? this.imageScaleX : 1;
+        const scaleY = this.backgroundImageUrl && this.imageScaleY ? this.imageScaleY : 1;
+        const offsetX = this.backgroundImageUrl ? (this.imageOffsetX || 0) : 0;
+        const offsetY = this.backgroundImageUrl ? (this.imageOffsetY || 0) : 0;
+        
+        const shape = new Konva.Image({
+            ...attrs,
+            x: (attrs.x || 0) / scaleX + offsetX,
+            y: (attrs.y || 0) / scaleY + offsetY,
+            width: attrs.width / scaleX,
+            height: attrs.height / scaleY
+        });
+        
+        const img = new Image();
+        img.onload = () => {
+            shape.image(img);
+            layer.batchDraw();
+        };
+        img.src = attrs.imageSrc;
+        return shape;
+    }
+    
     /**
      * Delete background (make transparent)
      */
@@ -24,7 +24,7 @@ class ImageManager {
 
         // Filter image files
         const imageFiles = Array.from(files).filter(file => 
-            file.type.startsWith('image/')
+            file.type.startsWith('image/') || this.app.layeredImageImportService?.isLayeredFile(file)
         );
 
         if (imageFiles.length === 0) {
@@ -37,12 +37,17 @@ class ImageManager {
         });
 
         // Load images as base64
+        const layeredReports = [];
         const loadedImages = await Promise.all(
             imageFiles
                 .filter(file => !this.removedImages.has(file.name))
-                .map((file) => this.loadImageFile(file, preserveMetadata))
+                .map((file) => this.loadImageFile(file, preserveMetadata, layeredReports))
         );
 
+        if (this.app.layeredImageImportService) {
+            await this.app.layeredImageImportService.showWarnings(layeredReports);
+        }
+
         // Merge with metadata if reloading
         if (isReloading && pendingMetadata) {
             return this.mergeWithMetadata(loadedImages, pendingMetadata);
@@ -55,9 +60,10 @@ class ImageManager {
      * Load a single image file
      * @param {File} file - File object
      * @param {boolean} preserveMetadata - Whether to preserve existing metadata
+     * @param {Array} layeredReports - Collects { fileName, warnings } for layered (.psd/.ora) files
      * @returns {Promise<Object>} Image object with metadata
      */
-    async loadImageFile(file, preserveMetadata = false) {
+    async loadImageFile(file, preserveMetadata = false, layeredReports = null) {
         try {
             // Compress image before converting to Base64
             // This significantly reduces project file size while maintaining quality
@@ -67,7 +73,12 @@ class ImageManager {
             const compSettings = this.app.project.settings.imageCompression || {};
             const enabled = compSettings.enabled !== false; // Default to true
             
-            if (enabled && window.ImageCompression && typeof window.ImageCompression.compressImage === 'function') {
+            const layered = this.app.layeredImageImportService ? await this.app.layeredImageImportService.importFile(file) : null;
+            if (layered) {
+                if (layeredReports) {
+                    layeredReports.push({ fileName: file.name, warnings: layered.warnings });
+                }
+            } else if (enabled && window.ImageCompression && typeof window.ImageCompression.compressImage === 'function') {
                 const format = compSettings.format || 'webp';
                 compressedUrl = await window.ImageCompression.compressImage(file, {
                     maxSizeMB: compSettings.maxSizeMB || 0.5, // Reduced from 1MB
@@ -119,6 +130,7 @@ class ImageManager {
                 shotNumber: existingShot, // Empty for new images, preserved for existing
                 frameNumber: fileName, // Auto-populated from filename
                 scene: existingScene, // Keep for backward compatibility
+                ...(layered ? layered.fields : {}), // Base image and layers of a .psd/.ora file
                 filePath: filePath // Use the full path
             };
         } catch (error) {
@@ -156,9 +168,11 @@ class ImageManager {
      * @param {Array} newImages - Newly loaded images
      * @param {Array} existingImages - Existing images
      * @param {boolean} isFirstImport - Whether this is the first import
+     * @param {Array} keepImages - Existing images to keep even though their name is not in the folder
+     *   (frames matched as near-duplicates of renamed files)
      * @returns {Array} Merged image array
      */
-    mergeImages(newImages, existingImages, isFirstImport) {
+    mergeImages(newImages, existingImages, isFirstImport, keepImages = []) {
         if (isFirstImport) {
             return newImages;
         }
@@ -175,6 +189,8 @@ class ImageManager {
                 // Preserve existing scene, shot, and frame numbers
                 existing.url = newImg.url; // Update URL in case file changed
                 existing.filePath = newImg.filePath;
+                delete existing.generated; // Now backed by a file in the folder
+                delete existing.perceptualHash; // Picture may have changed - rehash on next import
             } else {
                 // New image, add to map
                 existingImagesMap.set(newImg.name, newImg);
@@ -182,10 +198,11 @@ class ImageManager {
         });
 
         // Filter out images that were removed from folder
-        const newImageNames = new Set(newImages.map(img => img.name));
+        const newImageNames = new Set([...newImages, ...keepImages].map(img => img.name));
         const imagesToKeep = Array.from(existingImagesMap.values()).filter(img => {
             // Keep if it's in the new folder OR if it was manually added (no filePath)
-            return newImageNames.has(img.name) || !img.filePath;
+            // OR if it was made in the app (PDF pages, video keyframes, inserted frames) rather than read from a folder
+            return newImageNames.has(img.name) || !img.filePath || img.generated;
         });
 
         // Sort by name
@@ -194,6 +211,395 @@ class ImageManager {
         });
     }
 
+    /**
+     * Compute and store perceptual hashes for images that don't have one yet
+     * Hashes are saved with the project, so each image is only hashed once
+     * @param {Array} images - Image objects
+     * @returns {Promise<void>}
+     */
+    async ensureImageHashes(images) {
+        if (!window.ImageHash) return;
+
+        for (const img of images) {
+            if (img.perceptualHash || !img.url || img.isPlaceholder) continue;
+            try {
+                img.perceptualHash = await window.ImageHash.computeImageHash(img.url);
+            } catch (error) {
+                console.warn('Could not hash image:', img.name, error);
+            }
+        }
+    }
+
+    /**
+     * Group incoming images with existing images that look the same
+     * @param {Array} newImages - Incoming images (already hashed)
+     * @param {Array} existingImages - Images already in the project (already hashed)
+     * @param {number} maxDistance - Largest hash distance still treated as a duplicate
+     * @returns {Array} Groups: { image, matches: [{ image, distance }] } with closest match first
+     */
+    findDuplicateCandidates(newImages, existingImages, maxDistance = 6) {
+        const candidates = existingImages.filter(img => img.perceptualHash && !img.isPlaceholder);
+        const groups = [];
+
+        newImages.forEach(newImg => {
+            if (!newImg.perceptualHash) return;
+
+            const matches = candidates
+                .map(existing => ({
+                    image: existing,
+                    distance: window.ImageHash.hashDistance(newImg.perceptualHash, existing.perceptualHash)
+                }))
+                .filter(match => match.distance <= maxDistance)
+                .sort((a, b) => a.distance - b.distance);
+
+            if (matches.length > 0) {
+                groups.push({ image: newImg, matches: matches.slice(0, 3) });
+            }
+        });
+
+        return groups;
+    }
+
+    /**
+     * Replace an existing frame's picture with an incoming image, keeping its name and numbering
+     * (frame text, annotations and shot list data are keyed by name or scene/shot)
+     * @param {Object} existing - Image in the project
+     * @param {Object} newImg - Incoming image
+     */
+    replaceImageContent(existing, newImg) {
+        this.recordImageVersion(existing, newImg.url, { source: 'import', note: newImg.originalName || newImg.name });
+        existing.url = newImg.url;
+        existing.originalName = newImg.originalName || newImg.name;
+        existing.filePath = newImg.filePath || existing.filePath;
+        existing.perceptualHash = newImg.perceptualHash;
+        if (newImg.editLayers) {
+            existing.editLayers = newImg.editLayers;
+        }
+        if (newImg.fileVersion) {
+            existing.fileVersion = newImg.fileVersion;
+        }
+        // The old rasterized original and cached composite belong to the previous picture
+        delete existing.originalUrl;
+        delete existing.compositeUrl;
+        delete existing.isPlaceholder;
+    }
+
+    /**
+     * Get the name recorded as author of new versions (per browser, not per project)
+     * @returns {string} Author name
+     */
+    getVersionAuthor() {
+        try {
+            return localStorage.getItem('storyboard_versionAuthor') || '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * Set the author name for new versions
+     * @param {string} author - Author name
+     */
+    setVersionAuthor(author) {
+        try {
+            localStorage.setItem('storyboard_versionAuthor', String(author || '').trim());
+        } catch (e) {
+            console.warn('Could not store version author:', e);
+        }
+    }
+
+    /**
+     * Push the current art of a frame onto its version history before it is replaced
+     * image.versions holds earlier art (oldest first); image.currentVersion describes the art in image.url
+     * @param {Object} image - Image in the project
+     * @param {string} newUrl - URL of the art about to become current
+     * @param {Object} meta - { source: 'drawing'|'replace'|'import'|'restore', note }
+     */
+    recordImageVersion(image, newUrl, meta = {}) {
+        const settings = this.app.project.settings.versionHistory || {};
+        if (settings.enabled === false || !image || !image.url || image.url === newUrl) return;
+
+        const snapshot = {
+            ...(image.currentVersion || { id: this.generateVersionId(), author: '', createdAt: null, note: 'Original', source: 'original' }),
+            url: image.url
+        };
+        if (image.editLayers && image.editLayers.length > 0) {
+            snapshot.editLayers = image.editLayers;
+        }
+
+        image.versions = (image.versions || []).concat(snapshot);
+        image.currentVersion = {
+            id: this.generateVersionId(),
+            author: this.getVersionAuthor(),
+            createdAt: Date.now(),
+            note: meta.note || '',
+            source: meta.source || 'replace'
+        };
+    }
+
+    /**
+     * Make an earlier version the current art again; the art it replaces goes into the history
+     * @param {Object} image - Image in the project
+     * @param {string} versionId - Version to promote
+     * @returns {boolean} True if promoted
+     */
+    promoteImageVersion(image, versionId) {
+        const index = (image.versions || []).findIndex(version => version.id === versionId);
+        if (index === -1) return false;
+
+        const version = image.versions[index];
+        const snapshot = {
+            ...(image.currentVersion || { id: this.generateVersionId(), author: '', createdAt: null, note: 'Original', source: 'original' }),
+            url: image.url
+        };
+        if (image.editLayers && image.editLayers.length > 0) {
+            snapshot.editLayers = image.editLayers;
+        }
+
+        image.versions.splice(index, 1);
+        image.versions.push(snapshot);
+
+        const { url, editLayers, ...meta } = version;
+        image.url = url;
+        image.currentVersion = meta;
+        if (editLayers) {
+            image.editLayers = editLayers;
+        } else {
+            delete image.editLayers;
+        }
+        delete image.compositeUrl;
+        delete image.perceptualHash; // Picture changed - rehash on next import
+        delete image.isPlaceholder;
+        return true;
+    }
+
+    /**
+     * Versions to write into a project file, pruned to the newest N if the project asks for it
+     * @param {Object} image - Image in the project
+     * @returns {Array|null} Versions to save, or null if there are none
+     */
+    getVersionsForSave(image) {
+        if (!image.versions || image.versions.length === 0) return null;
+        const keep = parseInt(this.app.project.settings.versionHistory?.keepVersions) || 0;
+        return keep > 0 ? image.versions.slice(-keep) : image.versions;
+    }
+
+    generateVersionId() {
+        return `v_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Check incoming images for near-duplicates of existing frames and let the user decide
+     * @param {Array} newImages - Incoming images
+     * @param {Array} existingImages - Images already in the project
+     * @returns {Promise<Object|null>} { keep, matchedExisting, replaced, skipped } or null if cancelled
+     *   keep: incoming images to add; matchedExisting: existing images that were skipped against or replaced
+     */
+    async reviewNearDuplicates(newImages, existingImages) {
+        const result = { keep: newImages, matchedExisting: [], replaced: 0, skipped: 0 };
+        const settings = this.app.project.settings.duplicateDetection || {};
+        if (settings.enabled === false || !window.ImageHash || newImages.length === 0 || existingImages.length === 0) {
+            return result;
+        }
+
+        await this.ensureImageHashes(existingImages);
+        await this.ensureImageHashes(newImages);
+
+        const groups = this.findDuplicateCandidates(newImages, existingImages, settings.maxDistance ?? 6);
+        if (groups.length === 0 || !this.app.duplicateReviewController) {
+            return result;
+        }
+
+        const decisions = await this.app.duplicateReviewController.showReviewDialog(groups);
+        if (!decisions) {
+            return null;
+        }
+
+        const dropped = new Set();
+        const replacedTargets = new Set();
+        groups.forEach((group, index) => {
+            const decision = decisions[index];
+            if (decision.action === 'keep') return;
+
+            let target = decision.target || group.matches[0].image;
+            if (decision.action === 'replace') {
+                // A frame takes one incoming picture - later images fall back to their next match, else are added as new
+                if (replacedTargets.has(target)) {
+                    const match = group.matches.find(candidate => !replacedTargets.has(candidate.image));
+                    if (!match) return;
+                    target = match.image;
+                }
+                replacedTargets.add(target);
+                this.replaceImageContent(target, group.image);
+                result.replaced++;
+            } else {
+                result.skipped++;
+            }
+            dropped.add(group.image);
+            result.matchedExisting.push(target);
+        });
+
+        result.keep = newImages.filter(img => !dropped.has(img));
+        return result;
+    }
+
+    /**
+     * Add generated images (PDF pages, video keyframes, placeholders) to the project
+     * Mirrors the tail of a normal folder import: unique names, scene map, sort, save, render
+     * @param {Array} images - Image objects as returned by loadImageFile
+     * @returns {Promise<Array>} The images that were added
+     */
+    async addImportedImages(images) {
+        const existingNames = new Set(this.app.project.images.map(img => img.name));
+
+        images.forEach(newImg => {
+            // Generated names can collide with earlier imports - make them unique
+            if (existingNames.has(newImg.name)) {
+                const nameParts = newImg.name.split('.');
+                const extension = nameParts.length > 1 ? nameParts.pop() : '';
+                const baseName = nameParts.join('.');
+                let copyNumber = 1;
+                let newName = newImg.name;
+                while (existingNames.has(newName)) {
+                    newName = extension ? `${baseName}_copy${copyNumber}.${extension}` : `${baseName}_copy${copyNumber}`;
+                    copyNumber++;
+                }
+                newImg.name = newName;
+            }
+            existingNames.add(newImg.name);
+
+            if (!newImg.filePath) {
+                newImg.filePath = newImg.name;
+            }
+            this.app.project.images.push(newImg);
+            if (newImg.sceneNumber) {
+                this.app.project.imageScenes[newImg.name] = newImg.sceneNumber;
+            }
+        });
+
+        this.replacePlaceholders(images);
+
+        // Sort images: Scene → Shot → Frame (missing values come last)
+        this.app.sortImagesByStructure();
+        await this.app.refreshAfterStructureChange();
+
+        return images;
+    }
+
+    /**
+     * Remove placeholder frames whose shot now has real frames
+     * Real frames adopt the placeholder's scene/shot strings (so "1"/"10" from a shot list
+     * still links to "001"/"010" from file names) and inherit its frame text, which keeps
+     * the shot list entry and its metadata attached
+     * @param {Array} newImages - Images just added to the project
+     * @returns {number} Number of placeholders removed
+     */
+    replacePlaceholders(newImages) {
+        const placeholders = this.app.project.images.filter(img => img.isPlaceholder);
+        if (placeholders.length === 0) return 0;
+
+        const normalize = (value) => this.normalizeStructureNumber(value);
+        let removed = 0;
+
+        placeholders.forEach(placeholder => {
+            const scene = normalize(placeholder.sceneNumber);
+            const shot = normalize(placeholder.shotNumber);
+            if (!shot) return;
+
+            const matches = newImages.filter(img =>
+                !img.isPlaceholder &&
+                normalize(img.sceneNumber) === scene &&
+                normalize(img.shotNumber) === shot
+            );
+            if (matches.length === 0) return;
+
+            matches.forEach(img => {
+                img.sceneNumber = placeholder.sceneNumber;
+                img.scene = placeholder.sceneNumber;
+                img.shotNumber = placeholder.shotNumber;
+                if (placeholder.sceneNumber) {
+                    this.app.project.imageScenes[img.name] = placeholder.sceneNumber;
+                }
+            });
+
+            // Placeholder text fills the fields the matched frame has no text for
+            if (this.app.frameFieldService) {
+                this.app.frameFieldService.moveValues(placeholder.name, matches[0].name);
+            }
+            delete this.app.project.imageScenes[placeholder.name];
+
+            this.app.project.images = this.app.project.images.filter(img => img !== placeholder);
+            if (this.app.shotListManager) {
+                this.app.shotListManager.getAllShots().forEach(entry => {
+                    if (entry.storyboardImage === placeholder) {
+                        entry.storyboardImage = matches[0];
+                    }
+                });
+            }
+            removed++;
+        });
+
+        return removed;
+    }
+
+    /**
+     * Normalize a scene/shot/frame number for loose comparison ("010" and "10" match)
+     * @param {string|number} value - Number as entered or parsed
+     * @returns {string} Normalized value
+     */
+    normalizeStructureNumber(value) {
+        return String(value || '').trim().toLowerCase().replace(/^0+(?=\d)/, '');
+    }
+
+    /**
+     * Split a scene/shot/frame number into its numeric part and letter suffix
+     * @param {string} value - e.g. "0010" or "0010A"
+     * @returns {Object|null} { num, suffix, width } or null if the value is not numeric
+     */
+    parseStructureNumber(value) {
+        const match = String(value || '').trim().match(/^(\d+)([a-z]*)$/i);
+        if (!match) return null;
+        return { num: parseInt(match[1], 10), suffix: match[2].toUpperCase(), width: match[1].length };
+    }
+
+    /**
+     * Compare two scene/shot/frame numbers: numeric part first, then letter suffix
+     * ("0010" < "0010A" < "0010B" < "0011"), non-numeric values alphabetically
+     * @param {string} a - First value
+     * @param {string} b - Second value
+     * @returns {number} Negative, zero or positive
+     */
+    compareStructureNumbers(a, b) {
+        const parsedA = this.parseStructureNumber(a);
+        const parsedB = this.parseStructureNumber(b);
+        if (parsedA && parsedB) {
+            if (parsedA.num !== parsedB.num) return parsedA.num - parsedB.num;
+            return parsedA.suffix < parsedB.suffix ? -1 : (parsedA.suffix > parsedB.suffix ? 1 : 0);
+        }
+        return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    /**
+     * Get the next unused scene number (one past the highest numeric scene)
+     * @returns {number} Next scene number
+     */
+    getNextSceneNumber() {
+        const scenes = this.app.project.images
+            .map(img => parseInt(img.sceneNumber))
+            .filter(num => !isNaN(num));
+        return scenes.length > 0 ? Math.max(...scenes) + 1 : 1;
+    }
+
+    /**
+     * Pad a number to the 3-digit convention used by the structure parser
+     * @param {number|string} num - Number to pad
+     * @returns {string} Padded number
+     */
+    padNumber(num) {
+        const numStr = num.toString();
+        return numStr.length >= 3 ? numStr : numStr.padStart(3, '0');
+    }
+
     /**
      * Mark an image as removed
      * @param {string} imageName - Image name
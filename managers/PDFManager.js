@@ -8,6 +8,48 @@ class PDFManager {
     constructor(app) {
         this.app = app;
         this.isExporting = false; // Flag to prevent double file picker calls
+        this.lastExportStats = {}; // { [mode]: { size, pages, embeddedFonts, missingFonts } } of this session's exports
+        this.exportStateResets = []; // Undo the layout changes of the export in progress, see registerExportState
+    }
+
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    /**
+     * Describe what an export mode produces, for the export dialog
+     * @param {string} mode - 'image' or 'vector'
+     * @returns {string} HTML
+     */
+    getExportModeInfo(mode) {
+        const settings = this.app.project.settings;
+        const vector = mode === 'vector' && !!this.app.vectorPdfService;
+        const lines = [vector
+            ? 'Text is selectable and searchable. Web fonts are embedded; system fonts use the PDF standard fonts.'
+            : 'Text is not selectable: each page is stored as one image.'];
+
+        let estimate = 0;
+        if (vector) {
+            estimate = this.app.vectorPdfService.estimateSize();
+        } else if (this.app.renderService && this.app.uiManager) {
+            // Pages are captured at twice their screen size
+            const pageSize = this.app.pageSizes?.[settings.pageSize] || { width: 210, height: 297 };
+            const box = this.app.renderService.getPageBox(settings.orientation, pageSize);
+            const bytesPerPixel = 1.5; // Typical PNG size of a captured page
+            estimate = this.app.uiManager.getDocumentPages().length * box.width * 2 * box.height * 2 * bytesPerPixel;
+        }
+        lines.push(`Estimated size: about ${this.formatSize(estimate)}`);
+
+        const last = this.lastExportStats[vector ? 'vector' : 'image'];
+        if (last) {
+            let text = `Last export of this type: ${this.formatSize(last.size)}, ${last.pages} page${last.pages !== 1 ? 's' : ''}`;
+            if (last.missingFonts && last.missingFonts.length > 0) {
+                text += ` (${last.missingFonts.join(', ')} could not be embedded and used Helvetica)`;
+            }
+            lines.push(text);
+        }
+        return lines.map(line => `<div>${line}</div>`).join('');
     }
 
     /**
@@ -25,31 +67,218 @@ class PDFManager {
             (this.app.currentProjectPath ? this.app.currentProjectPath.replace(/\.[^/.]+$/, '') : 'Storyboard');
         
         const projectNameInput = document.getElementById('exportStoryboardProjectName');
+        const pdfModeSelect = document.getElementById('exportStoryboardPdfMode');
         const useCustomBackgroundCheck = document.getElementById('exportStoryboardUseCustomBackground');
         const backgroundColorInput = document.getElementById('exportStoryboardBackgroundColor');
         const useCustomCoverBackgroundCheck = document.getElementById('exportStoryboardUseCustomCoverBackground');
         const coverPageBackgroundColorInput = document.getElementById('exportStoryboardCoverPageBackgroundColor');
+        const variantSetSelect = document.getElementById('exportStoryboardVariantSet');
+        const stylePresetSelect = document.getElementById('exportStoryboardStylePreset');
         const cancelBtn = document.getElementById('exportStoryboardPDFCancel');
         const exportBtn = document.getElementById('exportStoryboardPDFExport');
+        const batchBtn = document.getElementById('exportStoryboardPDFBatch');
         const closeBtn = modal.querySelector('.modal-close');
 
         if (projectNameInput) projectNameInput.value = defaultProjectName;
+        if (pdfModeSelect) {
+            // Starts from the type last exported; size and text selectability are shown for the chosen type
+            pdfModeSelect.value = this.app.vectorPdfService && this.app.project.settings.pdfExportMode === 'vector' ? 'vector' : 'image';
+            const vectorOption = pdfModeSelect.querySelector('option[value="vector"]');
+            if (vectorOption) vectorOption.disabled = !this.app.vectorPdfService;
+            const info = document.getElementById('exportStoryboardPdfModeInfo');
+            const updateInfo = () => {
+                if (info) info.innerHTML = this.getExportModeInfo(pdfModeSelect.value);
+            };
+            pdfModeSelect.onchange = updateInfo;
+            updateInfo();
+        }
         if (backgroundColorInput) backgroundColorInput.value = this.app.project.settings.pageBackgroundColor || '#404040';
         if (coverPageBackgroundColorInput) coverPageBackgroundColorInput.value = this.app.project.settings.pageBackgroundColor || '#404040';
+        if (variantSetSelect) {
+            // Only offered when some frames have alternates
+            const variantSets = this.app.variantService ? this.app.variantService.getVariantSets() : [];
+            variantSetSelect.innerHTML = '<option value="">As shown in the storyboard</option>' +
+                variantSets.map(label => `<option value="${label}">Variant ${label}</option>`).join('');
+            const group = document.getElementById('exportStoryboardVariantSetGroup');
+            if (group) group.style.display = variantSets.length > 0 ? '' : 'none';
+        }
+        const filterSelect = document.getElementById('exportStoryboardFilter');
+        const filterGroup = document.getElementById('exportStoryboardFilterGroup');
+        const filterController = this.app.exportFilterService && this.app.exportFilterController;
+        if (filterGroup) filterGroup.style.display = filterController ? '' : 'none';
+        // Choose the frames to export: all, the selection, an export profile or a filter set up with Edit
+        const frameFilter = filterController && filterSelect
+            ? this.app.exportFilterController.bindFilterSelect(
+                filterSelect,
+                document.getElementById('exportStoryboardFilterEdit'),
+                document.getElementById('exportStoryboardFilterInfo')
+            )
+            : null;
+        if (stylePresetSelect) {
+            // Only offered when the project has presets
+            const presets = this.app.stylePresetService ? this.app.stylePresetService.getPresets() : [];
+            stylePresetSelect.innerHTML = '';
+            const current = document.createElement('option');
+            current.value = '';
+            current.textContent = 'Current settings';
+            stylePresetSelect.appendChild(current);
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                stylePresetSelect.appendChild(option);
+            });
+            const group = document.getElementById('exportStoryboardStylePresetGroup');
+            if (group) group.style.display = presets.length > 0 ? '' : 'none';
+        }
+        const burnInOverlaysCheck = document.getElementById('exportStoryboardBurnInOverlays');
+        const overlayService = this.app.frameOverlayService;
+        if (burnInOverlaysCheck) {
+            // Only offered when some overlays are switched on
+            const hasOverlays = !!overlayService && overlayService.getEnabledOverlays().length > 0;
+            burnInOverlaysCheck.checked = hasOverlays && overlayService.isShown('pdf');
+            const group = document.getElementById('exportStoryboardOverlaysGroup');
+            if (group) group.style.display = hasOverlays ? '' : 'none';
+        }
+        const shotBadgesCheck = document.getElementById('exportStoryboardShotBadges');
+        const badgeService = this.app.shotBadgeService;
+        if (shotBadgesCheck) {
+            // Only offered when some shot list fields are chosen for badges
+            const hasBadges = !!badgeService && badgeService.getSelectedFields().length > 0;
+            shotBadgesCheck.checked = hasBadges && !!this.app.project.settings.shotBadgesPdf;
+            const group = document.getElementById('exportStoryboardShotBadgesGroup');
+            if (group) group.style.display = hasBadges ? '' : 'none';
+        }
+        const includeShotListCheck = document.getElementById('exportStoryboardIncludeShotList');
+        if (includeShotListCheck) {
+            // Only offered when the shot list has shots
+            const hasShots = !!this.app.shotListController && !!this.app.shotListManager &&
+                this.app.shotListManager.getAllShots().length > 0;
+            includeShotListCheck.checked = false;
+            const group = document.getElementById('exportStoryboardShotListGroup');
+            if (group) group.style.display = hasShots ? '' : 'none';
+        }
+        const fieldsContainer = document.getElementById('exportStoryboardFields');
+        if (fieldsContainer && this.app.frameFieldService) {
+            // One checkbox per frame field, starting from the fields last exported
+            fieldsContainer.innerHTML = '';
+            this.app.frameFieldService.getFields().forEach(field => {
+                const label = document.createElement('label');
+                label.style.cssText = 'display: flex; align-items: center; gap: 10px; cursor: pointer; margin-bottom: 4px;';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = field.id;
+                checkbox.checked = !!field.pdf;
+                checkbox.style.cssText = 'width: auto; margin: 0;';
+                const text = document.createElement('span');
+                text.style.cssText = 'color: #ccc; font-size: 12px;';
+                text.textContent = field.label;
+                label.appendChild(checkbox);
+                label.appendChild(text);
+                fieldsContainer.appendChild(label);
+            });
+        }
+
+        const bleedInput = document.getElementById('exportStoryboardBleed');
+        const printMarksCheck = document.getElementById('exportStoryboardPrintMarks');
+        const marginInputs = {
+            top: document.getElementById('exportStoryboardMarginTop'),
+            right: document.getElementById('exportStoryboardMarginRight'),
+            bottom: document.getElementById('exportStoryboardMarginBottom'),
+            left: document.getElementById('exportStoryboardMarginLeft')
+        };
+        const impositionSelect = document.getElementById('exportStoryboardImposition');
+        const sheetSizeSelect = document.getElementById('exportStoryboardSheetSize');
+        const printGroup = document.getElementById('exportStoryboardPrintGroup');
+        const hasPrintLayout = typeof PrintLayout !== 'undefined';
+        if (printGroup) printGroup.style.display = hasPrintLayout ? '' : 'none';
+        if (hasPrintLayout && impositionSelect && sheetSizeSelect) {
+            // Starts from the print options last exported
+            const print = PrintLayout.normalizePrintOptions(this.app.project.settings.pdfPrint || {});
+            if (bleedInput) bleedInput.value = print.bleed;
+            if (printMarksCheck) printMarksCheck.checked = print.marks;
+            Object.keys(marginInputs).forEach(side => {
+                if (marginInputs[side]) marginInputs[side].value = print.margins[side];
+            });
+            impositionSelect.innerHTML = PrintLayout.IMPOSITION_MODES
+                .map(mode => `<option value="${mode.id}">${mode.label}</option>`).join('');
+            impositionSelect.value = print.imposition;
+            sheetSizeSelect.innerHTML = '<option value="">Sheet: page size</option>' +
+                Object.keys(this.app.pageSizes).map(name => `<option value="${name}">Sheet: ${name}</option>`).join('');
+            const sheetName = (this.app.project.settings.pdfPrint || {}).sheetSizeName || '';
+            sheetSizeSelect.value = this.app.pageSizes[sheetName] ? sheetName : '';
+        }
+
+        if (batchBtn) batchBtn.style.display = this.app.watermarkBatchController ? '' : 'none';
 
         return new Promise((resolve) => {
-            const handleExport = async () => {
+            const readSettings = () => {
                 const settings = {
                     projectName: projectNameInput?.value || defaultProjectName,
+                    pdfMode: pdfModeSelect?.value || 'image',
                     useCustomBackground: useCustomBackgroundCheck?.checked || false,
                     backgroundColor: backgroundColorInput?.value || this.app.project.settings.pageBackgroundColor || '#404040',
                     useCustomCoverBackground: useCustomCoverBackgroundCheck?.checked || false,
-                    coverPageBackgroundColor: coverPageBackgroundColorInput?.value || this.app.project.settings.pageBackgroundColor || '#404040'
+                    coverPageBackgroundColor: coverPageBackgroundColorInput?.value || this.app.project.settings.pageBackgroundColor || '#404040',
+                    variantSet: variantSetSelect?.value || '',
+                    filter: frameFilter ? frameFilter.getFilter() : null,
+                    stylePresetId: stylePresetSelect?.value || '',
+                    burnInOverlays: burnInOverlaysCheck && overlayService ? burnInOverlaysCheck.checked : undefined,
+                    shotBadges: shotBadgesCheck && badgeService && badgeService.getSelectedFields().length > 0
+                        ? shotBadgesCheck.checked
+                        : undefined,
+                    includeShotList: !!includeShotListCheck && includeShotListCheck.checked,
+                    print: hasPrintLayout && impositionSelect ? this.readPrintOptions({
+                        bleed: bleedInput?.value,
+                        marks: printMarksCheck?.checked,
+                        margins: Object.fromEntries(Object.keys(marginInputs).map(side => [side, marginInputs[side]?.value])),
+                        imposition: impositionSelect.value,
+                        sheetSizeName: sheetSizeSelect?.value || ''
+                    }) : null,
+                    frameFieldIds: fieldsContainer && this.app.frameFieldService
+                        ? Array.from(fieldsContainer.querySelectorAll('input:checked')).map(input => input.value)
+                        : null
                 };
+                if (settings.frameFieldIds) {
+                    // Remember the choice for the next export
+                    this.app.frameFieldService.getFields().forEach(field => {
+                        field.pdf = settings.frameFieldIds.includes(field.id);
+                    });
+                    this.app.markChanged();
+                }
+                if (settings.burnInOverlays !== undefined && settings.burnInOverlays !== overlayService.isShown('pdf')) {
+                    overlayService.setShown('pdf', settings.burnInOverlays);
+                    this.app.markChanged();
+                }
+                if (pdfModeSelect && settings.pdfMode !== this.app.project.settings.pdfExportMode) {
+                    this.app.project.settings.pdfExportMode = settings.pdfMode;
+                    this.app.markChanged();
+                }
+                if (settings.shotBadges !== undefined && settings.shotBadges !== !!this.app.project.settings.shotBadgesPdf) {
+                    this.app.project.settings.shotBadgesPdf = settings.shotBadges;
+                    this.app.markChanged();
+                }
+                if (settings.print) {
+                    const { sheetSize, ...remembered } = settings.print;
+                    if (JSON.stringify(remembered) !== JSON.stringify(this.app.project.settings.pdfPrint || null)) {
+                        this.app.project.settings.pdfPrint = remembered;
+                        this.app.markChanged();
+                    }
+                }
+                return settings;
+            };
+
+            const closeDialog = () => {
                 modal.style.display = 'none';
                 exportBtn.removeEventListener('click', handleExport);
+                batchBtn?.removeEventListener('click', handleBatch);
                 cancelBtn?.removeEventListener('click', handleCancel);
                 closeBtn?.removeEventListener('click', handleCancel);
+            };
+
+            const handleExport = async () => {
+                const settings = readSettings();
+                closeDialog();
                 
                 // Request file handle FIRST (while we have user gesture)
                 let fileHandle = null;
@@ -81,15 +310,20 @@ class PDFManager {
                 resolve(result);
             };
 
+            // One watermarked copy per recipient, with the settings chosen here
+            const handleBatch = async () => {
+                const settings = readSettings();
+                closeDialog();
+                resolve(await this.app.watermarkBatchController.openBatchDialog(settings));
+            };
+
             const handleCancel = () => {
-                modal.style.display = 'none';
-                exportBtn.removeEventListener('click', handleExport);
-                cancelBtn?.removeEventListener('click', handleCancel);
-                closeBtn?.removeEventListener('click', handleCancel);
+                closeDialog();
                 resolve(false);
             };
 
             exportBtn.addEventListener('click', handleExport);
+            if (batchBtn) batchBtn.addEventListener('click', handleBatch);
             if (cancelBtn) cancelBtn.addEventListener('click', handleCancel);
             if (closeBtn) closeBtn.addEventListener('click', handleCancel);
 
@@ -97,12 +331,27 @@ class PDFManager {
         });
     }
 
+    /**
+     * Print options of an export, with the chosen sheet size looked up
+     * @param {Object} values - { bleed, marks, margins, imposition, sheetSizeName } as entered
+     * @returns {Object} Print options for PrintLayout, plus sheetSizeName to remember the choice
+     */
+    readPrintOptions(values) {
+        const print = PrintLayout.normalizePrintOptions(values);
+        const sheet = this.app.pageSizes[values.sheetSizeName];
+        return {
+            ...print,
+            sheetSize: sheet ? [sheet.width, sheet.height] : null,
+            sheetSizeName: sheet ? values.sheetSizeName : ''
+        };
+    }
+
     /**
      * Export storyboard to PDF
      * @param {Object} settings - Export settings from dialog
      * @param {FileSystemFileHandle} fileHandle - Optional file handle (if already requested)
      * @param {string} filename - Optional filename (if file handle was requested)
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean|Blob>} Success status - or, with settings.returnBlob, the PDF itself (false on failure)
      */
     async exportPDF(settings = {}, fileHandle = null, filename = null) {
         // Prevent double calls
@@ -126,8 +375,53 @@ class PDFManager {
         const backgroundColor = settings.backgroundColor || this.app.project.settings.pageBackgroundColor || '#404040';
         const useCustomCoverBackground = settings.useCustomCoverBackground || false;
         const coverPageBackgroundColor = settings.coverPageBackgroundColor || this.app.project.settings.pageBackgroundColor || '#404040';
+        const variantService = settings.variantSet ? this.app.variantService : null;
+        // Only re-render for the export when the chosen fields differ from the ones on screen
+        const fieldService = settings.frameFieldIds && this.app.frameFieldService &&
+            settings.frameFieldIds.join('|') !== this.app.frameFieldService.getRenderedFields().map(field => field.id).join('|')
+            ? this.app.frameFieldService
+            : null;
+
+        const presetService = settings.stylePresetId ? this.app.stylePresetService : null;
+        // Only re-render for the export when burning in the frame overlays differs from the storyboard view
+        const overlayService = settings.burnInOverlays !== undefined && this.app.frameOverlayService &&
+            settings.burnInOverlays !== this.app.frameOverlayService.isShown('storyboard')
+            ? this.app.frameOverlayService
+            : null;
+        // Same for the shot badges
+        const badgeService = settings.shotBadges !== undefined && this.app.shotBadgeService &&
+            settings.shotBadges !== this.app.shotBadgeService.isShown()
+            ? this.app.shotBadgeService
+            : null;
+
+        // Only the frames the filter lets through are laid out
+        const filterService = settings.filter && this.app.exportFilterService &&
+            !this.app.exportFilterService.isEmpty(settings.filter)
+            ? this.app.exportFilterService
+            : null;
+        if (filterService) {
+            const images = this.app.variantService ? this.app.variantService.getLayoutImages(settings.variantSet || null) : this.app.project.images;
+            if (filterService.filterImages(images, settings.filter).length === 0) {
+                await this.app.customAlert(`No frames match the export filter (${filterService.describe(settings.filter)}).`);
+                return false;
+            }
+        }
 
         this.isExporting = true;
+        // A style preset changes the settings for the export only; applied before the page size is read
+        if (presetService) {
+            presetService.beginExport(settings.stylePresetId);
+            this.registerExportState(() => presetService.endExport());
+        }
+        // Selection outlines would end up in the captured pages
+        if (this.app.storyboardDragController) {
+            this.app.storyboardDragController.clearSelection();
+        }
+        // Rich text editors are captured as they are; hide their placeholders and focus ring meanwhile
+        if (document.activeElement && document.activeElement.classList.contains('rich-text-editor')) {
+            document.activeElement.blur();
+        }
+        document.body.classList.add('pdf-export-capture');
         try {
             const { jsPDF } = window.jspdf;
             const orientation = this.app.project.settings.orientation;
@@ -141,101 +435,163 @@ class PDFManager {
                 ? [pageSize.width, pageSize.height]
                 : [pageSize.height, pageSize.width];
 
+            // Printer sheets: the page itself unless bleed, marks, margins or imposition are asked for
+            const sheetLayout = typeof PrintLayout !== 'undefined' ? PrintLayout.getSheetLayout(pdfSize, settings.print) : null;
+            const sheetSize = sheetLayout ? sheetLayout.sheetSize : pdfSize;
+
+            // Vector pages are written as text and images; their drawing commands are worth compressing
+            const vectorService = settings.pdfMode === 'vector' ? this.app.vectorPdfService : null;
             const pdf = new jsPDF({
-                orientation: pdfOrientation,
+                orientation: sheetLayout ? (sheetSize[0] > sheetSize[1] ? 'l' : 'p') : pdfOrientation,
                 unit: 'mm',
-                format: pdfSize
+                format: sheetSize,
+                compress: !!vectorService
             });
+            const vectorContext = vectorService ? vectorService.createContext(pdf) : null;
+
+            // Lay the pages out with the chosen variant set, frame filter, frame fields, overlays and shot badges for the capture
+            if (variantService || filterService || fieldService || presetService || overlayService || badgeService) {
+                if (variantService) this.setExportState(variantService, 'exportVariantSet', settings.variantSet);
+                if (filterService) this.setExportState(filterService, 'exportFilter', settings.filter);
+                if (fieldService) this.setExportState(fieldService, 'exportFieldIds', settings.frameFieldIds);
+                if (overlayService) this.setExportState(overlayService, 'exportBurnIn', settings.burnInOverlays);
+                if (badgeService) this.setExportState(badgeService, 'exportShown', settings.shotBadges);
+                this.app.renderStoryboard();
+                await this.waitForPageImages();
+            }
 
-            // Get all rendered pages from the DOM
+            // Get all pages from the DOM - on large storyboards most of them are placeholders that are
+            // mounted one at a time for the capture
             const container = document.getElementById('storyboardContainer');
-            const pages = container.querySelectorAll('.storyboard-page');
+            const virtualizer = this.app.pageVirtualizationController;
+            const pages = virtualizer && virtualizer.isActive()
+                ? virtualizer.getPageElements()
+                : container.querySelectorAll('.storyboard-page');
 
             if (pages.length === 0) {
+                this.restoreExportLayout();
+                this.isExporting = false;
                 await this.app.customAlert('No pages to export. Please render the storyboard first.');
                 return false;
             }
 
+            // Every sheet exists up front - imposed pages are not placed in page order
+            const fullPage = { x: 0, y: 0, width: pdfSize[0], height: pdfSize[1] };
+            const sheetPlan = sheetLayout
+                ? PrintLayout.getPlacements(sheetLayout, pages.length)
+                : { sheetCount: pages.length, placements: Array.from(pages, (page, index) => ({ sheetIndex: index, scale: 1, trim: fullPage, bleedBox: fullPage })), units: [] };
+            for (let sheet = 1; sheet < sheetPlan.sheetCount; sheet++) {
+                pdf.addPage();
+            }
+
             // Capture each page as an image and add to PDF
+            const pageLinks = [];
+            const pageNavigation = [];
             for (let i = 0; i < pages.length; i++) {
-                const page = pages[i];
+                const page = virtualizer && virtualizer.isActive() ? virtualizer.acquirePage(pages[i]) : pages[i];
+                try {
+                    // Frame images load lazily, so pages away from the viewport may not have theirs yet
+                    await this.waitForPageImages(10000, page);
 
-                if (i > 0) {
-                    pdf.addPage();
-                }
+                    const placement = sheetPlan.placements[i];
+                    pdf.setPage(placement.sheetIndex + 1);
 
-                // Set page background color (use custom if enabled, otherwise use project setting)
-                const isCoverPage = i === 0 && this.app.project.settings.enableCoverPage;
-                let bgColor = backgroundColor;
-                if (isCoverPage && useCustomCoverBackground) {
-                    bgColor = coverPageBackgroundColor;
-                } else if (!isCoverPage && useCustomBackground) {
-                    bgColor = backgroundColor;
-                } else if (!useCustomBackground && !useCustomCoverBackground) {
-                    bgColor = this.app.project.settings.pageBackgroundColor || '#404040';
-                }
-                
-                const rgb = this.hexToRgb(bgColor);
-                if (rgb) {
-                    pdf.setFillColor(rgb.r, rgb.g, rgb.b);
-                    pdf.rect(0, 0, pdfSize[0], pdfSize[1], 'F');
-                }
+                    // Set page background color (use custom if enabled, otherwise use project setting)
+                    const isCoverPage = i === 0 && this.app.project.settings.enableCoverPage;
+                    let bgColor = backgroundColor;
+                    if (isCoverPage && useCustomCoverBackground) {
+                        bgColor = coverPageBackgroundColor;
+                    } else if (!isCoverPage && useCustomBackground) {
+                        bgColor = backgroundColor;
+                    } else if (!useCustomBackground && !useCustomCoverBackground) {
+                        bgColor = this.app.project.settings.pageBackgroundColor || '#404040';
+                    }
 
-                // Before capturing, replace textareas with divs containing their text
-                // This ensures text appears in the PDF
-                const textareas = page.querySelectorAll('textarea.frame-text');
-                const textareaReplacements = [];
-                textareas.forEach((textarea) => {
-                    const replacement = document.createElement('div');
-                    replacement.className = 'frame-text-pdf-replacement';
-                    replacement.textContent = textarea.value || '';
-                    replacement.style.cssText = window.getComputedStyle(textarea).cssText;
-                    replacement.style.position = 'absolute';
-                    replacement.style.left = textarea.offsetLeft + 'px';
-                    replacement.style.top = textarea.offsetTop + 'px';
-                    replacement.style.width = textarea.offsetWidth + 'px';
-                    replacement.style.height = textarea.offsetHeight + 'px';
-                    replacement.style.overflow = 'hidden';
-                    replacement.style.whiteSpace = 'pre-wrap';
-                    replacement.style.wordWrap = 'break-word';
-                    replacement.style.pointerEvents = 'none';
-                    replacement.style.zIndex = '1000';
-                    textarea.style.visibility = 'hidden';
-                    textarea.parentElement.appendChild(replacement);
-                    textareaReplacements.push({ textarea, replacement });
-                });
-                
-                // Use html2canvas to capture the page
-                const canvas = await html2canvas(page, {
-                    scale: 2,
-                    useCORS: true,
-                    logging: false,
-                    backgroundColor: null,
-                    width: page.offsetWidth,
-                    height: page.offsetHeight,
-                    ignoreElements: (element) => {
-                        // Don't ignore textareas anymore - they're hidden and replaced
-                        if (element.classList.contains('add-image-button') ||
-                            element.classList.contains('empty-slot') ||
-                            element.classList.contains('empty-slot-button')) {
-                            return true;
-                        }
-                        return false;
+                    const rgb = this.hexToRgb(bgColor);
+                    if (rgb) {
+                        // Reaches into the bleed
+                        const bleedBox = placement.bleedBox;
+                        pdf.setFillColor(rgb.r, rgb.g, rgb.b);
+                        pdf.rect(bleedBox.x, bleedBox.y, bleedBox.width, bleedBox.height, 'F');
                     }
-                });
-                
-                // Restore textareas after capture
-                textareaReplacements.forEach(({ textarea, replacement }) => {
-                    textarea.style.visibility = '';
-                    replacement.remove();
-                });
 
-                // Convert canvas to image data
-                const imgData = canvas.toDataURL('image/png');
+                    if (vectorService) {
+                        await vectorService.renderPage(vectorContext, page, pdfSize, placement.trim);
+                        pageLinks.push(this.getPageLinks(page, pdfSize));
+                        pageNavigation.push(this.getPageNavigation(page));
+                        continue;
+                    }
+
+                    // html2canvas ignores object-fit, so frames cropped or letterboxed to the frame aspect ratio
+                    // are drawn to canvases first, and so are the frame overlays
+                    const imageReplacements = this.replaceFramedImages(page).concat(this.replaceFrameOverlays(page));
+                    let canvas;
+                    try {
+                        // Use html2canvas to capture the page
+                        canvas = await html2canvas(page, {
+                            scale: 2,
+                            useCORS: true,
+                            logging: false,
+                            backgroundColor: null,
+                            width: page.offsetWidth,
+                            height: page.offsetHeight,
+                            ignoreElements: (element) => {
+                                if (element.classList.contains('add-image-button') ||
+                                    element.classList.contains('empty-slot') ||
+                                    element.classList.contains('empty-slot-button') ||
+                                    element.classList.contains('frame-variant-switcher')) {
+                                    return true;
+                                }
+                                return false;
+                            }
+                        });
+                    } finally {
+                        imageReplacements.forEach(({ img, replacement }) => {
+                            img.style.display = '';
+                            replacement.remove();
+                        });
+                    }
+                    pageLinks.push(this.getPageLinks(page, pdfSize));
+                    pageNavigation.push(this.getPageNavigation(page));
+
+                    // Convert canvas to image data
+                    const imgData = canvas.toDataURL('image/png');
+
+                    // Add image to PDF (fit to page)
+                    const trim = placement.trim;
+                    pdf.addImage(imgData, 'PNG', trim.x, trim.y, trim.width, trim.height, undefined, 'FAST');
+                } finally {
+                    if (virtualizer && virtualizer.isActive()) {
+                        virtualizer.releasePage(page);
+                    }
+                }
+            }
+
+            if (sheetLayout && sheetLayout.options.marks) {
+                sheetPlan.units.forEach(unit => {
+                    pdf.setPage(unit.sheetIndex + 1);
+                    PrintLayout.drawPrintMarks(pdf, unit, sheetLayout);
+                });
+            }
 
-                // Add image to PDF (fit to page)
-                pdf.addImage(imgData, 'PNG', 0, 0, pdfSize[0], pdfSize[1], undefined, 'FAST');
+            // Contents entries and scene title pages link to other pages - added once every page exists
+            const sheetOf = pageNumber => sheetPlan.placements[pageNumber - 1].sheetIndex + 1;
+            pageLinks.forEach((links, index) => {
+                const { trim, scale, sheetIndex } = sheetPlan.placements[index];
+                links.forEach(link => {
+                    if (link.pageNumber > pages.length) return;
+                    pdf.setPage(sheetIndex + 1);
+                    pdf.link(trim.x + link.x * scale, trim.y + link.y * scale, link.width * scale, link.height * scale, {
+                        pageNumber: sheetOf(link.pageNumber)
+                    });
+                });
+            });
+            this.addNavigation(pdf, pageNavigation, settings, sheetLayout ? sheetOf : null);
+            const recipientWatermark = this.app.watermarkBatchService ? this.app.watermarkBatchService.exportWatermarkText : null;
+            if (recipientWatermark) {
+                this.stampRecipientWatermark(pdf, recipientWatermark);
             }
+            this.restoreExportLayout();
 
             // Generate filename if not provided
             if (!filename) {
@@ -246,6 +602,23 @@ class PDFManager {
 
             // Generate PDF blob
             const blob = pdf.output('blob');
+            const stats = {
+                size: blob.size,
+                pages: pdf.getNumberOfPages(),
+                embeddedFonts: vectorContext ? Array.from(vectorContext.stats.embeddedFonts) : [],
+                missingFonts: vectorContext ? Array.from(vectorContext.stats.missingFonts) : []
+            };
+            this.lastExportStats[vectorService ? 'vector' : 'image'] = stats;
+            if (settings.returnBlob) {
+                // The caller saves it (per-recipient batch export)
+                this.isExporting = false;
+                return blob;
+            }
+            let successMessage = `PDF exported successfully! (${this.formatSize(stats.size)}, ` +
+                `${vectorService ? 'searchable text' : 'text not selectable'})`;
+            if (stats.missingFonts.length > 0) {
+                successMessage += ` ${stats.missingFonts.join(', ')} could not be embedded and used Helvetica.`;
+            }
             
             // Save PDF using File System Access API if available
             if (fileHandle && this.app.fileManager?.supportsFileSystemAccess) {
@@ -254,7 +627,7 @@ class PDFManager {
                     await writable.write(blob);
                     await writable.close();
 
-                    this.app.showToast('PDF exported successfully!', 'success');
+                    this.app.showToast(successMessage, 'success');
                     this.isExporting = false;
                     return true;
                 } catch (error) {
@@ -278,7 +651,7 @@ class PDFManager {
                     await writable.write(blob);
                     await writable.close();
 
-                    this.app.showToast('PDF exported successfully!', 'success');
+                    this.app.showToast(successMessage, 'success');
                     this.isExporting = false;
                     return true;
                 } catch (error) {
@@ -292,11 +665,12 @@ class PDFManager {
             } else {
                 // Fallback: download PDF
                 pdf.save(filename);
-                this.app.showToast('PDF exported successfully!', 'success');
+                this.app.showToast(successMessage, 'success');
                 this.isExporting = false;
                 return true;
             }
         } catch (error) {
+            this.restoreExportLayout();
             this.isExporting = false;
             console.error('Error exporting PDF:', error);
             await this.app.customAlert('Error exporting PDF: ' + error.message);
@@ -304,6 +678,300 @@ class PDFManager {
         }
     }
 
+    /**
+     * Stamp the watermark of a per-recipient copy on every sheet - the cover, contents and scene title pages
+     * and the appended shot list too, so any sheet of a leaked copy can be traced
+     * Drawn like the page watermark: centered, turned 45° up, grey at the watermark opacity. The text is
+     * rasterized with the browser's fonts, as jsPDF's standard fonts cannot draw non-Latin names
+     * @param {Object} pdf - jsPDF document with every sheet written
+     * @param {string} text - Recipient watermark
+     */
+    stampRecipientWatermark(pdf, text) {
+        const settings = this.app.project.settings;
+        const opacity = settings.watermarkOpacity !== undefined ? settings.watermarkOpacity / 100 : 0.3;
+        const images = new Map(); // One image per sheet size
+
+        for (let sheet = 1; sheet <= pdf.getNumberOfPages(); sheet++) {
+            pdf.setPage(sheet);
+            const width = pdf.internal.pageSize.getWidth();
+            const height = pdf.internal.pageSize.getHeight();
+            const key = `${width.toFixed(2)}x${height.toFixed(2)}`;
+            if (!images.has(key)) {
+                images.set(key, this.createWatermarkImage(text, width, height));
+            }
+            pdf.saveGraphicsState();
+            pdf.setGState(new pdf.GState({ opacity }));
+            pdf.addImage(images.get(key), 'PNG', 0, 0, width, height, `recipient-watermark-${key}`, 'FAST');
+            pdf.restoreGraphicsState();
+        }
+    }
+
+    /**
+     * Draw a watermark line on a transparent image the size of a sheet
+     * @param {string} text - Watermark text
+     * @param {number} widthMm - Sheet width in mm
+     * @param {number} heightMm - Sheet height in mm
+     * @returns {string} PNG data URL
+     */
+    createWatermarkImage(text, widthMm, heightMm) {
+        const pxPerMm = 2 * 96 / 25.4; // Twice screen resolution
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(widthMm * pxPerMm);
+        canvas.height = Math.round(heightMm * pxPerMm);
+        const ctx = canvas.getContext('2d');
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate(-45 * Math.PI / 180);
+        ctx.font = `96px ${getComputedStyle(document.body).fontFamily || 'sans-serif'}`; // 48px as on the page, at that resolution
+        ctx.fillStyle = '#999999';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Areas of a page that link to another page (elements with data-pdf-link-page), in PDF mm
+     * @param {HTMLElement} page - Storyboard page
+     * @param {Array<number>} pdfSize - [width, height] of the PDF page in mm
+     * @returns {Array<{x: number, y: number, width: number, height: number, pageNumber: number}>}
+     */
+    getPageLinks(page, pdfSize) {
+        const pageRect = page.getBoundingClientRect();
+        if (!pageRect.width || !pageRect.height) return [];
+        // Measured on screen, so taken relative to the page box to leave the zoom level out
+        const scaleX = pdfSize[0] / pageRect.width;
+        const scaleY = pdfSize[1] / pageRect.height;
+        return Array.from(page.querySelectorAll('[data-pdf-link-page]')).map(element => {
+            const rect = element.getBoundingClientRect();
+            return {
+                x: (rect.left - pageRect.left) * scaleX,
+                y: (rect.top - pageRect.top) * scaleY,
+                width: rect.width * scaleX,
+                height: rect.height * scaleY,
+                pageNumber: parseInt(element.dataset.pdfLinkPage, 10)
+            };
+        }).filter(link => link.pageNumber > 0 && link.width > 0 && link.height > 0);
+    }
+
+    /**
+     * Describe a page for the document outline and page labels; read while the page is mounted
+     * @param {HTMLElement} page - Page element
+     * @returns {Object} { type: 'cover'|'contents'|'scene'|'storyboard', sceneNumber, shots: [{ sceneNumber, shotNumber }] }
+     */
+    getPageNavigation(page) {
+        if (page.classList.contains('cover-page')) return { type: 'cover' };
+        if (page.classList.contains('contents-page')) return { type: 'contents' };
+        if (page.classList.contains('scene-divider-page')) {
+            return { type: 'scene', sceneNumber: page.dataset.sceneNumber || '' };
+        }
+        const images = this.app.project.images || [];
+        const shots = Array.from(page.querySelectorAll('.storyboard-frame[data-image-name]'))
+            .map(frame => images.find(img => img.name === frame.dataset.imageName))
+            .filter(Boolean)
+            .map(image => ({ sceneNumber: image.sceneNumber || '', shotNumber: image.shotNumber || '' }));
+        return { type: 'storyboard', shots };
+    }
+
+    /**
+     * Add the outline (scene → shot bookmarks) and page labels, and append the shot list when asked for;
+     * its rows link to the first storyboard page of their shot
+     * @param {Object} pdf - jsPDF document holding the storyboard pages
+     * @param {Array} pageNavigation - getPageNavigation of each page, in order
+     * @param {Object} settings - Export settings
+     * @param {Function} sheetOf - PDF page a storyboard page number ended up on, for print layouts (same number if not given)
+     */
+    addNavigation(pdf, pageNavigation, settings, sheetOf = null) {
+        if (typeof PDFNavigation === 'undefined') return;
+        const labels = [];
+        const shots = [];
+        const scenePages = {};
+        let storyboardPage = 0;
+        pageNavigation.forEach((info, index) => {
+            const pageNumber = sheetOf ? sheetOf(index + 1) : index + 1;
+            if (info.type === 'cover') {
+                labels.push({ prefix: 'Cover', number: null });
+            } else if (info.type === 'contents') {
+                labels.push({ prefix: 'Contents', number: null });
+            } else if (info.type === 'scene') {
+                labels.push({ prefix: `Scene ${info.sceneNumber}`, number: null });
+                if (!scenePages[info.sceneNumber]) scenePages[info.sceneNumber] = pageNumber;
+            } else {
+                storyboardPage++;
+                labels.push({ prefix: '', number: storyboardPage });
+                info.shots.forEach(shot => shots.push({ ...shot, pageNumber }));
+            }
+        });
+
+        let shotList = null;
+        const shotListController = this.app.shotListController;
+        // A filtered export lists only the shots it shows
+        const listedShots = this.app.shotListManager
+            ? (this.app.exportFilterService
+                ? this.app.exportFilterService.filterShots(this.app.shotListManager.getAllShots(), settings.filter)
+                : this.app.shotListManager.getAllShots())
+            : [];
+        if (settings.includeShotList && shotListController && listedShots.length > 0) {
+            const shotPages = {};
+            shots.forEach(shot => {
+                const key = PDFNavigation.getShotKey(shot.sceneNumber, shot.shotNumber);
+                if (!shotPages[key]) shotPages[key] = shot.pageNumber;
+            });
+            shotList = shotListController.drawShotListPages(pdf, { projectName: settings.projectName }, {
+                append: true,
+                shotPages,
+                shots: listedShots
+            });
+            for (let i = 0; i < shotList.pageCount; i++) {
+                labels.push({ prefix: 'Shot List ', number: i + 1 });
+            }
+        }
+
+        if (pdf.outline) {
+            if (shotList) {
+                const storyboardNode = pdf.outline.add(null, 'Storyboard', { pageNumber: 1 });
+                PDFNavigation.addShotOutline(pdf, storyboardNode, shots, scenePages);
+                const shotListNode = pdf.outline.add(null, 'Shot List', { pageNumber: shotList.firstPageNumber });
+                PDFNavigation.addShotOutline(pdf, shotListNode, shotList.shotRows);
+            } else {
+                PDFNavigation.addShotOutline(pdf, null, shots, scenePages);
+            }
+        }
+        // Labels name PDF pages one to one, which imposed sheets are not
+        if (!(typeof PrintLayout !== 'undefined' && PrintLayout.isImposed(settings.print))) {
+            PDFNavigation.setPageLabels(pdf, labels);
+        }
+    }
+
+    /**
+     * Wait until the frame images of the rendered pages have loaded (or a timeout passes)
+     * @param {number} timeout - Maximum wait in milliseconds
+     * @param {HTMLElement} page - Only wait for the images of this page
+     */
+    async waitForPageImages(timeout = 10000, page = null) {
+        const start = Date.now();
+        const images = Array.from(page
+            ? page.querySelectorAll('img.frame-image')
+            : document.querySelectorAll('#storyboardContainer .storyboard-page img.frame-image'));
+        // Lazy images only load near the viewport; the capture needs them all
+        images.forEach(img => {
+            img.loading = 'eager';
+        });
+        // Data URLs are assigned on the next animation frame
+        await new Promise(resolve => requestAnimationFrame(() => resolve()));
+        while (Date.now() - start < timeout) {
+            const pending = images.some(img => img.hasAttribute('data-composite-loading') || !img.getAttribute('src') || !img.complete);
+            if (!pending) return;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    /**
+     * Replace frame images that have a frame aspect ratio with canvases drawn the way the storyboard shows them
+     * @param {HTMLElement} page - Page about to be captured
+     * @returns {Array} { img, replacement } to restore after the capture
+     */
+    replaceFramedImages(page) {
+        if (typeof FrameAspect === 'undefined') return [];
+        const fitMode = FrameAspect.getFitMode(this.app.project.settings);
+        const replacements = [];
+        page.querySelectorAll('.frame-image-container[data-frame-aspect] img.frame-image').forEach(img => {
+            const container = img.parentElement;
+            const width = container.clientWidth;
+            const height = container.clientHeight;
+            if (!img.naturalWidth || !img.naturalHeight || width === 0 || height === 0) return;
+
+            const scale = 2; // Match the html2canvas capture scale
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const ctx = canvas.getContext('2d');
+            if (fitMode === 'letterbox') {
+                ctx.fillStyle = '#000000';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            const rect = FrameAspect.fitRect(img.naturalWidth, img.naturalHeight, canvas.width, canvas.height, fitMode);
+            try {
+                ctx.drawImage(img, rect.x, rect.y, rect.width, rect.height);
+            } catch (error) {
+                // Leave the image as it is if it cannot be drawn
+                return;
+            }
+
+            canvas.className = img.className;
+            canvas.style.cssText = 'width: 100%; height: 100%; display: block;';
+            img.style.display = 'none';
+            container.insertBefore(canvas, img);
+            replacements.push({ img, replacement: canvas });
+        });
+        return replacements;
+    }
+
+    /**
+     * Draw the frame overlays of a page to canvases for the capture, the way the video export draws them
+     * @param {HTMLElement} page - Storyboard page
+     * @returns {Array<{img: Element, replacement: HTMLCanvasElement}>} Overlays and their stand-ins, as replaceFramedImages
+     */
+    replaceFrameOverlays(page) {
+        const service = this.app.frameOverlayService;
+        if (!service || typeof FrameOverlays === 'undefined') return [];
+        const overlays = service.getOverlaysFor('storyboard');
+        const replacements = [];
+        page.querySelectorAll('.frame-image-container > svg.frame-overlay').forEach(svg => {
+            const width = svg.parentElement.clientWidth;
+            const height = svg.parentElement.clientHeight;
+            if (width === 0 || height === 0) return;
+
+            const scale = 2; // Match the html2canvas capture scale
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            FrameOverlays.drawOverlays(canvas.getContext('2d'), overlays, { x: 0, y: 0, width: canvas.width, height: canvas.height });
+
+            canvas.className = 'frame-overlay';
+            svg.style.display = 'none';
+            svg.parentElement.insertBefore(canvas, svg);
+            replacements.push({ img: svg, replacement: canvas });
+        });
+        return replacements;
+    }
+
+    /**
+     * Remember how to undo a layout change made for the export in progress
+     * @param {Function} reset - Undoes the change; returns true if the storyboard has to be drawn again
+     */
+    registerExportState(reset) {
+        this.exportStateResets.push(reset);
+    }
+
+    /**
+     * Set a service's export-only field (variant set, frame filter, fields, burn-in, badges) until the export ends
+     * @param {Object} service - Service that reads the field while the storyboard renders
+     * @param {string} key - Field, null outside an export
+     * @param {*} value - Value for the export
+     */
+    setExportState(service, key, value) {
+        service[key] = value;
+        this.registerExportState(() => {
+            const changed = service[key] !== null;
+            service[key] = null;
+            return changed;
+        });
+    }
+
+    /**
+     * Put the storyboard back to the variants, frame fields and settings it shows after an export that changed them
+     */
+    restoreExportLayout() {
+        document.body.classList.remove('pdf-export-capture');
+        let changed = false;
+        this.exportStateResets.splice(0).forEach(reset => {
+            if (reset()) changed = true;
+        });
+        if (changed) {
+            this.app.renderStoryboard();
+        }
+    }
+
     /**
      * Convert hex color to RGB
      * @param {string} hex - Hex color string
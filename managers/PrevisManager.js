@@ -53,8 +53,8 @@ class PrevisManager {
         
         this.timeline = [];
         
-        // Get sorted images from storyboard
-        const images = [...this.app.project.images];
+        // Get sorted images from storyboard (only the shown variant of alternate frames)
+        const images = [...(this.app.variantService ? this.app.variantService.getLayoutImages(null) : this.app.project.images)];
         
         // Sort by Scene → Shot → Frame
         images.sort((a, b) => {
@@ -197,6 +197,9 @@ class PrevisManager {
             if (this.app.shotListController) {
                 this.app.shotListController.renderShotList();
             }
+            if (this.app.renderService) {
+                this.app.renderService.refreshShotBadges();
+            }
         }
     }
 
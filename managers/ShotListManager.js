@@ -14,10 +14,11 @@ class ShotListManager {
      * Initialize shot list from storyboard images
      */
     initializeFromStoryboard() {
-        // Group images by scene and shot
+        // Group images by scene and shot (alternate frames count once)
         const shotMap = new Map();
+        const images = this.app.variantService ? this.app.variantService.getLayoutImages(null) : this.app.project.images;
         
-        this.app.project.images.forEach(image => {
+        images.forEach(image => {
             const sceneNum = image.sceneNumber || '';
             const shotNum = image.shotNumber || '';
             const key = `${sceneNum}_${shotNum}`;
@@ -186,10 +187,94 @@ class ShotListManager {
         return shot;
     }
 
+    /**
+     * Set a measured duration for a shot, creating the entry if the storyboard
+     * frames for it have not been synced yet (e.g. shots detected in a reference video)
+     * @param {string} sceneNumber - Scene number
+     * @param {string} shotNumber - Shot number
+     * @param {number} seconds - Duration in seconds
+     * @returns {Object} Shot entry
+     */
+    setMeasuredDuration(sceneNumber, shotNumber, seconds) {
+        let shot = this.shots.find(s =>
+            s.sceneNumber === sceneNumber &&
+            s.shotNumber === shotNumber
+        );
+
+        if (!shot) {
+            shot = this.createShotEntry({
+                sceneNumber: sceneNumber,
+                shotNumber: shotNumber
+            });
+            this.shots.push(shot);
+            this.sortShots();
+        }
+
+        shot.durationFrames = Math.max(1, this.secondsToFrames(seconds));
+        shot.durationSeconds = this.framesToSeconds(shot.durationFrames);
+        shot.updatedAt = Date.now();
+        return shot;
+    }
+
+    /**
+     * Import planned shots (e.g. from a CSV shot list) as manual shots with placeholder frames
+     * Scene/shot numbers are matched loosely ("1" = "001") against existing shots and frames
+     * @param {Array} shotsData - Shot data for createShotEntry (only the imported fields)
+     * @param {Object} options - Import options
+     * @param {boolean} options.updateExisting - Overwrite fields of shots that already exist
+     * @returns {Promise<Object>} Counts: { created, updated, skipped }
+     */
+    async importShots(shotsData, options = {}) {
+        const { updateExisting = true } = options;
+        const normalize = (value) => this.app.imageManager.normalizeStructureNumber(value);
+        const result = { created: 0, updated: 0, skipped: 0 };
+
+        for (const data of shotsData) {
+            const existing = this.shots.find(s =>
+                normalize(s.sceneNumber) === normalize(data.sceneNumber) &&
+                normalize(s.shotNumber) === normalize(data.shotNumber)
+            );
+
+            if (existing) {
+                if (!updateExisting) {
+                    result.skipped++;
+                    continue;
+                }
+                const { customFields, sceneNumber, shotNumber, ...fields } = data;
+                Object.assign(existing, fields);
+                existing.customFields = { ...existing.customFields, ...customFields };
+                existing.updatedAt = Date.now();
+                result.updated++;
+                continue;
+            }
+
+            // Adopt the numbering of frames that are already on the board
+            const image = this.app.project.images.find(img =>
+                normalize(img.sceneNumber) === normalize(data.sceneNumber) &&
+                normalize(img.shotNumber) === normalize(data.shotNumber)
+            );
+            const shot = this.createShotEntry({
+                ...data,
+                sceneNumber: image ? image.sceneNumber : data.sceneNumber,
+                shotNumber: image ? image.shotNumber : data.shotNumber,
+                isManual: true
+            });
+            this.shots.push(shot);
+            await this.createStoryboardEntryForShot(shot, true);
+            result.created++;
+        }
+
+        this.sortShots();
+        this.app.markChanged();
+        return result;
+    }
+
     /**
      * Create a storyboard entry for a manually added shot
+     * @param {Object} shot - Shot entry
+     * @param {boolean} deferRender - Skip the re-render (caller renders once after a batch)
      */
-    async createStoryboardEntryForShot(shot) {
+    async createStoryboardEntryForShot(shot, deferRender = false) {
         // Check if storyboard entry already exists
         const existingImage = this.app.project.images.find(img => 
             img.sceneNumber === shot.sceneNumber && 
@@ -221,7 +306,7 @@ class ShotListManager {
         shot.frameCount = 1;
         
         // Re-render storyboard
-        if (this.app.renderService) {
+        if (this.app.renderService && !deferRender) {
             setTimeout(() => {
                 this.app.renderService.renderStoryboard();
             }, 100);
@@ -277,6 +362,10 @@ class ShotListManager {
         
         this.sortShots();
         this.app.markChanged();
+        // Frames show some shot fields as badges
+        if (this.app.renderService) {
+            this.app.renderService.refreshShotBadges();
+        }
         return true;
     }
 
@@ -338,7 +427,11 @@ class ShotListManager {
      */
     sortShots() {
         this.shots.sort((a, b) => {
-            // Compare scene numbers
+            // Compare scene numbers (suffix-aware, so shot 010A follows 010)
+            if (this.app.imageManager) {
+                return this.app.imageManager.compareStructureNumbers(a.sceneNumber, b.sceneNumber) ||
+                    this.app.imageManager.compareStructureNumbers(a.shotNumber, b.shotNumber);
+            }
             const sceneA = parseInt(a.sceneNumber) || 0;
             const sceneB = parseInt(b.sceneNumber) || 0;
             if (sceneA !== sceneB) {
@@ -384,10 +477,11 @@ class ShotListManager {
      * Sync with storyboard (update frame counts, add new shots from storyboard)
      */
     syncWithStoryboard() {
-        // Group images by scene and shot
+        // Group images by scene and shot (alternate frames count once)
         const shotMap = new Map();
+        const images = this.app.variantService ? this.app.variantService.getLayoutImages(null) : this.app.project.images;
         
-        this.app.project.images.forEach(image => {
+        images.forEach(image => {
             const sceneNum = image.sceneNumber || '';
             const shotNum = image.shotNumber || '';
             const key = `${sceneNum}_${shotNum}`;
@@ -12,15 +12,23 @@ class UIManager {
         this.app = app;
         // Use LayoutService if available, otherwise use app's calculateOptimalLayout
         this.layoutService = typeof LayoutService !== 'undefined' ? new LayoutService() : null;
+        this.renderedLayoutKey = null; // getLayoutKey of the last render, null when nothing is rendered
     }
 
     /**
      * Render the entire storyboard
+     * Large storyboards only build the pages near the viewport (see PageVirtualizationController)
      */
     renderStoryboard() {
         const container = document.getElementById('storyboardContainer');
         if (!container) return;
 
+        const virtualizer = this.app.pageVirtualizationController;
+        if (virtualizer) {
+            virtualizer.reset();
+        }
+        this.renderedLayoutKey = null;
+
         // Preserve drawings before clearing
         const preservedDrawings = { ...this.app.project.drawings };
 
@@ -51,91 +59,309 @@ class UIManager {
             return;
         }
 
-        container.innerHTML = '';
-
-        // Restore drawings after clearing
-        this.app.project.drawings = preservedDrawings;
-
         // Use manual layout rows and columns
         const rows = this.app.project.settings.layoutRows || 2;
         const cols = this.app.project.settings.layoutCols || 2;
-        const imagesPerPage = rows * cols;
         
-        // Get page size
-        let pageSize;
-        if (this.layoutService) {
-            pageSize = this.layoutService.getPageSize(this.app.project.settings.pageSize);
-        } else {
-            pageSize = this.app.pageSizes[this.app.project.settings.pageSize];
-        }
+        const pageSize = this.getPageSize();
         const orientation = this.app.project.settings.orientation;
         const fontFamily = this.app.project.settings.fontFamily;
         // Global page text removed - no longer used
         const pageText = '';
         const pageBgColor = this.app.project.settings.pageBackgroundColor;
         const scale = this.app.project.settings.imageScale / 100;
-        const separateScenes = this.app.project.settings.separateScenes;
 
         // Determine if handwriting font
         const isHandwriting = HANDWRITING_FONTS.some(font => fontFamily.includes(font));
 
-        // Group images by scene if separation is enabled
+        const documentPages = this.getDocumentPages();
+        const buildPage = (entry) => {
+            let page;
+            if (entry.type === 'contents') {
+                page = this.app.renderService.createContentsPage(entry, orientation, pageSize, fontFamily, pageBgColor);
+            } else if (entry.type === 'scene') {
+                page = this.app.renderService.createSceneDividerPage(entry, orientation, pageSize, fontFamily, pageBgColor);
+            } else {
+                page = this.createPage(
+                    entry.images,
+                    orientation,
+                    pageSize,
+                    fontFamily,
+                    pageText,
+                    rows,
+                    cols,
+                    scale,
+                    isHandwriting,
+                    pageBgColor,
+                    entry.pageIndex,
+                    entry.pageNumber,
+                    documentPages.length
+                );
+            }
+            page.dataset.documentPage = entry.pageNumber;
+            return page;
+        };
+
+        // Rebuild the pages without moving the view (clearing the container would reset the scroll position)
+        const preserveScroll = typeof ZoomUtils !== 'undefined' ? ZoomUtils.preserveScroll : (app, update) => update();
+        preserveScroll(this.app, () => {
+            container.innerHTML = '';
+
+            // Restore drawings after clearing
+            this.app.project.drawings = preservedDrawings;
+
+            // Create cover page if enabled
+            const pages = documentPages.filter(entry => entry.type !== 'cover');
+            if (pages.length < documentPages.length) {
+                const coverPage = this.createCoverPage(orientation, pageSize, fontFamily, pageBgColor);
+                coverPage.dataset.documentPage = 1;
+                container.appendChild(coverPage);
+            }
+
+            if (virtualizer && virtualizer.shouldVirtualize(pages.length)) {
+                virtualizer.start(container, pages, (entry) => {
+                    const page = buildPage(entry);
+                    this.updateFrameScale(page);
+                    return page;
+                }, { orientation, pageSize, pageBgColor });
+            } else {
+                pages.forEach(entry => container.appendChild(buildPage(entry)));
+            }
+        });
+        this.renderedLayoutKey = this.getLayoutKey(documentPages);
+
+        // Apply frame scale to all frames after rendering
+        this.updateFrameScale();
+    }
+
+    /**
+     * Scroll the storyboard to a page of the document (pages that are not mounted have a placeholder)
+     * @param {number} pageNumber - Page number, starting at 1
+     */
+    scrollToPage(pageNumber) {
+        const container = document.getElementById('storyboardContainer');
+        const page = container && container.querySelector(`[data-document-page="${pageNumber}"]`);
+        if (page) {
+            page.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Scroll the storyboard to the page that shows a frame
+     * @param {string} imageName - Image name
+     * @returns {boolean} False if the frame is on no page
+     */
+    scrollToFrame(imageName) {
+        const page = this.getDocumentPages().find(entry => (entry.images || []).some(image => image.name === imageName));
+        if (!page) return false;
+        this.scrollToPage(page.pageNumber);
+        return true;
+    }
+
+    /**
+     * Paper size of the pages
+     * @returns {Object} { width, height } in mm
+     */
+    getPageSize() {
+        if (this.layoutService) {
+            return this.layoutService.getPageSize(this.app.project.settings.pageSize, this.app.project.settings.customPageSizes || []);
+        }
+        return this.app.pageSizes[this.app.project.settings.pageSize];
+    }
+
+    /**
+     * Images that take part in page layout
+     * Alternate frames that are not shown (or not in the variant set being exported) are left out, and so
+     * are the frames outside the frame filter of an export
+     * @param {boolean} filtered - False to keep the frames the export filter leaves out
+     * @returns {Array} Images
+     */
+    getLayoutImages(filtered = true) {
+        const images = this.app.variantService ? this.app.variantService.getLayoutImages() : this.app.project.images;
+        return filtered && this.app.exportFilterService ? this.app.exportFilterService.filterImages(images) : images;
+    }
+
+    /**
+     * Whether the frame filter of an export is leaving frames out of the layout
+     */
+    isLayoutFiltered() {
+        const service = this.app.exportFilterService;
+        return !!(service && !service.isEmpty(service.exportFilter));
+    }
+
+    /**
+     * Every page of the storyboard document, in order
+     * Storyboard pages split the layout images (scene separation starts a new page for each scene); the cover
+     * page, contents pages and scene title pages are added around them when enabled.
+     * pageNumber is the page's position in the document (and PDF), starting at 1. pageIndex keys the data of a
+     * storyboard page (page text, header/footer overrides, annotations) and counts the cover page but not the
+     * contents and scene title pages, so turning those on does not move data between pages.
+     * While an export filter leaves frames out, a page keeps the pageIndex of the page of the full storyboard
+     * that holds the same frames; other pages get a null pageIndex and show none of that data, as text,
+     * annotations and drawings placed for other frames would not belong on them.
+     * @param {boolean} filtered - False to lay out the frames the export filter leaves out as well
+     * @returns {Array} { type: 'cover' | 'contents' | 'scene' | 'storyboard', pageNumber, ... }
+     *   contents: { entries: [{ sceneNumber, pageNumber }], part, parts }
+     *   scene: { sceneNumber, images, pageCount, contentsPageNumber }
+     *   storyboard: { images, pageIndex, sceneNumber }
+     */
+    getDocumentPages(filtered = true) {
+        const settings = this.app.project.settings;
+        const rows = settings.layoutRows || 2;
+        const cols = settings.layoutCols || 2;
+        const imagesPerPage = rows * cols;
+        const sceneService = this.app.sceneDividerService;
+
+        const layoutImages = this.getLayoutImages(filtered);
         let imageGroups = [];
-        if (separateScenes) {
+        if (settings.separateScenes) {
             const sceneGroups = {};
-            this.app.project.images.forEach(image => {
+            layoutImages.forEach(image => {
                 const scene = this.app.project.imageScenes[image.name] || 'Unassigned';
                 if (!sceneGroups[scene]) {
                     sceneGroups[scene] = [];
                 }
                 sceneGroups[scene].push(image);
             });
-            imageGroups = Object.values(sceneGroups);
+            imageGroups = Object.keys(sceneGroups).map(scene => ({
+                sceneNumber: scene === 'Unassigned' ? '' : scene,
+                images: sceneGroups[scene]
+            }));
         } else {
-            imageGroups = [this.app.project.images];
+            imageGroups = [{ sceneNumber: '', images: layoutImages }];
         }
 
-        // Create cover page if enabled
-        if (this.app.project.settings.enableCoverPage) {
-            const coverPage = this.createCoverPage(orientation, pageSize, fontFamily, pageBgColor);
-            container.appendChild(coverPage);
+        // Scenes listed in the contents, in storyboard order
+        let contentsScenes = [];
+        if (sceneService && sceneService.isContentsEnabled()) {
+            if (settings.separateScenes) {
+                contentsScenes = imageGroups.map(group => group.sceneNumber).filter(scene => scene);
+            } else {
+                layoutImages.forEach(image => {
+                    const scene = sceneService.getImageScene(image);
+                    if (scene && !contentsScenes.includes(scene)) contentsScenes.push(scene);
+                });
+            }
         }
 
-        // Create pages for each group
-        let globalPageIndex = this.app.project.settings.enableCoverPage ? 1 : 0;
-        imageGroups.forEach((imageGroup) => {
-            for (let i = 0; i < imageGroup.length; i += imagesPerPage) {
-                const pageImages = imageGroup.slice(i, i + imagesPerPage);
-                const pageIndex = Math.floor(i / imagesPerPage);
-                const page = this.createPage(
-                    pageImages,
-                    orientation,
-                    pageSize,
-                    fontFamily,
-                    pageText,
-                    rows,
-                    cols,
-                    scale,
-                    isHandwriting,
-                    pageBgColor,
-                    globalPageIndex++
-                );
-                container.appendChild(page);
+        const pages = [];
+        let pageNumber = 1;
+        if (settings.enableCoverPage) {
+            pages.push({ type: 'cover', pageNumber: pageNumber++ });
+        }
+        const contentsPages = [];
+        let entriesPerPage = 0;
+        if (contentsScenes.length > 0) {
+            entriesPerPage = sceneService.getContentsEntriesPerPage(this.getPageSize(), settings.orientation);
+            const parts = Math.ceil(contentsScenes.length / entriesPerPage);
+            for (let part = 0; part < parts; part++) {
+                const entry = { type: 'contents', pageNumber: pageNumber++, entries: [], part, parts };
+                contentsPages.push(entry);
+                pages.push(entry);
+            }
+        }
+
+        const dividers = !!(sceneService && sceneService.isDividersEnabled());
+        const scenePages = {}; // sceneNumber -> page the contents link to
+        let pageIndex = settings.enableCoverPage ? 1 : 0;
+        imageGroups.forEach((group) => {
+            if (dividers && group.sceneNumber && group.images.length > 0) {
+                scenePages[group.sceneNumber] = pageNumber;
+                pages.push({
+                    type: 'scene',
+                    pageNumber: pageNumber++,
+                    sceneNumber: group.sceneNumber,
+                    images: group.images,
+                    pageCount: Math.ceil(group.images.length / imagesPerPage),
+                    contentsPageNumber: contentsPages.length > 0 ? contentsPages[0].pageNumber : null
+                });
+            }
+            for (let i = 0; i < group.images.length; i += imagesPerPage) {
+                const images = group.images.slice(i, i + imagesPerPage);
+                images.forEach(image => {
+                    const scene = settings.separateScenes ? group.sceneNumber : (sceneService ? sceneService.getImageScene(image) : '');
+                    if (scene && !scenePages[scene]) scenePages[scene] = pageNumber;
+                });
+                pages.push({ type: 'storyboard', pageNumber: pageNumber++, images, pageIndex: pageIndex++, sceneNumber: group.sceneNumber });
             }
         });
 
-        // Apply frame scale to all frames after rendering
-        this.updateFrameScale();
+        contentsScenes.forEach((sceneNumber, index) => {
+            contentsPages[Math.floor(index / entriesPerPage)].entries.push({
+                sceneNumber,
+                pageNumber: scenePages[sceneNumber]
+            });
+        });
+
+        if (filtered && this.isLayoutFiltered()) {
+            const pageKey = images => images.map(image => image.name).join('/');
+            const sourceIndexes = new Map(this.getDocumentPages(false)
+                .filter(entry => entry.type === 'storyboard')
+                .map(entry => [pageKey(entry.images), entry.pageIndex]));
+            pages.forEach(entry => {
+                if (entry.type !== 'storyboard') return;
+                const sourceIndex = sourceIndexes.get(pageKey(entry.images));
+                entry.pageIndex = sourceIndex !== undefined ? sourceIndex : null;
+            });
+        }
+        return pages;
+    }
+
+    /**
+     * Storyboard pages (the pages that show frames)
+     * @returns {Array} { images, pageIndex, pageNumber, sceneNumber } - pageIndex counts the cover page when it is enabled
+     *   (null on pages of a filtered export that no page of the full storyboard matches)
+     */
+    getPageGroups() {
+        return this.getDocumentPages().filter(entry => entry.type === 'storyboard');
+    }
+
+    /**
+     * Map each image name to the page index it is rendered on
+     * @returns {Map<string, number>} Image name -> page index
+     */
+    getImagePageMap() {
+        const pageMap = new Map();
+        this.getPageGroups().forEach(group => {
+            group.images.forEach(image => {
+                pageMap.set(image.name, group.pageIndex);
+            });
+        });
+        return pageMap;
+    }
+
+    /**
+     * Describe what is on each page, to tell whether an edit changed the pagination
+     * @param {Array} documentPages - From getDocumentPages
+     * @returns {string}
+     */
+    getLayoutKey(documentPages) {
+        return documentPages.map(entry => {
+            if (entry.type === 'contents') {
+                return 'contents:' + entry.entries.map(item => `${item.sceneNumber}@${item.pageNumber}`).join(',');
+            }
+            if (entry.type === 'scene') return 'scene:' + entry.sceneNumber;
+            if (entry.type === 'cover') return 'cover';
+            return entry.images.map(image => image.name).join('/');
+        }).join('|');
+    }
+
+    /**
+     * Whether the rendered pages still hold the frames the project would put on them
+     * @returns {boolean}
+     */
+    isLayoutCurrent() {
+        return this.renderedLayoutKey !== null && this.renderedLayoutKey === this.getLayoutKey(this.getDocumentPages());
     }
 
     /**
      * Create a storyboard page
      * @private
      */
-    createPage(images, orientation, pageSize, fontFamily, pageText, rows, cols, scale, isHandwriting, pageBgColor, pageIndex) {
+    createPage(images, orientation, pageSize, fontFamily, pageText, rows, cols, scale, isHandwriting, pageBgColor, pageIndex, pageNumber, pageCount) {
         // Delegate to app's createPage method for now (will refactor later)
         // This maintains all existing functionality while we migrate
-        return this.app.createPage(images, orientation, pageSize, fontFamily, pageText, rows, cols, scale, isHandwriting, pageBgColor, pageIndex);
+        return this.app.createPage(images, orientation, pageSize, fontFamily, pageText, rows, cols, scale, isHandwriting, pageBgColor, pageIndex, pageNumber, pageCount);
     }
 
     /**
@@ -149,9 +375,10 @@ class UIManager {
 
     /**
      * Update frame scale for all frames
+     * @param {HTMLElement} root - Only update the frames inside this element (a newly mounted page)
      */
-    updateFrameScale() {
-        const frames = document.querySelectorAll('.storyboard-frame');
+    updateFrameScale(root = document) {
+        const frames = root.querySelectorAll('.storyboard-frame');
         const scale = this.app.project.settings.imageScale || 100;
         const scaleValue = scale / 100;
 
@@ -262,7 +489,8 @@ class UIManager {
         const container = document.getElementById('storyboardContainer');
         if (!container) return 1.0;
 
-        const pages = container.querySelectorAll('.storyboard-page');
+        // Pages far from the viewport are placeholders of the same size
+        const pages = container.querySelectorAll('.storyboard-page, .storyboard-page-placeholder');
         if (pages.length === 0) return 1.0;
 
         const firstPage = pages[0];
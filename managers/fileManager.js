@@ -1481,13 +1481,56 @@ function simpleHash(str) {
             if (img.editLayers !== undefined && img.editLayers !== null) {
                 imageData.editLayers = img.editLayers;
             }
+            
+            // Version token captured by a custom import naming rule
+            if (img.fileVersion) {
+                imageData.fileVersion = img.fileVersion;
+            }
+            
+            // Placeholder frames (e.g. from a shot list import) are swapped out when real frames arrive
+            if (img.isPlaceholder) {
+                imageData.isPlaceholder = true;
+            }
+            
+            // Frames made in the app rather than read from a folder survive a folder re-import
+            if (img.generated) {
+                imageData.generated = true;
+            }
+            
+            // Perceptual hash for duplicate detection on later imports
+            if (img.perceptualHash) {
+                imageData.perceptualHash = img.perceptualHash;
+            }
+            
+            // Earlier art of this frame (pruned to the newest N if versionHistory.keepVersions is set)
+            const versions = this.app.imageManager ? this.app.imageManager.getVersionsForSave(img) : img.versions;
+            if (versions && versions.length > 0) {
+                imageData.versions = versions;
+            }
+            if (img.currentVersion) {
+                imageData.currentVersion = img.currentVersion;
+            }
+            
+            // Alternate frames (A/B/C) and which one the storyboard shows
+            if (img.variant) {
+                imageData.variant = img.variant;
+                if (img.variantActive) {
+                    imageData.variantActive = true;
+                }
+            }
+            
+            // Frame tags (used to pick frames for partial exports)
+            if (img.tags && img.tags.length > 0) {
+                imageData.tags = img.tags.slice();
+            }
                     return imageData;
         });
                     return {
             images: images,
             settings: this.app.project.settings,
-            frameTexts: this.app.project.frameTexts || {},
+            frameFieldTexts: this.app.project.frameFieldTexts || {},
             pageTexts: this.app.project.pageTexts || {},
+            pageTemplates: this.app.project.pageTemplates || {},
             imageScenes: this.app.project.imageScenes || {},
             annotations: this.app.project.annotations || {}, // New annotation system data (Fabric.js JSON)
             drawings: this.app.project.drawings || {}, // Legacy drawing data (for backward compatibility)
@@ -2010,6 +2053,7 @@ function simpleHash(str) {
     migrateProjectData(project) {
         // Ensure new fields exist for backward compatibility
         if (!project.pageTexts) project.pageTexts = {};
+        if (!project.pageTemplates) project.pageTemplates = {};
                     if (!project.imageScenes) project.imageScenes = {};
                     if (!project.settings) project.settings = {};
                     if (!project.settings.pageBackgroundColor) project.settings.pageBackgroundColor = '#404040';
@@ -2029,6 +2073,25 @@ function simpleHash(str) {
                     project.settings.imagesPerPage = num <= 1 ? 1 : num <= 2 ? 4 : num <= 3 ? 6 : 6;
             }
         }
+        
+        // Structured frame fields - the single free-text box of older projects becomes the first field
+        if (!Array.isArray(project.settings.frameFields) || project.settings.frameFields.length === 0) {
+            project.settings.frameFields = typeof FrameFieldService !== 'undefined'
+                ? FrameFieldService.getDefaultFields()
+                : [{ id: 'action', label: 'Action', visible: true, pdf: true, showLabel: false, color: '', fontWeight: '', fontStyle: '' }];
+        }
+        if (!project.frameFieldTexts) project.frameFieldTexts = {};
+        if (project.frameTexts) {
+            const firstFieldId = project.settings.frameFields[0].id;
+            Object.keys(project.frameTexts).forEach(name => {
+                const text = project.frameTexts[name];
+                if (!text) return;
+                const values = project.frameFieldTexts[name] || {};
+                if (!values[firstFieldId]) values[firstFieldId] = text;
+                project.frameFieldTexts[name] = values;
+            });
+            delete project.frameTexts;
+        }
     }
 }
 
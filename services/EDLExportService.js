@@ -139,6 +139,9 @@ class EDLExportService {
                 edl += `* FROM CLIP NAME: ${this.escapeEDL(filename)}\n`;
                 edl += `* TO CLIP NAME: ${this.escapeEDL(filename)}\n`;
                 edl += `* FILE: ${this.escapeEDL(filePath)}\n`;
+                this.getFrameComments(clip).forEach(line => {
+                    edl += `* COMMENT: ${this.escapeEDL(line)}\n`;
+                });
                 // Add metadata to indicate this is a still image (not video)
                 // This helps DaVinci Resolve understand it can link to image files
                 edl += `* STILL IMAGE: YES\n`;
@@ -242,6 +245,17 @@ class EDLExportService {
         return reel;
     }
     
+    /**
+     * Frame field text of a clip's frame (see FrameFieldService), one line per paragraph
+     * @param {Object} clip - Timeline clip
+     * @returns {Array<string>}
+     */
+    getFrameComments(clip) {
+        const fieldService = this.app && this.app.frameFieldService;
+        if (!fieldService || !clip.imageId) return [];
+        return fieldService.getPlainText(clip.imageId).split('\n').filter(line => line.trim());
+    }
+    
     /**
      * Escape EDL special characters
      */
@@ -0,0 +1,273 @@
+/**
+ * ExportFilterService - Export only part of the storyboard
+ * A filter picks frames by scene range, shot list status, frame tags or an explicit set of frames; the
+ * PDF, video and timeline exports lay out only the frames it lets through. Filters can be saved as named
+ * export profiles in project.settings.exportProfiles.
+ */
+class ExportFilterService {
+    constructor(app) {
+        this.app = app;
+        this.exportFilter = null; // Filter applied while a PDF export re-renders the storyboard
+    }
+
+    /**
+     * Shot list statuses a filter can pick
+     * @returns {Array} { id, label }
+     */
+    static getStatuses() {
+        return [
+            { id: 'pending', label: 'Pending' },
+            { id: 'approved', label: 'Approved' },
+            { id: 'shot', label: 'Shot' },
+            { id: 'cut', label: 'Cut' }
+        ];
+    }
+
+    /**
+     * Fill in missing filter fields
+     * @param {Object} filter - { scenes: '12-18, 21', statuses: [], tags: [], frames: null|[image names] }
+     * @returns {Object} Complete filter
+     */
+    normalizeFilter(filter = {}) {
+        const list = value => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : []);
+        return {
+            scenes: String(filter.scenes || '').trim(),
+            statuses: list(filter.statuses),
+            tags: list(filter.tags),
+            frames: Array.isArray(filter.frames) ? filter.frames.slice() : null
+        };
+    }
+
+    /**
+     * Whether a filter lets every frame through
+     */
+    isEmpty(filter) {
+        if (!filter) return true;
+        const { scenes, statuses, tags, frames } = this.normalizeFilter(filter);
+        return !scenes && statuses.length === 0 && tags.length === 0 && !frames;
+    }
+
+    /**
+     * Short description of a filter, e.g. "Scenes 12-18 · approved · 4 picked frames"
+     */
+    describe(filter) {
+        if (this.isEmpty(filter)) return 'All frames';
+        const { scenes, statuses, tags, frames } = this.normalizeFilter(filter);
+        const parts = [];
+        if (scenes) parts.push(`Scenes ${scenes}`);
+        if (statuses.length > 0) parts.push(statuses.join(', '));
+        if (tags.length > 0) parts.push(`tagged ${tags.join(', ')}`);
+        if (frames) parts.push(`${frames.length} picked frame${frames.length !== 1 ? 's' : ''}`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Read a scene range such as "12-18, 21, 3A"
+     * @returns {Array} { from, to } for ranges (compared by number), { scene } for single scenes
+     */
+    parseSceneRange(text) {
+        return String(text || '').split(/[,;]/).map(part => part.trim()).filter(Boolean).map(part => {
+            const range = part.match(/^(.+?)\s*[-–]\s*(.+)$/);
+            if (range && !isNaN(parseFloat(range[1])) && !isNaN(parseFloat(range[2]))) {
+                return { from: parseFloat(range[1]), to: parseFloat(range[2]) };
+            }
+            return { scene: part.toLowerCase() };
+        });
+    }
+
+    /**
+     * Whether a scene number is in a parsed range; a ranged scene with a suffix (12A) counts as its number
+     */
+    isSceneInRange(sceneNumber, ranges) {
+        if (ranges.length === 0) return true;
+        const scene = String(sceneNumber || '').trim();
+        const number = parseFloat(scene);
+        return ranges.some(range => (range.scene !== undefined
+            ? range.scene === scene.toLowerCase()
+            : !isNaN(number) && number >= Math.min(range.from, range.to) && number <= Math.max(range.from, range.to)));
+    }
+
+    /**
+     * Scene of a frame (its imageScenes entry wins); used for the scene range and the shot status alike
+     */
+    getSceneNumber(image) {
+        return this.app.project.imageScenes[image.name] || image.sceneNumber || '';
+    }
+
+    /**
+     * Status of each shot in the shot list
+     * @returns {Map} shot key → status
+     */
+    getShotStatuses() {
+        const statuses = new Map();
+        const manager = this.app.shotListManager;
+        if (manager) {
+            manager.getAllShots().forEach(shot => {
+                statuses.set(PDFNavigation.getShotKey(shot.sceneNumber, shot.shotNumber), shot.status || 'pending');
+            });
+        }
+        return statuses;
+    }
+
+    /**
+     * Keep the frames a filter lets through
+     * @param {Array} images - Storyboard images, in order
+     * @param {Object|null} filter - Filter (defaults to the one of the export in progress)
+     * @returns {Array} Images (the same array when nothing is filtered)
+     */
+    filterImages(images, filter = this.exportFilter) {
+        if (this.isEmpty(filter)) return images;
+        const { scenes, statuses, tags, frames } = this.normalizeFilter(filter);
+        const ranges = this.parseSceneRange(scenes);
+        const shotStatuses = statuses.length > 0 ? this.getShotStatuses() : null;
+        const wantedTags = tags.map(tag => tag.toLowerCase());
+        const picked = frames ? new Set(frames) : null;
+
+        return images.filter(image => {
+            if (picked && !picked.has(image.name)) return false;
+            if (!this.isSceneInRange(this.getSceneNumber(image), ranges)) return false;
+            if (shotStatuses) {
+                // Frames without a shot list entry count as pending, like new shots
+                const status = shotStatuses.get(PDFNavigation.getShotKey(this.getSceneNumber(image), image.shotNumber)) || 'pending';
+                if (!statuses.includes(status)) return false;
+            }
+            if (wantedTags.length > 0) {
+                const imageTags = (image.tags || []).map(tag => tag.toLowerCase());
+                if (!wantedTags.some(tag => imageTags.includes(tag))) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Keep the shot list entries of a filtered export: shots in the scene range with a chosen status and,
+     * when frames are picked by tag or by hand, at least one frame that is let through
+     * @param {Array} shots - Shot list entries
+     * @param {Object|null} filter - Filter
+     * @returns {Array} Shots
+     */
+    filterShots(shots, filter) {
+        if (this.isEmpty(filter)) return shots;
+        const { scenes, statuses, tags, frames } = this.normalizeFilter(filter);
+        const ranges = this.parseSceneRange(scenes);
+        const frameShots = tags.length > 0 || frames
+            ? new Set(this.filterImages(this.app.project.images, filter).map(image => PDFNavigation.getShotKey(this.getSceneNumber(image), image.shotNumber)))
+            : null;
+        return shots.filter(shot => this.isSceneInRange(shot.sceneNumber, ranges) &&
+            (statuses.length === 0 || statuses.includes(shot.status || 'pending')) &&
+            (!frameShots || frameShots.has(PDFNavigation.getShotKey(shot.sceneNumber, shot.shotNumber))));
+    }
+
+    /**
+     * Cut a timeline down to the storyboard clips a filter lets through
+     * The clips left keep their order and durations and close up the gaps the others leave. Audio and
+     * files added to the timeline are dropped, as they would no longer line up with the cut.
+     * @param {Object} timelineData - From PrevisManager.getTimelineData
+     * @param {Object|null} filter - Filter; an empty one keeps the timeline as is
+     * @returns {Object} Timeline data (a copy if anything was left out)
+     */
+    applyToTimeline(timelineData, filter) {
+        if (this.isEmpty(filter) || !timelineData || !timelineData.timeline) return timelineData;
+
+        const images = new Map(this.app.project.images.map(img => [img.name, img]));
+        const kept = new Set(this.filterImages(this.app.project.images, filter).map(img => img.name));
+        const clips = timelineData.timeline
+            .filter(clip => !clip.isExternalFile && clip.imageId && images.has(clip.imageId) && kept.has(clip.imageId))
+            .sort((a, b) => a.startTime - b.startTime);
+
+        let coveredUntil = 0;
+        let shift = 0;
+        const timeline = clips.map(clip => {
+            const endTime = clip.endTime !== undefined ? clip.endTime : clip.startTime + clip.duration;
+            if (clip.startTime > coveredUntil) {
+                shift += clip.startTime - coveredUntil;
+            }
+            coveredUntil = Math.max(coveredUntil, endTime);
+            return { ...clip, startTime: clip.startTime - shift, endTime: endTime - shift };
+        });
+        const totalDuration = timeline.reduce((end, clip) => Math.max(end, clip.endTime), 0);
+        const ids = new Set(timeline.map(clip => clip.id));
+        return {
+            ...timelineData,
+            timeline,
+            totalDuration,
+            currentTime: 0,
+            clipTrackAssignments: (timelineData.clipTrackAssignments || []).filter(entry => ids.has(entry.clipId))
+        };
+    }
+
+    /**
+     * Tags used on frames of the project, sorted
+     * @returns {Array<string>}
+     */
+    getAllTags() {
+        const tags = new Map();
+        this.app.project.images.forEach(image => {
+            (image.tags || []).forEach(tag => {
+                if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+            });
+        });
+        return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Read a comma-separated tag list; repeated tags are dropped
+     * @returns {Array<string>}
+     */
+    parseTags(text) {
+        const tags = String(text || '').split(',').map(tag => tag.trim()).filter(Boolean);
+        return tags.filter((tag, index) => tags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index);
+    }
+
+    getProfiles() {
+        const settings = this.app.project.settings;
+        if (!Array.isArray(settings.exportProfiles)) settings.exportProfiles = [];
+        return settings.exportProfiles;
+    }
+
+    getProfile(profileId) {
+        return this.getProfiles().find(profile => profile.id === profileId) || null;
+    }
+
+    createId() {
+        return `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Save a filter as an export profile; a profile with the same name is replaced
+     * @param {string} name - Profile name
+     * @param {Object} filter - Filter
+     * @returns {Object} The profile: { id, name, filter }
+     */
+    saveProfile(name, filter) {
+        const profiles = this.getProfiles();
+        const existing = profiles.find(profile => profile.name.toLowerCase() === name.toLowerCase());
+        const profile = { id: existing ? existing.id : this.createId(), name, filter: this.normalizeFilter(filter) };
+        if (existing) {
+            profiles[profiles.indexOf(existing)] = profile;
+        } else {
+            profiles.push(profile);
+        }
+        return profile;
+    }
+
+    deleteProfile(profileId) {
+        const settings = this.app.project.settings;
+        settings.exportProfiles = this.getProfiles().filter(profile => profile.id !== profileId);
+    }
+
+    /**
+     * Frames selected in the storyboard, as a filter
+     * @returns {Object|null} Filter, or null when nothing is selected
+     */
+    getSelectionFilter() {
+        const selected = this.app.storyboardDragController ? this.app.storyboardDragController.selected || [] : [];
+        if (selected.length === 0) return null;
+        return this.normalizeFilter({ frames: selected.map(image => image.name) });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportFilterService;
+}
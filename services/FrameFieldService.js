@@ -0,0 +1,259 @@
+/**
+ * FrameFieldService - Structured text fields under each storyboard frame (Action, Dialogue, Camera, SFX…)
+ * Field definitions live in project.settings.frameFields, values in project.frameFieldTexts
+ * ({ [imageName]: { [fieldId]: text } }). Exporters and search read frame text through this service.
+ * Values are plain text or rich text (see utils/richText.js).
+ */
+class FrameFieldService {
+    constructor(app) {
+        this.app = app;
+        this.exportFieldIds = null; // Fields shown while an export re-renders the storyboard
+    }
+
+    /**
+     * Field definitions a new project starts with; only the first one is shown until the user turns others on
+     * @returns {Array} Field definitions
+     */
+    static getDefaultFields() {
+        return [
+            { id: 'action', label: 'Action', visible: true, pdf: true, showLabel: false, color: '', fontWeight: '', fontStyle: '' },
+            { id: 'dialogue', label: 'Dialogue', visible: false, pdf: false, showLabel: true, color: '', fontWeight: '', fontStyle: 'italic' },
+            { id: 'camera', label: 'Camera', visible: false, pdf: false, showLabel: true, color: '', fontWeight: '', fontStyle: '' },
+            { id: 'sfx', label: 'SFX', visible: false, pdf: false, showLabel: true, color: '', fontWeight: '', fontStyle: '' }
+        ];
+    }
+
+    /**
+     * Get the field definitions of the project, in display order
+     * @returns {Array} { id, label, visible, pdf, showLabel, color, fontWeight, fontStyle }
+     */
+    getFields() {
+        const settings = this.app.project.settings;
+        if (!Array.isArray(settings.frameFields) || settings.frameFields.length === 0) {
+            settings.frameFields = FrameFieldService.getDefaultFields();
+        }
+        return settings.frameFields;
+    }
+
+    getField(fieldId) {
+        return this.getFields().find(field => field.id === fieldId) || null;
+    }
+
+    /**
+     * Get the fields rendered under each frame - the export's choice while an export runs, else the visible ones
+     * At least one field is always rendered so a frame never loses its text box
+     * @returns {Array} Field definitions
+     */
+    getRenderedFields() {
+        const fields = this.getFields();
+        const rendered = this.exportFieldIds
+            ? fields.filter(field => this.exportFieldIds.includes(field.id))
+            : fields.filter(field => field.visible);
+        if (rendered.length > 0 || this.exportFieldIds) return rendered;
+        return [fields[0]];
+    }
+
+    /**
+     * Height of the text fields under a frame, used by the page layout
+     * The first field has the full text box height, further fields a compact one
+     * @param {number} frameTextScale - Frame text scale (0.3 - 1)
+     * @returns {number} Height in px
+     */
+    getTextBlockHeight(frameTextScale) {
+        const fields = this.getRenderedFields();
+        if (fields.length === 0) return 0;
+        const baseFirstFieldPx = 81; // 60px min-height + 16px padding + 5px margin
+        const baseExtraFieldPx = 41; // 20px min-height + 16px padding + 5px margin
+        const labelPx = 12;
+        const labels = fields.filter(field => field.showLabel).length;
+        return (baseFirstFieldPx + (fields.length - 1) * baseExtraFieldPx + labels * labelPx) * frameTextScale;
+    }
+
+    /**
+     * Get the text of one field of a frame
+     * @param {string} imageName - Image name
+     * @param {string} fieldId - Field id
+     * @returns {string}
+     */
+    getValue(imageName, fieldId) {
+        const values = this.app.project.frameFieldTexts && this.app.project.frameFieldTexts[imageName];
+        return (values && values[fieldId]) || '';
+    }
+
+    /**
+     * Set the text of one field of a frame; empty text removes it
+     * @param {string} imageName - Image name
+     * @param {string} fieldId - Field id
+     * @param {string} text - New text
+     */
+    setValue(imageName, fieldId, text) {
+        const project = this.app.project;
+        if (!project.frameFieldTexts) project.frameFieldTexts = {};
+        const values = project.frameFieldTexts[imageName] || {};
+        if (text) {
+            values[fieldId] = text;
+        } else {
+            delete values[fieldId];
+        }
+        if (Object.keys(values).length > 0) {
+            project.frameFieldTexts[imageName] = values;
+        } else {
+            delete project.frameFieldTexts[imageName];
+        }
+    }
+
+    /**
+     * Get the filled-in fields of a frame, for exporters
+     * @param {string} imageName - Image name
+     * @param {Object} options - { fieldIds: restrict to these fields, pdfOnly: only fields marked for PDF export }
+     * @returns {Array} { id, label, text, value } in field order; text is plain, value as stored (maybe rich)
+     */
+    getEntries(imageName, options = {}) {
+        return this.getFields()
+            .filter(field => !options.fieldIds || options.fieldIds.includes(field.id))
+            .filter(field => !options.pdfOnly || field.pdf)
+            .map(field => {
+                const value = this.getValue(imageName, field.id);
+                return { id: field.id, label: field.label, text: RichText.toPlainText(value), value };
+            })
+            .filter(entry => entry.text);
+    }
+
+    /**
+     * Whether exported text should name its fields
+     * A frame with only its first field filled in gives just that text, as before structured fields
+     */
+    shouldLabelEntries(entries, options) {
+        const firstId = this.getFields()[0].id;
+        return options.withLabels !== false && !(entries.length === 1 && entries[0].id === firstId);
+    }
+
+    /**
+     * Get a frame's fields as plain text, one field per paragraph
+     * @param {string} imageName - Image name
+     * @param {Object} options - Same as getEntries, plus withLabels (default true)
+     * @returns {string}
+     */
+    getPlainText(imageName, options = {}) {
+        const entries = this.getEntries(imageName, options);
+        const withLabels = this.shouldLabelEntries(entries, options);
+        return entries.map(entry => withLabels ? `${entry.label}: ${entry.text}` : entry.text).join('\n');
+    }
+
+    /**
+     * Get a frame's fields as formatted paragraphs (see RichText.toParagraphs), for exporters that draw text
+     * Field labels are prepended in bold the same way getPlainText prefixes them
+     * @param {string} imageName - Image name
+     * @param {Object} options - Same as getPlainText
+     * @returns {Array} { bullet, runs }
+     */
+    getParagraphs(imageName, options = {}) {
+        const entries = this.getEntries(imageName, options);
+        const withLabels = this.shouldLabelEntries(entries, options);
+        const paragraphs = [];
+        entries.forEach(entry => {
+            const entryParagraphs = RichText.toParagraphs(entry.value);
+            if (withLabels) {
+                const label = { text: `${entry.label}: `, bold: true, italic: false, underline: false, highlight: null };
+                if (entryParagraphs.length > 0 && !entryParagraphs[0].bullet) {
+                    entryParagraphs[0].runs.unshift(label);
+                } else {
+                    entryParagraphs.unshift({ bullet: false, runs: [label] });
+                }
+            }
+            paragraphs.push(...entryParagraphs);
+        });
+        return paragraphs;
+    }
+
+    /**
+     * Find frames whose field text contains a query (case-insensitive)
+     * @param {string} query - Text to find
+     * @param {Object} options - { fieldIds: restrict to these fields }
+     * @returns {Array} { image, fieldId, label, text } per matching field, in storyboard order
+     */
+    search(query, options = {}) {
+        const needle = String(query || '').trim().toLowerCase();
+        if (!needle) return [];
+        const results = [];
+        this.app.project.images.forEach(image => {
+            this.getEntries(image.name, options).forEach(entry => {
+                if (entry.text.toLowerCase().includes(needle)) {
+                    results.push({ image, fieldId: entry.id, label: entry.label, text: entry.text });
+                }
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Copy all field texts of a frame to another frame (e.g. a new alternate)
+     */
+    copyValues(fromName, toName) {
+        const values = this.app.project.frameFieldTexts && this.app.project.frameFieldTexts[fromName];
+        if (values) {
+            this.app.project.frameFieldTexts[toName] = { ...values };
+        }
+    }
+
+    /**
+     * Move all field texts of a frame to another frame (e.g. after the image was replaced or renamed)
+     * Texts already on the target frame are kept
+     */
+    moveValues(fromName, toName) {
+        const texts = this.app.project.frameFieldTexts;
+        if (!texts || !texts[fromName] || fromName === toName) return;
+        texts[toName] = { ...texts[fromName], ...(texts[toName] || {}) };
+        delete texts[fromName];
+    }
+
+    removeValues(imageName) {
+        if (this.app.project.frameFieldTexts) {
+            delete this.app.project.frameFieldTexts[imageName];
+        }
+    }
+
+    /**
+     * Create a field definition with an id that is not used in a list of fields
+     * @param {string} label - Field label
+     * @param {Array} fields - Fields the id must not clash with
+     * @returns {Object} New field definition (not added to the list)
+     */
+    createField(label, fields) {
+        const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'field';
+        let id = base;
+        let n = 2;
+        while (fields.some(field => field.id === id)) {
+            id = `${base}_${n++}`;
+        }
+        return { id, label, visible: true, pdf: true, showLabel: true, color: '', fontWeight: '', fontStyle: '' };
+    }
+
+    /**
+     * Replace the field definitions; text of removed fields is deleted from every frame
+     * @param {Array} fields - New definitions, in display order (at least one)
+     */
+    setFields(fields) {
+        if (!fields || fields.length === 0) return;
+        const ids = new Set(fields.map(field => field.id));
+        this.getFields().forEach(field => {
+            if (ids.has(field.id)) return;
+            Object.keys(this.app.project.frameFieldTexts || {}).forEach(name => this.setValue(name, field.id, ''));
+        });
+        this.app.project.settings.frameFields = fields;
+    }
+
+    /**
+     * Count the frames that have text in a field
+     * @param {string} fieldId - Field id
+     * @returns {number}
+     */
+    countValues(fieldId) {
+        return Object.values(this.app.project.frameFieldTexts || {}).filter(values => values[fieldId]).length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameFieldService;
+}
@@ -0,0 +1,121 @@
+/**
+ * FrameOverlayService - Framing guides over frames (safe areas, thirds grids, delivery crops)
+ * Overlay definitions live in project.settings.frameOverlays; where they show is one setting per view
+ * (storyboard, drawing editor, previs preview) and per export that can burn them in (PDF, video).
+ * Geometry and drawing are in utils/frameOverlays.js.
+ */
+class FrameOverlayService {
+    constructor(app) {
+        this.app = app;
+        this.exportBurnIn = null; // Whether the storyboard shows overlays while a PDF export re-renders it
+    }
+
+    static getTypes() {
+        return [
+            { id: 'safe', label: 'Safe area' },
+            { id: 'grid', label: 'Grid' },
+            { id: 'crop', label: 'Delivery crop' }
+        ];
+    }
+
+    /**
+     * Places overlays can be shown or burned in, with the setting that turns each on
+     */
+    static getTargets() {
+        return [
+            { id: 'storyboard', key: 'frameOverlaysStoryboard', label: 'Storyboard' },
+            { id: 'editor', key: 'frameOverlaysEditor', label: 'Drawing editor' },
+            { id: 'preview', key: 'frameOverlaysPreview', label: 'Previz preview' },
+            { id: 'pdf', key: 'frameOverlaysPdf', label: 'Burn into PDF export' },
+            { id: 'video', key: 'frameOverlaysVideo', label: 'Burn into video export' }
+        ];
+    }
+
+    /**
+     * Overlays a new project starts with; the safe areas are on, the others ready to switch on
+     * @returns {Array} Overlay definitions
+     */
+    static getDefaultOverlays() {
+        return [
+            { id: 'action-safe', name: 'Action safe', type: 'safe', enabled: true, size: 93, color: '#00e5ff', opacity: 80 },
+            { id: 'title-safe', name: 'Title safe', type: 'safe', enabled: true, size: 90, color: '#ffd400', opacity: 80 },
+            { id: 'thirds', name: 'Rule of thirds', type: 'grid', enabled: false, rows: 3, cols: 3, color: '#ffffff', opacity: 60 },
+            { id: 'crop-9-16', name: 'Vertical 9:16', type: 'crop', enabled: false, ratio: '9:16', shade: true, color: '#ff4081', opacity: 90 },
+            { id: 'crop-4-5', name: 'Portrait 4:5', type: 'crop', enabled: false, ratio: '4:5', shade: false, color: '#b388ff', opacity: 90 },
+            { id: 'crop-1-1', name: 'Square 1:1', type: 'crop', enabled: false, ratio: '1:1', shade: false, color: '#69f0ae', opacity: 90 }
+        ];
+    }
+
+    /**
+     * Get the overlay definitions of the project
+     * @returns {Array} { id, name, type, enabled, color, opacity, size | rows, cols | ratio, shade }
+     */
+    getOverlays() {
+        const settings = this.app.project.settings;
+        if (!Array.isArray(settings.frameOverlays)) {
+            settings.frameOverlays = FrameOverlayService.getDefaultOverlays();
+        }
+        return settings.frameOverlays;
+    }
+
+    /**
+     * Replace the overlay definitions; invalid types and empty crop ratios are dropped
+     * @param {Array} overlays - Overlay definitions
+     */
+    setOverlays(overlays) {
+        const types = FrameOverlayService.getTypes().map(type => type.id);
+        this.app.project.settings.frameOverlays = overlays
+            .filter(overlay => types.includes(overlay.type))
+            .filter(overlay => overlay.type !== 'crop' || FrameOverlays.parseOverlayRatio(overlay.ratio))
+            .map((overlay, index) => Object.assign({}, overlay, {
+                id: overlay.id || `overlay-${Date.now()}-${index}`,
+                name: String(overlay.name || '').trim() || 'Overlay',
+                enabled: !!overlay.enabled
+            }));
+    }
+
+    getEnabledOverlays() {
+        return this.getOverlays().filter(overlay => overlay.enabled);
+    }
+
+    /**
+     * Whether overlays are shown in a view or burned into an export
+     * @param {string} target - Target id from getTargets
+     */
+    isShown(target) {
+        const entry = FrameOverlayService.getTargets().find(item => item.id === target);
+        return !!(entry && this.app.project.settings[entry.key]);
+    }
+
+    /**
+     * Turn overlays on or off for a target
+     * @param {string} target - Target id from getTargets
+     * @param {boolean} shown - Optional; flips the current state if left out
+     * @returns {boolean} The new state
+     */
+    setShown(target, shown = null) {
+        const entry = FrameOverlayService.getTargets().find(item => item.id === target);
+        if (!entry) return false;
+        const next = shown === null ? !this.app.project.settings[entry.key] : !!shown;
+        this.app.project.settings[entry.key] = next;
+        return next;
+    }
+
+    /**
+     * Overlays to draw in a view or export - none when the target is off
+     * The storyboard follows the export's choice while a PDF export re-renders it
+     * @param {string} target - Target id from getTargets
+     * @returns {Array} Overlay definitions
+     */
+    getOverlaysFor(target) {
+        const shown = target === 'storyboard' && this.exportBurnIn !== null
+            ? this.exportBurnIn
+            : this.isShown(target);
+        return shown ? this.getEnabledOverlays() : [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameOverlayService;
+}
@@ -0,0 +1,434 @@
+/**
+ * LayeredImageImportService - Import layered .psd and .ora files as frames with edit layers
+ * The bottom layer becomes the frame's base image (image.url) when it is a plain opaque layer;
+ * every other layer becomes an entry in image.editLayers with its name, opacity, visibility
+ * and blending mode, so DrawingCanvas.loadEditLayerData shows them as separate layers.
+ * Features the drawing canvas has no equivalent for (groups, masks, clipping, effects, text,
+ * unsupported blend modes) are rasterized or dropped and reported back as warnings.
+ */
+
+// Blending modes DrawingCanvas.setLayerBlendingMode understands
+const LAYERED_IMPORT_BLEND_MODES = [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+    'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion'
+];
+
+class LayeredImageImportService {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Check whether a file is a layered document this service can read
+     * @param {File} file - File to check
+     * @returns {boolean} True for .psd and .ora files
+     */
+    isLayeredFile(file) {
+        return !!file && /\.(psd|ora)$/i.test(file.name || '');
+    }
+
+    /**
+     * Read the frame fields of an imported file when it is a layered document
+     * Layered documents keep their layers as edit layers over a base image; every import path goes through here
+     * @param {File} file - Imported file
+     * @returns {Promise<Object|null>} { fields: { url, editLayers }, warnings }, or null if the file is not layered
+     */
+    async importFile(file) {
+        if (!this.isLayeredFile(file)) return null;
+        const layered = await this.readLayeredFile(file);
+        return { fields: { url: layered.url, editLayers: layered.editLayers }, warnings: layered.warnings };
+    }
+
+    /**
+     * Read a layered file into a base image URL and edit layers
+     * @param {File} file - .psd or .ora file
+     * @returns {Promise<Object>} { url, width, height, editLayers, warnings }
+     */
+    async readLayeredFile(file) {
+        const buffer = await file.arrayBuffer();
+        const doc = /\.ora$/i.test(file.name)
+            ? await this.parseORA(buffer)
+            : this.parsePSD(buffer);
+        return this.buildFrame(doc);
+    }
+
+    /**
+     * Parse a PSD with ag-psd into the common layer tree
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} { width, height, layers } with layers ordered bottom to top
+     */
+    parsePSD(buffer) {
+        if (typeof agPsd === 'undefined') {
+            throw new Error('PSD support is not available (ag-psd failed to load)');
+        }
+        const psd = agPsd.readPsd(buffer, { skipCompositeImageData: true, skipThumbnail: true });
+
+        const convert = (layer) => {
+            const features = [];
+            if (layer.text) features.push('text rasterized');
+            if (layer.placedLayer) features.push('smart object rasterized');
+            if (layer.vectorMask || layer.vectorFill) features.push('vector shape rasterized');
+            if (layer.effects && !layer.effects.disabled) features.push('layer effects dropped');
+            if (layer.adjustment) features.push('adjustment layer dropped');
+
+            let opacity = layer.opacity !== undefined ? layer.opacity : 1;
+            if (layer.fillOpacity !== undefined && layer.fillOpacity < 1) {
+                opacity *= layer.fillOpacity;
+                features.push('fill opacity merged into opacity');
+            }
+
+            return {
+                name: layer.name || 'Layer',
+                hidden: !!layer.hidden,
+                opacity,
+                blendMode: String(layer.blendMode || 'normal').replace(/\s+/g, '-'),
+                canvas: layer.adjustment ? null : (layer.canvas || null),
+                left: layer.left || 0,
+                top: layer.top || 0,
+                clipping: !!layer.clipping,
+                mask: layer.mask && layer.mask.canvas && !layer.mask.disabled ? {
+                    canvas: layer.mask.canvas,
+                    left: layer.mask.left || 0,
+                    top: layer.mask.top || 0,
+                    defaultColor: layer.mask.defaultColor || 0
+                } : null,
+                // ag-psd lists children bottom to top
+                children: layer.children ? layer.children.map(convert) : null,
+                features
+            };
+        };
+
+        return {
+            width: psd.width,
+            height: psd.height,
+            layers: (psd.children || []).map(convert)
+        };
+    }
+
+    /**
+     * Parse an OpenRaster file (zip with stack.xml and PNG layers) into the common layer tree
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Promise<Object>} { width, height, layers } with layers ordered bottom to top
+     */
+    async parseORA(buffer) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('OpenRaster support is not available (JSZip failed to load)');
+        }
+        const zip = await JSZip.loadAsync(buffer);
+        const stackFile = zip.file('stack.xml');
+        if (!stackFile) {
+            throw new Error('Not an OpenRaster file (stack.xml missing)');
+        }
+
+        const xml = new DOMParser().parseFromString(await stackFile.async('string'), 'application/xml');
+        const imageEl = xml.querySelector('image');
+        const rootStack = imageEl && imageEl.querySelector(':scope > stack');
+        if (!imageEl || !rootStack) {
+            throw new Error('Invalid OpenRaster stack.xml');
+        }
+
+        const blendMode = (el) => {
+            const op = (el.getAttribute('composite-op') || 'svg:src-over').replace(/^svg:/, '');
+            return op === 'src-over' ? 'normal' : op;
+        };
+
+        const convertStack = async (stackEl) => {
+            const nodes = [];
+            for (const el of Array.from(stackEl.children)) {
+                const node = {
+                    name: el.getAttribute('name') || (el.tagName === 'stack' ? 'Group' : 'Layer'),
+                    hidden: el.getAttribute('visibility') === 'hidden',
+                    opacity: el.hasAttribute('opacity') ? parseFloat(el.getAttribute('opacity')) : 1,
+                    blendMode: blendMode(el),
+                    canvas: null,
+                    left: parseInt(el.getAttribute('x')) || 0,
+                    top: parseInt(el.getAttribute('y')) || 0,
+                    clipping: false,
+                    mask: null,
+                    children: null,
+                    features: []
+                };
+
+                if (el.tagName === 'stack') {
+                    node.children = await convertStack(el);
+                } else if (el.tagName === 'layer') {
+                    const src = el.getAttribute('src');
+                    const entry = src ? zip.file(src) : null;
+                    if (entry) {
+                        node.canvas = await this.blobToCanvas(await entry.async('blob'));
+                    }
+                } else {
+                    continue;
+                }
+                nodes.push(node);
+            }
+            // stack.xml lists the topmost layer first
+            return nodes.reverse();
+        };
+
+        return {
+            width: parseInt(imageEl.getAttribute('w')),
+            height: parseInt(imageEl.getAttribute('h')),
+            layers: await convertStack(rootStack)
+        };
+    }
+
+    /**
+     * Decode an image blob into a canvas
+     * @param {Blob} blob - PNG data
+     * @returns {Promise<HTMLCanvasElement>} Canvas with the decoded pixels
+     */
+    blobToCanvas(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                canvas.getContext('2d').drawImage(img, 0, 0);
+                URL.revokeObjectURL(url);
+                resolve(canvas);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to decode layer image'));
+            };
+            img.src = url;
+        });
+    }
+
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Canvas globalCompositeOperation for a layer blend mode (canvas knows more modes than the layer panel)
+     */
+    compositeOperation(blendMode) {
+        const canvasModes = LAYERED_IMPORT_BLEND_MODES.concat(['hue', 'saturation', 'color', 'luminosity']);
+        if (blendMode === 'normal' || blendMode === 'pass-through' || !canvasModes.includes(blendMode)) {
+            return 'source-over';
+        }
+        return blendMode;
+    }
+
+    /**
+     * Draw a node's own pixels (with its layer mask applied) onto a document-size canvas
+     * @param {Object} node - Layer node
+     * @param {number} width - Document width
+     * @param {number} height - Document height
+     * @returns {HTMLCanvasElement} Document-size canvas
+     */
+    rasterizeNode(node, width, height) {
+        const canvas = this.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        if (node.children) {
+            node.children.forEach(child => {
+                if (child.hidden) return;
+                const childCanvas = this.rasterizeNode(child, width, height);
+                ctx.globalAlpha = child.opacity;
+                ctx.globalCompositeOperation = this.compositeOperation(child.blendMode);
+                ctx.drawImage(childCanvas, 0, 0);
+            });
+            ctx.globalAlpha = 1;
+            ctx.globalCompositeOperation = 'source-over';
+        } else if (node.canvas) {
+            ctx.drawImage(node.canvas, node.left, node.top);
+        }
+
+        if (node.mask) {
+            this.applyMask(canvas, node.mask);
+        }
+        return canvas;
+    }
+
+    /**
+     * Apply a grayscale layer mask to a document-size canvas
+     */
+    applyMask(canvas, mask) {
+        const maskCanvas = this.createCanvas(canvas.width, canvas.height);
+        const maskCtx = maskCanvas.getContext('2d');
+        maskCtx.fillStyle = `rgba(0, 0, 0, ${mask.defaultColor / 255})`;
+        maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
+
+        // Convert mask luminance to alpha
+        const source = mask.canvas.getContext('2d').getImageData(0, 0, mask.canvas.width, mask.canvas.height);
+        for (let i = 0; i < source.data.length; i += 4) {
+            source.data[i + 3] = source.data[i];
+        }
+        maskCtx.clearRect(mask.left, mask.top, mask.canvas.width, mask.canvas.height);
+        maskCtx.putImageData(source, mask.left, mask.top);
+
+        const ctx = canvas.getContext('2d');
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(maskCanvas, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    /**
+     * Turn the layer tree into flat layers the drawing canvas can show
+     * @param {Object} doc - { width, height, layers } from parsePSD / parseORA
+     * @returns {Object} { width, height, layers, warnings }
+     */
+    flattenDocument(doc) {
+        const { width, height } = doc;
+        const warnings = [];
+        const warn = (node, text) => warnings.push(`"${node.name}": ${text}`);
+        const layers = [];
+
+        doc.layers.forEach(node => {
+            node.features.forEach(feature => warn(node, feature));
+
+            // Clipped layers are merged into the layer they clip to
+            if (node.clipping && layers.length > 0) {
+                const base = layers[layers.length - 1];
+                if (!node.hidden) {
+                    // Clipping is drawn in document coordinates
+                    if (base.left !== 0 || base.top !== 0 || base.canvas.width !== width || base.canvas.height !== height) {
+                        const documentCanvas = this.createCanvas(width, height);
+                        documentCanvas.getContext('2d').drawImage(base.canvas, base.left, base.top);
+                        base.canvas = documentCanvas;
+                        base.left = 0;
+                        base.top = 0;
+                    }
+                    const clipped = this.rasterizeNode(node, width, height);
+                    const clipCtx = clipped.getContext('2d');
+                    clipCtx.globalCompositeOperation = 'destination-in';
+                    clipCtx.drawImage(base.canvas, 0, 0);
+
+                    const baseCtx = base.canvas.getContext('2d');
+                    baseCtx.globalAlpha = node.opacity;
+                    baseCtx.globalCompositeOperation = this.compositeOperation(node.blendMode);
+                    baseCtx.drawImage(clipped, 0, 0);
+                    baseCtx.globalAlpha = 1;
+                    baseCtx.globalCompositeOperation = 'source-over';
+                }
+                warn(node, `clipping mask merged into "${base.name}"`);
+                return;
+            }
+
+            if (node.children) {
+                warn(node, `group of ${node.children.length} layer${node.children.length !== 1 ? 's' : ''} flattened`);
+            } else if (!node.canvas) {
+                return; // Nothing to show (empty or adjustment layer)
+            }
+            if (node.mask) {
+                warn(node, 'layer mask applied');
+            }
+
+            let blendingMode = node.blendMode;
+            if (blendingMode === 'pass-through') {
+                blendingMode = 'normal';
+            } else if (!LAYERED_IMPORT_BLEND_MODES.includes(blendingMode)) {
+                warn(node, `blend mode "${blendingMode.replace(/-/g, ' ')}" shown as Normal`);
+                blendingMode = 'normal';
+            }
+
+            // Plain layers keep their own bounds; anything rasterized covers the whole document
+            const keepBounds = !node.children && !node.mask;
+            layers.push({
+                name: node.name,
+                visible: !node.hidden,
+                opacity: node.opacity,
+                blendingMode,
+                canvas: keepBounds ? node.canvas : this.rasterizeNode(node, width, height),
+                left: keepBounds ? node.left : 0,
+                top: keepBounds ? node.top : 0
+            });
+        });
+
+        return { width, height, layers, warnings };
+    }
+
+    /**
+     * Build the frame data: scaled base image plus edit layers
+     * @param {Object} doc - Parsed document
+     * @returns {Object} { url, width, height, editLayers, warnings }
+     */
+    buildFrame(doc) {
+        const flat = this.flattenDocument(doc);
+
+        // Scale down like regular imports so project files stay manageable
+        const compSettings = this.app.project.settings.imageCompression || {};
+        const maxSize = compSettings.enabled !== false ? (compSettings.maxWidthOrHeight || 1920) : Infinity;
+        const scale = Math.min(1, maxSize / Math.max(flat.width, flat.height));
+        const width = Math.round(flat.width * scale);
+        const height = Math.round(flat.height * scale);
+        const format = compSettings.format === 'jpeg' ? 'png' : (compSettings.format || 'png'); // Layers need alpha
+        const quality = compSettings.quality || 0.75;
+
+        // A plain opaque bottom layer becomes the frame's base image, otherwise start from white paper
+        const layers = flat.layers.slice();
+        const bottom = layers[0];
+        const useBottomAsBase = bottom && bottom.visible && bottom.opacity >= 1 && bottom.blendingMode === 'normal';
+
+        const base = this.createCanvas(width, height);
+        const baseCtx = base.getContext('2d');
+        baseCtx.fillStyle = '#ffffff';
+        baseCtx.fillRect(0, 0, width, height);
+        if (useBottomAsBase) {
+            layers.shift();
+            baseCtx.drawImage(bottom.canvas, bottom.left * scale, bottom.top * scale, bottom.canvas.width * scale, bottom.canvas.height * scale);
+        }
+
+        const editLayers = layers.map(layer => {
+            const layerWidth = Math.max(1, Math.round(layer.canvas.width * scale));
+            const layerHeight = Math.max(1, Math.round(layer.canvas.height * scale));
+            const scaled = this.createCanvas(layerWidth, layerHeight);
+            scaled.getContext('2d').drawImage(layer.canvas, 0, 0, layerWidth, layerHeight);
+
+            return {
+                name: layer.name,
+                visible: layer.visible,
+                opacity: Math.round(layer.opacity * 100),
+                blendingMode: layer.blendingMode,
+                filters: [],
+                shapes: [{
+                    className: 'Image',
+                    attrs: {
+                        name: 'imported-layer',
+                        x: layer.left * scale,
+                        y: layer.top * scale,
+                        width: layerWidth,
+                        height: layerHeight,
+                        imageSrc: scaled.toDataURL(`image/${format}`, quality)
+                    }
+                }]
+            };
+        });
+
+        return {
+            url: base.toDataURL(`image/${compSettings.format || 'webp'}`, quality),
+            width,
+            height,
+            editLayers,
+            warnings: flat.warnings
+        };
+    }
+
+    /**
+     * Tell the user which layer features were flattened or dropped
+     * @param {Array} reports - { fileName, warnings } per imported file
+     */
+    async showWarnings(reports) {
+        const withWarnings = reports.filter(report => report.warnings && report.warnings.length > 0);
+        if (withWarnings.length === 0) return;
+
+        const lines = withWarnings.map(report =>
+            `${report.fileName}:\n${report.warnings.map(warning => `  • ${warning}`).join('\n')}`
+        );
+        await this.app.customAlert(
+            `Some layer features have no equivalent in the drawing canvas and were flattened:\n\n${lines.join('\n\n')}`
+        );
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayeredImageImportService;
+}
@@ -3,7 +3,7 @@
  * Handles layout calculations and page sizing
  */
 
-import { PAGE_SIZES, LAYOUT_CONSTANTS, IMAGE_ASPECT_RATIO } from '../config/constants.js';
+import { PAGE_SIZES, getPageSizes, LAYOUT_CONSTANTS, IMAGE_ASPECT_RATIO } from '../config/constants.js';
 import { calculateOptimalLayout } from '../utils/math.js';
 
 class LayoutService {
@@ -14,10 +14,12 @@ class LayoutService {
     /**
      * Get page size dimensions
      * @param {string} pageSizeName - Page size name (e.g., 'A4')
+     * @param {Array} customPageSizes - The project's custom paper sizes
      * @returns {Object} Page size object with width and height in mm
      */
-    getPageSize(pageSizeName) {
-        return this.pageSizes[pageSizeName] || this.pageSizes['A4'];
+    getPageSize(pageSizeName, customPageSizes = []) {
+        const pageSizes = customPageSizes.length > 0 ? getPageSizes(customPageSizes) : this.pageSizes;
+        return pageSizes[pageSizeName] || this.pageSizes['A4'];
     }
 
     /**
@@ -27,13 +29,16 @@ class LayoutService {
      * @returns {Object} Layout object with rows and cols
      */
     calculateLayout(imagesPerPage, settings) {
-        const pageSize = this.getPageSize(settings.pageSize);
+        const pageSize = this.getPageSize(settings.pageSize, settings.customPageSizes || []);
         const orientation = settings.orientation;
         
         return calculateOptimalLayout(imagesPerPage, pageSize, orientation, {
             pageText: settings.pageText,
             imageScale: settings.imageScale || 100,
-            imageAspectRatio: IMAGE_ASPECT_RATIO
+            // Frame height / width from the project (and per-scene) frame aspect ratio
+            imageAspectRatio: typeof FrameAspect !== 'undefined'
+                ? FrameAspect.getLayoutHeightRatio(settings)
+                : IMAGE_ASPECT_RATIO
         });
     }
 
@@ -43,7 +48,7 @@ class LayoutService {
      * @returns {number} Maximum images per page
      */
     getMaxImagesPerPage(settings) {
-        const pageSize = this.getPageSize(settings.pageSize);
+        const pageSize = this.getPageSize(settings.pageSize, settings.customPageSizes || []);
         const orientation = settings.orientation;
         
         // Calculate based on minimum frame size
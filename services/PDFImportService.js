@@ -0,0 +1,390 @@
+/**
+ * PDFImportService - Imports storyboard frames from multi-page PDF documents
+ * Rasterizes each page with pdf.js, optionally slices it into a rows × columns
+ * panel grid and numbers the panels in reading order
+ */
+class PDFImportService {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Check whether pdf.js is loaded
+     * @returns {boolean} True if PDF import is available
+     */
+    isAvailable() {
+        return typeof window !== 'undefined' && typeof window.pdfjsLib !== 'undefined';
+    }
+
+    /**
+     * Show PDF import dialog, then import the selected file
+     * @returns {Promise<Array|null>} Imported images or null if cancelled
+     */
+    async showImportDialog() {
+        if (!this.isAvailable()) {
+            await this.app.customAlert('PDF library not loaded. Please refresh the page.');
+            return null;
+        }
+
+        const defaultRows = this.app.project.settings.layoutRows || 2;
+        const defaultCols = this.app.project.settings.layoutCols || 3;
+        const nextScene = this.app.imageManager.getNextSceneNumber();
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 560px;">
+                    <div class="modal-header">
+                        <h2>Import PDF Storyboard</h2>
+                        <span class="close" id="pdfImportClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div style="margin-bottom: 16px;">
+                            <label for="pdfImportFile" style="display: block; margin-bottom: 8px;">PDF File:</label>
+                            <input type="file" id="pdfImportFile" accept="application/pdf,.pdf" style="width: 100%;">
+                            <div id="pdfImportInfo" style="font-size: 11px; color: #888; margin-top: 4px;"></div>
+                        </div>
+                        <div style="margin-bottom: 16px;">
+                            <label style="display: block; margin-bottom: 8px;">Panels per Page (rows × columns):</label>
+                            <div style="display: flex; gap: 8px; align-items: center;">
+                                <input type="number" id="pdfImportRows" min="1" max="10" value="${defaultRows}" style="flex: 1; padding: 8px;">
+                                <span>×</span>
+                                <input type="number" id="pdfImportCols" min="1" max="10" value="${defaultCols}" style="flex: 1; padding: 8px;">
+                            </div>
+                            <div style="font-size: 11px; color: #888; margin-top: 4px;">
+                                Use 1 × 1 to import each page as a single frame. Defaults match the current page layout.
+                            </div>
+                        </div>
+                        <div style="margin-bottom: 16px;">
+                            <label for="pdfImportMargin" style="display: block; margin-bottom: 8px;">Trim Page Margin (%):</label>
+                            <input type="number" id="pdfImportMargin" min="0" max="25" step="0.5" value="0" style="width: 100%; padding: 8px;">
+                        </div>
+                        <div style="margin-bottom: 16px;">
+                            <label for="pdfImportNumbering" style="display: block; margin-bottom: 8px;">Numbering (reading order):</label>
+                            <select id="pdfImportNumbering" style="width: 100%; padding: 8px;">
+                                <option value="panel">Each panel is a new shot</option>
+                                <option value="page">Each page is a shot, panels are frames</option>
+                            </select>
+                        </div>
+                        <div style="margin-bottom: 16px; display: flex; gap: 8px;">
+                            <div style="flex: 1;">
+                                <label for="pdfImportScene" style="display: block; margin-bottom: 8px;">Scene:</label>
+                                <input type="number" id="pdfImportScene" min="1" value="${nextScene}" style="width: 100%; padding: 8px;">
+                            </div>
+                            <div style="flex: 1;">
+                                <label for="pdfImportShot" style="display: block; margin-bottom: 8px;">First Shot:</label>
+                                <input type="number" id="pdfImportShot" min="1" value="1" style="width: 100%; padding: 8px;">
+                            </div>
+                        </div>
+                        <label style="display: flex; align-items: center; gap: 10px; cursor: pointer; margin-bottom: 16px;">
+                            <input type="checkbox" id="pdfImportSkipBlank" checked style="width: auto; margin: 0;">
+                            <span>Skip empty panels</span>
+                        </label>
+                        <div id="pdfImportProgressContainer" style="display: none; margin-bottom: 16px;">
+                            <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+                                <span>Progress:</span>
+                                <span id="pdfImportProgressText">0%</span>
+                            </div>
+                            <div style="width: 100%; height: 20px; background: #333; border-radius: 4px; overflow: hidden;">
+                                <div id="pdfImportProgressBar" style="width: 0%; height: 100%; background: #007acc; transition: width 0.3s;"></div>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="pdfImportCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="pdfImportStartBtn" class="btn btn-primary" disabled>Import</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const fileInput = document.getElementById('pdfImportFile');
+            const infoDiv = document.getElementById('pdfImportInfo');
+            const startBtn = document.getElementById('pdfImportStartBtn');
+            const cancelBtn = document.getElementById('pdfImportCancelBtn');
+            let selectedFile = null;
+            let isImporting = false;
+
+            fileInput.addEventListener('change', async () => {
+                selectedFile = fileInput.files[0] || null;
+                startBtn.disabled = !selectedFile;
+                infoDiv.textContent = '';
+                if (!selectedFile) return;
+                try {
+                    const pdf = await this.loadDocument(selectedFile);
+                    infoDiv.textContent = `${pdf.numPages} page${pdf.numPages !== 1 ? 's' : ''}`;
+                    pdf.destroy();
+                } catch (error) {
+                    infoDiv.textContent = 'Could not read PDF: ' + error.message;
+                    startBtn.disabled = true;
+                }
+            });
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                if (isImporting) return;
+                closeModal();
+                resolve(null);
+            };
+
+            document.getElementById('pdfImportClose').addEventListener('click', handleCancel);
+            cancelBtn.addEventListener('click', handleCancel);
+
+            startBtn.addEventListener('click', async () => {
+                if (!selectedFile) return;
+
+                const options = {
+                    rows: Math.max(1, parseInt(document.getElementById('pdfImportRows').value) || 1),
+                    cols: Math.max(1, parseInt(document.getElementById('pdfImportCols').value) || 1),
+                    marginPercent: Math.min(25, Math.max(0, parseFloat(document.getElementById('pdfImportMargin').value) || 0)),
+                    numbering: document.getElementById('pdfImportNumbering').value,
+                    startScene: Math.max(1, parseInt(document.getElementById('pdfImportScene').value) || 1),
+                    startShot: Math.max(1, parseInt(document.getElementById('pdfImportShot').value) || 1),
+                    skipBlank: document.getElementById('pdfImportSkipBlank').checked
+                };
+
+                isImporting = true;
+                startBtn.disabled = true;
+                cancelBtn.disabled = true;
+                document.getElementById('pdfImportProgressContainer').style.display = 'block';
+
+                try {
+                    const images = await this.importPDF(selectedFile, options, (pageNumber, totalPages) => {
+                        const progress = ((pageNumber - 1) / totalPages) * 100;
+                        document.getElementById('pdfImportProgressBar').style.width = progress + '%';
+                        document.getElementById('pdfImportProgressText').textContent = `Page ${pageNumber} of ${totalPages}`;
+                    });
+                    await this.app.imageManager.addImportedImages(images);
+                    closeModal();
+                    this.app.showToast(`Imported ${images.length} frame${images.length !== 1 ? 's' : ''} from PDF`);
+                    resolve(images);
+                } catch (error) {
+                    console.error('PDF import error:', error);
+                    closeModal();
+                    await this.app.customAlert('Error importing PDF: ' + error.message);
+                    resolve(null);
+                }
+            });
+
+            // Close on outside click
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    handleCancel();
+                }
+            });
+        });
+    }
+
+    /**
+     * Load a PDF document from a File
+     * @param {File} file - PDF file
+     * @returns {Promise<Object>} pdf.js document proxy
+     */
+    async loadDocument(file) {
+        if (!this.isAvailable()) {
+            throw new Error('PDF library not loaded. Please refresh the page.');
+        }
+        if (window.pdfjsLib.GlobalWorkerOptions && !window.pdfjsLib.GlobalWorkerOptions.workerSrc) {
+            window.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+        }
+        const data = await file.arrayBuffer();
+        return window.pdfjsLib.getDocument({ data }).promise;
+    }
+
+    /**
+     * Render a single PDF page to a canvas
+     * @param {Object} pdf - pdf.js document proxy
+     * @param {number} pageNumber - 1-based page number
+     * @param {number} targetPanelWidth - Desired width of one panel in pixels
+     * @param {number} cols - Number of panel columns on the page
+     * @returns {Promise<HTMLCanvasElement>} Rendered page
+     */
+    async renderPage(pdf, pageNumber, targetPanelWidth, cols) {
+        const page = await pdf.getPage(pageNumber);
+        const baseViewport = page.getViewport({ scale: 1 });
+        // Render large enough that each panel reaches the target width, within sane limits
+        const scale = Math.max(1, Math.min(4, (targetPanelWidth * cols) / baseViewport.width));
+        const viewport = page.getViewport({ scale });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        const ctx = canvas.getContext('2d');
+        // PDF pages have no background - paint white so transparent areas don't turn black
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        await page.render({ canvasContext: ctx, viewport }).promise;
+        page.cleanup();
+        return canvas;
+    }
+
+    /**
+     * Slice a page canvas into a grid of panels (reading order: left→right, top→bottom)
+     * @param {HTMLCanvasElement} pageCanvas - Rendered page
+     * @param {number} rows - Panel rows
+     * @param {number} cols - Panel columns
+     * @param {number} marginPercent - Page margin to trim before slicing (0-25)
+     * @returns {Array<HTMLCanvasElement>} Panel canvases
+     */
+    slicePage(pageCanvas, rows, cols, marginPercent = 0) {
+        const marginX = pageCanvas.width * (marginPercent / 100);
+        const marginY = pageCanvas.height * (marginPercent / 100);
+        const areaWidth = pageCanvas.width - marginX * 2;
+        const areaHeight = pageCanvas.height - marginY * 2;
+        const cellWidth = areaWidth / cols;
+        const cellHeight = areaHeight / rows;
+        const panels = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const panel = document.createElement('canvas');
+                panel.width = Math.round(cellWidth);
+                panel.height = Math.round(cellHeight);
+                panel.getContext('2d').drawImage(
+                    pageCanvas,
+                    marginX + col * cellWidth, marginY + row * cellHeight, cellWidth, cellHeight,
+                    0, 0, panel.width, panel.height
+                );
+                panels.push(panel);
+            }
+        }
+
+        return panels;
+    }
+
+    /**
+     * Check whether a panel is (almost) a single flat colour, i.e. an empty grid cell
+     * @param {HTMLCanvasElement} canvas - Panel canvas
+     * @returns {boolean} True if blank
+     */
+    isBlankPanel(canvas) {
+        // Sample a downscaled copy to keep this cheap
+        const sample = document.createElement('canvas');
+        sample.width = 32;
+        sample.height = 32;
+        const ctx = sample.getContext('2d');
+        ctx.drawImage(canvas, 0, 0, sample.width, sample.height);
+        const data = ctx.getImageData(0, 0, sample.width, sample.height).data;
+
+        let min = 255;
+        let max = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            if (luma < min) min = luma;
+            if (luma > max) max = luma;
+        }
+        return max - min < 12;
+    }
+
+    /**
+     * Convert a canvas to a File so it can go through the normal image loading path
+     * @param {HTMLCanvasElement} canvas - Source canvas
+     * @param {string} name - File name
+     * @returns {Promise<File>} PNG file
+     */
+    canvasToFile(canvas, name) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Failed to rasterize PDF panel'));
+                    return;
+                }
+                resolve(new File([blob], name, { type: 'image/png' }));
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Import a PDF into storyboard image objects
+     * @param {File} file - PDF file
+     * @param {Object} options - Import options
+     * @param {number} options.rows - Panel rows per page (1 = whole page)
+     * @param {number} options.cols - Panel columns per page (1 = whole page)
+     * @param {string} options.numbering - 'panel' (each panel is a shot) or 'page' (each page is a shot, panels are frames)
+     * @param {number} options.startScene - Scene number for all imported frames
+     * @param {number} options.startShot - First shot number
+     * @param {number} options.marginPercent - Page margin to trim before slicing
+     * @param {boolean} options.skipBlank - Skip empty grid cells
+     * @param {Function} onProgress - Called with (pageNumber, totalPages)
+     * @returns {Promise<Array>} Image objects ready for ImageManager.addImportedImages
+     */
+    async importPDF(file, options = {}, onProgress = null) {
+        const {
+            rows = 1,
+            cols = 1,
+            numbering = 'panel',
+            startScene = 1,
+            startShot = 1,
+            marginPercent = 0,
+            skipBlank = true
+        } = options;
+
+        const pdf = await this.loadDocument(file);
+        const compSettings = this.app.project.settings.imageCompression || {};
+        const targetPanelWidth = compSettings.maxWidthOrHeight || 1920;
+        const baseName = file.name.replace(/\.[^/.]+$/, '').replace(/[^a-z0-9_-]/gi, '_');
+        const sceneNumber = this.app.imageManager.padNumber(startScene);
+        const images = [];
+        let shot = startShot;
+
+        try {
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                if (onProgress) onProgress(pageNumber, pdf.numPages);
+
+                const pageCanvas = await this.renderPage(pdf, pageNumber, targetPanelWidth, cols);
+                const panels = rows * cols > 1
+                    ? this.slicePage(pageCanvas, rows, cols, marginPercent)
+                    : [pageCanvas];
+
+                let frame = 1;
+                let pageHadPanels = false;
+                for (let panelIndex = 0; panelIndex < panels.length; panelIndex++) {
+                    const panel = panels[panelIndex];
+                    if (skipBlank && panels.length > 1 && this.isBlankPanel(panel)) {
+                        continue;
+                    }
+
+                    const name = `${baseName}_p${String(pageNumber).padStart(3, '0')}_${String(panelIndex + 1).padStart(2, '0')}.png`;
+                    const panelFile = await this.canvasToFile(panel, name);
+                    const image = await this.app.imageManager.loadImageFile(panelFile);
+
+                    image.sceneNumber = sceneNumber;
+                    image.scene = sceneNumber;
+                    image.shotNumber = this.app.imageManager.padNumber(shot);
+                    image.frameNumber = this.app.imageManager.padNumber(numbering === 'page' ? frame : 1);
+                    image.generated = true; // No file on disk, so a folder re-import must not drop it
+                    images.push(image);
+
+                    pageHadPanels = true;
+                    if (numbering === 'page') {
+                        frame++;
+                    } else {
+                        shot++;
+                    }
+                }
+
+                if (numbering === 'page' && pageHadPanels) {
+                    shot++;
+                }
+            }
+        } finally {
+            pdf.destroy();
+        }
+
+        return images;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFImportService;
+}
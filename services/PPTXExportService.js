@@ -0,0 +1,411 @@
+/**
+ * PPTXExportService - Storyboard as a PowerPoint presentation
+ * Slides are taken from the rendered storyboard, so they follow the current layout, aspect ratio, overlays and
+ * watermark: either one slide per page, or one 16:9 slide per frame with its label and the project's watermark.
+ * The cover page (createCoverPage) opens the deck as its title slide, scenes can open with a title slide, and
+ * frame text goes into the speaker notes. The options live in project.settings.pptxExport.
+ */
+class PPTXExportService {
+    constructor(app) {
+        this.app = app;
+        this.isExporting = false;
+    }
+
+    static getModes() {
+        return [
+            { id: 'frame', label: 'One frame per slide' },
+            { id: 'page', label: 'One page per slide' }
+        ];
+    }
+
+    static getDefaultConfig() {
+        return {
+            mode: 'frame',
+            titleSlide: true,
+            sceneSlides: true,
+            notes: true
+        };
+    }
+
+    /**
+     * Get the presentation options of the project
+     * @returns {Object} { mode: 'frame'|'page', titleSlide, sceneSlides, notes }
+     */
+    getConfig() {
+        return { ...PPTXExportService.getDefaultConfig(), ...(this.app.project.settings.pptxExport || {}) };
+    }
+
+    setConfig(config) {
+        const defaults = PPTXExportService.getDefaultConfig();
+        this.app.project.settings.pptxExport = {
+            mode: PPTXExportService.getModes().some(mode => mode.id === config.mode) ? config.mode : defaults.mode,
+            titleSlide: config.titleSlide !== false,
+            sceneSlides: config.sceneSlides !== false,
+            notes: config.notes !== false
+        };
+    }
+
+    /**
+     * Slide size in mm: the storyboard page for page slides, widescreen 16:9 for frame slides
+     */
+    getSlideSize(mode) {
+        if (mode === 'page') {
+            const pageSize = this.getPageSize();
+            return this.app.project.settings.orientation === 'portrait'
+                ? { width: pageSize.width, height: pageSize.height }
+                : { width: pageSize.height, height: pageSize.width };
+        }
+        // PowerPoint's widescreen size, 13.333 x 7.5 in
+        return { width: 12192000 / PPTXWriter.EMU_PER_MM, height: 190.5 };
+    }
+
+    getPageSize() {
+        return (this.app.uiManager ? this.app.uiManager.getPageSize() : this.app.pageSizes[this.app.project.settings.pageSize]) ||
+            { width: 210, height: 297 };
+    }
+
+    /**
+     * First family of a CSS font stack, as PowerPoint names fonts
+     */
+    getTypeface(fontFamily) {
+        return String(fontFamily || '').split(',')[0].replace(/['"]/g, '').trim() || 'Arial';
+    }
+
+    /**
+     * Capture an element the way the PDF export does
+     * @returns {Promise<{dataUrl: string, width: number, height: number}>}
+     */
+    async capture(element) {
+        const canvas = await html2canvas(element, {
+            scale: 2,
+            useCORS: true,
+            logging: false,
+            backgroundColor: null,
+            width: element.offsetWidth,
+            height: element.offsetHeight,
+            ignoreElements: (node) => node.classList.contains('add-image-button') ||
+                node.classList.contains('empty-slot') ||
+                node.classList.contains('empty-slot-button') ||
+                node.classList.contains('frame-variant-switcher')
+        });
+        return { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * Render the cover page off screen and capture it
+     */
+    async captureCoverPage() {
+        const settings = this.app.project.settings;
+        const page = this.app.createCoverPage(settings.orientation, this.getPageSize(), settings.fontFamily, settings.pageBackgroundColor);
+        if (!page) return null;
+        const holder = document.createElement('div');
+        holder.style.cssText = 'position: fixed; left: -20000px; top: 0;';
+        holder.appendChild(page);
+        document.body.appendChild(holder);
+        try {
+            if (this.app.pdfManager) {
+                await this.app.pdfManager.waitForPageImages(10000, page);
+            }
+            return await this.capture(page);
+        } finally {
+            holder.remove();
+        }
+    }
+
+    /**
+     * Label of a frame, e.g. "Scene 12 · Shot 3 · Frame 2"
+     */
+    getFrameLabel(image) {
+        const scene = this.app.project.imageScenes[image.name] || image.sceneNumber || '';
+        const parts = [];
+        if (scene) parts.push(`Scene ${scene}`);
+        if (image.shotNumber) parts.push(`Shot ${image.shotNumber}`);
+        if (image.frameNumber) parts.push(`Frame ${image.frameNumber}${image.variant ? image.variant : ''}`);
+        return parts.join(' · ');
+    }
+
+    getFrameNotes(image) {
+        return this.app.frameFieldService ? this.app.frameFieldService.getPlainText(image.name) : '';
+    }
+
+    /**
+     * Turn an image into a PNG data URL (watermark images may be any format the browser shows)
+     * @returns {Promise<{dataUrl: string, width: number, height: number}|null>}
+     */
+    async loadPicture(src) {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        try {
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = reject;
+                img.src = src;
+            });
+        } catch (error) {
+            console.warn('Could not load the watermark image for the presentation:', error);
+            return null;
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth || 1;
+        canvas.height = img.naturalHeight || 1;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        return { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * The project's watermark (or the recipient's of a batch export) as slide items, sized to the slide the way
+     * the page watermark is sized to the page
+     * @param {Object} slideSize - { width, height } in mm
+     * @returns {Promise<Array>} Slide items
+     */
+    async getWatermarkItems(slideSize) {
+        const settings = this.app.project.settings;
+        const recipientWatermark = this.app.watermarkBatchService ? this.app.watermarkBatchService.exportWatermarkText : null;
+        if (!settings.enableWatermark && !recipientWatermark) return [];
+        const opacity = settings.watermarkOpacity !== undefined ? settings.watermarkOpacity / 100 : 0.3;
+        // The page watermark is 48px on a page this many px wide
+        const pageSize = this.getSlideSize('page');
+        const pxToSlideMm = slideSize.width / (pageSize.width * 3.779527559);
+
+        const text = recipientWatermark || (settings.watermarkType === 'text' ? settings.watermarkText : '');
+        if (text) {
+            const fontSizeMm = 48 * pxToSlideMm;
+            return [{
+                type: 'text',
+                text,
+                name: 'Watermark',
+                x: 0,
+                y: slideSize.height / 2 - fontSizeMm,
+                width: slideSize.width,
+                height: fontSizeMm * 2,
+                fontSize: fontSizeMm * 72 / 25.4,
+                color: '#999999',
+                opacity,
+                align: 'center',
+                anchor: 'middle',
+                rotation: 315,
+                wrap: false
+            }];
+        }
+        if (settings.watermarkType !== 'image' || !settings.watermarkImage) return [];
+        const picture = await this.loadPicture(settings.watermarkImage);
+        if (!picture) return [];
+        const width = slideSize.width * (settings.watermarkImageSize || 50) / 100;
+        const height = Math.min(slideSize.height, width * picture.height / picture.width);
+        const fitted = PPTXWriter.fitRect(picture.width, picture.height, { x: 0, y: 0, width, height });
+        const inset = 10 * pxToSlideMm;
+        const [vertical, horizontal] = (settings.watermarkImagePosition || 'center').split('-');
+        const column = vertical === 'center' && !horizontal ? 'center' : (horizontal || 'center');
+        const x = column === 'left' ? inset : column === 'right' ? slideSize.width - fitted.width - inset : (slideSize.width - fitted.width) / 2;
+        const y = vertical === 'top' ? inset : vertical === 'bottom' ? slideSize.height - fitted.height - inset : (slideSize.height - fitted.height) / 2;
+        return [{ type: 'image', dataUrl: picture.dataUrl, name: 'Watermark', x, y, width: fitted.width, height: fitted.height, opacity }];
+    }
+
+    /**
+     * Title slide of a scene: its number, slug line and synopsis
+     */
+    createSceneSlide(sceneNumber, slideSize) {
+        const settings = this.app.project.settings;
+        const dividers = this.app.sceneDividerService;
+        const details = dividers ? dividers.getDetails(sceneNumber) : { synopsis: '' };
+        const slug = dividers ? dividers.formatSlugLine(sceneNumber) : '';
+        const textColor = settings.pageTextColor || '#b4b4b4';
+        const fontFamily = this.getTypeface(settings.fontFamily);
+        const margin = slideSize.width * 0.08;
+        const width = slideSize.width - 2 * margin;
+        const items = [{
+            type: 'text', text: `Scene ${sceneNumber}`, name: 'Scene', x: margin, y: slideSize.height * 0.28, width, height: slideSize.height * 0.16,
+            fontSize: 40, bold: true, color: textColor, fontFamily, align: 'center', anchor: 'bottom'
+        }];
+        if (slug) {
+            items.push({
+                type: 'text', text: slug, name: 'Slug Line', x: margin, y: slideSize.height * 0.46, width, height: slideSize.height * 0.08,
+                fontSize: 20, color: textColor, fontFamily, align: 'center', anchor: 'top'
+            });
+        }
+        if (details.synopsis) {
+            items.push({
+                type: 'text', text: details.synopsis, name: 'Synopsis', x: margin, y: slideSize.height * 0.58, width, height: slideSize.height * 0.3,
+                fontSize: 14, italic: true, color: textColor, fontFamily, align: 'center', anchor: 'top'
+            });
+        }
+        return { background: settings.pageBackgroundColor || '#404040', items, notes: details.synopsis };
+    }
+
+    /**
+     * Slide of one frame: label above, the frame as it is drawn in the storyboard, and the watermark
+     */
+    createFrameSlide(image, picture, slideSize, watermarkItems, withNotes) {
+        const settings = this.app.project.settings;
+        const margin = 10;
+        const labelHeight = 12;
+        const box = { x: margin, y: margin + labelHeight, width: slideSize.width - 2 * margin, height: slideSize.height - 2 * margin - labelHeight };
+        const frame = PPTXWriter.fitRect(picture.width, picture.height, box);
+        const label = this.getFrameLabel(image);
+        const items = [{ type: 'image', dataUrl: picture.dataUrl, name: image.name, description: label, ...frame }];
+        if (label) {
+            items.push({
+                type: 'text', text: label, name: 'Frame Label', x: frame.x, y: margin, width: frame.width, height: labelHeight - 3,
+                fontSize: 16, bold: true, color: settings.pageTextColor || '#b4b4b4', fontFamily: this.getTypeface(settings.fontFamily),
+                anchor: 'bottom'
+            });
+        }
+        return {
+            background: settings.pageBackgroundColor || '#404040',
+            items: items.concat(watermarkItems),
+            notes: withNotes ? this.getFrameNotes(image) : ''
+        };
+    }
+
+    /**
+     * Export the storyboard as a .pptx
+     * @param {Object} settings - { projectName, mode, titleSlide, sceneSlides, notes } (missing ones from getConfig)
+     * @param {FileSystemFileHandle} fileHandle - Optional file handle (if already requested)
+     * @param {string} filename - Optional filename (if file handle was requested)
+     * @param {Function} onProgress - Called with (done, total) while pages are captured
+     * @returns {Promise<Object|null>} { slides } when written, null if there was nothing to export
+     */
+    async exportPresentation(settings = {}, fileHandle = null, filename = null, onProgress = null) {
+        if (this.isExporting) {
+            throw new Error('Export already in progress');
+        }
+        if (this.app.project.images.length === 0) {
+            throw new Error('No storyboard to export. Please import images first.');
+        }
+        if (!window.html2canvas || typeof JSZip === 'undefined' || typeof PPTXWriter === 'undefined') {
+            throw new Error('Presentation libraries not loaded. Please refresh the page.');
+        }
+
+        const options = { ...this.getConfig(), ...settings };
+        const projectName = options.projectName || this.app.project.name || 'Storyboard';
+        const slideSize = this.getSlideSize(options.mode);
+        const background = this.app.project.settings.pageBackgroundColor || '#404040';
+        const dividers = this.app.sceneDividerService;
+        // Scene title pages of the storyboard already open their scenes on page slides
+        const nativeSceneSlides = options.sceneSlides && !(options.mode === 'page' && dividers && dividers.isDividersEnabled());
+        const images = new Map(this.app.project.images.map(img => [img.name, img]));
+        const slides = [];
+
+        this.isExporting = true;
+        // Selection outlines and editor placeholders would end up in the captures
+        if (this.app.storyboardDragController) {
+            this.app.storyboardDragController.clearSelection();
+        }
+        if (document.activeElement && document.activeElement.classList.contains('rich-text-editor')) {
+            document.activeElement.blur();
+        }
+        document.body.classList.add('pdf-export-capture');
+        try {
+            if (options.titleSlide) {
+                const cover = await this.captureCoverPage();
+                if (cover) {
+                    const bounds = PPTXWriter.fitRect(cover.width, cover.height, { x: 0, y: 0, ...slideSize });
+                    slides.push({ background, items: [{ type: 'image', dataUrl: cover.dataUrl, name: 'Cover Page', ...bounds }] });
+                }
+            }
+            const watermarkItems = options.mode === 'frame' ? await this.getWatermarkItems(slideSize) : [];
+
+            const container = document.getElementById('storyboardContainer');
+            const virtualizer = this.app.pageVirtualizationController;
+            const virtual = virtualizer && virtualizer.isActive();
+            const pages = virtual ? virtualizer.getPageElements() : container.querySelectorAll('.storyboard-page');
+            let currentScene = null;
+
+            for (let i = 0; i < pages.length; i++) {
+                if (onProgress) onProgress(i, pages.length);
+                const page = virtual ? virtualizer.acquirePage(pages[i]) : pages[i];
+                try {
+                    // The title slide stands in for the cover page
+                    if (page.classList.contains('cover-page')) continue;
+                    const isStoryboardPage = !page.classList.contains('contents-page') && !page.classList.contains('scene-divider-page');
+                    if (options.mode === 'frame' && !isStoryboardPage) continue;
+
+                    await this.app.pdfManager.waitForPageImages(10000, page);
+                    const frames = Array.from(page.querySelectorAll('.storyboard-frame[data-image-name]'))
+                        .map(element => ({ element, image: images.get(element.dataset.imageName) }))
+                        .filter(frame => frame.image);
+                    const addSceneSlide = (image) => {
+                        const scene = this.app.project.imageScenes[image.name] || image.sceneNumber || '';
+                        if (nativeSceneSlides && scene && scene !== currentScene) {
+                            slides.push(this.createSceneSlide(scene, slideSize));
+                        }
+                        currentScene = scene;
+                    };
+
+                    // html2canvas ignores object-fit, so frames cropped to the frame aspect ratio and the frame
+                    // overlays are drawn to canvases first, as for the PDF
+                    const replacements = this.app.pdfManager.replaceFramedImages(page).concat(this.app.pdfManager.replaceFrameOverlays(page));
+                    try {
+                        if (options.mode === 'page') {
+                            if (frames.length > 0) addSceneSlide(frames[0].image);
+                            const picture = await this.capture(page);
+                            const notes = options.notes && isStoryboardPage
+                                ? frames.map(({ image }) => {
+                                    const text = this.getFrameNotes(image);
+                                    return text ? `${this.getFrameLabel(image) || image.name}\n${text}` : '';
+                                }).filter(Boolean).join('\n\n')
+                                : '';
+                            slides.push({
+                                background,
+                                items: [{ type: 'image', dataUrl: picture.dataUrl, name: `Page ${i + 1}`, x: 0, y: 0, ...slideSize }],
+                                notes
+                            });
+                        } else {
+                            for (const { element, image } of frames) {
+                                const imageContainer = element.querySelector('.frame-image-container');
+                                if (!imageContainer) continue;
+                                addSceneSlide(image);
+                                const picture = await this.capture(imageContainer);
+                                slides.push(this.createFrameSlide(image, picture, slideSize, watermarkItems, options.notes));
+                            }
+                        }
+                    } finally {
+                        replacements.forEach(({ img, replacement }) => {
+                            img.style.display = '';
+                            replacement.remove();
+                        });
+                    }
+                } finally {
+                    if (virtual) virtualizer.releasePage(page);
+                }
+            }
+        } finally {
+            document.body.classList.remove('pdf-export-capture');
+            this.isExporting = false;
+        }
+
+        if (slides.length === 0) return null;
+        const blob = await PPTXWriter.buildPresentation({
+            width: slideSize.width,
+            height: slideSize.height,
+            title: projectName,
+            author: this.app.project.settings.coverPageCreators || '',
+            slides
+        });
+
+        if (!filename) {
+            const version = this.app.project.version || '';
+            filename = `${projectName.replace(/[^a-z0-9]/gi, '_')}${version ? `_v${version}` : ''}.pptx`;
+        }
+        if (fileHandle) {
+            const writable = await fileHandle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        } else {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }
+        return { slides: slides.length };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PPTXExportService;
+}
@@ -0,0 +1,200 @@
+/**
+ * PageTemplateService - Header and footer templates with tokens resolved per page
+ * Project templates live in settings.pageHeaderTemplate / settings.pageFooterTemplate; a page can
+ * override either one in project.pageTemplates ({ [pageIndex]: { header, footer } }).
+ * A template is split on '|' into left|center|right (one part is centered, two are left and right).
+ */
+class PageTemplateService {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Tokens a template can use
+     * @returns {Array} { token, description }
+     */
+    static getTokens() {
+        return [
+            { token: '{project}', description: 'Project title (cover page title, else file name)' },
+            { token: '{page}', description: 'Page number' },
+            { token: '{pages}', description: 'Total number of pages' },
+            { token: '{scene}', description: 'Scene(s) on the page' },
+            { token: '{shots}', description: 'Shot(s) on the page' },
+            { token: '{date}', description: 'Today\'s date' },
+            { token: '{revision}', description: 'Revision label' },
+            { token: '{confidential}', description: 'Confidentiality notice' }
+        ];
+    }
+
+    /**
+     * Get the template used on a page - the page's override if it has one, else the project template
+     * @param {string} position - 'header' or 'footer'
+     * @param {number} pageIndex - Page index (cover page is 0 when enabled)
+     * @returns {string}
+     */
+    getTemplate(position, pageIndex) {
+        const override = this.getOverride(position, pageIndex);
+        if (override !== null) return override;
+        const settings = this.app.project.settings;
+        return (position === 'header' ? settings.pageHeaderTemplate : settings.pageFooterTemplate) || '';
+    }
+
+    /**
+     * @returns {string|null} The page's own template, or null if it uses the project template
+     */
+    getOverride(position, pageIndex) {
+        if (pageIndex === null) return null;
+        const overrides = this.app.project.pageTemplates && this.app.project.pageTemplates[pageIndex];
+        return overrides && typeof overrides[position] === 'string' ? overrides[position] : null;
+    }
+
+    /**
+     * Set or clear a page's own template
+     * @param {number} pageIndex - Page index
+     * @param {string} position - 'header' or 'footer'
+     * @param {string|null} template - Template, or null to use the project template again
+     */
+    setOverride(pageIndex, position, template) {
+        const project = this.app.project;
+        if (!project.pageTemplates) project.pageTemplates = {};
+        const overrides = project.pageTemplates[pageIndex] || {};
+        if (template === null) {
+            delete overrides[position];
+        } else {
+            overrides[position] = template;
+        }
+        if (Object.keys(overrides).length > 0) {
+            project.pageTemplates[pageIndex] = overrides;
+        } else {
+            delete project.pageTemplates[pageIndex];
+        }
+    }
+
+    /**
+     * Whether any page shows a header (or footer), so the layout can reserve its line
+     * @param {string} position - 'header' or 'footer'
+     * @returns {boolean}
+     */
+    isUsed(position) {
+        const settings = this.app.project.settings;
+        if ((position === 'header' ? settings.pageHeaderTemplate : settings.pageFooterTemplate)) return true;
+        return Object.values(this.app.project.pageTemplates || {}).some(overrides => overrides[position]);
+    }
+
+    /**
+     * Height reserved on every page for the header (or footer) line, in px
+     * @param {string} position - 'header' or 'footer'
+     * @returns {number}
+     */
+    getReservedHeight(position) {
+        if (!this.isUsed(position)) return 0;
+        const fontSize = this.app.project.settings.pageTemplateFontSize || 10;
+        return Math.ceil(fontSize * 1.4) + 6; // One line + margin to the grid
+    }
+
+    /**
+     * Project title used for {project}
+     */
+    getProjectTitle() {
+        const settings = this.app.project.settings;
+        if (settings.coverPageTitle) return settings.coverPageTitle;
+        if (this.app.currentProjectPath) {
+            return this.app.currentProjectPath.replace(/\.sbp$/, '').split(/[\\/]/).pop();
+        }
+        return 'Untitled';
+    }
+
+    /**
+     * Count the pages of the storyboard, including the cover, contents and scene title pages
+     * @returns {number}
+     */
+    getPageCount() {
+        const hasCover = this.app.project.settings.enableCoverPage ? 1 : 0;
+        if (!this.app.uiManager) return hasCover;
+        return this.app.uiManager.getDocumentPages().length;
+    }
+
+    /**
+     * Number printed for a page - contents and scene title pages before it count too
+     * @param {number} pageIndex - Page index
+     * @returns {number}
+     */
+    getPageNumber(pageIndex) {
+        const page = this.app.uiManager && this.app.uiManager.getPageGroups().find(group => group.pageIndex === pageIndex);
+        return page ? page.pageNumber : pageIndex + 1;
+    }
+
+    /**
+     * Join distinct values, shortening consecutive numbers to a range ("1-4")
+     */
+    formatList(values) {
+        const unique = values.filter((value, index) => value && values.indexOf(value) === index);
+        if (unique.length > 2 && unique.every(value => /^\d+$/.test(value))) {
+            const numbers = unique.map(Number);
+            const consecutive = numbers.every((n, i) => i === 0 || n === numbers[i - 1] + 1);
+            if (consecutive) return `${unique[0]}-${unique[unique.length - 1]}`;
+        }
+        return unique.join(', ');
+    }
+
+    /**
+     * Values of the tokens for a page
+     * @param {number} pageIndex - Page index
+     * @param {Array} images - Frames on the page (empty for the cover page)
+     * @param {number} pageNumber - Page number in the document (looked up if not given)
+     * @param {number} pageCount - Total pages (computed if not given)
+     * @returns {Object} { project, page, pages, scene, shots, date, revision, confidential }
+     */
+    getTokenValues(pageIndex, images = [], pageNumber = null, pageCount = null) {
+        const settings = this.app.project.settings;
+        const scenes = images.map(image => this.app.project.imageScenes[image.name] || image.sceneNumber || '');
+        const shots = images.map(image => image.shotNumber || '');
+        return {
+            project: this.getProjectTitle(),
+            page: String(pageNumber || this.getPageNumber(pageIndex)),
+            pages: String(pageCount || this.getPageCount()),
+            scene: this.formatList(scenes),
+            shots: this.formatList(shots),
+            date: new Date().toLocaleDateString(),
+            revision: settings.revisionLabel || '',
+            confidential: typeof settings.confidentialText === 'string' ? settings.confidentialText : 'CONFIDENTIAL'
+        };
+    }
+
+    /**
+     * Replace the tokens of a template; unknown tokens are left as typed
+     * @param {string} template - Template
+     * @param {Object} values - From getTokenValues
+     * @returns {string}
+     */
+    resolve(template, values) {
+        return String(template || '').replace(/\{(\w+)\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+        );
+    }
+
+    /**
+     * Resolve a page's header or footer into its aligned parts
+     * Pages being rendered pass their number and the page count; looking them up lays out the whole document
+     * @param {string} position - 'header' or 'footer'
+     * @param {number} pageIndex - Page index
+     * @param {Array} images - Frames on the page
+     * @param {number} pageNumber - Page number in the document (optional)
+     * @param {number} pageCount - Total pages (optional)
+     * @returns {{left: string, center: string, right: string}|null} Null if the page has no header/footer
+     */
+    resolveForPage(position, pageIndex, images = [], pageNumber = null, pageCount = null) {
+        const template = this.getTemplate(position, pageIndex);
+        if (!template.trim()) return null;
+        const values = this.getTokenValues(pageIndex, images, pageNumber, pageCount);
+        const parts = template.split('|').map(part => this.resolve(part, values).trim());
+        if (parts.length === 1) return { left: '', center: parts[0], right: '' };
+        if (parts.length === 2) return { left: parts[0], center: '', right: parts[1] };
+        return { left: parts[0], center: parts[1], right: parts.slice(2).join(' ') };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageTemplateService;
+}
@@ -7,6 +7,34 @@ class RenderService {
         this.app = app;
     }
     
+    /**
+     * Load the bitmaps referenced by imported raster layers (attrs.imageSrc)
+     * @param {Array} editLayers - Edit layer data
+     * @returns {Promise<Map<string, HTMLImageElement>>} imageSrc -> loaded image
+     */
+    async loadLayerImages(editLayers) {
+        const sources = new Set();
+        (editLayers || []).forEach(layerState => {
+            (layerState && layerState.shapes || []).forEach(shapeData => {
+                if (shapeData && shapeData.attrs && shapeData.attrs.imageSrc) {
+                    sources.add(shapeData.attrs.imageSrc);
+                }
+            });
+        });
+
+        const images = new Map();
+        await Promise.all(Array.from(sources).map(src => new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => {
+                images.set(src, img);
+                resolve();
+            };
+            img.onerror = () => resolve();
+            img.src = src;
+        })));
+        return images;
+    }
+
     /**
      * Create composite image from original image and edit layers
      */
@@ -16,7 +44,10 @@ class RenderService {
         // Load original image first
         const originalImg = new Image();
         originalImg.crossOrigin = 'anonymous';
-        originalImg.onload = () => {
+        originalImg.onload = async () => {
+            // Bitmaps of imported raster layers (PSD/ORA) have to be loaded before drawing
+            const layerImages = await this.loadLayerImages(image.editLayers);
+            
             // Create a temporary Konva stage to render edit layers at original image size
             const tempStage = new Konva.Stage({
                 container: document.createElement('div'),
@@ -43,6 +74,9 @@ class RenderService {
                     if (!layerState || !layerState.shapes || !Array.isArray(layerState.shapes) || layerState.shapes.length === 0) {
                         return;
                     }
+                    if (layerState.visible === false) {
+                        return;
+                    }
                     
                     const editLayer = new Konva.Layer({
                         opacity: (layerState.opacity || 100) / 100
@@ -88,7 +122,10 @@ class RenderService {
                                 });
                             }
                             
-                            const shape = Konva.Node.create(shapeData);
+                            const imageSrc = shapeData.attrs && shapeData.attrs.imageSrc;
+                            const shape = imageSrc
+                                ? new Konva.Image({ ...shapeData.attrs, image: layerImages.get(imageSrc) })
+                                : Konva.Node.create(shapeData);
                             if (shape) {
                                 editLayer.add(shape);
                                 shapesRestored++;
@@ -184,9 +221,9 @@ class RenderService {
     }
 
     /**
-     * Render the entire storyboard
+     * Initialize the shot list from the storyboard, or sync its frame counts
      */
-    renderStoryboard() {
+    syncShotList() {
         // Initialize shot list from storyboard if images exist and shot list is empty
         if (this.app.shotListManager && this.app.project.images.length > 0) {
             const shots = this.app.shotListManager.getAllShots();
@@ -197,6 +234,13 @@ class RenderService {
                 this.app.shotListManager.syncWithStoryboard();
             }
         }
+    }
+
+    /**
+     * Render the entire storyboard
+     */
+    renderStoryboard() {
+        this.syncShotList();
         
         // Use UIManager if available
         if (this.app.uiManager) {
@@ -244,11 +288,14 @@ class RenderService {
                              fontFamily.includes('Permanent Marker') || 
                              fontFamily.includes('Shadows Into Light');
         
-        // Group images by scene if separation is enabled
+        // Group images by scene if separation is enabled (alternate frames that are not shown, and frames
+        // outside the filter of an export, are left out)
+        const layoutImages = this.app.uiManager ? this.app.uiManager.getLayoutImages()
+            : (this.app.variantService ? this.app.variantService.getLayoutImages() : this.app.project.images);
         let imageGroups = [];
         if (separateScenes) {
             const sceneGroups = {};
-            this.app.project.images.forEach(image => {
+            layoutImages.forEach(image => {
                 const scene = this.app.project.imageScenes[image.name] || 'Unassigned';
                 if (!sceneGroups[scene]) {
                     sceneGroups[scene] = [];
@@ -257,7 +304,7 @@ class RenderService {
             });
             imageGroups = Object.values(sceneGroups);
         } else {
-            imageGroups = [this.app.project.images];
+            imageGroups = [layoutImages];
         }
         
         // Cover page numbering - always include cover page in numbering (setting removed)
@@ -368,10 +415,74 @@ class RenderService {
         }, 0);
     }
 
+    /**
+     * Create the header or footer line of a page from its template
+     * Double-click opens the page's own header/footer settings
+     * @param {string} position - 'header' or 'footer'
+     * @param {number} pageIndex - Page index
+     * @param {Array} images - Frames on the page
+     * @param {number} pageNumber - Page number in the document (looked up if not given)
+     * @param {number} pageCount - Pages in the document (counted if not given)
+     * @returns {HTMLElement}
+     */
+    createPageTemplateBar(position, pageIndex, images, pageNumber = null, pageCount = null) {
+        const settings = this.app.project.settings;
+        const fontSize = settings.pageTemplateFontSize || 10;
+        const bar = document.createElement('div');
+        bar.className = `page-template-bar page-template-${position}`;
+        bar.style.fontFamily = settings.pageFontFamily || "'Kalam', cursive";
+        bar.style.fontSize = fontSize + 'px';
+        bar.style.color = settings.pageTextColor || '#b4b4b4';
+        bar.style.height = this.app.pageTemplateService.getReservedHeight(position) + 'px';
+        bar.title = 'Double-click to change this page\'s ' + position;
+        
+        const parts = this.app.pageTemplateService.resolveForPage(position, pageIndex, images, pageNumber, pageCount);
+        ['left', 'center', 'right'].forEach(align => {
+            const part = document.createElement('span');
+            part.className = `page-template-${align}`;
+            part.textContent = parts ? parts[align] : '';
+            bar.appendChild(part);
+        });
+        
+        bar.addEventListener('dblclick', () => {
+            if (this.app.pageTemplateController && pageIndex !== null) {
+                this.app.pageTemplateController.openPageDialog(pageIndex);
+            }
+        });
+        return bar;
+    }
+
+    /**
+     * On-screen size of a storyboard page - the paper size scaled to fit 90% of the window width
+     * Placeholders of pages that are not mounted use the same size
+     * @param {string} orientation - 'portrait' or 'landscape'
+     * @param {Object} pageSize - { width, height } in mm
+     * @returns {{widthMm: number, heightMm: number, width: number, height: number, scaleFactor: number}}
+     */
+    getPageBox(orientation, pageSize) {
+        const mmToPx = 3.779527559;
+        // Use actual page dimensions in mm (same as cover page)
+        const widthMm = orientation === 'portrait' ? pageSize.width : pageSize.height;
+        const heightMm = orientation === 'portrait' ? pageSize.height : pageSize.width;
+        const maxWidth = window.innerWidth * 0.9;
+        const scaleFactor = Math.min(1, maxWidth / (widthMm * mmToPx));
+        return {
+            widthMm,
+            heightMm,
+            width: widthMm * mmToPx * scaleFactor,
+            height: heightMm * mmToPx * scaleFactor,
+            scaleFactor
+        };
+    }
+
     /**
      * Create a storyboard page
+     * @param {number|null} pageIndex - Page index (keys the page's text, header/footer and annotations); null for a page
+     *   of a filtered export that shows none of them
+     * @param {number} printedPageNumber - Page number in the document, if contents or scene title pages come before it
+     * @param {number} pageCount - Pages in the document, for the header and footer
      */
-    createPage(images, orientation, pageSize, fontFamily, pageText, rows, cols, scale, isHandwriting, pageBgColor, pageIndex) {
+    createPage(images, orientation, pageSize, fontFamily, pageText, rows, cols, scale, isHandwriting, pageBgColor, pageIndex, printedPageNumber = null, pageCount = null) {
         const page = document.createElement('div');
         page.className = `storyboard-page ${orientation}`;
         page.style.fontFamily = fontFamily;
@@ -386,27 +497,14 @@ class RenderService {
         const pagePaddingPx = 5 * mmToPx; // Minimal page padding
         page.style.padding = `${pagePaddingPx}px`;
         
-        // Calculate aspect ratio and scale to fit viewport while maintaining aspect ratio
-        // Use actual page dimensions in mm (same as cover page)
-        const pageWidthMm = orientation === 'portrait' ? pageSize.width : pageSize.height;
-        const pageHeightMm = orientation === 'portrait' ? pageSize.height : pageSize.width;
-        const aspectRatio = pageWidthMm / pageHeightMm;
-        
-        const pageWidthPx = pageWidthMm * mmToPx;
-        const pageHeightPx = pageHeightMm * mmToPx;
-        
-        // Scale to fit viewport (max 90% width) while maintaining aspect ratio
-        const maxWidth = window.innerWidth * 0.9;
-        const scaleFactor = Math.min(1, maxWidth / pageWidthPx);
-        const calculatedWidth = pageWidthPx * scaleFactor;
-        const calculatedHeight = pageHeightPx * scaleFactor;
-        
-        page.style.width = `${calculatedWidth}px`;
-        page.style.height = `${calculatedHeight}px`;
+        // Scale to fit viewport while maintaining aspect ratio
+        const box = this.getPageBox(orientation, pageSize);
+        page.style.width = `${box.width}px`;
+        page.style.height = `${box.height}px`;
         page.style.maxWidth = '90vw'; // Ensure it doesn't exceed viewport
-        page.dataset.pageWidth = pageWidthMm; // Store actual mm width for PDF
-        page.dataset.pageHeight = pageHeightMm; // Store actual mm height for PDF
-        page.dataset.scale = scaleFactor; // Store scale factor for zoom
+        page.dataset.pageWidth = box.widthMm; // Store actual mm width for PDF
+        page.dataset.pageHeight = box.heightMm; // Store actual mm height for PDF
+        page.dataset.scale = box.scaleFactor; // Store scale factor for zoom
         
         // Image grid container (flex-grow to fill available space)
         const gridContainer = document.createElement('div');
@@ -476,14 +574,30 @@ class RenderService {
         }
         
         gridContainer.appendChild(grid);
+        // Header line from the header template - reserved on every page once any page has a header
+        const pageTemplateService = this.app.pageTemplateService;
+        if (pageTemplateService && pageTemplateService.isUsed('header')) {
+            page.appendChild(this.createPageTemplateBar('header', pageIndex, images, printedPageNumber, pageCount));
+        }
         page.appendChild(gridContainer);
         
         // Per-page custom text at bottom (footer) - doesn't affect image layout
         if (this.app.project.settings.showBottomText) {
-            const pageTextBottom = document.createElement('textarea');
-            pageTextBottom.className = 'page-text-bottom';
-            pageTextBottom.placeholder = 'Enter custom text for this page...';
-            pageTextBottom.value = this.app.project.pageTexts[pageIndex] || '';
+            // Debounce text input to avoid performance issues
+            let textTimeout;
+            const pageTextBottom = RichText.createEditor({
+                value: pageIndex !== null ? this.app.project.pageTexts[pageIndex] || '' : '',
+                className: 'page-text-bottom',
+                placeholder: 'Enter custom text for this page...',
+                onInput: (value) => {
+                    if (pageIndex === null) return;
+                    this.app.project.pageTexts[pageIndex] = value;
+                    clearTimeout(textTimeout);
+                    textTimeout = setTimeout(() => {
+                        if (this.app.markChanged) this.app.markChanged();
+                    }, 500); // Save 500ms after typing stops
+                }
+            });
             pageTextBottom.style.fontFamily = this.app.project.settings.pageFontFamily || "'Kalam', cursive";
             pageTextBottom.style.fontSize = (this.app.project.settings.pageFontSize || 12) + 'px';
             pageTextBottom.style.fontWeight = this.app.project.settings.pageFontWeight || '400';
@@ -496,25 +610,23 @@ class RenderService {
             pageTextBottom.style.maxWidth = '100%';
             pageTextBottom.style.boxSizing = 'border-box';
             pageTextBottom.style.flexShrink = 0; // Don't shrink footer
+            // Two lines high when empty, like the plain text box it replaced
+            const pageLinePx = (this.app.project.settings.pageFontSize || 12) * (this.app.project.settings.pageLineHeight || 1.5);
+            pageTextBottom.style.minHeight = (pageLinePx * 2 + 16) + 'px';
             pageTextBottom.style.maxHeight = '80px'; // Limit footer height to prevent overflow
             pageTextBottom.style.overflowY = 'auto'; // Allow scrolling if content is too long
-            // Debounce text input to avoid performance issues
-            let textTimeout;
-            pageTextBottom.addEventListener('input', (e) => {
-                this.app.project.pageTexts[pageIndex] = e.target.value;
-                clearTimeout(textTimeout);
-                textTimeout = setTimeout(() => {
-                    if (this.app.markChanged) this.app.markChanged();
-                }, 500); // Save 500ms after typing stops
-            });
             page.appendChild(pageTextBottom);
         }
         
+        if (pageTemplateService && pageTemplateService.isUsed('footer')) {
+            page.appendChild(this.createPageTemplateBar('footer', pageIndex, images, printedPageNumber, pageCount));
+        }
+        
         // Add page number if enabled
         if (this.app.project.settings.enablePageNumbers) {
             const pageNumber = document.createElement('div');
             pageNumber.className = 'page-number';
-            pageNumber.textContent = (pageIndex + 1).toString();
+            pageNumber.textContent = (printedPageNumber || (pageIndex || 0) + 1).toString();
             pageNumber.style.position = 'absolute';
             pageNumber.style.fontSize = (this.app.project.settings.pageNumberFontSize || 12) + 'px';
             // Use the user's selected color, or default based on background if not set
@@ -559,8 +671,10 @@ class RenderService {
             page.appendChild(pageNumber);
         }
         
-        // Add watermark if enabled
-        if (this.app.project.settings.enableWatermark) {
+        // Add watermark if enabled - a per-recipient batch export leaves it out, as the PDF export stamps the
+        // recipient's watermark on every sheet instead
+        const recipientWatermark = this.app.watermarkBatchService ? this.app.watermarkBatchService.exportWatermarkText : null;
+        if (this.app.project.settings.enableWatermark && !recipientWatermark) {
             const watermark = document.createElement('div');
             watermark.className = this.app.project.settings.watermarkType === 'text' ? 'page-watermark' : 'page-watermark-image';
             watermark.style.opacity = this.app.project.settings.watermarkOpacity / 100;
@@ -646,6 +760,8 @@ class RenderService {
         // The cover page should not have annotations
         // The pageIndex passed here is the globalPageIndex which accounts for cover page
         // We need to convert it back to storyboard page index (0-based) for consistent annotation storage
+        // A page of a filtered export without a page index of its own gets no canvas
+        if (pageIndex === null) return page;
         const hasCoverPage = this.app.project.settings.enableCoverPage;
         const storyboardPageIndex = hasCoverPage ? Math.max(0, pageIndex - 1) : pageIndex;
         page.dataset.pageIndex = storyboardPageIndex;
@@ -653,6 +769,8 @@ class RenderService {
         // Initialize annotation canvas - always initialize to preserve annotations
         // Only initialize for storyboard pages, not cover pages
         setTimeout(() => {
+            // The page may have been unmounted again (virtualized storyboard) or replaced meanwhile
+            if (!page.isConnected) return;
             if (this.app.annotationSystem) {
                 // Always re-initialize to ensure annotations are loaded after page re-render
                 // The initCanvas method will handle cleanup of existing canvas if needed
@@ -743,6 +861,171 @@ class RenderService {
         return page;
     }
 
+    /**
+     * Empty page of the storyboard's size and colors, for contents and scene title pages
+     * @param {string} className - Page type class
+     * @returns {{page: HTMLElement, box: Object}} The page and its size from getPageBox
+     */
+    createTextPage(className, orientation, pageSize, fontFamily, pageBgColor) {
+        const settings = this.app.project.settings;
+        const page = document.createElement('div');
+        page.className = `storyboard-page ${className} ${orientation}`;
+        page.style.fontFamily = fontFamily;
+        page.style.backgroundColor = pageBgColor;
+        page.style.color = settings.pageTextColor || '#b4b4b4';
+
+        const mmToPx = 3.779527559;
+        const box = this.getPageBox(orientation, pageSize);
+        page.style.padding = `${15 * mmToPx * box.scaleFactor}px`;
+        page.style.width = `${box.width}px`;
+        page.style.height = `${box.height}px`;
+        page.style.maxWidth = '90vw'; // Ensure it doesn't exceed viewport
+        page.dataset.pageWidth = box.widthMm; // Store actual mm width for PDF
+        page.dataset.pageHeight = box.heightMm; // Store actual mm height for PDF
+        page.dataset.scale = box.scaleFactor; // Store scale factor for zoom
+        return { page, box };
+    }
+
+    /**
+     * Create a table of contents page - scenes with the page they start on
+     * Entries link to their page on screen and in the exported PDF (data-pdf-link-page)
+     * @param {Object} entry - Contents entry from UIManager.getDocumentPages
+     */
+    createContentsPage(entry, orientation, pageSize, fontFamily, pageBgColor) {
+        const sceneService = this.app.sceneDividerService;
+        const { page, box } = this.createTextPage('contents-page', orientation, pageSize, fontFamily, pageBgColor);
+        const mmToPx = 3.779527559 * box.scaleFactor;
+
+        const title = document.createElement('div');
+        title.className = 'contents-page-title';
+        title.textContent = entry.part > 0 ? 'Contents (continued)' : 'Contents';
+        title.style.fontSize = `${9 * mmToPx}px`;
+        title.style.height = `${15 * mmToPx}px`; // getContentsEntriesPerPage counts on this height
+        page.appendChild(title);
+
+        const list = document.createElement('div');
+        list.className = 'contents-page-list';
+        entry.entries.forEach(item => {
+            const row = document.createElement('a');
+            row.className = 'contents-entry';
+            row.href = `#page-${item.pageNumber}`;
+            row.dataset.pdfLinkPage = item.pageNumber;
+            row.style.height = `${8 * mmToPx}px`;
+            row.style.fontSize = `${4.2 * mmToPx}px`;
+
+            const scene = document.createElement('span');
+            scene.className = 'contents-entry-scene';
+            scene.textContent = `Scene ${item.sceneNumber}`;
+            const heading = document.createElement('span');
+            heading.className = 'contents-entry-heading';
+            heading.textContent = sceneService ? sceneService.formatSlugLine(item.sceneNumber) : '';
+            const leader = document.createElement('span');
+            leader.className = 'contents-entry-leader';
+            const pageNumber = document.createElement('span');
+            pageNumber.className = 'contents-entry-page';
+            pageNumber.textContent = item.pageNumber;
+            row.append(scene, heading, leader, pageNumber);
+
+            row.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.app.uiManager) this.app.uiManager.scrollToPage(item.pageNumber);
+            });
+            list.appendChild(row);
+        });
+        page.appendChild(list);
+        return page;
+    }
+
+    /**
+     * Create the title page of a scene - number, slug line, synopsis and a strip of its first frames
+     * Double-click edits the scene details
+     * @param {Object} entry - Scene entry from UIManager.getDocumentPages
+     */
+    createSceneDividerPage(entry, orientation, pageSize, fontFamily, pageBgColor) {
+        const sceneService = this.app.sceneDividerService;
+        const details = sceneService.getDetails(entry.sceneNumber);
+        const { page, box } = this.createTextPage('scene-divider-page', orientation, pageSize, fontFamily, pageBgColor);
+        const mmToPx = 3.779527559 * box.scaleFactor;
+        page.dataset.sceneNumber = entry.sceneNumber;
+        page.title = 'Double-click to edit the scene details';
+
+        const number = document.createElement('div');
+        number.className = 'scene-divider-number';
+        number.textContent = `Scene ${entry.sceneNumber}`;
+        number.style.fontSize = `${14 * mmToPx}px`;
+        page.appendChild(number);
+
+        const slugLine = sceneService.formatSlugLine(entry.sceneNumber);
+        if (slugLine) {
+            const slug = document.createElement('div');
+            slug.className = 'scene-divider-slug';
+            slug.textContent = slugLine;
+            slug.style.fontSize = `${6 * mmToPx}px`;
+            page.appendChild(slug);
+        }
+
+        if (details.synopsis) {
+            const synopsis = document.createElement('div');
+            synopsis.className = 'scene-divider-synopsis';
+            synopsis.textContent = details.synopsis;
+            synopsis.style.fontSize = `${4.2 * mmToPx}px`;
+            page.appendChild(synopsis);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'scene-divider-meta';
+        const firstPage = entry.pageNumber + 1;
+        const lastPage = entry.pageNumber + entry.pageCount;
+        meta.textContent = `${entry.images.length} frame${entry.images.length !== 1 ? 's' : ''} · ` +
+            (lastPage > firstPage ? `pages ${firstPage}-${lastPage}` : `page ${firstPage}`);
+        meta.style.fontSize = `${3.6 * mmToPx}px`;
+        page.appendChild(meta);
+
+        // Thumbnail strip of the scene's first frames
+        const maxThumbnails = 8;
+        const strip = document.createElement('div');
+        strip.className = 'scene-divider-strip';
+        strip.style.height = `${22 * mmToPx}px`;
+        entry.images.slice(0, maxThumbnails).forEach(image => {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'scene-divider-thumbnail';
+            thumbnail.alt = image.name;
+            thumbnail.loading = 'lazy';
+            thumbnail.decoding = 'async';
+            thumbnail.src = image.compositeUrl || image.url || '';
+            strip.appendChild(thumbnail);
+        });
+        if (entry.images.length > maxThumbnails) {
+            const more = document.createElement('div');
+            more.className = 'scene-divider-more';
+            more.textContent = `+${entry.images.length - maxThumbnails}`;
+            more.style.fontSize = `${4.2 * mmToPx}px`;
+            strip.appendChild(more);
+        }
+        page.appendChild(strip);
+
+        if (entry.contentsPageNumber) {
+            const back = document.createElement('a');
+            back.className = 'scene-divider-contents-link';
+            back.href = `#page-${entry.contentsPageNumber}`;
+            back.textContent = 'Contents';
+            back.dataset.pdfLinkPage = entry.contentsPageNumber;
+            back.style.fontSize = `${3.6 * mmToPx}px`;
+            back.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.app.uiManager) this.app.uiManager.scrollToPage(entry.contentsPageNumber);
+            });
+            page.appendChild(back);
+        }
+
+        page.addEventListener('dblclick', () => {
+            if (this.app.sceneDividerController) {
+                this.app.sceneDividerController.openSceneDetailsDialog(entry.sceneNumber);
+            }
+        });
+        return page;
+    }
+
     /**
      * Create a storyboard frame
      */
@@ -759,6 +1042,19 @@ class RenderService {
         
         const frame = document.createElement('div');
         frame.className = 'storyboard-frame';
+        frame.dataset.imageName = actualImage.name;
+        
+        // Right-click for insert / move / renumber commands
+        frame.addEventListener('contextmenu', (e) => {
+            if (this.app.renumberController) {
+                this.app.renumberController.showFrameMenu(e, actualImage);
+            }
+        });
+        
+        // Selection and drag-and-drop reordering
+        if (this.app.storyboardDragController) {
+            this.app.storyboardDragController.attachFrame(frame, actualImage);
+        }
         
         // Apply frame scale
         const frameScale = this.app.project.settings.frameScale || 100;
@@ -812,7 +1108,8 @@ class RenderService {
         // Frame section
         const frameSection = document.createElement('div');
         frameSection.className = 'shot-section shot-section-frame';
-        frameSection.textContent = frameNumber ? `Frame: ${frameNumber}` : 'Frame:';
+        const variantLabel = actualImage.variant ? ` ${actualImage.variant}` : '';
+        frameSection.textContent = frameNumber ? `Frame: ${frameNumber}${variantLabel}` : `Frame:${variantLabel}`;
         frameSection.style.fontFamily = this.app.project.settings.shotFontFamily || "'Kalam', cursive";
         frameSection.style.fontSize = (this.app.project.settings.shotFontSize || 14) + 'px';
         frameSection.style.fontWeight = this.app.project.settings.shotFontWeight || 'bold';
@@ -826,12 +1123,40 @@ class RenderService {
         rectangle.appendChild(shotSection);
         rectangle.appendChild(frameSection);
         shotContainer.appendChild(rectangle);
+        
+        // Switch between alternate frames (variants A/B/C)
+        if (actualImage.variant && this.app.variantService) {
+            const group = this.app.variantService.getGroup(actualImage);
+            if (group.length > 1) {
+                const switcher = document.createElement('div');
+                switcher.className = 'frame-variant-switcher';
+                group.forEach(variant => {
+                    const btn = document.createElement('button');
+                    btn.type = 'button';
+                    btn.textContent = variant.variant;
+                    btn.title = `Show variant ${variant.variant}`;
+                    if (variant === actualImage) btn.classList.add('active');
+                    btn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        if (variant !== actualImage) {
+                            this.app.variantService.setActive(variant);
+                        }
+                    });
+                    switcher.appendChild(btn);
+                });
+                shotContainer.appendChild(switcher);
+            }
+        }
         frame.appendChild(shotContainer);
         
         // Image (clickable to open settings)
         const imageContainer = document.createElement('div');
         imageContainer.className = 'frame-image-container';
-        imageContainer.addEventListener('click', () => {
+        imageContainer.addEventListener('click', (e) => {
+            // Ctrl/Cmd/Shift-click selects frames for dragging instead
+            if (this.app.storyboardDragController && this.app.storyboardDragController.handleFrameClick(e, actualImage)) {
+                return;
+            }
             if (this.app.imageSettingsController) {
                 this.app.imageSettingsController.openImageSettings(actualImage);
             } else if (this.app.openImageSettings) {
@@ -842,6 +1167,9 @@ class RenderService {
         const img = document.createElement('img');
         img.className = 'frame-image';
         img.alt = actualImage ? actualImage.name : 'Image';
+        // Large storyboards: only load and decode the images of frames that come into view
+        img.loading = 'lazy';
+        img.decoding = 'async';
         img.style.transform = 'scale(1)';
         img.style.transformOrigin = 'center center';
         
@@ -923,47 +1251,34 @@ class RenderService {
         img.className = 'frame-image';
         img.alt = actualImage ? actualImage.name : 'Unknown';
         
-        // Apply aspect ratio cropping
-        const aspectRatio = this.app.project.settings.imageAspectRatio || 'none';
-        if (aspectRatio !== 'none') {
-            let aspectRatioValue;
-            if (aspectRatio === 'custom') {
-                const width = this.app.project.settings.customAspectRatioWidth || 16;
-                const height = this.app.project.settings.customAspectRatioHeight || 9;
-                aspectRatioValue = width / height;
-            } else {
-                // Parse aspect ratio string (e.g., "16:9", "2.35:1")
-                const parts = aspectRatio.split(':');
-                if (parts.length === 2) {
-                    aspectRatioValue = parseFloat(parts[0]) / parseFloat(parts[1]);
-                } else {
-                    aspectRatioValue = null;
-                }
-            }
+        // Apply the frame aspect ratio (project setting or scene override)
+        const aspectRatioValue = typeof FrameAspect !== 'undefined'
+            ? FrameAspect.getFrameAspect(this.app.project.settings, sceneNumber)
+            : null;
+        if (aspectRatioValue) {
+            // Apply aspect ratio to container, but ensure it fits within available space
+            imageContainer.style.width = '100%';
+            imageContainer.style.overflow = 'hidden';
             
-            if (aspectRatioValue) {
-                // Apply aspect ratio to container, but ensure it fits within available space
-                // Use object-fit: contain to ensure image fits without overflow
-                imageContainer.style.width = '100%';
-                imageContainer.style.overflow = 'hidden';
-                
-                // Set aspect ratio, but use contain instead of cover to prevent overflow
-                imageContainer.style.aspectRatio = `${aspectRatioValue}`;
-                imageContainer.style.maxWidth = '100%';
-                imageContainer.style.maxHeight = '100%';
-                imageContainer.style.height = 'auto';
-                imageContainer.style.minHeight = '0'; // Override min-height to allow shrinking
-                
-                // Scale will be handled by updateImageScale() using width/height
-                // Don't use transform here - it doesn't affect layout
-                
-                // Use object-fit: cover to crop the image to aspect ratio
-                // The container will be constrained by max-height to prevent overflow
-                img.style.width = '100%';
-                img.style.height = '100%';
-                img.style.objectFit = 'cover';
-                img.style.objectPosition = 'center';
-            }
+            imageContainer.style.aspectRatio = `${aspectRatioValue}`;
+            imageContainer.style.maxWidth = '100%';
+            imageContainer.style.maxHeight = '100%';
+            imageContainer.style.height = 'auto';
+            imageContainer.style.minHeight = '0'; // Override min-height to allow shrinking
+            // Kept for updateImageScale(), which sizes the container from its ratio
+            imageContainer.dataset.frameAspect = aspectRatioValue;
+            
+            // Scale will be handled by updateImageScale() using width/height
+            // Don't use transform here - it doesn't affect layout
+            
+            // Images of another ratio are cropped to fill the frame (cover) or shown whole (contain);
+            // letterboxed frames get black bars, fitted frames show the page behind the image
+            const fitMode = FrameAspect.getFitMode(this.app.project.settings);
+            imageContainer.classList.toggle('frame-letterbox', fitMode === 'letterbox');
+            img.style.width = '100%';
+            img.style.height = '100%';
+            img.style.objectFit = fitMode === 'crop' ? 'cover' : 'contain';
+            img.style.objectPosition = 'center';
         } else {
             // Reset to original behavior - apply scale to image directly
             imageContainer.style.aspectRatio = '';
@@ -974,6 +1289,7 @@ class RenderService {
             imageContainer.style.minHeight = '';
             imageContainer.style.transform = '';
             imageContainer.style.transformOrigin = '';
+            delete imageContainer.dataset.frameAspect;
             img.style.width = '';
             img.style.height = '';
             img.style.objectFit = '';
@@ -987,14 +1303,14 @@ class RenderService {
         // Composite images have their own error handler in createImageComposite
         
         // Adjust margins to keep elements close when image is scaled (for aspect ratio case)
-        if (aspectRatio !== 'none' && scale < 1) {
+        if (aspectRatioValue && scale < 1) {
             imageContainer.style.marginBottom = '0'; // Remove margin when scaled
             // Adjust shot number container margin to keep it close
             const shotContainer = frame.querySelector('.shot-number-container');
             if (shotContainer) {
                 shotContainer.style.marginBottom = '5px'; // Reduce margin when scaled
             }
-        } else if (aspectRatio !== 'none') {
+        } else if (aspectRatioValue) {
             imageContainer.style.marginBottom = ''; // Restore default margin
             const shotContainer = frame.querySelector('.shot-number-container');
             if (shotContainer) {
@@ -1003,44 +1319,192 @@ class RenderService {
         }
         
         imageContainer.appendChild(img);
+        this.addFrameOverlays(imageContainer, img, aspectRatioValue);
         frame.appendChild(imageContainer);
         
-        // Text area with font controls
-        const textArea = document.createElement('textarea');
-        textArea.className = 'frame-text';
-        textArea.placeholder = 'Enter description for this frame...';
-        textArea.value = this.app.project.frameTexts[image.name] || '';
-        textArea.style.fontFamily = this.app.project.settings.frameFontFamily || "'Kalam', cursive";
-        textArea.style.fontSize = (this.app.project.settings.frameFontSize || 12) + 'px';
-        textArea.style.fontWeight = this.app.project.settings.frameFontWeight || '400';
-        textArea.style.fontStyle = this.app.project.settings.frameFontStyle || 'normal';
-        textArea.style.color = this.app.project.settings.frameTextColor || '#b4b4b4';
-        textArea.style.textAlign = this.app.project.settings.frameTextAlign || 'left';
+        // Shot list fields (lens, movement, duration…) as badges or a caption line
+        const badgeService = this.app.shotBadgeService;
+        if (badgeService && badgeService.isShown()) {
+            frame.appendChild(this.createShotBadges(actualImage));
+        }
+        
+        // Text fields (Action, Dialogue, Camera, SFX…) with font controls - one text box per shown field
+        const settings = this.app.project.settings;
+        const fieldService = this.app.frameFieldService;
+        const fields = fieldService ? fieldService.getRenderedFields() : [];
         
         // Apply frame text scale to height
-        const frameTextScale = (this.app.project.settings.frameTextScale || 100) / 100;
-        const baseMinHeight = 60; // Base min-height from CSS
+        const frameTextScale = (settings.frameTextScale || 100) / 100;
         const basePadding = 8; // Base padding from CSS
         const baseMarginTop = 5; // Base margin-top from CSS
-        textArea.style.minHeight = (baseMinHeight * frameTextScale) + 'px';
-        textArea.style.paddingTop = (basePadding * frameTextScale) + 'px';
-        textArea.style.paddingBottom = (basePadding * frameTextScale) + 'px';
-        textArea.style.marginTop = (baseMarginTop * frameTextScale) + 'px';
-        // Debounce text input to avoid performance issues
-        let textTimeout;
-        textArea.addEventListener('input', (e) => {
-            this.app.project.frameTexts[image.name] = e.target.value;
-            clearTimeout(textTimeout);
-            textTimeout = setTimeout(() => {
-                if (this.app.markChanged) this.app.markChanged();
-            }, 500); // Save 500ms after typing stops
-        });
         
-        frame.appendChild(textArea);
+        fields.forEach((field, index) => {
+            if (field.showLabel) {
+                const label = document.createElement('div');
+                label.className = 'frame-field-label';
+                label.textContent = field.label;
+                label.style.marginTop = (baseMarginTop * frameTextScale) + 'px';
+                frame.appendChild(label);
+            }
+            
+            // Debounce text input to avoid performance issues
+            let textTimeout;
+            const textArea = RichText.createEditor({
+                value: fieldService.getValue(image.name, field.id),
+                className: 'frame-text',
+                placeholder: fields.length === 1 && !field.showLabel
+                    ? 'Enter description for this frame...'
+                    : `${field.label}…`,
+                onInput: (value) => {
+                    fieldService.setValue(image.name, field.id, value);
+                    clearTimeout(textTimeout);
+                    textTimeout = setTimeout(() => {
+                        if (this.app.markChanged) this.app.markChanged();
+                    }, 500); // Save 500ms after typing stops
+                }
+            });
+            textArea.dataset.fieldId = field.id;
+            // Field styling overrides the frame text settings where set
+            textArea.style.fontFamily = settings.frameFontFamily || "'Kalam', cursive";
+            textArea.style.fontSize = (settings.frameFontSize || 12) + 'px';
+            textArea.style.fontWeight = field.fontWeight || settings.frameFontWeight || '400';
+            textArea.style.fontStyle = field.fontStyle || settings.frameFontStyle || 'normal';
+            textArea.style.color = field.color || settings.frameTextColor || '#b4b4b4';
+            textArea.style.textAlign = settings.frameTextAlign || 'left';
+            
+            // The first field keeps the full text box height, further fields are compact
+            // Fixed height (scrolls when longer) so the page layout stays as calculated
+            const baseMinHeight = index === 0 ? 60 : 20; // Base min-height from CSS
+            textArea.style.minHeight = (baseMinHeight * frameTextScale) + 'px';
+            textArea.style.height = (baseMinHeight * frameTextScale) + 'px';
+            textArea.style.paddingTop = (basePadding * frameTextScale) + 'px';
+            textArea.style.paddingBottom = (basePadding * frameTextScale) + 'px';
+            textArea.style.marginTop = field.showLabel ? '0' : (baseMarginTop * frameTextScale) + 'px';
+            
+            frame.appendChild(textArea);
+        });
         
         return frame;
     }
 
+    /**
+     * Redraw one frame after an edit instead of re-rendering the whole storyboard
+     * A frame on a page that is not mounted needs nothing - the page is built from the project when it mounts
+     * @param {string} imageName - Name of the edited image
+     * @returns {boolean} False if the edit changed which frames are on which page (re-render instead)
+     */
+    updateFrame(imageName) {
+        const uiManager = this.app.uiManager;
+        if (!uiManager || !uiManager.isLayoutCurrent()) return false;
+        const image = this.app.project.images.find(img => img.name === imageName);
+        if (!image) return false;
+        this.syncShotList();
+
+        const container = document.getElementById('storyboardContainer');
+        const oldFrame = container && Array.from(container.querySelectorAll('.storyboard-frame'))
+            .find(frame => frame.dataset.imageName === imageName);
+        if (!oldFrame) return true;
+
+        const page = oldFrame.closest('.storyboard-page');
+        const documentPages = uiManager.getDocumentPages();
+        const pageGroup = documentPages.find(entry => entry.type === 'storyboard' && entry.images.some(img => img.name === imageName));
+        const pageIndex = pageGroup ? pageGroup.pageIndex : 0;
+        const frameIndex = Array.from(page.querySelectorAll('.storyboard-frame')).indexOf(oldFrame);
+        const fontFamily = this.app.project.settings.fontFamily;
+        const isHandwriting = ['Kalam', 'Caveat', 'Permanent Marker', 'Shadows Into Light'].some(font => fontFamily.includes(font));
+        const frame = this.createFrame(image, this.app.project.settings.imageScale / 100, isHandwriting, fontFamily, pageIndex, frameIndex);
+        oldFrame.replaceWith(frame);
+        uiManager.updateFrameScale(frame.parentElement);
+
+        // Scene and shot tokens of the page's header and footer may have changed
+        page.querySelectorAll('.page-template-bar').forEach(bar => {
+            const position = bar.classList.contains('page-template-header') ? 'header' : 'footer';
+            bar.replaceWith(pageGroup
+                ? this.createPageTemplateBar(position, pageIndex, pageGroup.images, pageGroup.pageNumber, documentPages.length)
+                : this.createPageTemplateBar(position, pageIndex, []));
+        });
+        return true;
+    }
+
+    /**
+     * Lay the framing guides (safe areas, grids, delivery crops) over a frame
+     * Frames that follow their image's ratio get them once the image has loaded
+     * @param {HTMLElement} imageContainer - Frame image container
+     * @param {HTMLImageElement} img - Frame image
+     * @param {number|null} frameAspect - Frame aspect ratio, or null if the frame follows the image
+     */
+    addFrameOverlays(imageContainer, img, frameAspect) {
+        const service = this.app.frameOverlayService;
+        if (!service || typeof FrameOverlays === 'undefined') return;
+        const overlays = service.getOverlaysFor('storyboard');
+        if (overlays.length === 0) return;
+
+        imageContainer.classList.add('has-frame-overlay');
+        const attach = (aspect) => {
+            const existing = imageContainer.querySelector('.frame-overlay');
+            if (existing) existing.remove();
+            imageContainer.appendChild(FrameOverlays.createOverlayElement(overlays, aspect));
+        };
+        if (frameAspect) {
+            attach(frameAspect);
+            return;
+        }
+        img.addEventListener('load', () => {
+            if (img.naturalWidth && img.naturalHeight) {
+                attach(img.naturalWidth / img.naturalHeight);
+            }
+        });
+    }
+
+    /**
+     * Create the row of shot list badges under a frame
+     * @param {Object} image - Storyboard image
+     * @returns {HTMLElement}
+     */
+    createShotBadges(image) {
+        const service = this.app.shotBadgeService;
+        const config = service.getConfig();
+        const row = document.createElement('div');
+        row.className = `frame-shot-badges frame-shot-badges-${config.style}`;
+        row.dataset.imageName = image.name;
+        const lineHeight = Math.ceil(config.fontSize * 1.3);
+        row.style.height = (service.getRowHeight() - 5) + 'px';
+        row.style.fontSize = config.fontSize + 'px';
+        row.style.lineHeight = lineHeight + 'px';
+        row.style.color = config.textColor;
+
+        const badges = service.getBadges(image);
+        const format = (badge) => config.showLabels ? `${badge.label}: ${badge.text}` : badge.text;
+        if (config.style === 'caption') {
+            row.textContent = badges.map(format).join(' · ');
+            row.title = row.textContent;
+            return row;
+        }
+        badges.forEach(badge => {
+            const element = document.createElement('span');
+            element.className = 'frame-shot-badge';
+            element.dataset.field = badge.id;
+            element.textContent = format(badge);
+            element.title = `${badge.label}: ${badge.text}`;
+            element.style.backgroundColor = config.badgeColor;
+            row.appendChild(element);
+        });
+        return row;
+    }
+
+    /**
+     * Rebuild the shot badges of the frames on the mounted pages, after a shot list edit
+     * Frames on pages that are not mounted get current badges when their page is built
+     */
+    refreshShotBadges() {
+        const service = this.app.shotBadgeService;
+        if (!service || !service.isShown()) return;
+        document.querySelectorAll('.storyboard-frame .frame-shot-badges').forEach(row => {
+            const image = this.app.project.images.find(img => img.name === row.dataset.imageName);
+            if (image) row.replaceWith(this.createShotBadges(image));
+        });
+    }
+
     /**
      * Update image scale on all frames
      */
@@ -1049,7 +1513,6 @@ class RenderService {
         const frames = document.querySelectorAll('.storyboard-frame');
         const scale = this.app.project.settings.imageScale || 100;
         const scaleValue = scale / 100;
-        const aspectRatio = this.app.project.settings.imageAspectRatio || 'none';
         
         frames.forEach((frame) => {
             const imageContainer = frame.querySelector('.frame-image-container');
@@ -1057,7 +1520,10 @@ class RenderService {
             
             if (!imageContainer || !img) return;
             
-            if (aspectRatio === 'none') {
+            // Frame aspect ratio set by createFrame (differs per scene when scenes override it)
+            const aspectRatioValue = parseFloat(imageContainer.dataset.frameAspect) || null;
+            
+            if (!aspectRatioValue) {
                 // No aspect ratio - scale the container dimensions directly
                 if (scale < 100) {
                     // Get image dimensions (use natural if available, otherwise use current)
@@ -1099,27 +1565,11 @@ class RenderService {
                     
                     // Calculate scaled width
                     const scaledWidth = frameWidth * scaleValue;
+                    const scaledHeight = scaledWidth / aspectRatioValue;
                     
-                    // Get aspect ratio to calculate height
-                    let aspectRatioValue;
-                    if (aspectRatio === 'custom') {
-                        const width = this.app.project.settings.customAspectRatioWidth || 16;
-                        const height = this.app.project.settings.customAspectRatioHeight || 9;
-                        aspectRatioValue = width / height;
-                    } else {
-                        const parts = aspectRatio.split(':');
-                        if (parts.length === 2) {
-                            aspectRatioValue = parseFloat(parts[0]) / parseFloat(parts[1]);
-                        }
-                    }
-                    
-                    if (aspectRatioValue) {
-                        const scaledHeight = scaledWidth / aspectRatioValue;
-                        
-                        // Only change width and height, leave margins and min-height as CSS defines
-                        imageContainer.style.width = `${scaledWidth}px`;
-                        imageContainer.style.height = `${scaledHeight}px`;
-                    }
+                    // Only change width and height, leave margins and min-height as CSS defines
+                    imageContainer.style.width = `${scaledWidth}px`;
+                    imageContainer.style.height = `${scaledHeight}px`;
                 } else if (scale === 100) {
                     // Reset to full size - only clear width and height
                     imageContainer.style.width = '';
@@ -0,0 +1,730 @@
+/**
+ * RenumberService - Insert frames, move and reorder shots and frames, renumber scenes/shots/frames
+ * Commands are built as plans first so the UI can preview the before/after numbering,
+ * then applied in one go and recorded for undo. Data keyed by image name (frame texts, scenes) follows the
+ * image automatically; page-keyed data and shot list entries are carried over explicitly.
+ */
+class RenumberService {
+    constructor(app) {
+        this.app = app;
+        this.undoStack = [];
+        this.maxUndo = 20;
+    }
+
+    /**
+     * Get the frames of a shot in frame order
+     * Only the shown variant of an alternate frame is returned; setNumbers carries its siblings along
+     * @param {string} sceneNumber - Scene number (exact)
+     * @param {string} shotNumber - Shot number (exact)
+     * @returns {Array} Images
+     */
+    getShotFrames(sceneNumber, shotNumber) {
+        const images = this.app.variantService ? this.app.variantService.getLayoutImages(null) : this.app.project.images;
+        return images
+            .filter(img => (img.sceneNumber || '') === (sceneNumber || '') && (img.shotNumber || '') === (shotNumber || ''))
+            .sort((a, b) => this.compare(a.frameNumber, b.frameNumber));
+    }
+
+    /**
+     * Get the shot numbers used in a scene, by frames and by shot list entries
+     * @param {string} sceneNumber - Scene number (exact)
+     * @returns {Array<string>} Shot numbers in order
+     */
+    getSceneShots(sceneNumber) {
+        const shots = new Set();
+        this.app.project.images.forEach(img => {
+            if ((img.sceneNumber || '') === (sceneNumber || '') && img.shotNumber) {
+                shots.add(img.shotNumber);
+            }
+        });
+        if (this.app.shotListManager) {
+            this.app.shotListManager.getShotsByScene(sceneNumber).forEach(shot => {
+                if (shot.shotNumber) shots.add(shot.shotNumber);
+            });
+        }
+        return Array.from(shots).sort((a, b) => this.compare(a, b));
+    }
+
+    compare(a, b) {
+        return this.app.imageManager.compareStructureNumbers(a, b);
+    }
+
+    parse(value) {
+        return this.app.imageManager.parseStructureNumber(value);
+    }
+
+    normalize(value) {
+        return this.app.imageManager.normalizeStructureNumber(value);
+    }
+
+    /**
+     * Detect the numbering step of a sequence (10 for 0010, 0020, ...)
+     * @param {Array<string>} values - Existing numbers
+     * @returns {number} Step
+     */
+    detectStep(values) {
+        const nums = [...new Set(values
+            .map(value => this.parse(value))
+            .filter(parsed => parsed && !parsed.suffix)
+            .map(parsed => parsed.num))]
+            .sort((a, b) => a - b);
+
+        let step = Infinity;
+        for (let i = 1; i < nums.length; i++) {
+            step = Math.min(step, nums[i] - nums[i - 1]);
+        }
+        if (step !== Infinity) return step;
+        if (nums.length === 1 && nums[0] > 0 && nums[0] % 10 === 0) return 10;
+        return 1;
+    }
+
+    /**
+     * Detect the zero-padding width of a sequence
+     * @param {Array<string>} values - Existing numbers
+     * @param {number} fallback - Width when nothing is numbered yet
+     * @returns {number} Digit count
+     */
+    detectWidth(values, fallback = 3) {
+        const widths = values.map(value => this.parse(value)).filter(Boolean).map(parsed => parsed.width);
+        return widths.length > 0 ? Math.max(...widths) : fallback;
+    }
+
+    formatNumber(num, suffix, width) {
+        return String(num).padStart(width, '0') + (suffix || '');
+    }
+
+    /**
+     * Next letter suffix: '' -> 'A', 'A' -> 'B', 'Z' -> 'ZA'
+     */
+    nextSuffix(suffix) {
+        if (!suffix) return 'A';
+        const last = suffix[suffix.length - 1];
+        if (last < 'Z') {
+            return suffix.slice(0, -1) + String.fromCharCode(last.charCodeAt(0) + 1);
+        }
+        return suffix + 'A';
+    }
+
+    /**
+     * Find a number that sorts between two neighbours without touching them
+     * Uses the gap when there is one (0010 / 0020 -> 0015), otherwise a letter suffix (0010 / 0011 -> 0010A)
+     * @param {Object|null} prev - Parsed previous number
+     * @param {Object|null} next - Parsed next number
+     * @param {number} step - Numbering step
+     * @param {number} width - Digit count
+     * @param {Set<string>} taken - Normalized numbers already in use
+     * @returns {string|null} New number, or null if the sequence has to be renumbered
+     */
+    numberBetween(prev, next, step, width, taken) {
+        const candidates = [];
+        if (!prev && !next) {
+            candidates.push(this.formatNumber(step, '', width));
+        } else if (!prev) {
+            const num = Math.floor(next.num / 2);
+            if (num >= 1) candidates.push(this.formatNumber(num, '', width));
+        } else if (!next) {
+            candidates.push(this.formatNumber(prev.num + step, '', width));
+        } else if (next.num - prev.num >= 2) {
+            candidates.push(this.formatNumber(prev.num + Math.floor((next.num - prev.num) / 2), '', width));
+        } else {
+            candidates.push(this.formatNumber(prev.num, this.nextSuffix(prev.suffix), width));
+            candidates.push(this.formatNumber(prev.num, prev.suffix + 'A', width));
+        }
+
+        const prevValue = prev ? this.formatNumber(prev.num, prev.suffix, width) : null;
+        const nextValue = next ? this.formatNumber(next.num, next.suffix, width) : null;
+        return candidates.find(value =>
+            !taken.has(this.normalize(value)) &&
+            (prevValue === null || this.compare(prevValue, value) < 0) &&
+            (nextValue === null || this.compare(value, nextValue) < 0)
+        ) || null;
+    }
+
+    /**
+     * Create an empty plan
+     * @param {string} title - Command description shown in the preview
+     * @returns {Object} Plan
+     */
+    createPlan(title) {
+        return {
+            title,
+            changes: new Map(), // image -> { sceneNumber, shotNumber, frameNumber }
+            inserts: [],        // new image objects
+            shotMoves: [],      // { from: { sceneNumber, shotNumber }, to: { sceneNumber, shotNumber } }
+            warnings: [],
+            error: null
+        };
+    }
+
+    /**
+     * Record a change for an image, skipping no-ops
+     * Alternates of the frame (variants) get the same numbers so they stay together
+     */
+    setNumbers(plan, image, numbers) {
+        const next = {
+            sceneNumber: numbers.sceneNumber !== undefined ? numbers.sceneNumber : (image.sceneNumber || ''),
+            shotNumber: numbers.shotNumber !== undefined ? numbers.shotNumber : (image.shotNumber || ''),
+            frameNumber: numbers.frameNumber !== undefined ? numbers.frameNumber : (image.frameNumber || '')
+        };
+        const unchanged = next.sceneNumber === (image.sceneNumber || '') &&
+            next.shotNumber === (image.shotNumber || '') &&
+            next.frameNumber === (image.frameNumber || '');
+
+        const group = this.app.variantService ? this.app.variantService.getGroup(image) : [image];
+        group.forEach(img => {
+            if (unchanged) {
+                plan.changes.delete(img);
+            } else {
+                plan.changes.set(img, { ...next });
+            }
+        });
+    }
+
+    /**
+     * Plan inserting a blank frame next to an existing one
+     * Neighbouring frames keep their numbers where possible (letter suffix or gap),
+     * otherwise the shot's frames are renumbered sequentially
+     * @param {Object} anchor - Image to insert next to
+     * @param {string} position - 'before' or 'after'
+     * @returns {Promise<Object>} Plan
+     */
+    async planInsert(anchor, position) {
+        const plan = this.createPlan(`Insert Frame ${position === 'before' ? 'Before' : 'After'}`);
+        const sceneNumber = anchor.sceneNumber || '';
+        const shotNumber = anchor.shotNumber || '';
+        const frames = this.getShotFrames(sceneNumber, shotNumber);
+        const index = frames.indexOf(anchor);
+        const insertIndex = position === 'before' ? index : index + 1;
+
+        const values = frames.map(img => img.frameNumber || '');
+        const width = this.detectWidth(values, 4);
+        const step = this.detectStep(values);
+        const taken = new Set(values.map(value => this.normalize(value)));
+
+        const prev = insertIndex > 0 ? this.parse(frames[insertIndex - 1].frameNumber) : null;
+        const next = insertIndex < frames.length ? this.parse(frames[insertIndex].frameNumber) : null;
+        const hasUnnumbered = (insertIndex > 0 && !prev) || (insertIndex < frames.length && !next);
+
+        let frameNumber = hasUnnumbered ? null : this.numberBetween(prev, next, step, width, taken);
+
+        const emptyFrameImage = this.app.shotListManager
+            ? await this.app.shotListManager.getDefaultEmptyFrameImage()
+            : '';
+        const name = `frame_${sceneNumber}_${shotNumber}_${Date.now()}.png`;
+        const newImage = {
+            name,
+            originalName: name,
+            generated: true, // No file on disk, so a folder re-import must not drop it
+            url: emptyFrameImage,
+            sceneNumber,
+            shotNumber,
+            frameNumber: frameNumber || ''
+        };
+
+        if (!frameNumber) {
+            // No room between the neighbours - renumber the whole shot including the new frame
+            const ordered = frames.slice();
+            ordered.splice(insertIndex, 0, newImage);
+            ordered.forEach((img, i) => {
+                const value = this.formatNumber(step * (i + 1), '', width);
+                if (img === newImage) {
+                    newImage.frameNumber = value;
+                } else {
+                    this.setNumbers(plan, img, { frameNumber: value });
+                }
+            });
+            plan.warnings.push(`No free number between the neighbouring frames - all frames in this shot will be renumbered.`);
+        }
+
+        plan.inserts.push(newImage);
+        return plan;
+    }
+
+    /**
+     * Plan moving all frames of a shot to another scene (and optionally another shot number)
+     * @param {string} sceneNumber - Current scene number
+     * @param {string} shotNumber - Current shot number
+     * @param {string} targetScene - Scene to move to ("2" matches an existing "002")
+     * @param {string} targetShot - New shot number, or empty to keep the current one if it is free
+     * @returns {Object} Plan
+     */
+    planMoveShot(sceneNumber, shotNumber, targetScene, targetShot = '') {
+        const plan = this.createPlan(`Move Shot ${shotNumber || '(none)'}`);
+        const frames = this.getShotFrames(sceneNumber, shotNumber);
+        targetScene = String(targetScene || '').trim();
+        targetShot = String(targetShot || '').trim();
+
+        if (!targetScene) {
+            plan.error = 'Enter a scene to move the shot to.';
+            return plan;
+        }
+
+        // Adopt the spelling of an existing scene, otherwise pad like the other scenes
+        const scenes = [...new Set(this.app.project.images.map(img => img.sceneNumber).filter(Boolean))];
+        const existingScene = scenes.find(scene => this.normalize(scene) === this.normalize(targetScene));
+        let newScene = existingScene;
+        if (!newScene) {
+            const parsed = this.parse(targetScene);
+            newScene = parsed ? this.formatNumber(parsed.num, parsed.suffix, this.detectWidth(scenes, 3)) : targetScene;
+        }
+
+        const targetShots = this.getSceneShots(newScene).filter(shot =>
+            !(newScene === sceneNumber && shot === shotNumber)
+        );
+        const isTaken = (value) => targetShots.some(shot => this.normalize(shot) === this.normalize(value));
+
+        let newShot = targetShot;
+        if (newShot) {
+            const parsed = this.parse(newShot);
+            if (parsed) newShot = this.formatNumber(parsed.num, parsed.suffix, this.detectWidth(targetShots.concat(shotNumber), 3));
+            if (isTaken(newShot)) {
+                plan.error = `Shot ${newShot} already exists in Scene ${newScene}.`;
+                return plan;
+            }
+        } else if (shotNumber && !isTaken(shotNumber)) {
+            newShot = shotNumber;
+        } else {
+            const step = this.detectStep(targetShots);
+            const last = targetShots.map(shot => this.parse(shot)).filter(Boolean).pop();
+            newShot = this.formatNumber(last ? last.num + step : step, '', this.detectWidth(targetShots.concat(shotNumber), 3));
+        }
+
+        if (newScene === sceneNumber && newShot === shotNumber) {
+            plan.error = 'The shot is already in this scene.';
+            return plan;
+        }
+
+        frames.forEach(img => this.setNumbers(plan, img, { sceneNumber: newScene, shotNumber: newShot }));
+        plan.shotMoves.push({
+            from: { sceneNumber, shotNumber },
+            to: { sceneNumber: newScene, shotNumber: newShot }
+        });
+        if (!existingScene) {
+            plan.warnings.push(`Scene ${newScene} does not exist yet and will be created.`);
+        }
+        return plan;
+    }
+
+    /**
+     * Plan renumbering the frames of a shot sequentially (drops letter suffixes)
+     * @param {string} sceneNumber - Scene number
+     * @param {string} shotNumber - Shot number
+     * @param {Object} options - { start, step, width }
+     * @returns {Object} Plan
+     */
+    planRenumberFrames(sceneNumber, shotNumber, options = {}) {
+        const plan = this.createPlan(`Renumber Frames in Shot ${shotNumber || '(none)'}`);
+        const frames = this.getShotFrames(sceneNumber, shotNumber);
+        const { start, step, width } = this.resolveSequenceOptions(frames.map(img => img.frameNumber || ''), options, 4);
+
+        frames.forEach((img, i) => {
+            this.setNumbers(plan, img, { frameNumber: this.formatNumber(start + i * step, '', width) });
+        });
+        return plan;
+    }
+
+    /**
+     * Plan renumbering the shots of a scene sequentially, keeping each shot's frames and shot list entry
+     * @param {string} sceneNumber - Scene number
+     * @param {Object} options - { start, step, width }
+     * @returns {Object} Plan
+     */
+    planRenumberShots(sceneNumber, options = {}) {
+        const plan = this.createPlan(`Renumber Shots in Scene ${sceneNumber || '(none)'}`);
+        const shots = this.getSceneShots(sceneNumber);
+        const { start, step, width } = this.resolveSequenceOptions(shots, options, 3);
+
+        shots.forEach((shotNumber, i) => {
+            const newShot = this.formatNumber(start + i * step, '', width);
+            if (newShot === shotNumber) return;
+            this.getShotFrames(sceneNumber, shotNumber).forEach(img => {
+                this.setNumbers(plan, img, { shotNumber: newShot });
+            });
+            plan.shotMoves.push({
+                from: { sceneNumber, shotNumber },
+                to: { sceneNumber, shotNumber: newShot }
+            });
+        });
+        return plan;
+    }
+
+    /**
+     * Plan moving frames next to another frame, into that frame's shot
+     * Frames around the drop point keep their numbers where possible, otherwise the shot is renumbered
+     * @param {Array} images - Frames to move, in storyboard order
+     * @param {Object} target - Frame they are dropped on
+     * @param {string} position - 'before' or 'after'
+     * @returns {Object} Plan
+     */
+    planReorderFrames(images, target, position) {
+        const plan = this.createPlan(images.length === 1 ? 'Move Frame' : `Move ${images.length} Frames`);
+        if (images.includes(target)) {
+            plan.error = 'Drop the frames outside the selection.';
+            return plan;
+        }
+
+        const sceneNumber = target.sceneNumber || '';
+        const shotNumber = target.shotNumber || '';
+        const current = this.getShotFrames(sceneNumber, shotNumber);
+        const remaining = current.filter(img => !images.includes(img));
+        const index = remaining.indexOf(target) + (position === 'after' ? 1 : 0);
+        const sequence = remaining.slice();
+        sequence.splice(index, 0, ...images);
+
+        // Dropped back where they already were
+        if (sequence.length === current.length && sequence.every((img, i) => img === current[i])) {
+            return plan;
+        }
+
+        const values = remaining.map(img => img.frameNumber || '');
+        const width = this.detectWidth(values.concat(images.map(img => img.frameNumber || '')), 4);
+        const step = this.detectStep(values.length > 0 ? values : images.map(img => img.frameNumber || ''));
+        const numbers = this.numbersBetween(remaining.map(img => img.frameNumber), index, images.length, step, width);
+
+        if (numbers) {
+            images.forEach((img, i) => this.setNumbers(plan, img, { sceneNumber, shotNumber, frameNumber: numbers[i] }));
+        } else {
+            sequence.forEach((img, i) => this.setNumbers(plan, img, {
+                sceneNumber,
+                shotNumber,
+                frameNumber: this.formatNumber(step * (i + 1), '', width)
+            }));
+            plan.warnings.push('No free numbers at the drop point - all frames in this shot were renumbered.');
+        }
+        return plan;
+    }
+
+    /**
+     * Plan moving whole shots next to another shot, into that shot's scene
+     * Shot list entries travel with their shots; the scene's shots are renumbered if there is no room
+     * @param {Array} shots - { sceneNumber, shotNumber } to move, in storyboard order
+     * @param {string} targetScene - Scene of the shot they are dropped on
+     * @param {string} targetShot - Shot they are dropped on
+     * @param {string} position - 'before' or 'after'
+     * @returns {Object} Plan
+     */
+    planReorderShots(shots, targetScene, targetShot, position) {
+        const plan = this.createPlan(shots.length === 1 ? `Move Shot ${shots[0].shotNumber}` : `Move ${shots.length} Shots`);
+        targetScene = targetScene || '';
+        if (!targetShot) {
+            plan.error = 'Drop the shot onto a frame that belongs to a shot.';
+            return plan;
+        }
+        if (shots.some(shot => shot.sceneNumber === targetScene && shot.shotNumber === targetShot)) {
+            plan.error = 'Drop the shots outside the selection.';
+            return plan;
+        }
+
+        const isMoving = (shotNumber) => shots.some(shot => shot.sceneNumber === targetScene && shot.shotNumber === shotNumber);
+        const current = this.getSceneShots(targetScene);
+        const remaining = current.filter(shotNumber => !isMoving(shotNumber));
+        const index = remaining.indexOf(targetShot) + (position === 'after' ? 1 : 0);
+        const sequence = remaining.map(shotNumber => ({ sceneNumber: targetScene, shotNumber }));
+        sequence.splice(index, 0, ...shots);
+
+        if (sequence.length === current.length &&
+            sequence.every((shot, i) => shot.sceneNumber === targetScene && shot.shotNumber === current[i])) {
+            return plan;
+        }
+
+        const width = this.detectWidth(current.concat(shots.map(shot => shot.shotNumber)), 3);
+        const step = this.detectStep(remaining.length > 0 ? remaining : shots.map(shot => shot.shotNumber));
+        const numbers = this.numbersBetween(remaining, index, shots.length, step, width);
+
+        let moves;
+        if (numbers) {
+            moves = shots.map((shot, i) => ({ from: shot, to: { sceneNumber: targetScene, shotNumber: numbers[i] } }));
+        } else {
+            moves = sequence.map((shot, i) => ({
+                from: shot,
+                to: { sceneNumber: targetScene, shotNumber: this.formatNumber(step * (i + 1), '', width) }
+            }));
+            plan.warnings.push(`No free shot numbers at the drop point - all shots in Scene ${targetScene || '(none)'} were renumbered.`);
+        }
+
+        moves.forEach(move => {
+            if (move.from.sceneNumber === move.to.sceneNumber && move.from.shotNumber === move.to.shotNumber) return;
+            this.getShotFrames(move.from.sceneNumber, move.from.shotNumber).forEach(img => {
+                this.setNumbers(plan, img, move.to);
+            });
+            plan.shotMoves.push({ from: { ...move.from }, to: move.to });
+        });
+        return plan;
+    }
+
+    /**
+     * Find numbers for several items inserted at one point of a sequence, leaving the others untouched
+     * @param {Array<string>} values - Numbers of the sequence without the inserted items
+     * @param {number} index - Insert position in values
+     * @param {number} count - Number of items inserted
+     * @param {number} step - Numbering step
+     * @param {number} width - Digit count
+     * @returns {Array<string>|null} New numbers, or null if the sequence has to be renumbered
+     */
+    numbersBetween(values, index, count, step, width) {
+        let prev = index > 0 ? this.parse(values[index - 1]) : null;
+        const next = index < values.length ? this.parse(values[index]) : null;
+        if ((index > 0 && !prev) || (index < values.length && !next)) return null;
+
+        const taken = new Set(values.map(value => this.normalize(value)));
+        const numbers = [];
+        for (let i = 0; i < count; i++) {
+            const value = this.numberBetween(prev, next, step, width, taken);
+            if (!value) return null;
+            numbers.push(value);
+            taken.add(this.normalize(value));
+            prev = this.parse(value);
+        }
+        return numbers;
+    }
+
+    /**
+     * Fill in start/step/width from the existing sequence when not given
+     */
+    resolveSequenceOptions(values, options, fallbackWidth) {
+        const step = parseInt(options.step) > 0 ? parseInt(options.step) : this.detectStep(values);
+        const start = parseInt(options.start) >= 0 && options.start !== '' && options.start !== undefined
+            ? parseInt(options.start)
+            : step;
+        const width = parseInt(options.width) > 0 ? parseInt(options.width) : this.detectWidth(values, fallbackWidth);
+        return { start, step, width };
+    }
+
+    /**
+     * Remember which frame opens each page that has page-keyed data (annotations, page text, header/footer overrides, drawings)
+     * @returns {Map<number, string>} Page index -> image name
+     */
+    capturePageAnchors() {
+        const anchors = new Map();
+        if (!this.app.uiManager) return anchors;
+
+        const pageMap = this.app.uiManager.getImagePageMap();
+        pageMap.forEach((pageIndex, imageName) => {
+            if (!anchors.has(pageIndex)) anchors.set(pageIndex, imageName);
+        });
+        return anchors;
+    }
+
+    /**
+     * Move page-keyed data to the page its anchor frame ends up on
+     * Pages whose data lands on the same page are merged (drawings are laid one over the other)
+     * @param {Map<number, string>} anchors - From capturePageAnchors
+     */
+    async remapPageData(anchors) {
+        if (!this.app.uiManager || anchors.size === 0) return;
+        const pageMap = this.app.uiManager.getImagePageMap();
+
+        const merge = {
+            annotations: (a, b) => [].concat(a || [], b || []),
+            pageTexts: (a, b) => RichText.joinValues([a, b]),
+            pageTemplates: (a, b) => ({ ...b, ...a }),
+            drawings: (a, b) => this.compositeDrawings(a, b)
+        };
+
+        for (const key of Object.keys(merge)) {
+            const data = this.app.project[key];
+            if (!data) continue;
+
+            const remapped = {};
+            for (const oldIndex of Object.keys(data)) {
+                const anchor = anchors.get(parseInt(oldIndex));
+                const newIndex = anchor && pageMap.has(anchor) ? pageMap.get(anchor) : oldIndex;
+                remapped[newIndex] = remapped[newIndex] !== undefined
+                    ? await merge[key](remapped[newIndex], data[oldIndex])
+                    : data[oldIndex];
+            }
+            this.app.project[key] = remapped;
+        }
+    }
+
+    /**
+     * Draw one page drawing over another - both cover the whole page, so they are stretched to the same size
+     * @param {string} under - Data URL of the drawing underneath
+     * @param {string} over - Data URL of the drawing on top
+     * @returns {Promise<string>} Data URL of the combined drawing (the one that loads if the other does not)
+     */
+    async compositeDrawings(under, over) {
+        const load = (src) => new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(null);
+            img.src = src;
+        });
+        const [bottom, top] = await Promise.all([load(under), load(over)]);
+        if (!bottom || !top) return bottom || !top ? under : over;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(bottom.naturalWidth, top.naturalWidth);
+        canvas.height = Math.max(bottom.naturalHeight, top.naturalHeight);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bottom, 0, 0, canvas.width, canvas.height);
+        ctx.drawImage(top, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL();
+    }
+
+    /**
+     * Apply a plan to the project
+     * @param {Object} plan - Plan from one of the plan* methods
+     * @returns {Promise<boolean>} True if applied
+     */
+    async applyPlan(plan) {
+        if (!plan || plan.error) return false;
+        if (plan.changes.size === 0 && plan.inserts.length === 0 && plan.shotMoves.length === 0) return false;
+
+        const anchors = this.capturePageAnchors();
+        this.pushUndo(plan);
+
+        // Collect shot list entries before any numbers change
+        const shotListManager = this.app.shotListManager;
+        const movedEntries = shotListManager
+            ? plan.shotMoves.map(move => ({
+                to: move.to,
+                entries: shotListManager.getAllShots().filter(shot =>
+                    shot.sceneNumber === move.from.sceneNumber && shot.shotNumber === move.from.shotNumber
+                )
+            }))
+            : [];
+
+        const movedFrom = new Set();
+        plan.changes.forEach((numbers, image) => {
+            movedFrom.add(`${image.sceneNumber || ''}|${image.shotNumber || ''}`);
+            image.sceneNumber = numbers.sceneNumber;
+            image.shotNumber = numbers.shotNumber;
+            image.frameNumber = numbers.frameNumber;
+            if (numbers.sceneNumber) {
+                this.app.project.imageScenes[image.name] = numbers.sceneNumber;
+            } else {
+                delete this.app.project.imageScenes[image.name];
+            }
+        });
+
+        plan.inserts.forEach(image => {
+            this.app.project.images.push(image);
+            if (image.sceneNumber) {
+                this.app.project.imageScenes[image.name] = image.sceneNumber;
+            }
+        });
+
+        movedEntries.forEach(({ to, entries }) => {
+            entries.forEach(shot => {
+                shot.sceneNumber = to.sceneNumber;
+                shot.shotNumber = to.shotNumber;
+                shot.updatedAt = Date.now();
+            });
+        });
+
+        if (shotListManager) {
+            // Shots that gained or lost frames
+            const touched = new Set(plan.inserts.map(image => `${image.sceneNumber}|${image.shotNumber}`));
+            plan.changes.forEach((numbers, image) => {
+                touched.add(`${numbers.sceneNumber}|${numbers.shotNumber}`);
+            });
+            movedFrom.forEach(key => touched.add(key));
+            shotListManager.getAllShots().forEach(shot => {
+                if (touched.has(`${shot.sceneNumber}|${shot.shotNumber}`)) {
+                    shot.frameCount = this.getShotFrames(shot.sceneNumber, shot.shotNumber).length;
+                }
+            });
+            shotListManager.sortShots();
+        }
+
+        this.app.sortImagesByStructure();
+        await this.remapPageData(anchors);
+        await this.app.refreshAfterStructureChange();
+
+        return true;
+    }
+
+    /**
+     * Remember everything a plan is about to change so it can be undone
+     * @param {Object} plan - Plan about to be applied
+     */
+    pushUndo(plan) {
+        const project = this.app.project;
+        const images = new Map();
+        plan.changes.forEach((numbers, image) => {
+            images.set(image, {
+                sceneNumber: image.sceneNumber || '',
+                shotNumber: image.shotNumber || '',
+                frameNumber: image.frameNumber || '',
+                imageScene: project.imageScenes[image.name]
+            });
+        });
+        const shots = this.app.shotListManager
+            ? this.app.shotListManager.getAllShots().map(shot => ({
+                shot,
+                sceneNumber: shot.sceneNumber,
+                shotNumber: shot.shotNumber,
+                frameCount: shot.frameCount
+            }))
+            : [];
+
+        this.undoStack.push({
+            title: plan.title,
+            images,
+            inserts: plan.inserts.slice(),
+            shots,
+            // remapPageData replaces these objects, so the current ones can be kept as they are
+            annotations: project.annotations,
+            pageTexts: project.pageTexts,
+            pageTemplates: project.pageTemplates,
+            drawings: project.drawings
+        });
+        if (this.undoStack.length > this.maxUndo) {
+            this.undoStack.shift();
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Undo the last applied plan
+     * @returns {Promise<string|null>} Title of the undone command, or null if there was nothing to undo
+     */
+    async undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        const project = this.app.project;
+
+        if (entry.inserts.length > 0) {
+            project.images = project.images.filter(image => !entry.inserts.includes(image));
+            entry.inserts.forEach(image => delete project.imageScenes[image.name]);
+        }
+
+        entry.images.forEach((numbers, image) => {
+            image.sceneNumber = numbers.sceneNumber;
+            image.shotNumber = numbers.shotNumber;
+            image.frameNumber = numbers.frameNumber;
+            if (numbers.imageScene !== undefined) {
+                project.imageScenes[image.name] = numbers.imageScene;
+            } else {
+                delete project.imageScenes[image.name];
+            }
+        });
+
+        entry.shots.forEach(({ shot, sceneNumber, shotNumber, frameCount }) => {
+            shot.sceneNumber = sceneNumber;
+            shot.shotNumber = shotNumber;
+            shot.frameCount = frameCount;
+        });
+        if (this.app.shotListManager) {
+            this.app.shotListManager.sortShots();
+        }
+
+        project.annotations = entry.annotations;
+        project.pageTexts = entry.pageTexts;
+        project.pageTemplates = entry.pageTemplates;
+        project.drawings = entry.drawings;
+
+        this.app.sortImagesByStructure();
+        await this.app.refreshAfterStructureChange();
+        return entry.title;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RenumberService;
+}
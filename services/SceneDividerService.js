@@ -0,0 +1,120 @@
+/**
+ * SceneDividerService - Scene title pages and the table of contents
+ * Scene details (heading, INT/EXT, time of day, synopsis) live in settings.sceneDetails
+ * ({ [sceneNumber]: { heading, intExt, timeOfDay, synopsis } }). With Separate Scenes on, a title page can
+ * open every scene (settings.enableSceneDividers); settings.enableTableOfContents adds contents pages after
+ * the cover page. UIManager.getDocumentPages places these pages; RenderService draws them.
+ */
+class SceneDividerService {
+    constructor(app) {
+        this.app = app;
+    }
+
+    static getIntExtOptions() {
+        return ['', 'INT', 'EXT', 'INT/EXT'];
+    }
+
+    static getTimeOfDayOptions() {
+        return ['', 'DAY', 'NIGHT', 'DAWN', 'DUSK', 'MORNING', 'EVENING', 'CONTINUOUS', 'LATER'];
+    }
+
+    /**
+     * Scene number of an image, as used for scene separation
+     */
+    getImageScene(image) {
+        return this.app.project.imageScenes[image.name] || image.sceneNumber || '';
+    }
+
+    /**
+     * Scene numbers used in the project, in storyboard order
+     * Scenes that have details but no frames are listed last so their details are not lost silently
+     * @returns {Array<string>}
+     */
+    getScenes() {
+        const scenes = [];
+        this.app.project.images.forEach(image => {
+            const scene = this.getImageScene(image);
+            if (scene && !scenes.includes(scene)) scenes.push(scene);
+        });
+        Object.keys(this.app.project.settings.sceneDetails || {}).forEach(scene => {
+            if (!scenes.includes(scene)) scenes.push(scene);
+        });
+        return scenes;
+    }
+
+    /**
+     * @returns {{heading: string, intExt: string, timeOfDay: string, synopsis: string}}
+     */
+    getDetails(sceneNumber) {
+        const details = (this.app.project.settings.sceneDetails || {})[sceneNumber] || {};
+        return {
+            heading: details.heading || '',
+            intExt: details.intExt || '',
+            timeOfDay: details.timeOfDay || '',
+            synopsis: details.synopsis || ''
+        };
+    }
+
+    /**
+     * Store a scene's details; a scene without any details is removed
+     * @param {string} sceneNumber - Scene number
+     * @param {Object} details - { heading, intExt, timeOfDay, synopsis }
+     */
+    setDetails(sceneNumber, details) {
+        const settings = this.app.project.settings;
+        if (!settings.sceneDetails) settings.sceneDetails = {};
+        const next = {
+            heading: String(details.heading || '').trim(),
+            intExt: details.intExt || '',
+            timeOfDay: details.timeOfDay || '',
+            synopsis: String(details.synopsis || '').trim()
+        };
+        if (Object.values(next).some(value => value)) {
+            settings.sceneDetails[sceneNumber] = next;
+        } else {
+            delete settings.sceneDetails[sceneNumber];
+        }
+    }
+
+    /**
+     * Screenplay style slug line, e.g. "INT. KITCHEN - NIGHT"
+     * @param {string} sceneNumber - Scene number
+     * @returns {string} Empty if the scene has no heading, INT/EXT or time of day
+     */
+    formatSlugLine(sceneNumber) {
+        const details = this.getDetails(sceneNumber);
+        let slug = details.intExt ? `${details.intExt}.` : '';
+        if (details.heading) slug = slug ? `${slug} ${details.heading.toUpperCase()}` : details.heading.toUpperCase();
+        if (details.timeOfDay) slug = slug ? `${slug} - ${details.timeOfDay}` : details.timeOfDay;
+        return slug;
+    }
+
+    /**
+     * Whether scene title pages are shown - they need scenes on their own pages
+     */
+    isDividersEnabled() {
+        const settings = this.app.project.settings;
+        return !!(settings.enableSceneDividers && settings.separateScenes);
+    }
+
+    isContentsEnabled() {
+        return !!this.app.project.settings.enableTableOfContents;
+    }
+
+    /**
+     * Number of scenes listed on one contents page
+     * @param {Object} pageSize - { width, height } in mm
+     * @param {string} orientation - 'portrait' or 'landscape'
+     * @returns {number}
+     */
+    getContentsEntriesPerPage(pageSize, orientation) {
+        const pageHeightMm = orientation === 'portrait' ? pageSize.height : pageSize.width;
+        // Title block and margins take about 45mm, each entry one 8mm line
+        return Math.max(5, Math.floor((pageHeightMm - 45) / 8));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneDividerService;
+}
@@ -0,0 +1,172 @@
+/**
+ * ShotBadgeService - Shot list fields (lens, movement, distance, duration…) shown under each storyboard frame
+ * The chosen fields and their style live in project.settings.shotBadges; values are read from the shot list
+ * (ShotListManager) for the frame's scene and shot, so an edit in the shot list shows up under its frames.
+ */
+class ShotBadgeService {
+    constructor(app) {
+        this.app = app;
+        this.exportShown = null; // Whether the storyboard shows badges while a PDF export re-renders it
+    }
+
+    /**
+     * Shot list fields that can be shown; custom shot list columns are added by getAvailableFields
+     * @returns {Array} { id, label }
+     */
+    static getBuiltInFields() {
+        return [
+            { id: 'distance', label: 'Distance' },
+            { id: 'shotType', label: 'Type' },
+            { id: 'cameraAngle', label: 'Angle' },
+            { id: 'cameraMovement', label: 'Movement' },
+            { id: 'cameraLens', label: 'Lens' },
+            { id: 'duration', label: 'Duration' },
+            { id: 'location', label: 'Location' },
+            { id: 'characters', label: 'Characters' },
+            { id: 'predictedTakes', label: 'Takes' },
+            { id: 'status', label: 'Status' }
+        ];
+    }
+
+    static getStyles() {
+        return [
+            { id: 'badges', label: 'Badges' },
+            { id: 'caption', label: 'Caption line' }
+        ];
+    }
+
+    static getDefaultConfig() {
+        return {
+            fields: ['distance', 'cameraMovement', 'cameraLens', 'duration'],
+            style: 'badges',
+            showLabels: false,
+            fontSize: 9,
+            textColor: '#ffffff',
+            badgeColor: '#3a5a7a'
+        };
+    }
+
+    /**
+     * Get the badge settings of the project
+     * @returns {Object} { fields, style, showLabels, fontSize, textColor, badgeColor }
+     */
+    getConfig() {
+        const settings = this.app.project.settings;
+        if (!settings.shotBadges || !Array.isArray(settings.shotBadges.fields)) {
+            settings.shotBadges = ShotBadgeService.getDefaultConfig();
+        }
+        return settings.shotBadges;
+    }
+
+    /**
+     * Replace the badge settings; unknown styles and out-of-range sizes fall back to the defaults
+     * @param {Object} config - Same shape as getConfig
+     */
+    setConfig(config) {
+        const defaults = ShotBadgeService.getDefaultConfig();
+        const fontSize = parseInt(config.fontSize, 10);
+        this.app.project.settings.shotBadges = {
+            fields: Array.isArray(config.fields) ? config.fields.slice() : defaults.fields,
+            style: ShotBadgeService.getStyles().some(style => style.id === config.style) ? config.style : defaults.style,
+            showLabels: !!config.showLabels,
+            fontSize: fontSize >= 6 && fontSize <= 24 ? fontSize : defaults.fontSize,
+            textColor: config.textColor || defaults.textColor,
+            badgeColor: config.badgeColor || defaults.badgeColor
+        };
+    }
+
+    /**
+     * Fields that can be shown: the built-in ones, then the custom shot list columns
+     * @returns {Array} { id, label }
+     */
+    getAvailableFields() {
+        const columns = this.app.project.settings.customShotListColumns || [];
+        return ShotBadgeService.getBuiltInFields().concat(
+            columns.map(column => ({ id: `custom:${column.id}`, label: column.name }))
+        );
+    }
+
+    /**
+     * Chosen fields in display order; fields of removed custom columns are skipped
+     * @returns {Array} { id, label }
+     */
+    getSelectedFields() {
+        const available = this.getAvailableFields();
+        return this.getConfig().fields
+            .map(id => available.find(field => field.id === id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether badges are shown under the frames - the export's choice while a PDF export re-renders the storyboard
+     */
+    isShown() {
+        const shown = this.exportShown !== null ? this.exportShown : !!this.app.project.settings.showShotBadges;
+        return shown && this.getSelectedFields().length > 0;
+    }
+
+    /**
+     * Find the shot list entry of a frame
+     * @param {Object} image - Storyboard image
+     * @returns {Object|null} Shot entry
+     */
+    getShotForImage(image) {
+        const manager = this.app.shotListManager;
+        if (!manager || !image) return null;
+        const sceneNumber = image.sceneNumber || '';
+        const shotNumber = image.shotNumber || '';
+        return manager.getAllShots().find(shot => shot.sceneNumber === sceneNumber && shot.shotNumber === shotNumber) || null;
+    }
+
+    /**
+     * Format one field of a shot for display
+     * @param {Object} shot - Shot entry
+     * @param {string} fieldId - Field id from getAvailableFields
+     * @returns {string} Empty when the shot has no value
+     */
+    getValue(shot, fieldId) {
+        if (fieldId === 'duration') {
+            const seconds = parseFloat(shot.durationSeconds) || 0;
+            return seconds > 0 ? `${Math.round(seconds * 10) / 10}s` : '';
+        }
+        if (fieldId === 'status') {
+            // 'pending' is the default of every shot and says nothing
+            return shot.status && shot.status !== 'pending' ? shot.status : '';
+        }
+        const value = fieldId.startsWith('custom:')
+            ? (shot.customFields || {})[fieldId.slice('custom:'.length)]
+            : shot[fieldId];
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
+    /**
+     * Get the badges of a frame
+     * @param {Object} image - Storyboard image
+     * @returns {Array} { id, label, text } of the chosen fields the frame's shot has a value for
+     */
+    getBadges(image) {
+        const shot = this.getShotForImage(image);
+        if (!shot) return [];
+        return this.getSelectedFields()
+            .map(field => ({ id: field.id, label: field.label, text: this.getValue(shot, field.id) }))
+            .filter(badge => badge.text);
+    }
+
+    /**
+     * Height of the badge row under a frame, used by the page layout
+     * The row is a single line (overflow is cut off) so the height does not depend on the values
+     * @returns {number} Height in px, 0 when badges are not shown
+     */
+    getRowHeight() {
+        if (!this.isShown()) return 0;
+        const config = this.getConfig();
+        const paddingPx = config.style === 'badges' ? 4 : 0; // 2px above and below each badge
+        const marginPx = 5;
+        return Math.ceil(config.fontSize * 1.3) + paddingPx + marginPx;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShotBadgeService;
+}
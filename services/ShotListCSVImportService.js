@@ -0,0 +1,422 @@
+/**
+ * ShotListCSVImportService - Imports a planned shot list from a CSV spreadsheet
+ * Columns are mapped onto shot list fields (or custom columns) and every new shot
+ * gets a placeholder frame on the storyboard until real frames are drawn or imported
+ */
+class ShotListCSVImportService {
+    constructor(app) {
+        this.app = app;
+
+        // Shot fields a CSV column can be mapped to, with header names we recognize automatically
+        this.fields = [
+            { value: 'sceneNumber', label: 'Scene', aliases: ['scene', 'sc', 'scene no', 'scene number', 'scene #'] },
+            { value: 'shotNumber', label: 'Shot', aliases: ['shot', 'sh', 'shot no', 'shot number', 'shot #'] },
+            { value: 'description', label: 'Description', aliases: ['description', 'desc', 'action', 'shot description'] },
+            { value: 'durationFrames', label: 'Duration (frames)', aliases: ['frames', 'duration frames', 'length frames'] },
+            { value: 'durationSeconds', label: 'Duration (seconds / timecode)', aliases: ['duration', 'length', 'seconds', 'duration seconds', 'time'] },
+            { value: 'cameraAngle', label: 'Camera Angle', aliases: ['angle', 'camera angle'] },
+            { value: 'cameraMovement', label: 'Camera Movement', aliases: ['movement', 'camera movement', 'move'] },
+            { value: 'cameraLens', label: 'Lens', aliases: ['lens', 'camera lens', 'focal length'] },
+            { value: 'distance', label: 'Shot Size', aliases: ['distance', 'shot size', 'size', 'framing', 'shot type'] },
+            { value: 'location', label: 'Location', aliases: ['location', 'set', 'loc'] },
+            { value: 'characters', label: 'Characters', aliases: ['characters', 'cast', 'talent'] },
+            { value: 'props', label: 'Props', aliases: ['props'] },
+            { value: 'equipment', label: 'Equipment', aliases: ['equipment', 'gear', 'grip'] },
+            { value: 'setupTimeMinutes', label: 'Setup Time (min)', aliases: ['setup', 'setup time', 'setup minutes'] },
+            { value: 'predictedTakes', label: 'Predicted Takes', aliases: ['takes', 'predicted takes'] },
+            { value: 'specialNotes', label: 'Notes', aliases: ['notes', 'special notes', 'comments', 'remarks'] },
+            { value: 'status', label: 'Status', aliases: ['status'] }
+        ];
+    }
+
+    /**
+     * Pick the delimiter used in the first line (comma, semicolon or tab)
+     * @param {string} text - CSV text
+     * @returns {string} Delimiter
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const counts = [',', ';', '\t'].map(delimiter => ({
+            delimiter,
+            count: firstLine.split(delimiter).length - 1
+        }));
+        counts.sort((a, b) => b.count - a.count);
+        return counts[0].count > 0 ? counts[0].delimiter : ',';
+    }
+
+    /**
+     * Parse CSV text into rows (handles quoted fields, escaped quotes and newlines in quotes)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of cells
+     */
+    parseCSV(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(text);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Guess a field for each CSV header
+     * @param {Array<string>} headers - CSV headers
+     * @returns {Array<string>} Mapping per column ('' = ignore, 'custom:<id>' = custom column)
+     */
+    guessMapping(headers) {
+        const customColumns = this.app.project.settings.customShotListColumns || [];
+        const used = new Set();
+
+        return headers.map(header => {
+            const name = header.trim().toLowerCase().replace(/[_.]+/g, ' ');
+            const field = this.fields.find(f => !used.has(f.value) && f.aliases.includes(name));
+            if (field) {
+                used.add(field.value);
+                return field.value;
+            }
+            const column = customColumns.find(col => col.name.trim().toLowerCase() === name);
+            if (column && !used.has(`custom:${column.id}`)) {
+                used.add(`custom:${column.id}`);
+                return `custom:${column.id}`;
+            }
+            return '';
+        });
+    }
+
+    /**
+     * Parse a duration cell: plain seconds ("4.5", "4.5s"), MM:SS or HH:MM:SS:FF timecode
+     * @param {string} value - Cell value
+     * @returns {number} Seconds
+     */
+    parseDurationSeconds(value) {
+        const text = String(value).trim().toLowerCase();
+        if (text.includes(':')) {
+            const parts = text.split(':').map(part => parseFloat(part) || 0);
+            const frameRate = this.app.shotListManager.getFrameRate();
+            if (parts.length === 4) {
+                return parts[0] * 3600 + parts[1] * 60 + parts[2] + parts[3] / frameRate;
+            }
+            if (parts.length === 3) {
+                return parts[0] * 3600 + parts[1] * 60 + parts[2];
+            }
+            return parts[0] * 60 + parts[1];
+        }
+        return parseFloat(text) || 0;
+    }
+
+    /**
+     * Normalize a status cell to one of the shot list statuses
+     * @param {string} value - Cell value
+     * @returns {string} pending, approved, shot or cut
+     */
+    parseStatus(value) {
+        const text = String(value).trim().toLowerCase();
+        if (['approved', 'ok', 'yes', 'final'].includes(text)) return 'approved';
+        if (['shot', 'done', 'complete', 'completed', 'filmed'].includes(text)) return 'shot';
+        if (['cut', 'omit', 'omitted', 'dropped'].includes(text)) return 'cut';
+        return 'pending';
+    }
+
+    /**
+     * Convert CSV rows into shot data using a column mapping
+     * Blank scene cells inherit the scene above, as spreadsheets usually only fill it once per scene
+     * @param {Array<Array<string>>} rows - Data rows (without header)
+     * @param {Array<string>} mapping - Mapping per column
+     * @returns {{shots: Array, skipped: number}} Shot data and number of rows without a shot number
+     */
+    buildShotData(rows, mapping) {
+        const shots = [];
+        let skipped = 0;
+        let currentScene = '';
+
+        rows.forEach(row => {
+            const data = { customFields: {} };
+
+            mapping.forEach((target, index) => {
+                if (!target) return;
+                const value = (row[index] || '').trim();
+                if (value === '') return;
+
+                if (target.startsWith('custom:')) {
+                    data.customFields[target.substring(7)] = value;
+                } else if (target === 'durationFrames') {
+                    data.durationFrames = parseInt(value) || 0;
+                    data.durationSeconds = this.app.shotListManager.framesToSeconds(data.durationFrames);
+                } else if (target === 'durationSeconds') {
+                    // An explicit frame count column wins over a seconds column
+                    if (data.durationFrames) return;
+                    data.durationFrames = this.app.shotListManager.secondsToFrames(this.parseDurationSeconds(value));
+                    data.durationSeconds = this.app.shotListManager.framesToSeconds(data.durationFrames);
+                } else if (target === 'setupTimeMinutes') {
+                    data.setupTimeMinutes = parseFloat(value) || 0;
+                } else if (target === 'status') {
+                    data.status = this.parseStatus(value);
+                } else {
+                    data[target] = value;
+                }
+            });
+
+            if (data.sceneNumber) {
+                currentScene = data.sceneNumber;
+            } else {
+                data.sceneNumber = currentScene;
+            }
+
+            if (!data.shotNumber) {
+                skipped++;
+                return;
+            }
+            shots.push(data);
+        });
+
+        return { shots, skipped };
+    }
+
+    /**
+     * Create custom shot list columns for mappings set to "new custom column"
+     * @param {Array<string>} mapping - Mapping per column (modified in place)
+     * @param {Array<string>} headers - CSV headers
+     */
+    createCustomColumns(mapping, headers) {
+        const columns = this.app.project.settings.customShotListColumns || [];
+
+        mapping.forEach((target, index) => {
+            if (target !== 'new-custom') return;
+            const column = {
+                id: `custom_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name: headers[index].trim() || `Column ${index + 1}`
+            };
+            columns.push(column);
+            mapping[index] = `custom:${column.id}`;
+        });
+
+        this.app.project.settings.customShotListColumns = columns;
+        if (this.app.shotListController) {
+            this.app.shotListController.customColumns = columns;
+        }
+    }
+
+    /**
+     * Build the <option> list for a mapping select
+     * @param {string} selected - Selected mapping value
+     * @returns {string} Options HTML
+     */
+    buildMappingOptions(selected) {
+        const customColumns = this.app.project.settings.customShotListColumns || [];
+        const option = (value, label) => `<option value="${HtmlUtils.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${HtmlUtils.escapeHtml(label)}</option>`;
+
+        return [
+            option('', '— Ignore —'),
+            ...this.fields.map(f => option(f.value, f.label)),
+            ...customColumns.map(col => option(`custom:${col.id}`, `Custom: ${col.name}`)),
+            option('new-custom', '+ New custom column')
+        ].join('');
+    }
+
+    /**
+     * Show CSV import dialog with column mapping
+     * @returns {Promise<Object|null>} Import counts or null if cancelled
+     */
+    async showImportDialog() {
+        if (!this.app.shotListManager) {
+            await this.app.customAlert('Shot list is not available. Please refresh the page.');
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 720px;">
+                    <div class="modal-header">
+                        <h2>Import Shot List CSV</h2>
+                        <span class="close" id="csvImportClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div style="margin-bottom: 16px;">
+                            <label for="csvImportFile" style="display: block; margin-bottom: 8px;">CSV File:</label>
+                            <input type="file" id="csvImportFile" accept=".csv,.tsv,.txt,text/csv" style="width: 100%;">
+                            <div style="font-size: 11px; color: #888; margin-top: 4px;">
+                                The first row must contain column headers. Each new shot gets a placeholder frame
+                                that is replaced when you draw or import frames for it.
+                            </div>
+                        </div>
+                        <div id="csvImportMappingSection" style="display: none;">
+                            <label style="display: block; margin-bottom: 8px;">Column Mapping:</label>
+                            <div class="csv-import-mapping">
+                                <table class="csv-import-table">
+                                    <thead>
+                                        <tr><th>CSV Column</th><th>Example</th><th>Shot Field</th></tr>
+                                    </thead>
+                                    <tbody id="csvImportMappingBody"></tbody>
+                                </table>
+                            </div>
+                            <label style="display: flex; align-items: center; gap: 10px; cursor: pointer; margin: 16px 0 8px 0;">
+                                <input type="checkbox" id="csvImportUpdateExisting" checked style="width: auto; margin: 0;">
+                                <span>Update shots that already exist (matching scene and shot)</span>
+                            </label>
+                            <div id="csvImportSummary" style="color: #a0a0a0; font-size: 12px;"></div>
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="csvImportCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="csvImportStartBtn" class="btn btn-primary" disabled>Import</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const fileInput = document.getElementById('csvImportFile');
+            const mappingBody = document.getElementById('csvImportMappingBody');
+            const summaryDiv = document.getElementById('csvImportSummary');
+            const startBtn = document.getElementById('csvImportStartBtn');
+            let headers = [];
+            let dataRows = [];
+            let mapping = [];
+
+
+            const updateSummary = () => {
+                const preview = this.buildShotData(dataRows, mapping.map(m => m === 'new-custom' ? '' : m));
+                const hasShot = mapping.includes('shotNumber');
+                let text = `${dataRows.length} row${dataRows.length !== 1 ? 's' : ''}, ${preview.shots.length} shot${preview.shots.length !== 1 ? 's' : ''} to import`;
+                if (!hasShot) {
+                    text = 'Map a column to "Shot" to import.';
+                } else if (preview.skipped > 0) {
+                    text += ` (${preview.skipped} row${preview.skipped !== 1 ? 's' : ''} without a shot number will be skipped)`;
+                }
+                summaryDiv.textContent = text;
+                startBtn.disabled = !hasShot || preview.shots.length === 0;
+            };
+
+            const renderMapping = () => {
+                mappingBody.innerHTML = headers.map((header, index) => {
+                    const example = (dataRows.find(row => (row[index] || '').trim() !== '') || [])[index] || '';
+                    return `
+                        <tr>
+                            <td>${HtmlUtils.escapeHtml(header)}</td>
+                            <td class="csv-import-example" title="${HtmlUtils.escapeHtml(example)}">${HtmlUtils.escapeHtml(example)}</td>
+                            <td><select data-column="${index}">${this.buildMappingOptions(mapping[index])}</select></td>
+                        </tr>
+                    `;
+                }).join('');
+
+                mappingBody.querySelectorAll('select').forEach(select => {
+                    select.addEventListener('change', () => {
+                        mapping[parseInt(select.dataset.column)] = select.value;
+                        updateSummary();
+                    });
+                });
+                updateSummary();
+            };
+
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                try {
+                    const rows = this.parseCSV(await file.text());
+                    if (rows.length < 2) {
+                        throw new Error('The file needs a header row and at least one shot');
+                    }
+                    headers = rows[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+                    dataRows = rows.slice(1);
+                    mapping = this.guessMapping(headers);
+                    document.getElementById('csvImportMappingSection').style.display = 'block';
+                    renderMapping();
+                } catch (error) {
+                    console.error('CSV parse error:', error);
+                    await this.app.customAlert('Error reading CSV: ' + error.message);
+                }
+            });
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                closeModal();
+                resolve(null);
+            };
+
+            document.getElementById('csvImportClose').addEventListener('click', handleCancel);
+            document.getElementById('csvImportCancelBtn').addEventListener('click', handleCancel);
+
+            startBtn.addEventListener('click', async () => {
+                startBtn.disabled = true;
+                try {
+                    this.createCustomColumns(mapping, headers);
+                    const { shots } = this.buildShotData(dataRows, mapping);
+                    const result = await this.app.shotListManager.importShots(shots, {
+                        updateExisting: document.getElementById('csvImportUpdateExisting').checked
+                    });
+
+                    this.app.sortImagesByStructure();
+                    await this.app.refreshAfterStructureChange();
+
+                    closeModal();
+                    let message = `Imported ${result.created} shot${result.created !== 1 ? 's' : ''}`;
+                    if (result.updated > 0) message += `, updated ${result.updated}`;
+                    if (result.skipped > 0) message += `, skipped ${result.skipped} existing`;
+                    this.app.showToast(message);
+                    resolve(result);
+                } catch (error) {
+                    console.error('CSV import error:', error);
+                    closeModal();
+                    await this.app.customAlert('Error importing shot list: ' + error.message);
+                    resolve(null);
+                }
+            });
+
+            // Close on outside click
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    handleCancel();
+                }
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShotListCSVImportService;
+}
@@ -56,11 +56,54 @@ class StorageService {
                         imageData.editLayers = img.editLayers;
                     }
                     
+                    // Version token captured by a custom import naming rule
+                    if (img.fileVersion) {
+                        imageData.fileVersion = img.fileVersion;
+                    }
+                    
+                    // Placeholder frames (e.g. from a shot list import) are swapped out when real frames arrive
+                    if (img.isPlaceholder) {
+                        imageData.isPlaceholder = true;
+                    }
+                    
+                    // Frames made in the app rather than read from a folder survive a folder re-import
+                    if (img.generated) {
+                        imageData.generated = true;
+                    }
+                    
+                    // Perceptual hash for duplicate detection on later imports
+                    if (img.perceptualHash) {
+                        imageData.perceptualHash = img.perceptualHash;
+                    }
+                    
+                    // Earlier art of this frame (pruned to the newest N if versionHistory.keepVersions is set)
+                    const versions = this.app.imageManager ? this.app.imageManager.getVersionsForSave(img) : img.versions;
+                    if (versions && versions.length > 0) {
+                        imageData.versions = versions;
+                    }
+                    if (img.currentVersion) {
+                        imageData.currentVersion = img.currentVersion;
+                    }
+                    
+                    // Alternate frames (A/B/C) and which one the storyboard shows
+                    if (img.variant) {
+                        imageData.variant = img.variant;
+                        if (img.variantActive) {
+                            imageData.variantActive = true;
+                        }
+                    }
+                    
+                    // Frame tags (used to pick frames for partial exports)
+                    if (img.tags && img.tags.length > 0) {
+                        imageData.tags = img.tags.slice();
+                    }
+                    
                     return imageData;
                 }),
                 settings: this.app.project.settings,
-                frameTexts: this.app.project.frameTexts,
+                frameFieldTexts: this.app.project.frameFieldTexts,
                 pageTexts: this.app.project.pageTexts,
+                pageTemplates: this.app.project.pageTemplates,
                 imageScenes: this.app.project.imageScenes,
                 drawings: this.app.project.drawings, // Keep drawings but they're also base64 - might need compression
                 activePanel: this.app.project.activePanel,
@@ -119,8 +162,9 @@ class StorageService {
                         project: {
                             images: projectCopy.images, // Keep images with URLs - essential for functionality
                             settings: projectCopy.settings,
-                            frameTexts: projectCopy.frameTexts,
+                            frameFieldTexts: projectCopy.frameFieldTexts,
                             pageTexts: projectCopy.pageTexts,
+                            pageTemplates: projectCopy.pageTemplates,
                             imageScenes: projectCopy.imageScenes
                             // Skip drawings if too large (they're less critical)
                         },
@@ -345,6 +389,10 @@ class StorageService {
      * Restore project from data
      */
     async restoreProject(data, hasUnsavedChanges = true) {
+        // Saves from before structured frame fields still have frameTexts
+        if (this.app.fileManager) {
+            this.app.fileManager.migrateProjectData(data.project);
+        }
         this.app.project = data.project;
         this.app.currentProjectPath = data.currentProjectPath || null;
         this.app.imageFolderPath = data.imageFolderPath || null;
@@ -0,0 +1,254 @@
+/**
+ * StylePresetService - Named presets for the storyboard's appearance
+ * A preset stores any subset of the appearance settings (grouped as on the settings panels) and lives in
+ * settings.stylePresets, so it is saved with the project. Presets can be exported to / imported from JSON
+ * files to share them between projects, and applied temporarily for a PDF export.
+ */
+class StylePresetService {
+    constructor(app) {
+        this.app = app;
+        this.exportSnapshot = null; // Settings replaced while an export uses a preset, restored by endExport
+    }
+
+    /**
+     * Groups of settings a preset can capture
+     * Content such as cover page titles and scene-specific overrides is left out so presets can be shared
+     * @returns {Array} { id, label, keys }
+     */
+    static getGroups() {
+        return [
+            { id: 'layout', label: 'Page Layout', keys: ['orientation', 'pageSize', 'customPageSizes', 'layoutRows', 'layoutCols', 'imageScale', 'frameScale', 'frameTextScale', 'separateScenes', 'enableSceneDividers', 'enableTableOfContents', 'showBottomText'] },
+            { id: 'appearance', label: 'Page Appearance', keys: ['pageBackgroundColor', 'fontFamily', 'fontSize', 'lineHeight', 'textColor', 'textAlign'] },
+            { id: 'aspect', label: 'Frame Aspect Ratio', keys: ['imageAspectRatio', 'customAspectRatioWidth', 'customAspectRatioHeight', 'frameFitMode'] },
+            { id: 'overlays', label: 'Frame Overlays', keys: ['frameOverlays', 'frameOverlaysStoryboard', 'frameOverlaysPdf', 'frameOverlaysVideo'] },
+            { id: 'pageText', label: 'Page Text', keys: ['pageFontFamily', 'pageFontSize', 'pageFontWeight', 'pageFontStyle', 'pageLineHeight', 'pageTextColor', 'pageTextAlign'] },
+            { id: 'frameText', label: 'Frame Text', keys: ['frameFontFamily', 'frameFontSize', 'frameFontWeight', 'frameFontStyle', 'frameTextColor', 'frameTextAlign'] },
+            { id: 'shotNumber', label: 'Shot Number', keys: ['shotFontFamily', 'shotFontSize', 'shotFontWeight', 'shotTextColor', 'shotCircleScale'] },
+            { id: 'shotBadges', label: 'Shot Info Badges', keys: ['shotBadges', 'showShotBadges', 'shotBadgesPdf'] },
+            { id: 'pageNumbers', label: 'Page Numbers', keys: ['enablePageNumbers', 'pageNumberPosition', 'pageNumberFontSize', 'pageNumberColor'] },
+            { id: 'headerFooter', label: 'Header & Footer', keys: ['pageHeaderTemplate', 'pageFooterTemplate', 'pageTemplateFontSize', 'revisionLabel', 'confidentialText'] },
+            { id: 'watermark', label: 'Watermark', keys: ['enableWatermark', 'watermarkType', 'watermarkText', 'watermarkImage', 'watermarkImagePosition', 'watermarkImageSize', 'watermarkOpacity'] },
+            {
+                id: 'cover', label: 'Cover Page', keys: [
+                    'enableCoverPage', 'coverPageLogo',
+                    'coverPageTitleFontFamily', 'coverPageTitleFontSize', 'coverPageTitleColor',
+                    'coverPageYearFontFamily', 'coverPageYearFontSize', 'coverPageYearColor',
+                    'coverPageCreatorsFontFamily', 'coverPageCreatorsFontSize', 'coverPageCreatorsColor'
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Every setting a preset may contain
+     * @returns {Array<string>}
+     */
+    static getPresetKeys() {
+        return StylePresetService.getGroups().reduce((keys, group) => keys.concat(group.keys), []);
+    }
+
+    copyValue(value) {
+        return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    /**
+     * Get the presets of the project
+     * @returns {Array} { id, name, settings }
+     */
+    getPresets() {
+        const settings = this.app.project.settings;
+        if (!Array.isArray(settings.stylePresets)) settings.stylePresets = [];
+        return settings.stylePresets;
+    }
+
+    getPreset(presetId) {
+        return this.getPresets().find(preset => preset.id === presetId) || null;
+    }
+
+    /**
+     * Groups a preset has settings for, for summaries
+     * @param {Object} preset - Preset
+     * @returns {Array} Group definitions
+     */
+    getPresetGroups(preset) {
+        const keys = Object.keys(preset.settings || {});
+        return StylePresetService.getGroups().filter(group => group.keys.some(key => keys.includes(key)));
+    }
+
+    /**
+     * Capture the current values of some setting groups
+     * @param {Array<string>} groupIds - Groups to capture
+     * @returns {Object} Settings
+     */
+    capture(groupIds) {
+        const settings = this.app.project.settings;
+        const captured = {};
+        StylePresetService.getGroups()
+            .filter(group => groupIds.includes(group.id))
+            .forEach(group => {
+                group.keys.forEach(key => {
+                    if (settings[key] !== undefined) captured[key] = this.copyValue(settings[key]);
+                });
+            });
+        return captured;
+    }
+
+    createId() {
+        return `preset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Save the current appearance as a preset; a preset with the same name is replaced
+     * @param {string} name - Preset name
+     * @param {Array<string>} groupIds - Groups to capture
+     * @returns {Object} The preset
+     */
+    savePreset(name, groupIds) {
+        const presets = this.getPresets();
+        const existing = presets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+        const preset = { id: existing ? existing.id : this.createId(), name, settings: this.capture(groupIds) };
+        if (existing) {
+            presets[presets.indexOf(existing)] = preset;
+        } else {
+            presets.push(preset);
+        }
+        return preset;
+    }
+
+    deletePreset(presetId) {
+        const settings = this.app.project.settings;
+        settings.stylePresets = this.getPresets().filter(preset => preset.id !== presetId);
+    }
+
+    /**
+     * Write a preset's settings into the project settings
+     * @param {string} presetId - Preset id
+     * @returns {boolean} True if the preset exists
+     */
+    applyPreset(presetId) {
+        const preset = this.getPreset(presetId);
+        if (!preset) return false;
+        Object.keys(preset.settings).forEach(key => {
+            this.app.project.settings[key] = this.copyValue(preset.settings[key]);
+        });
+        return true;
+    }
+
+    /**
+     * Apply a preset for the duration of an export
+     * @param {string} presetId - Preset id
+     * @returns {boolean} True if the preset was applied
+     */
+    beginExport(presetId) {
+        const preset = this.getPreset(presetId);
+        if (!preset) return false;
+        const settings = this.app.project.settings;
+        this.exportSnapshot = {};
+        Object.keys(preset.settings).forEach(key => {
+            this.exportSnapshot[key] = { exists: key in settings, value: settings[key] };
+        });
+        this.applyPreset(presetId);
+        // The preset may bring its own paper sizes, which the export looks up in app.pageSizes
+        this.app.applyCustomPageSizes();
+        return true;
+    }
+
+    /**
+     * Put back the settings replaced by beginExport
+     * @returns {boolean} True if something was restored
+     */
+    endExport() {
+        if (!this.exportSnapshot) return false;
+        const settings = this.app.project.settings;
+        Object.keys(this.exportSnapshot).forEach(key => {
+            const { exists, value } = this.exportSnapshot[key];
+            if (exists) {
+                settings[key] = value;
+            } else {
+                delete settings[key];
+            }
+        });
+        this.exportSnapshot = null;
+        this.app.applyCustomPageSizes();
+        return true;
+    }
+
+    /**
+     * Serialize a preset for sharing
+     * @param {string} presetId - Preset id
+     * @returns {string|null} JSON text
+     */
+    toJSON(presetId) {
+        const preset = this.getPreset(presetId);
+        if (!preset) return null;
+        return JSON.stringify({
+            type: 'storyboard-style-preset',
+            version: 1,
+            name: preset.name,
+            settings: preset.settings
+        }, null, 2);
+    }
+
+    /**
+     * Download a preset as a JSON file
+     * @param {string} presetId - Preset id
+     */
+    exportPreset(presetId) {
+        const json = this.toJSON(presetId);
+        if (!json) return;
+        const preset = this.getPreset(presetId);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${preset.name.replace(/[^a-z0-9]/gi, '_')}.style.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Add a preset from exported JSON; settings that are not appearance settings are ignored
+     * A preset whose name is taken gets a numbered name
+     * @param {string} text - JSON text
+     * @returns {Object} The imported preset
+     * @throws {Error} If the text is not a style preset
+     */
+    importPreset(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!data || data.type !== 'storyboard-style-preset' || !data.settings || typeof data.settings !== 'object') {
+            throw new Error('The file is not a style preset.');
+        }
+
+        const allowed = StylePresetService.getPresetKeys();
+        const settings = {};
+        Object.keys(data.settings).forEach(key => {
+            if (allowed.includes(key)) settings[key] = this.copyValue(data.settings[key]);
+        });
+        if (Object.keys(settings).length === 0) {
+            throw new Error('The preset has no settings this version understands.');
+        }
+
+        const presets = this.getPresets();
+        const baseName = String(data.name || 'Imported Preset').trim() || 'Imported Preset';
+        let name = baseName;
+        let n = 2;
+        while (presets.some(preset => preset.name.toLowerCase() === name.toLowerCase())) {
+            name = `${baseName} (${n++})`;
+        }
+        const preset = { id: this.createId(), name, settings };
+        presets.push(preset);
+        return preset;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StylePresetService;
+}
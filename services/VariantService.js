@@ -0,0 +1,228 @@
+/**
+ * VariantService - Alternate frames (variants A/B/C) for a storyboard frame
+ * Frames with the same scene, shot and frame number and a variant label form a group.
+ * One frame of each group is active and takes part in page layout and the previs timeline;
+ * the others stay in the project. Exports can pick a variant set instead of the active frames.
+ */
+class VariantService {
+    constructor(app) {
+        this.app = app;
+        this.exportVariantSet = null; // Variant set used while an export re-renders the storyboard
+    }
+
+    getKey(image) {
+        return `${image.sceneNumber || ''}|${image.shotNumber || ''}|${image.frameNumber || ''}`;
+    }
+
+    compareLabels(a, b) {
+        return a.length - b.length || a.localeCompare(b);
+    }
+
+    /**
+     * Get the variants of a frame, ordered by label
+     * @param {Object} image - Image in the project
+     * @returns {Array} Images in the group (just the image itself if it has no variant label)
+     */
+    getGroup(image) {
+        if (!image.variant) return [image];
+        const key = this.getKey(image);
+        return this.app.project.images
+            .filter(img => img.variant && this.getKey(img) === key)
+            .sort((a, b) => this.compareLabels(a.variant, b.variant));
+    }
+
+    getActive(group) {
+        return group.find(img => img.variantActive) || group[0];
+    }
+
+    /**
+     * Get the variant labels used in the project
+     * @returns {Array<string>} Labels, e.g. ['A', 'B', 'C']
+     */
+    getVariantSets() {
+        const labels = new Set(this.app.project.images.map(img => img.variant).filter(Boolean));
+        return Array.from(labels).sort((a, b) => this.compareLabels(a, b));
+    }
+
+    /**
+     * Get the frames that take part in page layout, in project order
+     * @param {string|null} variantSet - Label to prefer over the active variant (falls back to the active one)
+     * @returns {Array} Images
+     */
+    getLayoutImages(variantSet = this.exportVariantSet) {
+        const groups = new Map();
+        this.app.project.images.forEach(img => {
+            if (!img.variant) return;
+            const key = this.getKey(img);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(img);
+        });
+        if (groups.size === 0) return this.app.project.images;
+
+        const shown = new Set();
+        groups.forEach(group => {
+            const preferred = variantSet ? group.find(img => img.variant === variantSet) : null;
+            shown.add(preferred || this.getActive(group.sort((a, b) => this.compareLabels(a.variant, b.variant))));
+        });
+        return this.app.project.images.filter(img => !img.variant || shown.has(img));
+    }
+
+    /**
+     * Show a variant in the storyboard instead of the others in its group
+     * @param {Object} image - Variant to show
+     */
+    async setActive(image) {
+        this.getGroup(image).forEach(img => {
+            if (img === image) {
+                img.variantActive = true;
+            } else {
+                delete img.variantActive;
+            }
+        });
+        await this.app.refreshAfterStructureChange();
+    }
+
+    /**
+     * Change or remove a frame's variant label
+     * @param {Object} image - Image in the project
+     * @param {string} label - New label (letters), or empty to remove it
+     * @returns {Promise<string|null>} Error message, or null if the label was set
+     */
+    async setLabel(image, label) {
+        label = String(label || '').trim().toUpperCase();
+        if (label && !/^[A-Z]{1,2}$/.test(label)) {
+            return 'Variant labels are one or two letters (A, B, C…).';
+        }
+        const key = this.getKey(image);
+        const siblings = this.app.project.images.filter(img => img !== image && img.variant && this.getKey(img) === key);
+        if (label && siblings.some(img => img.variant === label)) {
+            return `Variant ${label} already exists for this frame.`;
+        }
+
+        const shown = image.variant ? this.getActive(this.getGroup(image)) : null;
+        if (label) {
+            const joining = !image.variant;
+            image.variant = label;
+            if (joining && siblings.length > 0) {
+                // Joining a group keeps the variant that group already shows
+                delete image.variantActive;
+                this.getActive(this.getGroup(siblings[0]).filter(img => img !== image)).variantActive = true;
+            } else if (joining) {
+                image.variantActive = true;
+            } else {
+                // Pin the shown variant so a new label does not change which one that is
+                shown.variantActive = true;
+            }
+        } else {
+            delete image.variant;
+            delete image.variantActive;
+            // A frame without a label is always shown, so one of its former siblings takes over
+            if (siblings.length > 0) {
+                const next = shown && shown !== image ? shown : this.getActive(this.getGroup(siblings[0]));
+                next.variantActive = true;
+            }
+        }
+        await this.app.refreshAfterStructureChange();
+        return null;
+    }
+
+    /**
+     * Add a blank alternate next to a frame and show it
+     * A frame without a label becomes variant A and the new frame gets the next free letter
+     * @param {Object} image - Frame to add an alternate for
+     * @returns {Promise<Object>} The new frame
+     */
+    async addVariant(image) {
+        if (!image.variant) {
+            image.variant = 'A';
+        }
+        const group = this.getGroup(image);
+        const used = new Set(group.map(img => img.variant));
+        let label = 'A';
+        while (used.has(label)) {
+            label = this.app.renumberService ? this.app.renumberService.nextSuffix(label) : label + 'A';
+        }
+
+        const emptyFrameImage = this.app.shotListManager
+            ? await this.app.shotListManager.getDefaultEmptyFrameImage()
+            : '';
+        const name = `frame_${image.sceneNumber || ''}_${image.shotNumber || ''}_${image.frameNumber || ''}_${label}_${Date.now()}.png`;
+        const newImage = {
+            name,
+            originalName: name,
+            generated: true, // No file on disk, so a folder re-import must not drop it
+            url: emptyFrameImage,
+            sceneNumber: image.sceneNumber || '',
+            shotNumber: image.shotNumber || '',
+            frameNumber: image.frameNumber || '',
+            variant: label,
+            variantActive: true
+        };
+        group.forEach(img => delete img.variantActive);
+
+        const project = this.app.project;
+        project.images.splice(project.images.indexOf(group[group.length - 1]) + 1, 0, newImage);
+        if (newImage.sceneNumber) {
+            project.imageScenes[name] = newImage.sceneNumber;
+        }
+        if (this.app.frameFieldService) {
+            this.app.frameFieldService.copyValues(image.name, name);
+        }
+
+        await this.app.refreshAfterStructureChange();
+        return newImage;
+    }
+
+    /**
+     * Swap storyboard clips of a timeline to a variant set, leaving timing untouched
+     * @param {Object} timelineData - From PrevisManager.getTimelineData
+     * @param {string} variantSet - Label to use where a frame has it; empty keeps the timeline as is
+     * @returns {Object} Timeline data (a copy if anything was swapped)
+     */
+    applyToTimeline(timelineData, variantSet) {
+        if (!variantSet || !timelineData || !timelineData.timeline) return timelineData;
+
+        const images = new Map(this.app.project.images.map(img => [img.name, img]));
+        const timeline = timelineData.timeline.map(clip => {
+            if (clip.isExternalFile || !clip.imageId) return clip;
+            const image = images.get(clip.imageId);
+            if (!image || !image.variant || image.variant === variantSet) return clip;
+            const variant = this.getGroup(image).find(img => img.variant === variantSet);
+            if (!variant) return clip;
+            return {
+                ...clip,
+                imageId: variant.name,
+                imageUrl: variant.url || variant.compositeUrl || '',
+                thumbnail: variant.url || variant.compositeUrl || ''
+            };
+        });
+        return { ...timelineData, timeline };
+    }
+
+    /**
+     * Ask which variant set an export should use
+     * @param {string} title - Dialog title
+     * @returns {Promise<string|null>} Label, '' for the variants shown in the storyboard, or null if cancelled
+     */
+    async chooseVariantSet(title) {
+        const sets = this.getVariantSets();
+        if (sets.length === 0) return '';
+
+        const choice = await this.app.customChoice(
+            title,
+            'Some frames have alternates. Which variant should the export use? Frames without that variant use the one shown in the storyboard.',
+            [
+                { label: 'As Shown', value: 'current', primary: false },
+                ...sets.map(label => ({ label: `Variant ${label}`, value: label, primary: false })),
+                { label: 'Cancel', value: 'cancel', primary: true }
+            ]
+        );
+        if (!choice || choice === 'cancel') return null;
+        return choice === 'current' ? '' : choice;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VariantService;
+}
@@ -0,0 +1,480 @@
+/**
+ * VectorPDFService - Writes storyboard pages into a PDF as real text and images instead of page screenshots
+ * A rendered page is walked once and turned into drawing operations: backgrounds and borders become PDF
+ * rectangles, images are embedded as they are (clipped to their box), frame overlays become lines and every
+ * line of text is written with its font (see utils/pdfFonts.js). Positions come from the page's layout on
+ * screen, so the result matches the image export while staying sharp, smaller and searchable.
+ */
+class VectorPDFService {
+    constructor(app) {
+        this.app = app;
+        this.fontData = new Map(); // Font file URL -> base64 TrueType data, kept between exports
+        // Elements the image export leaves out of its capture
+        this.ignoredClasses = ['add-image-button', 'empty-slot', 'empty-slot-button', 'frame-variant-switcher'];
+    }
+
+    /**
+     * Start a document; the returned context is passed to renderPage for each of its pages
+     * @param {Object} pdf - jsPDF document
+     * @returns {Object} { pdf, fonts, images, stats }
+     */
+    createContext(pdf) {
+        return {
+            pdf,
+            fonts: new Set(),    // 'family/style' registered in this document
+            images: new Map(),   // Image source -> { data, format, alias }
+            stats: { textLines: 0, images: 0, embeddedFonts: new Set(), missingFonts: new Set() }
+        };
+    }
+
+    /**
+     * Write one storyboard page into the current PDF page
+     * @param {Object} context - From createContext
+     * @param {HTMLElement} page - Rendered storyboard page
+     * @param {Array<number>} pdfSize - [width, height] of the PDF page in mm
+     * @param {Object} placement - Optional box { x, y, width, height } on the PDF page to draw the page into,
+     *   for print layouts with bleed or several pages to a sheet (the whole PDF page by default)
+     */
+    async renderPage(context, page, pdfSize, placement = null) {
+        const operations = this.collectPage(context, page, pdfSize, placement);
+        await this.loadFonts(context, operations);
+        operations.forEach(operation => this.draw(context, operation));
+    }
+
+    /**
+     * Parse a CSS color
+     * @returns {{r: number, g: number, b: number, a: number}|null}
+     */
+    parseColor(value) {
+        const match = /rgba?\(([^)]+)\)/.exec(value || '');
+        if (!match) return null;
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(part => parseFloat(part));
+        return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+    }
+
+    /**
+     * Rotation of a CSS transform, in degrees clockwise on screen (0 if not rotated)
+     */
+    getRotation(transform) {
+        const match = /^matrix\(([^)]+)\)/.exec(transform || '');
+        if (!match) return 0;
+        const [a, b] = match[1].split(',').map(part => parseFloat(part));
+        const angle = Math.atan2(b, a) * 180 / Math.PI;
+        return Math.abs(angle) < 0.01 ? 0 : angle;
+    }
+
+    isIgnored(element) {
+        return this.ignoredClasses.some(name => element.classList && element.classList.contains(name));
+    }
+
+    intersect(a, b) {
+        const x = Math.max(a.x, b.x);
+        const y = Math.max(a.y, b.y);
+        return {
+            x,
+            y,
+            width: Math.max(0, Math.min(a.x + a.width, b.x + b.width) - x),
+            height: Math.max(0, Math.min(a.y + a.height, b.y + b.height) - y)
+        };
+    }
+
+    /**
+     * Walk a page and list what to draw, in painting order
+     * @returns {Array} Operations: box, image, overlay and text
+     */
+    collectPage(context, page, pdfSize, placement = null) {
+        const pageBox = placement || { x: 0, y: 0, width: pdfSize[0], height: pdfSize[1] };
+        const pageRect = page.getBoundingClientRect();
+        const mm = pageBox.width / pageRect.width; // Screen px (zoom included) to mm
+        const pageScale = page.offsetWidth ? pageRect.width / page.offsetWidth : 1;
+        const toBox = (rect) => ({
+            x: pageBox.x + (rect.left - pageRect.left) * mm,
+            y: pageBox.y + (rect.top - pageRect.top) * mm,
+            width: rect.width * mm,
+            height: rect.height * mm
+        });
+        // Screen size of a CSS px inside an element, so frame scaling and zoom carry over to font sizes
+        const scaleOf = (element, rect) => element.offsetWidth && rect.width ? rect.width / element.offsetWidth : pageScale;
+        const operations = [];
+        const walker = { mm, pageScale, toBox, scaleOf, operations };
+
+        const visitChildren = (element, style, opacity, clip, visible) => {
+            element.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    if (visible) this.collectText(walker, node, style, opacity, clip);
+                } else if (node.nodeType === Node.ELEMENT_NODE) {
+                    visit(node, opacity, clip);
+                }
+            });
+        };
+        const visit = (element, parentOpacity, clip) => {
+            if (this.isIgnored(element)) return;
+            const style = getComputedStyle(element);
+            if (style.display === 'none') return;
+            const opacity = parentOpacity * parseFloat(style.opacity || '1');
+            if (opacity <= 0) return;
+            const rect = element.getBoundingClientRect();
+            const box = toBox(rect);
+            const visible = style.visibility !== 'hidden';
+
+            if (visible) {
+                const rotation = this.getRotation(style.transform);
+                if (rotation) {
+                    // Turned blocks such as the text watermark are written as one line, turned about their center
+                    this.collectRotatedText(walker, element, style, opacity, box, rotation);
+                    return;
+                }
+                this.collectBox(walker, element, style, box, rect, opacity);
+                if (element.tagName === 'IMG') {
+                    this.collectImage(context, walker, element, style, box, opacity, clip);
+                    return;
+                }
+                if (element.tagName === 'CANVAS') {
+                    this.collectCanvas(context, walker, element, box, opacity, clip);
+                    return;
+                }
+                if (element.tagName.toLowerCase() === 'svg') {
+                    if (element.classList.contains('frame-overlay')) {
+                        operations.push({ type: 'overlay', box, opacity });
+                    }
+                    return;
+                }
+            }
+            const clipsChildren = style.overflowX !== 'visible' || style.overflowY !== 'visible';
+            visitChildren(element, style, opacity, clipsChildren ? this.intersect(clip, box) : clip, visible);
+        };
+
+        visitChildren(page, getComputedStyle(page), 1, pageBox, true);
+        return operations;
+    }
+
+    /**
+     * Background and border of an element
+     */
+    collectBox(walker, element, style, box, rect, opacity) {
+        const fill = this.parseColor(style.backgroundColor);
+        const borderWidth = style.borderTopStyle !== 'none' ? parseFloat(style.borderTopWidth) || 0 : 0;
+        const stroke = borderWidth > 0 ? this.parseColor(style.borderTopColor) : null;
+        const hasFill = fill && fill.a > 0;
+        const hasStroke = stroke && stroke.a > 0;
+        if ((!hasFill && !hasStroke) || box.width <= 0 || box.height <= 0) return;
+
+        const scale = walker.scaleOf(element, rect) * walker.mm;
+        const radiusValue = style.borderTopLeftRadius || '0';
+        const radius = radiusValue.endsWith('%')
+            ? Math.min(box.width, box.height) * parseFloat(radiusValue) / 100
+            : (parseFloat(radiusValue) || 0) * scale;
+        walker.operations.push({
+            type: 'box',
+            box,
+            radius: Math.min(radius, box.width / 2, box.height / 2),
+            fill: hasFill ? fill : null,
+            stroke: hasStroke ? stroke : null,
+            lineWidth: borderWidth * scale,
+            opacity
+        });
+    }
+
+    /**
+     * Get image data jsPDF can embed; JPEG and PNG data URLs are used as they are
+     * @returns {{data: string, format: string, alias: string}|null} Null if the image cannot be read
+     */
+    getImageData(context, key, draw, width, height, preferJpeg) {
+        if (context.images.has(key)) return context.images.get(key);
+        let entry = null;
+        const match = /^data:image\/(jpeg|jpg|png);base64,/i.exec(key);
+        if (match) {
+            entry = { data: key, format: match[1].toLowerCase() === 'png' ? 'PNG' : 'JPEG' };
+        } else {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            try {
+                draw(canvas.getContext('2d'));
+                entry = preferJpeg
+                    ? { data: canvas.toDataURL('image/jpeg', 0.92), format: 'JPEG' }
+                    : { data: canvas.toDataURL('image/png'), format: 'PNG' };
+            } catch (error) {
+                // Cross-origin images cannot be read back
+                entry = null;
+            }
+        }
+        if (entry) entry.alias = `image-${context.images.size + 1}`;
+        context.images.set(key, entry);
+        return entry;
+    }
+
+    collectImage(context, walker, img, style, box, opacity, clip) {
+        if (!img.complete || !img.naturalWidth || !img.naturalHeight || box.width <= 0 || box.height <= 0) return;
+        const key = img.currentSrc || img.src;
+        const source = this.getImageData(context, key, (ctx) => ctx.drawImage(img, 0, 0),
+            img.naturalWidth, img.naturalHeight, /\.jpe?g(\?|#|$)/i.test(key));
+        if (!source) return;
+
+        // Where object-fit puts the image in its box; the box clips what falls outside
+        const fit = style.objectFit;
+        let drawn = box;
+        if (fit === 'cover' || fit === 'contain' || fit === 'scale-down') {
+            const rect = typeof FrameAspect !== 'undefined'
+                ? FrameAspect.fitRect(img.naturalWidth, img.naturalHeight, box.width, box.height, fit === 'cover' ? 'crop' : 'fit')
+                : { x: 0, y: 0, width: box.width, height: box.height };
+            drawn = { x: box.x + rect.x, y: box.y + rect.y, width: rect.width, height: rect.height };
+        }
+        walker.operations.push({ type: 'image', source, box: drawn, clip: this.intersect(box, clip), opacity });
+    }
+
+    /**
+     * Annotation and drawing canvases; blank ones are left out
+     */
+    collectCanvas(context, walker, canvas, box, opacity, clip) {
+        if (!canvas.width || !canvas.height || box.width <= 0 || box.height <= 0) return;
+        try {
+            const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+            let blank = true;
+            for (let i = 3; i < pixels.length; i += 4) {
+                if (pixels[i] !== 0) {
+                    blank = false;
+                    break;
+                }
+            }
+            if (blank) return;
+        } catch (error) {
+            return;
+        }
+        const source = { data: canvas.toDataURL('image/png'), format: 'PNG', alias: `canvas-${context.images.size + 1}` };
+        context.images.set(source.alias, source);
+        walker.operations.push({ type: 'image', source, box, clip: this.intersect(box, clip), opacity });
+    }
+
+    getTextStyle(walker, style, opacity, scale) {
+        const color = this.parseColor(style.color);
+        if (!color || color.a === 0 || typeof PDFFonts === 'undefined') return null;
+        return {
+            font: PDFFonts.resolvePdfFont(style.fontFamily, style.fontWeight, style.fontStyle),
+            size: parseFloat(style.fontSize) * scale * walker.mm, // mm
+            color,
+            opacity
+        };
+    }
+
+    applyTextTransform(text, style) {
+        if (style.textTransform === 'uppercase') return text.toUpperCase();
+        if (style.textTransform === 'lowercase') return text.toLowerCase();
+        return text;
+    }
+
+    /**
+     * Lines of a text node, measured word by word so wrapping matches the page
+     */
+    collectText(walker, node, style, opacity, clip) {
+        const content = node.textContent;
+        if (!content.trim()) return;
+        const parent = node.parentElement;
+        const textStyle = this.getTextStyle(walker, style, opacity, walker.scaleOf(parent, parent.getBoundingClientRect()));
+        if (!textStyle) return;
+
+        const range = document.createRange();
+        const lines = [];
+        const pattern = /\S+/g;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            const rect = range.getClientRects()[0];
+            if (!rect || rect.width === 0) continue;
+            const box = walker.toBox(rect);
+            // Text scrolled or cut off by a fixed-height box is left out, as on the page
+            const centerX = box.x + box.width / 2;
+            const centerY = box.y + box.height / 2;
+            if (centerX < clip.x || centerX > clip.x + clip.width || centerY < clip.y || centerY > clip.y + clip.height) continue;
+
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(box.y - line.y) < box.height / 2 && box.x >= line.right) {
+                line.words.push(match[0]);
+                line.right = box.x + box.width;
+                line.height = Math.max(line.height, box.height);
+            } else {
+                lines.push({ words: [match[0]], x: box.x, y: box.y, right: box.x + box.width, height: box.height });
+            }
+        }
+        range.detach();
+
+        lines.forEach(line => {
+            walker.operations.push(Object.assign({
+                type: 'text',
+                text: this.applyTextTransform(line.words.join(' '), style),
+                x: line.x,
+                y: line.y + line.height * 0.8, // Baseline, about 80% down the line box for most fonts
+                width: line.right - line.x,
+                angle: 0
+            }, textStyle));
+        });
+    }
+
+    collectRotatedText(walker, element, style, opacity, box, rotation) {
+        const text = this.applyTextTransform(element.textContent.replace(/\s+/g, ' ').trim(), style);
+        if (!text) return;
+        const match = /^matrix\(([^)]+)\)/.exec(style.transform);
+        const [a, b] = match[1].split(',').map(part => parseFloat(part));
+        const textStyle = this.getTextStyle(walker, style, opacity, Math.sqrt(a * a + b * b) * walker.pageScale);
+        if (!textStyle) return;
+        walker.operations.push(Object.assign({
+            type: 'text',
+            text,
+            centerX: box.x + box.width / 2,
+            centerY: box.y + box.height / 2,
+            angle: rotation
+        }, textStyle));
+    }
+
+    /**
+     * Fetch and register the web fonts the operations use; fonts that fail to load fall back to Helvetica
+     */
+    async loadFonts(context, operations) {
+        const fonts = new Map();
+        operations.forEach(operation => {
+            if (operation.type === 'text' && operation.font.url) {
+                fonts.set(`${operation.font.family}/${operation.font.style}`, operation.font);
+            }
+        });
+        for (const [key, font] of fonts) {
+            if (context.fonts.has(key) || context.stats.missingFonts.has(font.family)) continue;
+            try {
+                if (!this.fontData.has(font.url)) {
+                    const response = await fetch(font.url);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    this.fontData.set(font.url, this.toBase64(await response.arrayBuffer()));
+                }
+                context.pdf.addFileToVFS(font.file, this.fontData.get(font.url));
+                context.pdf.addFont(font.file, font.family, font.style);
+                context.fonts.add(key);
+                context.stats.embeddedFonts.add(font.family);
+            } catch (error) {
+                console.warn(`Could not embed font ${font.family}:`, error);
+                context.stats.missingFonts.add(font.family);
+            }
+        }
+    }
+
+    toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        const chunk = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunk) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Run a drawing step at an opacity
+     */
+    withOpacity(pdf, opacity, draw) {
+        if (opacity >= 1) {
+            draw();
+            return;
+        }
+        pdf.saveGraphicsState();
+        pdf.setGState(new pdf.GState({ opacity, 'stroke-opacity': opacity }));
+        draw();
+        pdf.restoreGraphicsState();
+    }
+
+    draw(context, operation) {
+        const pdf = context.pdf;
+        const { box } = operation;
+        if (operation.type === 'box') {
+            const paint = (color, style) => {
+                this.withOpacity(pdf, operation.opacity * color.a, () => {
+                    if (style === 'F') pdf.setFillColor(color.r, color.g, color.b);
+                    else {
+                        pdf.setDrawColor(color.r, color.g, color.b);
+                        pdf.setLineWidth(operation.lineWidth);
+                    }
+                    if (operation.radius > 0) {
+                        pdf.roundedRect(box.x, box.y, box.width, box.height, operation.radius, operation.radius, style);
+                    } else {
+                        pdf.rect(box.x, box.y, box.width, box.height, style);
+                    }
+                });
+            };
+            if (operation.fill) paint(operation.fill, 'F');
+            if (operation.stroke) paint(operation.stroke, 'S');
+        } else if (operation.type === 'image') {
+            const clip = operation.clip;
+            if (clip.width <= 0 || clip.height <= 0) return;
+            this.withOpacity(pdf, operation.opacity, () => {
+                pdf.saveGraphicsState();
+                pdf.rect(clip.x, clip.y, clip.width, clip.height, null);
+                pdf.clip();
+                pdf.discardPath();
+                pdf.addImage(operation.source.data, operation.source.format, box.x, box.y, box.width, box.height, operation.source.alias, 'FAST');
+                pdf.restoreGraphicsState();
+            });
+            context.stats.images++;
+        } else if (operation.type === 'overlay') {
+            const service = this.app.frameOverlayService;
+            if (!service || typeof FrameOverlays === 'undefined') return;
+            this.withOpacity(pdf, operation.opacity, () => {
+                FrameOverlays.drawOverlaysPdf(pdf, service.getOverlaysFor('storyboard'), box);
+            });
+        } else if (operation.type === 'text') {
+            this.drawText(context, operation);
+        }
+    }
+
+    drawText(context, operation) {
+        const pdf = context.pdf;
+        const font = operation.font;
+        const embedded = !font.url || context.fonts.has(`${font.family}/${font.style}`);
+        pdf.setFont(embedded ? font.family : 'helvetica', embedded ? font.style : 'normal');
+        pdf.setFontSize(operation.size * 72 / 25.4);
+        pdf.setTextColor(operation.color.r, operation.color.g, operation.color.b);
+
+        this.withOpacity(pdf, operation.opacity * operation.color.a, () => {
+            const width = pdf.getTextWidth(operation.text);
+            if (operation.angle) {
+                // Start of the baseline so the line is centered on the element, turned as on screen
+                const radians = operation.angle * Math.PI / 180;
+                const cos = Math.cos(radians);
+                const sin = Math.sin(radians);
+                const drop = operation.size * 0.3;
+                const x = operation.centerX - cos * width / 2 - sin * drop;
+                const y = operation.centerY - sin * width / 2 + cos * drop;
+                pdf.text(operation.text, x, y, { angle: -operation.angle });
+            } else {
+                // Spread the letters a little so each line keeps the width it has on the page
+                const gaps = operation.text.length - 1;
+                const spacing = gaps > 0 ? (operation.width - width) / gaps : 0;
+                const charSpace = Math.abs(spacing) < operation.size * 0.2 ? spacing : 0;
+                pdf.text(operation.text, operation.x, operation.y, { charSpace });
+            }
+        });
+        context.stats.textLines++;
+    }
+
+    /**
+     * Rough size of a vector export: the frame images as stored, and the web fonts in use
+     * @returns {number} Bytes
+     */
+    estimateSize() {
+        const images = this.app.variantService ? this.app.variantService.getLayoutImages(null) : this.app.project.images;
+        const imageBytes = images.reduce((sum, image) => {
+            const url = image.compositeUrl || image.url || '';
+            return sum + (url.startsWith('data:') ? Math.round((url.length - url.indexOf(',') - 1) * 0.75) : 0);
+        }, 0);
+        const settings = this.app.project.settings;
+        const fonts = new Set(['fontFamily', 'pageFontFamily', 'frameFontFamily', 'shotFontFamily']
+            .map(key => typeof PDFFonts !== 'undefined' ? PDFFonts.resolvePdfFont(settings[key]).url : null)
+            .filter(Boolean));
+        const bytesPerFont = 150 * 1024; // Typical size of an embedded handwriting face
+        const bytesPerPage = 20 * 1024; // Text and drawing commands
+        const pages = this.app.uiManager ? this.app.uiManager.getDocumentPages().length : 1;
+        return imageBytes + fonts.size * bytesPerFont + pages * bytesPerPage;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VectorPDFService;
+}
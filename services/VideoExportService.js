@@ -13,26 +13,22 @@ class VideoExportService {
      * Calculate default resolutions based on project aspect ratio
      */
     getDefaultResolutions() {
-        const aspectRatio = this.app.project?.settings?.imageAspectRatio || '16:9';
-        let aspectValue = 16 / 9; // Default
-        
-        if (aspectRatio === 'custom') {
-            const width = this.app.project.settings.customAspectRatioWidth || 16;
-            const height = this.app.project.settings.customAspectRatioHeight || 9;
-            aspectValue = width / height;
-        } else if (aspectRatio !== 'none') {
-            const parts = aspectRatio.split(':');
-            if (parts.length === 2) {
-                aspectValue = parseFloat(parts[0]) / parseFloat(parts[1]);
-            }
-        }
+        const settings = this.app.project?.settings || {};
+        const aspectValue = FrameAspect.getFrameAspect(settings) || 16 / 9; // 'none' exports 16:9
         
         // Calculate resolutions maintaining aspect ratio
+        // Vertical frames (9:16, 4:5) keep the long side at the standard size, so it is the height
+        const size = (longSide) => aspectValue >= 1
+            ? { width: longSide, height: Math.round(longSide / aspectValue) }
+            : { width: Math.round(longSide * aspectValue), height: longSide };
         const resolutions = [
-            { label: '1920x' + Math.round(1920 / aspectValue) + ' (Full HD)', value: `1920x${Math.round(1920 / aspectValue)}` },
-            { label: '1280x' + Math.round(1280 / aspectValue) + ' (HD)', value: `1280x${Math.round(1280 / aspectValue)}` },
-            { label: '854x' + Math.round(854 / aspectValue) + ' (SD)', value: `854x${Math.round(854 / aspectValue)}` }
-        ];
+            { longSide: 1920, name: 'Full HD' },
+            { longSide: 1280, name: 'HD' },
+            { longSide: 854, name: 'SD' }
+        ].map(({ longSide, name }) => {
+            const { width, height } = size(longSide);
+            return { label: `${width}x${height} (${name})`, value: `${width}x${height}` };
+        });
         
         return resolutions;
     }
@@ -47,6 +43,10 @@ class VideoExportService {
         const totalFrames = Math.ceil(actualDuration * frameRate);
         
         const defaultResolutions = this.getDefaultResolutions();
+        const variantSets = this.app.variantService ? this.app.variantService.getVariantSets() : [];
+        const overlayService = this.app.frameOverlayService;
+        const hasOverlays = !!overlayService && overlayService.getEnabledOverlays().length > 0;
+        const filterService = this.app.exportFilterController ? this.app.exportFilterService : null;
         
         return new Promise((resolve) => {
             const modal = document.createElement('div');
@@ -96,6 +96,33 @@ class VideoExportService {
                                 <option value="low">Low (Faster)</option>
                             </select>
                         </div>
+                        ${variantSets.length > 0 ? `
+                        <div style="margin-bottom: 16px;">
+                            <label for="exportVariantSet" style="display: block; margin-bottom: 8px;">Alternate Frames:</label>
+                            <select id="exportVariantSet" style="width: 100%; padding: 8px;">
+                                <option value="">As shown in the storyboard</option>
+                                ${variantSets.map(label => `<option value="${label}">Variant ${label}</option>`).join('')}
+                            </select>
+                        </div>
+                        ` : ''}
+                        ${filterService ? `
+                        <div style="margin-bottom: 16px;">
+                            <label for="exportFrameFilter" style="display: block; margin-bottom: 8px;">Frames:</label>
+                            <div style="display: flex; gap: 8px;">
+                                <select id="exportFrameFilter" style="flex: 1; padding: 8px;"></select>
+                                <button type="button" id="exportFrameFilterEdit" class="btn btn-secondary">Edit…</button>
+                            </div>
+                            <div id="exportFrameFilterInfo" style="font-size: 11px; color: #888; margin-top: 4px;"></div>
+                        </div>
+                        ` : ''}
+                        ${hasOverlays ? `
+                        <div style="margin-bottom: 16px;">
+                            <label style="display: flex; align-items: center; gap: 8px;">
+                                <input type="checkbox" id="exportBurnInOverlays" style="width: auto; margin: 0;" ${overlayService.isShown('video') ? 'checked' : ''}>
+                                Burn in frame overlays (safe areas, grids, crops)
+                            </label>
+                        </div>
+                        ` : ''}
                         <div style="margin-bottom: 16px;">
                             <label style="display: block; margin-bottom: 8px;">Export Region:</label>
                             <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 4px;">
@@ -110,7 +137,7 @@ class VideoExportService {
                                 <span style="font-size: 12px;">or</span>
                                 <input type="number" id="exportEndFrame" min="0" step="1" value="${totalFrames}" style="flex: 1; padding: 8px;" placeholder="Frames">
                             </div>
-                            <div style="font-size: 11px; color: #888; margin-top: 4px;">
+                            <div id="exportTimelineDuration" style="font-size: 11px; color: #888; margin-top: 4px;">
                                 Timeline duration: ${actualDuration.toFixed(2)}s (${totalFrames} frames @ ${frameRate}fps)
                             </div>
                         </div>
@@ -165,6 +192,28 @@ class VideoExportService {
                 endTimeInput.value = (endFrameInput.value / frameRate).toFixed(3);
             });
 
+            // A partial export closes up the frames it keeps, so the region runs over the shorter cut
+            let regionDuration = actualDuration;
+            const frameFilter = filterService
+                ? this.app.exportFilterController.bindFilterSelect(
+                    document.getElementById('exportFrameFilter'),
+                    document.getElementById('exportFrameFilterEdit'),
+                    document.getElementById('exportFrameFilterInfo'),
+                    (filter) => {
+                        const duration = this.calculateActualDuration(filterService.applyToTimeline(timelineData, filter));
+                        if (duration === regionDuration) return;
+                        regionDuration = duration;
+                        const frames = Math.ceil(duration * frameRate);
+                        startTimeInput.value = 0;
+                        startFrameInput.value = 0;
+                        endTimeInput.value = duration.toFixed(3);
+                        endFrameInput.value = frames;
+                        document.getElementById('exportTimelineDuration').textContent =
+                            `${filterService.isEmpty(filter) ? 'Timeline' : 'Filtered'} duration: ${duration.toFixed(2)}s (${frames} frames @ ${frameRate}fps)`;
+                    }
+                )
+                : null;
+
             const closeModal = () => {
                 modal.style.display = 'none';
                 document.body.removeChild(modal);
@@ -194,20 +243,24 @@ class VideoExportService {
                 
                 // Get export region
                 const startTime = parseFloat(document.getElementById('exportStartTime').value) || 0;
-                const endTime = parseFloat(document.getElementById('exportEndTime').value) || actualDuration;
+                const endTime = parseFloat(document.getElementById('exportEndTime').value) || regionDuration;
                 const startFrame = parseInt(document.getElementById('exportStartFrame').value) || 0;
-                const endFrame = parseInt(document.getElementById('exportEndFrame').value) || totalFrames;
+                const endFrame = parseInt(document.getElementById('exportEndFrame').value) || Math.ceil(regionDuration * frameRate);
                 
                 // Validate region (allow small floating point differences)
                 const epsilon = 0.001; // Small tolerance for floating point precision
-                if (startTime < 0 || endTime <= startTime || endTime > actualDuration + epsilon) {
-                    await this.app.customAlert(`Invalid export region. Start must be >= 0, End must be > Start and <= timeline duration (${actualDuration.toFixed(2)}s).`);
+                if (regionDuration === 0) {
+                    await this.app.customAlert('No frames on the timeline match the export filter.');
+                    return;
+                }
+                if (startTime < 0 || endTime <= startTime || endTime > regionDuration + epsilon) {
+                    await this.app.customAlert(`Invalid export region. Start must be >= 0, End must be > Start and <= timeline duration (${regionDuration.toFixed(2)}s).`);
                     return;
                 }
                 
                 // Use time-based values (more precise)
                 const exportStart = Math.max(0, startTime);
-                const exportEnd = Math.min(actualDuration, endTime);
+                const exportEnd = Math.min(regionDuration, endTime);
 
                 const settings = { 
                     format, 
@@ -215,8 +268,16 @@ class VideoExportService {
                     fps, 
                     quality,
                     startTime: exportStart,
-                    endTime: exportEnd
+                    endTime: exportEnd,
+                    variantSet: document.getElementById('exportVariantSet')?.value || '',
+                    filter: frameFilter ? frameFilter.getFilter() : null,
+                    burnInOverlays: document.getElementById('exportBurnInOverlays')?.checked || false
                 };
+                if (hasOverlays && settings.burnInOverlays !== overlayService.isShown('video')) {
+                    // Remember the choice for the next export
+                    overlayService.setShown('video', settings.burnInOverlays);
+                    this.app.markChanged();
+                }
                 
                 // Show progress
                 document.getElementById('exportProgressContainer').style.display = 'block';
@@ -284,10 +345,21 @@ class VideoExportService {
         this.exportProgress = 0;
 
         try {
-            const timelineData = this.app.previsController.previsManager.getTimelineData();
+            let timelineData = this.app.previsController.previsManager.getTimelineData();
             if (!timelineData || !timelineData.timeline || timelineData.timeline.length === 0) {
                 throw new Error('Timeline is empty');
             }
+            // Only the frames of the chosen filter, closed up (before the swap, which renames the clips' frames)
+            if (settings.filter && this.app.exportFilterService) {
+                timelineData = this.app.exportFilterService.applyToTimeline(timelineData, settings.filter);
+                if (timelineData.timeline.length === 0) {
+                    throw new Error('No frames on the timeline match the export filter');
+                }
+            }
+            // Swap in the chosen alternate frames
+            if (settings.variantSet && this.app.variantService) {
+                timelineData = this.app.variantService.applyToTimeline(timelineData, settings.variantSet);
+            }
 
             const [width, height] = settings.resolution.split('x').map(Number);
             const fps = settings.fps;
@@ -298,6 +370,9 @@ class VideoExportService {
             canvas.width = width;
             canvas.height = height;
             const ctx = canvas.getContext('2d');
+            const overlays = settings.burnInOverlays && this.app.frameOverlayService
+                ? this.app.frameOverlayService.getEnabledOverlays()
+                : [];
 
             // Get video preview element to capture from
             const videoPreview = document.getElementById('previzVideoPreview');
@@ -442,7 +517,7 @@ class VideoExportService {
                     ctx.fillStyle = '#000000';
                     ctx.fillRect(0, 0, width, height);
                     if (firstClip) {
-                        await this.drawClipFromCache(ctx, firstClip, width, height, imageCache);
+                        await this.drawClipFromCache(ctx, firstClip, width, height, imageCache, overlays);
                     }
                     
                     // Wait a frame to ensure canvas is rendered
@@ -514,7 +589,7 @@ class VideoExportService {
 
                     if (currentClip) {
                         // Draw clip using cached image
-                        await this.drawClipFromCache(ctx, currentClip, width, height, imageCache);
+                        await this.drawClipFromCache(ctx, currentClip, width, height, imageCache, overlays);
                     }
 
                     // Update progress (50% for image loading, 50% for rendering)
@@ -629,8 +704,9 @@ class VideoExportService {
 
     /**
      * Draw a clip on canvas from cache
+     * @param {Array} overlays - Frame overlays burned in over the frame (optional)
      */
-    async drawClipFromCache(ctx, clip, width, height, imageCache) {
+    async drawClipFromCache(ctx, clip, width, height, imageCache, overlays = []) {
         const img = imageCache.get(clip.id);
         
         if (!img) {
@@ -640,27 +716,27 @@ class VideoExportService {
             return;
         }
 
-        // Calculate aspect ratio and fit
-        const imgAspect = img.width / img.height;
-        const canvasAspect = width / height;
-
-        let drawWidth, drawHeight, drawX, drawY;
-
-        if (imgAspect > canvasAspect) {
-            // Image is wider - fit to width
-            drawWidth = width;
-            drawHeight = width / imgAspect;
-            drawX = 0;
-            drawY = (height - drawHeight) / 2;
-        } else {
-            // Image is taller - fit to height
-            drawHeight = height;
-            drawWidth = height * imgAspect;
-            drawX = (width - drawWidth) / 2;
-            drawY = 0;
+        // Storyboard frames are framed in their scene's aspect ratio (the canvas is already black,
+        // so a frame narrower or wider than the video is pillarboxed / letterboxed)
+        const settings = this.app.project.settings;
+        const frameAspect = clip.isExternalFile ? null : FrameAspect.getFrameAspect(settings, clip.sceneNumber);
+        if (!frameAspect) {
+            const rect = FrameAspect.fitRect(img.width, img.height, width, height, 'fit');
+            ctx.drawImage(img, rect.x, rect.y, rect.width, rect.height);
+            if (!clip.isExternalFile) FrameOverlays.drawOverlays(ctx, overlays, rect);
+            return;
         }
 
-        ctx.drawImage(img, drawX, drawY, drawWidth, drawHeight);
+        const frame = FrameAspect.fitRect(frameAspect, 1, width, height, 'fit');
+        const fitMode = FrameAspect.getFitMode(settings);
+        const rect = FrameAspect.fitRect(img.width, img.height, frame.width, frame.height, fitMode);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(frame.x, frame.y, frame.width, frame.height);
+        ctx.clip();
+        ctx.drawImage(img, frame.x + rect.x, frame.y + rect.y, rect.width, rect.height);
+        ctx.restore();
+        FrameOverlays.drawOverlays(ctx, overlays, frame);
     }
 
     /**
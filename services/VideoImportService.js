@@ -0,0 +1,715 @@
+/**
+ * VideoImportService - Builds storyboard frames from a reference video
+ * Samples the video at a fixed rate, detects cuts by frame difference, lets the
+ * user adjust the detected shots and then grabs keyframes for each shot
+ */
+class VideoImportService {
+    constructor(app) {
+        this.app = app;
+        this.analysisWidth = 96; // Width of the downscaled frames used for cut detection
+    }
+
+    /**
+     * Load a video file into an off-screen video element
+     * @param {File} file - Video file
+     * @returns {Promise<{video: HTMLVideoElement, url: string}>} Loaded video and its object URL
+     */
+    loadVideo(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            video.playsInline = true;
+
+            video.onloadeddata = () => {
+                if (!isFinite(video.duration) || video.duration <= 0) {
+                    URL.revokeObjectURL(url);
+                    reject(new Error('Could not determine video duration'));
+                    return;
+                }
+                resolve({ video, url });
+            };
+            video.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('This video format is not supported by the browser'));
+            };
+            video.src = url;
+        });
+    }
+
+    /**
+     * Seek a video and wait until the frame is available
+     * @param {HTMLVideoElement} video - Video element
+     * @param {number} time - Time in seconds
+     * @returns {Promise<void>}
+     */
+    seekTo(video, time) {
+        return new Promise((resolve) => {
+            const target = Math.max(0, Math.min(time, video.duration - 0.001));
+            if (Math.abs(video.currentTime - target) < 0.0005) {
+                resolve();
+                return;
+            }
+            // Some browsers never fire 'seeked' for certain frames - don't hang the import
+            const timeout = setTimeout(done, 5000);
+            function done() {
+                clearTimeout(timeout);
+                video.removeEventListener('seeked', done);
+                resolve();
+            }
+            video.addEventListener('seeked', done);
+            video.currentTime = target;
+        });
+    }
+
+    /**
+     * Compute luma and histogram for the frame currently drawn on the analysis canvas
+     * @param {CanvasRenderingContext2D} ctx - Analysis canvas context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {{luma: Uint8Array, hist: Float32Array}} Frame statistics
+     */
+    computeFrameStats(ctx, width, height) {
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const pixelCount = width * height;
+        const luma = new Uint8Array(pixelCount);
+        const hist = new Float32Array(32);
+
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            const value = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+            luma[p] = value;
+            hist[value >> 3]++;
+        }
+        for (let i = 0; i < hist.length; i++) {
+            hist[i] /= pixelCount;
+        }
+        return { luma, hist };
+    }
+
+    /**
+     * Difference score between two frames (0 = identical, 1 = completely different)
+     * Averages per-pixel luma difference with histogram difference so both hard cuts
+     * and cuts between similar framings register
+     * @param {Object} a - Frame statistics
+     * @param {Object} b - Frame statistics
+     * @returns {number} Difference score
+     */
+    compareFrames(a, b) {
+        let pixelDiff = 0;
+        for (let i = 0; i < a.luma.length; i++) {
+            pixelDiff += Math.abs(a.luma[i] - b.luma[i]);
+        }
+        pixelDiff /= a.luma.length * 255;
+
+        let histDiff = 0;
+        for (let i = 0; i < a.hist.length; i++) {
+            histDiff += Math.abs(a.hist[i] - b.hist[i]);
+        }
+        histDiff /= 2;
+
+        return (pixelDiff + histDiff) / 2;
+    }
+
+    /**
+     * Create the downscaled canvas used for analysis
+     * @param {HTMLVideoElement} video - Video element
+     * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
+     */
+    createAnalysisCanvas(video) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.analysisWidth;
+        canvas.height = Math.max(1, Math.round(this.analysisWidth * video.videoHeight / video.videoWidth));
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        return { canvas, ctx };
+    }
+
+    /**
+     * Grab statistics for the frame at a given time
+     * @param {HTMLVideoElement} video - Video element
+     * @param {number} time - Time in seconds
+     * @param {Object} analysis - Analysis canvas from createAnalysisCanvas
+     * @returns {Promise<Object>} Frame statistics
+     */
+    async sampleFrame(video, time, analysis) {
+        await this.seekTo(video, time);
+        analysis.ctx.drawImage(video, 0, 0, analysis.canvas.width, analysis.canvas.height);
+        return this.computeFrameStats(analysis.ctx, analysis.canvas.width, analysis.canvas.height);
+    }
+
+    /**
+     * Sample the whole video and score the change between consecutive samples
+     * @param {HTMLVideoElement} video - Loaded video
+     * @param {number} samplesPerSecond - Sampling rate
+     * @param {Function} onProgress - Called with (sampleIndex, totalSamples)
+     * @returns {Promise<Array>} Samples: { time, score, thumb }
+     */
+    async analyzeVideo(video, samplesPerSecond, onProgress = null) {
+        const analysis = this.createAnalysisCanvas(video);
+        const totalSamples = Math.max(1, Math.floor(video.duration * samplesPerSecond));
+        const samples = [];
+        let previous = null;
+
+        for (let i = 0; i < totalSamples; i++) {
+            if (onProgress) onProgress(i, totalSamples);
+
+            const time = i / samplesPerSecond;
+            const stats = await this.sampleFrame(video, time, analysis);
+            samples.push({
+                time: time,
+                score: previous ? this.compareFrames(previous, stats) : 0,
+                thumb: analysis.canvas.toDataURL('image/jpeg', 0.6)
+            });
+            previous = stats;
+        }
+
+        return samples;
+    }
+
+    /**
+     * Pick cut points from sample scores
+     * A sample is a cut when its score clears the sensitivity threshold and stands out
+     * from its neighbours, so continuous camera motion doesn't produce a cut on every sample
+     * @param {Array} samples - Samples from analyzeVideo
+     * @param {number} sensitivity - 1 (fewest cuts) to 100 (most cuts)
+     * @param {number} minShotSeconds - Minimum shot length
+     * @returns {Array<number>} Sample indices where a new shot starts (excluding 0)
+     */
+    detectCuts(samples, sensitivity, minShotSeconds) {
+        const threshold = 0.4 - sensitivity * 0.0035;
+        const windowSize = 4;
+        const boundaries = [];
+
+        for (let i = 1; i < samples.length; i++) {
+            const score = samples[i].score;
+            if (score < threshold) continue;
+
+            let neighbourTotal = 0;
+            let neighbourCount = 0;
+            for (let j = Math.max(1, i - windowSize); j <= Math.min(samples.length - 1, i + windowSize); j++) {
+                if (j === i) continue;
+                neighbourTotal += samples[j].score;
+                neighbourCount++;
+            }
+            const neighbourMean = neighbourCount ? neighbourTotal / neighbourCount : 0;
+            if (score < neighbourMean * 1.5) continue;
+
+            const last = boundaries[boundaries.length - 1];
+            const lastTime = last !== undefined ? samples[last].time : 0;
+            if (samples[i].time - lastTime >= minShotSeconds) {
+                boundaries.push(i);
+            } else if (last !== undefined && score > samples[last].score) {
+                // Too close to the previous cut - keep whichever change is stronger
+                boundaries[boundaries.length - 1] = i;
+            }
+        }
+
+        return boundaries;
+    }
+
+    /**
+     * Build shot ranges from cut boundaries
+     * @param {Array} samples - Samples from analyzeVideo
+     * @param {Array<number>} boundaries - Sample indices where a new shot starts
+     * @param {number} duration - Video duration in seconds
+     * @returns {Array} Shots: { startIndex, start, end }
+     */
+    buildShots(samples, boundaries, duration) {
+        const starts = [0, ...boundaries];
+        return starts.map((startIndex, k) => ({
+            startIndex: startIndex,
+            start: samples[startIndex].time,
+            end: k + 1 < starts.length ? samples[starts[k + 1]].time : duration
+        }));
+    }
+
+    /**
+     * Split a shot at its strongest internal change (or its middle if there is none)
+     * @param {Array} samples - Samples from analyzeVideo
+     * @param {Array<number>} boundaries - Current boundaries (modified in place)
+     * @param {number} shotIndex - Shot to split
+     * @returns {boolean} True if the shot was split
+     */
+    splitShot(samples, boundaries, shotIndex) {
+        const starts = [0, ...boundaries];
+        const first = starts[shotIndex] + 1;
+        const last = (shotIndex + 1 < starts.length ? starts[shotIndex + 1] : samples.length) - 1;
+        if (last < first) return false;
+
+        let best = Math.floor((first + last) / 2);
+        for (let i = first; i <= last; i++) {
+            if (samples[i].score > samples[best].score) {
+                best = i;
+            }
+        }
+
+        boundaries.splice(shotIndex, 0, best);
+        return true;
+    }
+
+    /**
+     * Merge a shot with the following shot
+     * @param {Array<number>} boundaries - Current boundaries (modified in place)
+     * @param {number} shotIndex - Shot to merge with its successor
+     * @returns {boolean} True if shots were merged
+     */
+    mergeWithNext(boundaries, shotIndex) {
+        if (shotIndex >= boundaries.length) return false;
+        boundaries.splice(shotIndex, 1);
+        return true;
+    }
+
+    /**
+     * Narrow a cut down to a single video frame by bisecting between two samples
+     * @param {HTMLVideoElement} video - Video element
+     * @param {number} before - Sample time known to be in the previous shot
+     * @param {number} after - Sample time known to be in the new shot
+     * @param {Object} analysis - Analysis canvas from createAnalysisCanvas
+     * @returns {Promise<number>} Time of the first frame of the new shot
+     */
+    async refineCut(video, before, after, analysis) {
+        const frameDuration = 1 / this.app.shotListManager.getFrameRate();
+        const beforeStats = await this.sampleFrame(video, before, analysis);
+        const afterStats = await this.sampleFrame(video, after, analysis);
+        let lo = before;
+        let hi = after;
+
+        while (hi - lo > frameDuration) {
+            const mid = (lo + hi) / 2;
+            const midStats = await this.sampleFrame(video, mid, analysis);
+            if (this.compareFrames(midStats, beforeStats) < this.compareFrames(midStats, afterStats)) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+
+        return hi;
+    }
+
+    /**
+     * Keyframe times spread evenly inside a shot, away from the cuts
+     * @param {Object} shot - Shot range
+     * @param {number} count - Keyframes per shot
+     * @returns {Array<number>} Times in seconds
+     */
+    getKeyframeTimes(shot, count) {
+        const length = shot.end - shot.start;
+        const times = [];
+        for (let i = 1; i <= count; i++) {
+            times.push(shot.start + (length * i) / (count + 1));
+        }
+        return times;
+    }
+
+    /**
+     * Capture a full-size video frame
+     * @param {HTMLVideoElement} video - Video element
+     * @param {number} time - Time in seconds
+     * @param {number} maxSize - Longest edge in pixels
+     * @returns {Promise<HTMLCanvasElement>} Frame canvas
+     */
+    async captureFrame(video, time, maxSize) {
+        await this.seekTo(video, time);
+        const scale = Math.min(1, maxSize / Math.max(video.videoWidth, video.videoHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Convert a canvas to a File so it can go through the normal image loading path
+     * @param {HTMLCanvasElement} canvas - Source canvas
+     * @param {string} name - File name
+     * @returns {Promise<File>} JPEG file
+     */
+    canvasToFile(canvas, name) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Failed to capture video frame'));
+                    return;
+                }
+                resolve(new File([blob], name, { type: 'image/jpeg' }));
+            }, 'image/jpeg', 0.92);
+        });
+    }
+
+    /**
+     * Create storyboard images and shot durations for the confirmed shots
+     * @param {File} file - Source video file
+     * @param {HTMLVideoElement} video - Loaded video
+     * @param {Array} samples - Samples from analyzeVideo
+     * @param {Array} shots - Shot ranges from buildShots
+     * @param {Object} options - Import options
+     * @param {number} options.keyframesPerShot - Keyframes to grab per shot
+     * @param {number} options.startScene - Scene number for all imported frames
+     * @param {number} options.startShot - First shot number
+     * @param {Function} onProgress - Called with (shotIndex, totalShots)
+     * @returns {Promise<{images: Array, durations: Array}>} Images and { sceneNumber, shotNumber, seconds }
+     */
+    async importShots(file, video, samples, shots, options = {}, onProgress = null) {
+        const { keyframesPerShot = 1, startScene = 1, startShot = 1 } = options;
+        const analysis = this.createAnalysisCanvas(video);
+        const compSettings = this.app.project.settings.imageCompression || {};
+        const maxSize = compSettings.maxWidthOrHeight || 1920;
+        const baseName = file.name.replace(/\.[^/.]+$/, '').replace(/[^a-z0-9_-]/gi, '_');
+        const sceneNumber = this.app.imageManager.padNumber(startScene);
+
+        // Sample-accurate cuts are only as precise as the sampling rate - snap them to real frames
+        const refined = shots.map(shot => ({ ...shot }));
+        for (let k = 1; k < refined.length; k++) {
+            if (onProgress) onProgress(0, refined.length);
+            const before = samples[refined[k].startIndex - 1].time;
+            const cutTime = await this.refineCut(video, before, refined[k].start, analysis);
+            refined[k].start = cutTime;
+            refined[k - 1].end = cutTime;
+        }
+
+        const images = [];
+        const durations = [];
+
+        for (let k = 0; k < refined.length; k++) {
+            if (onProgress) onProgress(k, refined.length);
+
+            const shot = refined[k];
+            const shotNumber = this.app.imageManager.padNumber(startShot + k);
+            const times = this.getKeyframeTimes(shot, keyframesPerShot);
+
+            for (let f = 0; f < times.length; f++) {
+                const frameNumber = this.app.imageManager.padNumber(f + 1);
+                const name = `${baseName}_sh${shotNumber}_f${frameNumber}.jpg`;
+                const canvas = await this.captureFrame(video, times[f], maxSize);
+                const frameFile = await this.canvasToFile(canvas, name);
+                const image = await this.app.imageManager.loadImageFile(frameFile);
+
+                image.sceneNumber = sceneNumber;
+                image.scene = sceneNumber;
+                image.shotNumber = shotNumber;
+                image.frameNumber = frameNumber;
+                image.generated = true; // No file on disk, so a folder re-import must not drop it
+                images.push(image);
+            }
+
+            durations.push({
+                sceneNumber: sceneNumber,
+                shotNumber: shotNumber,
+                seconds: shot.end - shot.start
+            });
+        }
+
+        return { images, durations };
+    }
+
+    /**
+     * Format seconds as MM:SS.s for the preview list
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time
+     */
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+        return `${String(minutes).padStart(2, '0')}:${secs}`;
+    }
+
+    /**
+     * Show video import dialog: analyze, adjust detected shots, then import
+     * @returns {Promise<Array|null>} Imported images or null if cancelled
+     */
+    async showImportDialog() {
+        if (!this.app.shotListManager) {
+            await this.app.customAlert('Shot list is not available. Please refresh the page.');
+            return null;
+        }
+
+        const nextScene = this.app.imageManager.getNextSceneNumber();
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 640px;">
+                    <div class="modal-header">
+                        <h2>Import Reference Video</h2>
+                        <span class="close" id="videoImportClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div id="videoImportSetup">
+                            <div style="margin-bottom: 16px;">
+                                <label for="videoImportFile" style="display: block; margin-bottom: 8px;">Video File:</label>
+                                <input type="file" id="videoImportFile" accept="video/*" style="width: 100%;">
+                                <div id="videoImportInfo" style="font-size: 11px; color: #888; margin-top: 4px;"></div>
+                            </div>
+                            <div style="margin-bottom: 16px;">
+                                <label for="videoImportRate" style="display: block; margin-bottom: 8px;">Analysis Rate:</label>
+                                <select id="videoImportRate" style="width: 100%; padding: 8px;">
+                                    <option value="2">2 samples per second (fast)</option>
+                                    <option value="5" selected>5 samples per second</option>
+                                    <option value="10">10 samples per second (catches short shots)</option>
+                                </select>
+                                <div style="font-size: 11px; color: #888; margin-top: 4px;">
+                                    Cuts are snapped to the exact frame on import.
+                                </div>
+                            </div>
+                        </div>
+                        <div id="videoImportPreview" style="display: none;">
+                            <div style="margin-bottom: 16px;">
+                                <label for="videoImportSensitivity" style="display: block; margin-bottom: 8px;">
+                                    Cut Sensitivity: <span id="videoImportSensitivityValue">50</span>
+                                </label>
+                                <input type="range" id="videoImportSensitivity" min="1" max="100" value="50" style="width: 100%;">
+                                <div style="font-size: 11px; color: #888; margin-top: 4px;">
+                                    Changing sensitivity or minimum length re-detects shots and discards manual splits and merges.
+                                </div>
+                            </div>
+                            <div style="margin-bottom: 16px; display: flex; gap: 8px;">
+                                <div style="flex: 1;">
+                                    <label for="videoImportMinShot" style="display: block; margin-bottom: 8px;">Min Shot (s):</label>
+                                    <input type="number" id="videoImportMinShot" min="0.1" step="0.1" value="0.5" style="width: 100%; padding: 8px;">
+                                </div>
+                                <div style="flex: 1;">
+                                    <label for="videoImportKeyframes" style="display: block; margin-bottom: 8px;">Frames per Shot:</label>
+                                    <select id="videoImportKeyframes" style="width: 100%; padding: 8px;">
+                                        <option value="1" selected>1</option>
+                                        <option value="2">2</option>
+                                        <option value="3">3</option>
+                                    </select>
+                                </div>
+                                <div style="flex: 1;">
+                                    <label for="videoImportScene" style="display: block; margin-bottom: 8px;">Scene:</label>
+                                    <input type="number" id="videoImportScene" min="1" value="${nextScene}" style="width: 100%; padding: 8px;">
+                                </div>
+                                <div style="flex: 1;">
+                                    <label for="videoImportShot" style="display: block; margin-bottom: 8px;">First Shot:</label>
+                                    <input type="number" id="videoImportShot" min="1" value="1" style="width: 100%; padding: 8px;">
+                                </div>
+                            </div>
+                            <div id="videoImportSummary" style="margin-bottom: 8px; color: #a0a0a0; font-size: 12px;"></div>
+                            <div id="videoImportShotList" class="video-import-shot-list"></div>
+                        </div>
+                        <div id="videoImportProgressContainer" style="display: none; margin-top: 16px;">
+                            <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+                                <span id="videoImportProgressLabel">Analyzing:</span>
+                                <span id="videoImportProgressText">0%</span>
+                            </div>
+                            <div style="width: 100%; height: 20px; background: #333; border-radius: 4px; overflow: hidden;">
+                                <div id="videoImportProgressBar" style="width: 0%; height: 100%; background: #007acc; transition: width 0.3s;"></div>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="videoImportCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="videoImportStartBtn" class="btn btn-primary" disabled>Analyze</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const fileInput = document.getElementById('videoImportFile');
+            const infoDiv = document.getElementById('videoImportInfo');
+            const startBtn = document.getElementById('videoImportStartBtn');
+            const cancelBtn = document.getElementById('videoImportCancelBtn');
+            const sensitivityInput = document.getElementById('videoImportSensitivity');
+            const minShotInput = document.getElementById('videoImportMinShot');
+            const shotListDiv = document.getElementById('videoImportShotList');
+            let selectedFile = null;
+            let loaded = null;
+            let samples = null;
+            let boundaries = [];
+            let isBusy = false;
+
+            const setProgress = (label, current, total) => {
+                document.getElementById('videoImportProgressContainer').style.display = 'block';
+                document.getElementById('videoImportProgressLabel').textContent = label;
+                const progress = total > 0 ? (current / total) * 100 : 0;
+                document.getElementById('videoImportProgressBar').style.width = progress + '%';
+                document.getElementById('videoImportProgressText').textContent = Math.round(progress) + '%';
+            };
+
+            const releaseVideo = () => {
+                if (loaded) {
+                    loaded.video.removeAttribute('src');
+                    loaded.video.load();
+                    URL.revokeObjectURL(loaded.url);
+                    loaded = null;
+                }
+            };
+
+            const renderShotList = () => {
+                const shots = this.buildShots(samples, boundaries, loaded.video.duration);
+                const startShot = Math.max(1, parseInt(document.getElementById('videoImportShot').value) || 1);
+                document.getElementById('videoImportSummary').textContent =
+                    `${shots.length} shot${shots.length !== 1 ? 's' : ''} detected in ${this.formatTime(loaded.video.duration)}`;
+                startBtn.textContent = `Import ${shots.length} Shot${shots.length !== 1 ? 's' : ''}`;
+
+                shotListDiv.innerHTML = '';
+                shots.forEach((shot, k) => {
+                    const middle = this.getKeyframeTimes(shot, 1)[0];
+                    const thumbSample = samples[Math.min(samples.length - 1, Math.floor(middle * samples.length / loaded.video.duration))];
+
+                    const row = document.createElement('div');
+                    row.className = 'video-import-shot-row';
+                    row.innerHTML = `
+                        <img src="${thumbSample.thumb}" alt="">
+                        <div class="video-import-shot-info">
+                            <strong>Shot ${this.app.imageManager.padNumber(startShot + k)}</strong>
+                            <span>${this.formatTime(shot.start)} – ${this.formatTime(shot.end)} (${(shot.end - shot.start).toFixed(1)}s)</span>
+                        </div>
+                    `;
+
+                    const splitBtn = document.createElement('button');
+                    splitBtn.className = 'btn btn-secondary video-import-shot-btn';
+                    splitBtn.textContent = 'Split';
+                    splitBtn.title = 'Split at the strongest change inside this shot';
+                    splitBtn.disabled = !this.splitShot(samples, boundaries.slice(), k);
+                    splitBtn.addEventListener('click', () => {
+                        this.splitShot(samples, boundaries, k);
+                        renderShotList();
+                    });
+
+                    const mergeBtn = document.createElement('button');
+                    mergeBtn.className = 'btn btn-secondary video-import-shot-btn';
+                    mergeBtn.textContent = 'Merge ↓';
+                    mergeBtn.title = 'Merge with the next shot';
+                    mergeBtn.disabled = k >= shots.length - 1;
+                    mergeBtn.addEventListener('click', () => {
+                        this.mergeWithNext(boundaries, k);
+                        renderShotList();
+                    });
+
+                    row.appendChild(splitBtn);
+                    row.appendChild(mergeBtn);
+                    shotListDiv.appendChild(row);
+                });
+            };
+
+            const redetect = () => {
+                const sensitivity = parseInt(sensitivityInput.value) || 50;
+                const minShot = Math.max(0.1, parseFloat(minShotInput.value) || 0.5);
+                document.getElementById('videoImportSensitivityValue').textContent = sensitivity;
+                boundaries = this.detectCuts(samples, sensitivity, minShot);
+                renderShotList();
+            };
+
+            sensitivityInput.addEventListener('input', redetect);
+            minShotInput.addEventListener('change', redetect);
+            document.getElementById('videoImportShot').addEventListener('change', renderShotList);
+
+            fileInput.addEventListener('change', () => {
+                selectedFile = fileInput.files[0] || null;
+                startBtn.disabled = !selectedFile;
+                infoDiv.textContent = selectedFile ? `${(selectedFile.size / 1024 / 1024).toFixed(1)} MB` : '';
+            });
+
+            const closeModal = () => {
+                releaseVideo();
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                if (isBusy) return;
+                closeModal();
+                resolve(null);
+            };
+
+            document.getElementById('videoImportClose').addEventListener('click', handleCancel);
+            cancelBtn.addEventListener('click', handleCancel);
+
+            const analyze = async () => {
+                isBusy = true;
+                startBtn.disabled = true;
+                cancelBtn.disabled = true;
+                fileInput.disabled = true;
+
+                try {
+                    loaded = await this.loadVideo(selectedFile);
+                    const rate = parseInt(document.getElementById('videoImportRate').value) || 5;
+                    samples = await this.analyzeVideo(loaded.video, rate, (i, total) => {
+                        setProgress('Analyzing:', i, total);
+                    });
+
+                    document.getElementById('videoImportSetup').style.display = 'none';
+                    document.getElementById('videoImportProgressContainer').style.display = 'none';
+                    document.getElementById('videoImportPreview').style.display = 'block';
+                    redetect();
+                } catch (error) {
+                    console.error('Video analysis error:', error);
+                    closeModal();
+                    await this.app.customAlert('Error analyzing video: ' + error.message);
+                    resolve(null);
+                    return;
+                } finally {
+                    isBusy = false;
+                    startBtn.disabled = false;
+                    cancelBtn.disabled = false;
+                }
+            };
+
+            const runImport = async () => {
+                isBusy = true;
+                startBtn.disabled = true;
+                cancelBtn.disabled = true;
+                shotListDiv.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+
+                try {
+                    const shots = this.buildShots(samples, boundaries, loaded.video.duration);
+                    const options = {
+                        keyframesPerShot: parseInt(document.getElementById('videoImportKeyframes').value) || 1,
+                        startScene: Math.max(1, parseInt(document.getElementById('videoImportScene').value) || 1),
+                        startShot: Math.max(1, parseInt(document.getElementById('videoImportShot').value) || 1)
+                    };
+                    const { images, durations } = await this.importShots(selectedFile, loaded.video, samples, shots, options, (k, total) => {
+                        setProgress('Capturing frames:', k, total);
+                    });
+
+                    // Durations go in first so the previz timeline is built with the measured lengths
+                    durations.forEach(d => {
+                        this.app.shotListManager.setMeasuredDuration(d.sceneNumber, d.shotNumber, d.seconds);
+                    });
+                    await this.app.imageManager.addImportedImages(images);
+                    if (this.app.shotListController) {
+                        this.app.shotListController.renderShotList();
+                    }
+
+                    isBusy = false;
+                    closeModal();
+                    this.app.showToast(`Imported ${durations.length} shot${durations.length !== 1 ? 's' : ''} from video`);
+                    resolve(images);
+                } catch (error) {
+                    console.error('Video import error:', error);
+                    isBusy = false;
+                    closeModal();
+                    await this.app.customAlert('Error importing video: ' + error.message);
+                    resolve(null);
+                }
+            };
+
+            startBtn.addEventListener('click', () => {
+                if (isBusy || !selectedFile) return;
+                if (samples) {
+                    runImport();
+                } else {
+                    analyze();
+                }
+            });
+
+            // Close on outside click
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    handleCancel();
+                }
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoImportService;
+}
@@ -0,0 +1,212 @@
+/**
+ * WatermarkBatchService - One storyboard PDF per recipient, each with its own text watermark
+ * The recipient list and watermark template live in project.settings.watermarkBatch. The copies are
+ * written into a folder or a ZIP, with a manifest listing each recipient, file and SHA-256 hash so a
+ * leaked copy can be traced back.
+ */
+class WatermarkBatchService {
+    constructor(app) {
+        this.app = app;
+        this.exportWatermarkText = null; // Text watermark of the copy being exported, shown instead of the project's
+    }
+
+    /**
+     * Tokens of the watermark template
+     * @returns {Array} { token, description }
+     */
+    static getTokens() {
+        return [
+            { token: '{recipient}', description: 'Recipient name' },
+            { token: '{date}', description: 'Today\'s date' },
+            { token: '{project}', description: 'Project title' },
+            { token: '{copy}', description: 'Copy number (01, 02…)' },
+            { token: '{revision}', description: 'Revision label' }
+        ];
+    }
+
+    static getDefaultConfig() {
+        return {
+            recipients: [],
+            template: 'Prepared for {recipient} · {date}',
+            output: 'folder'
+        };
+    }
+
+    /**
+     * Get the batch settings of the project
+     * @returns {Object} { recipients, template, output: 'folder'|'zip' }
+     */
+    getConfig() {
+        const settings = this.app.project.settings;
+        if (!settings.watermarkBatch || !Array.isArray(settings.watermarkBatch.recipients)) {
+            settings.watermarkBatch = WatermarkBatchService.getDefaultConfig();
+        }
+        return settings.watermarkBatch;
+    }
+
+    /**
+     * Replace the batch settings
+     * @param {Object} config - Same shape as getConfig; recipients may be given as text, one per line
+     */
+    setConfig(config) {
+        const defaults = WatermarkBatchService.getDefaultConfig();
+        this.app.project.settings.watermarkBatch = {
+            recipients: typeof config.recipients === 'string'
+                ? this.parseRecipients(config.recipients)
+                : (config.recipients || []).slice(),
+            template: config.template && config.template.trim() ? config.template : defaults.template,
+            output: config.output === 'zip' ? 'zip' : 'folder'
+        };
+    }
+
+    /**
+     * Read a recipient list, one name per line; blank lines and repeated names are dropped
+     * @param {string} text - Recipient list
+     * @returns {Array<string>}
+     */
+    parseRecipients(text) {
+        const names = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        return names.filter((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+    }
+
+    /**
+     * Watermark text of one copy
+     * @param {string} template - Watermark template
+     * @param {string} recipient - Recipient name
+     * @param {number} index - Position of the recipient in the list
+     * @param {Date} date - Export date
+     * @returns {string}
+     */
+    resolveWatermark(template, recipient, index, date = new Date()) {
+        const templates = this.app.pageTemplateService;
+        const settings = this.app.project.settings;
+        const values = {
+            recipient,
+            date: date.toLocaleDateString(),
+            project: templates ? templates.getProjectTitle() : (this.app.project.name || ''),
+            copy: String(index + 1).padStart(2, '0'),
+            revision: settings.revisionLabel || ''
+        };
+        return String(template || '').replace(/\{(\w+)\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+        );
+    }
+
+    /**
+     * File name of a recipient's copy, unique within the batch
+     * @param {string} baseName - File name of the storyboard without extension
+     * @param {string} recipient - Recipient name
+     * @param {Set<string>} used - Names already given out (updated)
+     * @returns {string}
+     */
+    getFilename(baseName, recipient, used) {
+        const stem = `${baseName}_${recipient.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') || 'recipient'}`;
+        let filename = `${stem}.pdf`;
+        for (let n = 2; used.has(filename.toLowerCase()); n++) {
+            filename = `${stem}_${n}.pdf`;
+        }
+        used.add(filename.toLowerCase());
+        return filename;
+    }
+
+    /**
+     * SHA-256 of a file
+     * @param {Blob} blob - File contents
+     * @returns {Promise<string>} Hex digest
+     */
+    async hashBlob(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Export one watermarked PDF per recipient
+     * @param {Object} exportSettings - Storyboard PDF export settings (see PDFManager.exportPDF)
+     * @param {Object} target - { directoryHandle } to write into a folder, or { fileHandle, filename } for a ZIP
+     *   (the ZIP is downloaded when there is no file handle)
+     * @param {Function} onProgress - Called with (done, total, recipient) before each copy
+     * @returns {Promise<Object>} Manifest: { project, version, exportedAt, template, files: [{ recipient, watermark, file, size, sha256 }] }
+     */
+    async exportBatch(exportSettings, target, onProgress = null) {
+        const config = this.getConfig();
+        if (config.recipients.length === 0) {
+            throw new Error('Add at least one recipient.');
+        }
+        if (!target.directoryHandle && typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded. Please refresh the page.');
+        }
+
+        const exportedAt = new Date();
+        const version = this.app.project.version || '';
+        const baseName = `${(exportSettings.projectName || this.app.project.name || 'Storyboard').replace(/[^a-z0-9]/gi, '_')}${version ? `_v${version}` : ''}`;
+        const zip = target.directoryHandle ? null : new JSZip();
+        const used = new Set(['manifest.json']);
+        const manifest = {
+            project: exportSettings.projectName || this.app.project.name || '',
+            version,
+            exportedAt: exportedAt.toISOString(),
+            template: config.template,
+            files: []
+        };
+
+        try {
+            for (let i = 0; i < config.recipients.length; i++) {
+                const recipient = config.recipients[i];
+                if (onProgress) onProgress(i, config.recipients.length, recipient);
+                const watermark = this.resolveWatermark(config.template, recipient, i, exportedAt);
+                this.exportWatermarkText = watermark;
+                this.app.renderStoryboard();
+
+                const blob = await this.app.pdfManager.exportPDF({ ...exportSettings, returnBlob: true });
+                if (!blob) {
+                    throw new Error(`The copy for ${recipient} could not be exported.`);
+                }
+                const file = this.getFilename(baseName, recipient, used);
+                if (zip) {
+                    zip.file(file, blob);
+                } else {
+                    await this.writeFile(target.directoryHandle, file, blob);
+                }
+                manifest.files.push({ recipient, watermark, file, size: blob.size, sha256: await this.hashBlob(blob) });
+            }
+        } finally {
+            this.exportWatermarkText = null;
+            this.app.renderStoryboard();
+        }
+
+        const manifestBlob = new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+        if (zip) {
+            zip.file('manifest.json', manifestBlob);
+            const zipBlob = await zip.generateAsync({ type: 'blob' });
+            if (target.fileHandle) {
+                const writable = await target.fileHandle.createWritable();
+                await writable.write(zipBlob);
+                await writable.close();
+            } else {
+                const url = URL.createObjectURL(zipBlob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = target.filename || `${baseName}_recipients.zip`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            }
+        } else {
+            await this.writeFile(target.directoryHandle, 'manifest.json', manifestBlob);
+        }
+        return manifest;
+    }
+
+    async writeFile(directoryHandle, filename, blob) {
+        const fileHandle = await directoryHandle.getFileHandle(filename, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatermarkBatchService;
+}
@@ -179,6 +179,11 @@ class XMEMLExportService {
                 const fileDuration = 1; // Still images are always 1 frame in duration
                 const videoMediaDuration = 1; // Video media duration for still images
                 
+                // Frame field text (Action, Dialogue…) goes into the clip's comment
+                const frameComment = this.app && this.app.frameFieldService && clip.imageId
+                    ? this.app.frameFieldService.getPlainText(clip.imageId)
+                    : '';
+                
                 // Get image dimensions (default to 1920x1080)
                 const width = 1920;
                 const height = 1080;
@@ -323,7 +328,9 @@ class XMEMLExportService {
                                 </parameter>
                             </effect>
                         </filter>
-                        <comments/>
+                        ${frameComment ? `<comments>
+                            <mastercomment1>${escapeXML(frameComment)}</mastercomment1>
+                        </comments>` : '<comments/>'}
                     </clipitem>
 `;
             });
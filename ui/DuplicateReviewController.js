@@ -0,0 +1,146 @@
+/**
+ * DuplicateReviewController - Review dialog for incoming frames that look like existing frames
+ * Lets the user skip, replace or keep each likely duplicate found by ImageManager
+ */
+class DuplicateReviewController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Describe an image's position in the storyboard
+     * @param {Object} image - Image object
+     * @returns {string} e.g. "Scene 001 · Shot 010 · Frame 002"
+     */
+    describeImage(image) {
+        const parts = [];
+        if (image.sceneNumber) parts.push(`Scene ${image.sceneNumber}`);
+        if (image.shotNumber) parts.push(`Shot ${image.shotNumber}`);
+        if (image.frameNumber) parts.push(`Frame ${image.frameNumber}`);
+        return parts.join(' · ') || 'Unnumbered';
+    }
+
+    /**
+     * Show the duplicate review dialog
+     * @param {Array} groups - Groups from ImageManager.findDuplicateCandidates
+     * @returns {Promise<Array|null>} One { action: 'skip'|'replace'|'keep', target } per group, or null if cancelled
+     */
+    showReviewDialog(groups) {
+        const similarity = (distance) => Math.round((1 - distance / 64) * 100);
+
+        // Identical pictures default to skip, re-renders default to replacing the older frame -
+        // a frame an earlier row already replaces is not offered as the default again
+        const defaultTargets = new Set();
+        const decisions = groups.map(group => {
+            const action = group.matches[0].distance === 0 ? 'skip' : 'replace';
+            const match = action === 'replace'
+                ? group.matches.find(candidate => !defaultTargets.has(candidate.image)) || group.matches[0]
+                : group.matches[0];
+            if (action === 'replace') defaultTargets.add(match.image);
+            return { action, target: match.image };
+        });
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+
+            const rows = groups.map((group, index) => `
+                <div class="duplicate-review-row">
+                    <div class="duplicate-review-image">
+                        <img src="${group.image.url}" alt="">
+                        <span title="${HtmlUtils.escapeHtml(group.image.filePath || group.image.name)}">${HtmlUtils.escapeHtml(group.image.name)}</span>
+                        <span class="duplicate-review-meta">Incoming</span>
+                    </div>
+                    <div class="duplicate-review-image">
+                        <img src="${decisions[index].target.url}" alt="" data-existing-thumb="${index}">
+                        <select data-target="${index}">
+                            ${group.matches.map((match, matchIndex) => `
+                                <option value="${matchIndex}" ${match.image === decisions[index].target ? 'selected' : ''}>${HtmlUtils.escapeHtml(match.image.name)} (${similarity(match.distance)}%)</option>
+                            `).join('')}
+                        </select>
+                        <span class="duplicate-review-meta" data-existing-meta="${index}">${HtmlUtils.escapeHtml(this.describeImage(decisions[index].target))}</span>
+                    </div>
+                    <select class="duplicate-review-action" data-action="${index}">
+                        <option value="skip" ${decisions[index].action === 'skip' ? 'selected' : ''}>Skip incoming</option>
+                        <option value="replace" ${decisions[index].action === 'replace' ? 'selected' : ''}>Replace existing</option>
+                        <option value="keep">Keep both</option>
+                    </select>
+                </div>
+            `).join('');
+
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 760px;">
+                    <div class="modal-header">
+                        <h2>Possible Duplicate Frames</h2>
+                        <span class="close" id="duplicateReviewClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p style="color: #a0a0a0; font-size: 13px; margin-top: 0;">
+                            ${groups.length} incoming image${groups.length !== 1 ? 's look' : ' looks'} like ${groups.length !== 1 ? 'frames' : 'a frame'} already in the project.
+                            Replacing keeps the existing frame's name, numbering, notes and shot list data.
+                        </p>
+                        <div style="display: flex; gap: 8px; margin-bottom: 12px;">
+                            <button class="btn btn-secondary duplicate-review-bulk" data-bulk="skip">Skip All</button>
+                            <button class="btn btn-secondary duplicate-review-bulk" data-bulk="replace">Replace All</button>
+                            <button class="btn btn-secondary duplicate-review-bulk" data-bulk="keep">Keep All</button>
+                        </div>
+                        <div class="duplicate-review-list">${rows}</div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="duplicateReviewCancelBtn" class="btn btn-secondary">Cancel Import</button>
+                        <button id="duplicateReviewApplyBtn" class="btn btn-primary">Continue</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            modal.querySelectorAll('[data-action]').forEach(select => {
+                select.addEventListener('change', () => {
+                    decisions[parseInt(select.dataset.action)].action = select.value;
+                });
+            });
+
+            modal.querySelectorAll('[data-target]').forEach(select => {
+                select.addEventListener('change', () => {
+                    const index = parseInt(select.dataset.target);
+                    const match = groups[index].matches[parseInt(select.value)];
+                    decisions[index].target = match.image;
+                    modal.querySelector(`[data-existing-thumb="${index}"]`).src = match.image.url;
+                    modal.querySelector(`[data-existing-meta="${index}"]`).textContent = this.describeImage(match.image);
+                });
+            });
+
+            modal.querySelectorAll('.duplicate-review-bulk').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    decisions.forEach(decision => { decision.action = btn.dataset.bulk; });
+                    modal.querySelectorAll('[data-action]').forEach(select => { select.value = btn.dataset.bulk; });
+                });
+            });
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                closeModal();
+                resolve(null);
+            };
+
+            document.getElementById('duplicateReviewClose').addEventListener('click', handleCancel);
+            document.getElementById('duplicateReviewCancelBtn').addEventListener('click', handleCancel);
+            document.getElementById('duplicateReviewApplyBtn').addEventListener('click', () => {
+                closeModal();
+                resolve(decisions);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuplicateReviewController;
+}
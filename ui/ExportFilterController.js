@@ -0,0 +1,298 @@
+/**
+ * ExportFilterController - Choosing which frames an export includes, and the saved export profiles
+ */
+class ExportFilterController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Number of frames a filter lets through, out of the frames in the layout
+     */
+    getMatchText(filter) {
+        const service = this.app.exportFilterService;
+        const images = this.app.uiManager ? this.app.uiManager.getLayoutImages() : this.app.project.images;
+        const count = service.filterImages(images, filter).length;
+        return `${count} of ${images.length} frame${images.length !== 1 ? 's' : ''}`;
+    }
+
+    /**
+     * Fill a frame filter select of an export dialog and keep it in step with the filter dialog
+     * Options: all frames, the frames selected in the storyboard, each export profile, and a filter set
+     * up with the Edit button
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {HTMLElement} editButton - Opens the filter dialog (optional)
+     * @param {HTMLElement} info - Shows how many frames the choice includes (optional)
+     * @param {Function} onChange - Called with the chosen filter when the choice changes (optional)
+     * @returns {Object} { getFilter() } - chosen filter, or null for all frames
+     */
+    bindFilterSelect(select, editButton = null, info = null, onChange = null) {
+        const service = this.app.exportFilterService;
+        let customFilter = null;
+
+        const getFilter = () => {
+            if (select.value === 'selection') return service.getSelectionFilter();
+            if (select.value === 'custom') return customFilter;
+            if (select.value.startsWith('profile:')) {
+                const profile = service.getProfile(select.value.slice('profile:'.length));
+                return profile ? profile.filter : null;
+            }
+            return null;
+        };
+        const fill = (value) => {
+            const selection = service.getSelectionFilter();
+            select.innerHTML = '<option value="">All frames</option>' +
+                (selection ? `<option value="selection">Selected frames (${selection.frames.length})</option>` : '') +
+                service.getProfiles().map(profile => `<option value="profile:${HtmlUtils.escapeHtml(profile.id)}">${HtmlUtils.escapeHtml(profile.name)}</option>`).join('') +
+                (customFilter ? `<option value="custom">${HtmlUtils.escapeHtml(service.describe(customFilter))}</option>` : '');
+            select.value = Array.from(select.options).some(option => option.value === value) ? value : '';
+        };
+        const update = () => {
+            const filter = getFilter();
+            if (info) info.textContent = service.isEmpty(filter) ? '' : this.getMatchText(filter);
+            if (onChange) onChange(filter);
+        };
+
+        fill('');
+        select.onchange = update;
+        if (editButton) {
+            editButton.onclick = async () => {
+                const result = await this.openFilterDialog(getFilter());
+                if (!result) return;
+                // A filter that was saved as a profile shows under its name
+                if (result.profileId) {
+                    fill(`profile:${result.profileId}`);
+                } else if (service.isEmpty(result.filter)) {
+                    fill('');
+                } else {
+                    customFilter = result.filter;
+                    fill('custom');
+                }
+                update();
+            };
+        }
+        update();
+        return { getFilter };
+    }
+
+    /**
+     * Ask which frames a timeline export should include
+     * Only asked when there are export profiles or frames selected in the storyboard
+     * @param {string} title - Dialog title
+     * @returns {Promise<Object|null>} Filter (an empty one for all frames), or null if cancelled
+     */
+    async chooseFilter(title) {
+        const service = this.app.exportFilterService;
+        const profiles = service.getProfiles();
+        const selection = service.getSelectionFilter();
+        if (profiles.length === 0 && !selection) return service.normalizeFilter();
+
+        const choice = await this.app.customChoice(
+            title,
+            'Which frames should the export include? Audio and files added to the timeline are left out of a partial export.',
+            [
+                { label: 'All Frames', value: 'all', primary: false },
+                ...(selection ? [{ label: `Selected Frames (${selection.frames.length})`, value: 'selection', primary: false }] : []),
+                ...profiles.map(profile => ({ label: profile.name, value: `profile:${profile.id}`, primary: false })),
+                { label: 'Choose…', value: 'custom', primary: false },
+                { label: 'Cancel', value: 'cancel', primary: true }
+            ]
+        );
+        if (!choice || choice === 'cancel') return null;
+        if (choice === 'all') return service.normalizeFilter();
+        if (choice === 'selection') return selection;
+        if (choice === 'custom') {
+            const result = await this.openFilterDialog();
+            return result ? result.filter : null;
+        }
+        const profile = service.getProfile(choice.slice('profile:'.length));
+        return profile ? profile.filter : service.normalizeFilter();
+    }
+
+    /**
+     * Open the frame filter dialog
+     * @param {Object|null} initialFilter - Filter to start from
+     * @returns {Promise<Object|null>} { filter, profileId } - profileId is set when the filter was saved as
+     *   a profile and not changed after; null if cancelled
+     */
+    openFilterDialog(initialFilter = null) {
+        const service = this.app.exportFilterService;
+        if (!service) return Promise.resolve(null);
+        const filter = service.normalizeFilter(initialFilter || {});
+        const tags = service.getAllTags();
+        filter.tags.forEach(tag => {
+            if (!tags.some(other => other.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+        });
+        // Hand-picked frames come from the profile being edited, or else the storyboard selection
+        const selection = service.getSelectionFilter();
+        let pickedFrames = filter.frames || (selection ? selection.frames : null);
+        let pickedFromProfile = !!filter.frames;
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 520px;">
+                    <div class="modal-header">
+                        <h2>Frames to Export</h2>
+                        <span class="close" id="exportFilterClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="export-filter-profiles" id="exportFilterProfiles"></div>
+                        <label class="export-filter-label" for="exportFilterScenes">Scenes</label>
+                        <input type="text" id="exportFilterScenes" value="${HtmlUtils.escapeHtml(filter.scenes)}" placeholder="All scenes (e.g. 12-18, 21)">
+                        <label class="export-filter-label">Shot status</label>
+                        <div class="export-filter-options" id="exportFilterStatuses">
+                            ${ExportFilterService.getStatuses().map(status => `
+                                <label><input type="checkbox" value="${status.id}" ${filter.statuses.includes(status.id) ? 'checked' : ''}> ${status.label}</label>
+                            `).join('')}
+                        </div>
+                        <label class="export-filter-label">Tags</label>
+                        <div class="export-filter-options" id="exportFilterTags">
+                            ${tags.length > 0 ? tags.map(tag => `
+                                <label><input type="checkbox" value="${HtmlUtils.escapeHtml(tag)}" ${filter.tags.some(other => other.toLowerCase() === tag.toLowerCase()) ? 'checked' : ''}> ${HtmlUtils.escapeHtml(tag)}</label>
+                            `).join('') : '<span class="export-filter-empty">No frames are tagged yet. Tags are set in the frame settings.</span>'}
+                        </div>
+                        <label class="export-filter-frames">
+                            <input type="checkbox" id="exportFilterFrames" ${filter.frames ? 'checked' : ''}>
+                            <span id="exportFilterFramesText"></span>
+                        </label>
+                        <div class="export-filter-match" id="exportFilterMatch"></div>
+                        <div class="export-filter-save">
+                            <input type="text" id="exportFilterProfileName" placeholder="Profile name (e.g. Approved shots)">
+                            <button type="button" id="exportFilterSaveBtn" class="btn btn-secondary">Save as Profile</button>
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="exportFilterCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="exportFilterApplyBtn" class="btn btn-primary">Use Filter</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const scenesInput = document.getElementById('exportFilterScenes');
+            const framesCheck = document.getElementById('exportFilterFrames');
+            const match = document.getElementById('exportFilterMatch');
+            const profileList = document.getElementById('exportFilterProfiles');
+            const nameInput = document.getElementById('exportFilterProfileName');
+            let savedProfileId = null;
+
+            const renderFrames = () => {
+                framesCheck.disabled = !pickedFrames;
+                document.getElementById('exportFilterFramesText').textContent = pickedFrames
+                    ? `Only the ${pickedFrames.length} ${pickedFromProfile ? 'hand-picked' : 'selected'} frame${pickedFrames.length !== 1 ? 's' : ''}`
+                    : 'Only hand-picked frames (select frames in the storyboard first)';
+            };
+
+            const readFilter = () => service.normalizeFilter({
+                scenes: scenesInput.value,
+                statuses: Array.from(modal.querySelectorAll('#exportFilterStatuses input:checked')).map(input => input.value),
+                tags: Array.from(modal.querySelectorAll('#exportFilterTags input:checked')).map(input => input.value),
+                frames: framesCheck.checked ? pickedFrames : null
+            });
+            const setFilter = (value) => {
+                scenesInput.value = value.scenes;
+                if (value.frames) {
+                    pickedFrames = value.frames;
+                    pickedFromProfile = true;
+                }
+                framesCheck.checked = !!value.frames;
+                renderFrames();
+                modal.querySelectorAll('#exportFilterStatuses input').forEach(input => {
+                    input.checked = value.statuses.includes(input.value);
+                });
+                modal.querySelectorAll('#exportFilterTags input').forEach(input => {
+                    input.checked = value.tags.some(tag => tag.toLowerCase() === input.value.toLowerCase());
+                });
+            };
+            const updateMatch = () => {
+                match.textContent = `${service.describe(readFilter())} · ${this.getMatchText(readFilter())}`;
+            };
+            const renderProfiles = () => {
+                const profiles = service.getProfiles();
+                profileList.innerHTML = profiles.length > 0
+                    ? profiles.map(profile => `
+                        <div class="export-filter-profile" data-id="${HtmlUtils.escapeHtml(profile.id)}">
+                            <button type="button" class="export-filter-profile-name" data-action="load" title="${HtmlUtils.escapeHtml(service.describe(profile.filter))}">${HtmlUtils.escapeHtml(profile.name)}</button>
+                            <button type="button" class="export-filter-profile-delete" data-action="delete" title="Delete profile">&times;</button>
+                        </div>
+                    `).join('')
+                    : '<span class="export-filter-empty">No export profiles yet. Set up a filter below and save it.</span>';
+            };
+            renderFrames();
+            renderProfiles();
+            updateMatch();
+            modal.querySelector('.modal-body').addEventListener('input', () => {
+                savedProfileId = null;
+                updateMatch();
+            });
+            modal.querySelector('.modal-body').addEventListener('change', updateMatch);
+
+            profileList.addEventListener('click', async (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                const profile = service.getProfile(button.closest('.export-filter-profile').dataset.id);
+                if (!profile) return;
+                if (button.dataset.action === 'load') {
+                    setFilter(service.normalizeFilter(profile.filter));
+                    nameInput.value = profile.name;
+                    updateMatch();
+                    savedProfileId = profile.id;
+                } else if (button.dataset.action === 'delete') {
+                    const confirmed = await this.app.customConfirm(`Delete the export profile "${profile.name}"?`);
+                    if (!confirmed) return;
+                    service.deleteProfile(profile.id);
+                    this.app.markChanged();
+                    if (savedProfileId === profile.id) savedProfileId = null;
+                    renderProfiles();
+                }
+            });
+
+            document.getElementById('exportFilterSaveBtn').addEventListener('click', async () => {
+                const name = nameInput.value.trim();
+                if (!name) {
+                    nameInput.focus();
+                    return;
+                }
+                const value = readFilter();
+                if (service.isEmpty(value)) {
+                    await this.app.customAlert('Choose scenes, statuses, tags or frames to save in the profile.');
+                    return;
+                }
+                const existing = service.getProfiles().find(profile => profile.name.toLowerCase() === name.toLowerCase());
+                if (existing && existing.id !== savedProfileId) {
+                    const confirmed = await this.app.customConfirm(`Replace the export profile "${existing.name}"?`);
+                    if (!confirmed) return;
+                }
+                savedProfileId = service.saveProfile(name, value).id;
+                this.app.markChanged();
+                renderProfiles();
+                this.app.showToast(`Saved export profile "${name}"`, 'success');
+            });
+
+            const closeModal = (result) => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+                resolve(result);
+            };
+
+            document.getElementById('exportFilterApplyBtn').addEventListener('click', () => {
+                closeModal({ filter: readFilter(), profileId: savedProfileId });
+            });
+            document.getElementById('exportFilterCancelBtn').addEventListener('click', () => closeModal(null));
+            document.getElementById('exportFilterClose').addEventListener('click', () => closeModal(null));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) closeModal(null);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportFilterController;
+}
@@ -0,0 +1,144 @@
+/**
+ * FrameAspectController - Per-scene frame aspect ratio overrides
+ * Scenes without an override use the project's frame aspect ratio (Page Settings)
+ */
+class FrameAspectController {
+    constructor(app) {
+        this.app = app;
+        this.ratioOptions = [
+            { value: 'none', label: 'None (Follow Images)' },
+            { value: '16:9', label: '16:9 (Widescreen)' },
+            { value: '21:9', label: '21:9 (Ultra-wide)' },
+            { value: '2.35:1', label: '2.35:1 (Anamorphic)' },
+            { value: '2.39:1', label: '2.39:1 (Cinematic Scope)' },
+            { value: '1.85:1', label: '1.85:1 (Academy Flat)' },
+            { value: '4:3', label: '4:3 (Classic)' },
+            { value: '1:1', label: '1:1 (Square)' },
+            { value: '4:5', label: '4:5 (Social Portrait)' },
+            { value: '9:16', label: '9:16 (Vertical)' }
+        ];
+    }
+
+    /**
+     * Scene numbers used in the project, in storyboard order
+     * @returns {Array<string>}
+     */
+    getScenes() {
+        const scenes = [];
+        this.app.project.images.forEach(img => {
+            const scene = img.sceneNumber || '';
+            if (scene && !scenes.includes(scene)) scenes.push(scene);
+        });
+        // Keep overrides of scenes that currently have no frames so they are not lost silently
+        Object.keys(this.app.project.settings.sceneAspectRatios || {}).forEach(scene => {
+            if (!scenes.includes(scene)) scenes.push(scene);
+        });
+        return scenes;
+    }
+
+    /**
+     * Show the number of scene overrides next to the Page Settings button
+     */
+    updateSummary() {
+        const summary = document.getElementById('sceneAspectRatiosSummary');
+        if (!summary) return;
+        const count = Object.keys(this.app.project.settings.sceneAspectRatios || {}).length;
+        summary.textContent = count > 0 ? `${count} scene${count !== 1 ? 's' : ''} overridden` : '';
+    }
+
+    /**
+     * Open the per-scene aspect ratio dialog
+     * @returns {Promise<boolean>} True if the overrides were changed
+     */
+    openSceneRatiosDialog() {
+        const scenes = this.getScenes();
+        if (scenes.length === 0) {
+            this.app.customAlert('No scenes yet. Give frames a scene number to set a different aspect ratio per scene.');
+            return Promise.resolve(false);
+        }
+
+        const overrides = this.app.project.settings.sceneAspectRatios || {};
+        const optionsHtml = (selected) => [
+            `<option value="">Project Default</option>`,
+            ...this.ratioOptions.map(option =>
+                `<option value="${option.value}"${option.value === selected ? ' selected' : ''}>${HtmlUtils.escapeHtml(option.label)}</option>`
+            )
+        ].join('');
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 460px;">
+                    <div class="modal-header">
+                        <h2>Scene Aspect Ratios</h2>
+                        <span class="close" id="sceneAspectClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p class="scene-aspect-note">Scenes set to Project Default use the frame aspect ratio from Page Settings.</p>
+                        <div class="scene-aspect-list">
+                            ${scenes.map(scene => `
+                                <div class="scene-aspect-row">
+                                    <label>Scene ${HtmlUtils.escapeHtml(scene)}</label>
+                                    <select data-scene="${HtmlUtils.escapeHtml(scene)}">${optionsHtml(overrides[scene] || '')}</select>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="sceneAspectCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="sceneAspectApplyBtn" class="btn btn-primary">Apply</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                closeModal();
+                resolve(false);
+            };
+
+            document.getElementById('sceneAspectClose').addEventListener('click', handleCancel);
+            document.getElementById('sceneAspectCancelBtn').addEventListener('click', handleCancel);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) handleCancel();
+            });
+            document.getElementById('sceneAspectApplyBtn').addEventListener('click', () => {
+                const next = {};
+                modal.querySelectorAll('select[data-scene]').forEach(select => {
+                    if (select.value) next[select.dataset.scene] = select.value;
+                });
+                closeModal();
+                this.applyOverrides(next);
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Store the scene overrides and redraw everything that shows frames
+     * @param {Object} overrides - { [sceneNumber]: aspect ratio setting }
+     */
+    applyOverrides(overrides) {
+        this.app.project.settings.sceneAspectRatios = overrides;
+        this.updateSummary();
+        this.app.markChanged();
+        this.app.renderStoryboard();
+        if (this.app.previsController) {
+            this.app.previsController.renderVideoPreview();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameAspectController;
+}
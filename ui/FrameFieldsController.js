@@ -0,0 +1,269 @@
+/**
+ * FrameFieldsController - Dialog for the structured text fields under each frame
+ * Fields can be renamed, reordered, shown or hidden in the storyboard and the PDF, and styled;
+ * text is stored per field by FrameFieldService. Also finds frames by the text of their fields.
+ */
+class FrameFieldsController {
+    constructor(app) {
+        this.app = app;
+        this.styleOptions = [
+            { value: '', label: 'Default' },
+            { value: 'bold', label: 'Bold' },
+            { value: 'italic', label: 'Italic' },
+            { value: 'bold-italic', label: 'Bold Italic' }
+        ];
+    }
+
+    /**
+     * Show the fields shown in the storyboard next to the Text Settings button
+     */
+    updateSummary() {
+        const summary = document.getElementById('frameFieldsSummary');
+        if (!summary || !this.app.frameFieldService) return;
+        summary.textContent = this.app.frameFieldService.getRenderedFields().map(field => field.label).join(', ');
+    }
+
+    getStyleValue(field) {
+        const bold = field.fontWeight === 'bold';
+        const italic = field.fontStyle === 'italic';
+        if (bold && italic) return 'bold-italic';
+        if (bold) return 'bold';
+        if (italic) return 'italic';
+        return '';
+    }
+
+    renderRows(list, fields) {
+        list.innerHTML = fields.map((field, index) => `
+            <div class="frame-field-row" data-index="${index}">
+                <input type="text" data-prop="label" value="${HtmlUtils.escapeHtml(field.label)}" placeholder="Field name">
+                <label title="Show under frames in the storyboard"><input type="checkbox" data-prop="visible" ${field.visible ? 'checked' : ''}> Show</label>
+                <label title="Include in PDF export"><input type="checkbox" data-prop="pdf" ${field.pdf ? 'checked' : ''}> PDF</label>
+                <label title="Show the field name above its text"><input type="checkbox" data-prop="showLabel" ${field.showLabel ? 'checked' : ''}> Label</label>
+                <select data-prop="style" title="Font style">
+                    ${this.styleOptions.map(option => `<option value="${option.value}"${option.value === this.getStyleValue(field) ? ' selected' : ''}>${option.label}</option>`).join('')}
+                </select>
+                <input type="color" data-prop="color" value="${field.color || this.app.project.settings.frameTextColor || '#b4b4b4'}" title="Text color">
+                <button type="button" data-action="resetColor" title="Use the frame text color" ${field.color ? '' : 'disabled'}>↺</button>
+                <button type="button" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" data-action="down" title="Move down" ${index === fields.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" data-action="remove" title="Remove field" ${fields.length <= 1 ? 'disabled' : ''}>&times;</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Read the inputs of the dialog back into the draft fields
+     */
+    readRows(list, fields) {
+        list.querySelectorAll('.frame-field-row').forEach(row => {
+            const field = fields[parseInt(row.dataset.index, 10)];
+            const label = row.querySelector('[data-prop="label"]').value.trim();
+            field.label = label || field.label;
+            field.visible = row.querySelector('[data-prop="visible"]').checked;
+            field.pdf = row.querySelector('[data-prop="pdf"]').checked;
+            field.showLabel = row.querySelector('[data-prop="showLabel"]').checked;
+            const style = row.querySelector('[data-prop="style"]').value;
+            field.fontWeight = style.includes('bold') ? 'bold' : '';
+            field.fontStyle = style.includes('italic') ? 'italic' : '';
+        });
+    }
+
+    /**
+     * Open the frame fields dialog
+     * @returns {Promise<boolean>} True if the fields were changed
+     */
+    openFieldsDialog() {
+        const service = this.app.frameFieldService;
+        if (!service) return Promise.resolve(false);
+        const fields = service.getFields().map(field => ({ ...field }));
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 720px;">
+                    <div class="modal-header">
+                        <h2>Frame Fields</h2>
+                        <span class="close" id="frameFieldsClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p class="frame-fields-note">Each field gets its own text box under the frames. The first field has the full text box height.</p>
+                        <div class="frame-field-list" id="frameFieldList"></div>
+                        <button type="button" id="frameFieldAddBtn" class="btn btn-secondary">Add Field</button>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="frameFieldsCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="frameFieldsApplyBtn" class="btn btn-primary">Apply</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const list = document.getElementById('frameFieldList');
+            this.renderRows(list, fields);
+
+            list.addEventListener('input', (e) => {
+                if (e.target.dataset.prop !== 'color') return;
+                const row = e.target.closest('.frame-field-row');
+                fields[parseInt(row.dataset.index, 10)].color = e.target.value;
+                row.querySelector('[data-action="resetColor"]').disabled = false;
+            });
+            list.addEventListener('click', async (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                this.readRows(list, fields);
+                const index = parseInt(button.closest('.frame-field-row').dataset.index, 10);
+                const action = button.dataset.action;
+                if (action === 'resetColor') {
+                    fields[index].color = '';
+                } else if (action === 'up' || action === 'down') {
+                    const target = action === 'up' ? index - 1 : index + 1;
+                    [fields[index], fields[target]] = [fields[target], fields[index]];
+                } else if (action === 'remove') {
+                    const count = service.countValues(fields[index].id);
+                    if (count > 0) {
+                        const confirmed = await this.app.customConfirm(
+                            `"${fields[index].label}" has text on ${count} frame${count !== 1 ? 's' : ''}. Remove the field and its text?`
+                        );
+                        if (!confirmed) return;
+                    }
+                    fields.splice(index, 1);
+                }
+                this.renderRows(list, fields);
+            });
+            document.getElementById('frameFieldAddBtn').addEventListener('click', () => {
+                this.readRows(list, fields);
+                fields.push(service.createField(`Field ${fields.length + 1}`, fields));
+                this.renderRows(list, fields);
+                const inputs = list.querySelectorAll('[data-prop="label"]');
+                inputs[inputs.length - 1].select();
+            });
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                closeModal();
+                resolve(false);
+            };
+
+            document.getElementById('frameFieldsClose').addEventListener('click', handleCancel);
+            document.getElementById('frameFieldsCancelBtn').addEventListener('click', handleCancel);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) handleCancel();
+            });
+            document.getElementById('frameFieldsApplyBtn').addEventListener('click', () => {
+                this.readRows(list, fields);
+                closeModal();
+                service.setFields(fields);
+                this.updateSummary();
+                this.app.markChanged();
+                this.app.renderStoryboard();
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Render the matches of a search; each one jumps to its frame
+     */
+    renderSearchResults(list, results) {
+        if (results.length === 0) {
+            list.innerHTML = '<div class="frame-field-search-empty">No frames found.</div>';
+            return;
+        }
+        list.innerHTML = results.map((result, index) => `
+            <button type="button" class="frame-field-search-result" data-index="${index}">
+                <span class="frame-field-search-frame">${HtmlUtils.escapeHtml(this.getFrameLabel(result.image))}</span>
+                <span class="frame-field-search-label">${HtmlUtils.escapeHtml(result.label)}</span>
+                <span class="frame-field-search-text">${HtmlUtils.escapeHtml(result.text)}</span>
+            </button>
+        `).join('');
+    }
+
+    getFrameLabel(image) {
+        const scene = this.app.project.imageScenes[image.name] || image.sceneNumber || '';
+        const shot = image.shotNumber || '';
+        if (scene || shot) return [scene && `Scene ${scene}`, shot && `Shot ${shot}`].filter(Boolean).join(' · ');
+        return image.name;
+    }
+
+    /**
+     * Open the dialog that finds frames by the text of their fields
+     */
+    openSearchDialog() {
+        const service = this.app.frameFieldService;
+        if (!service) return;
+        const fields = service.getFields();
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.display = 'block';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 560px;">
+                <div class="modal-header">
+                    <h2>Find in Frame Fields</h2>
+                    <span class="close" id="frameFieldSearchClose">&times;</span>
+                </div>
+                <div class="modal-body">
+                    <div class="frame-field-search-bar">
+                        <input type="text" id="frameFieldSearchInput" placeholder="Text to find">
+                        <select id="frameFieldSearchField" title="Field to search">
+                            <option value="">All fields</option>
+                            ${fields.map(field => `<option value="${HtmlUtils.escapeHtml(field.id)}">${HtmlUtils.escapeHtml(field.label)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="frame-field-search-results" id="frameFieldSearchResults"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const input = document.getElementById('frameFieldSearchInput');
+        const fieldSelect = document.getElementById('frameFieldSearchField');
+        const list = document.getElementById('frameFieldSearchResults');
+        let results = [];
+
+        const runSearch = () => {
+            const fieldId = fieldSelect.value;
+            results = service.search(input.value, fieldId ? { fieldIds: [fieldId] } : {});
+            if (input.value.trim()) {
+                this.renderSearchResults(list, results);
+            } else {
+                list.innerHTML = '';
+            }
+        };
+
+        const closeModal = () => {
+            modal.style.display = 'none';
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+        };
+
+        input.addEventListener('input', runSearch);
+        fieldSelect.addEventListener('change', runSearch);
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('.frame-field-search-result');
+            if (!button) return;
+            const result = results[parseInt(button.dataset.index, 10)];
+            closeModal();
+            if (this.app.uiManager) this.app.uiManager.scrollToFrame(result.image.name);
+        });
+        document.getElementById('frameFieldSearchClose').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+        input.focus();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameFieldsController;
+}
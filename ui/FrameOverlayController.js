@@ -0,0 +1,255 @@
+/**
+ * FrameOverlayController - Dialog for the framing guides over frames, and their on/off buttons
+ * in the storyboard toolbar, the drawing editor and the previz preview
+ */
+class FrameOverlayController {
+    constructor(app) {
+        this.app = app;
+        // Toggle button of each view
+        this.toggleButtons = {
+            storyboard: 'frameOverlaysToggle',
+            editor: 'drawingOverlaysToggle',
+            preview: 'previzOverlaysToggle'
+        };
+    }
+
+    /**
+     * Show the enabled overlays in Page Settings and the state of the toggle buttons
+     */
+    updateSummary() {
+        const service = this.app.frameOverlayService;
+        if (!service) return;
+        const summary = document.getElementById('frameOverlaysSummary');
+        if (summary) {
+            summary.textContent = service.getEnabledOverlays().map(overlay => overlay.name).join(', ');
+        }
+        Object.keys(this.toggleButtons).forEach(target => {
+            const button = document.getElementById(this.toggleButtons[target]);
+            if (!button) return;
+            const shown = service.isShown(target);
+            button.classList.toggle('active', shown);
+            button.setAttribute('aria-pressed', shown ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Show or hide the overlays in a view
+     * @param {string} target - 'storyboard', 'editor' or 'preview'
+     */
+    toggle(target) {
+        const service = this.app.frameOverlayService;
+        if (!service) return;
+        service.setShown(target);
+        this.app.markChanged();
+        this.updateSummary();
+        this.refresh(target);
+    }
+
+    /**
+     * Redraw the overlays of a view, or of every view
+     * @param {string} target - 'storyboard', 'editor', 'preview' or null for all
+     */
+    refresh(target = null) {
+        if (!target || target === 'storyboard') {
+            this.app.renderStoryboard();
+        }
+        if (!target || target === 'editor') {
+            this.attachToEditor();
+        }
+        if ((!target || target === 'preview') && this.app.previsController) {
+            this.app.previsController.renderVideoPreview();
+        }
+    }
+
+    /**
+     * Lay the overlays over the drawing editor's canvas; they are not part of the drawing
+     * @param {boolean} force - Redraw even if the canvas kept its aspect ratio (false after edits, which may crop)
+     */
+    attachToEditor(force = true) {
+        const wrapper = document.getElementById('drawingCanvasWrapper');
+        if (!wrapper) return;
+        const canvas = this.app.drawingCanvas;
+        const aspect = canvas && canvas.width && canvas.height ? canvas.width / canvas.height : null;
+        const existing = wrapper.querySelector(':scope > .frame-overlay');
+        if (!force && (!existing || existing.dataset.frameAspect === String(aspect))) return;
+        if (existing) existing.remove();
+
+        const service = this.app.frameOverlayService;
+        if (!aspect || !service || typeof FrameOverlays === 'undefined') return;
+        const overlays = service.getOverlaysFor('editor');
+        if (overlays.length === 0) return;
+        const overlay = FrameOverlays.createOverlayElement(overlays, aspect);
+        overlay.classList.add('drawing-frame-overlay');
+        overlay.dataset.frameAspect = aspect;
+        wrapper.appendChild(overlay);
+    }
+
+    renderParams(overlay) {
+        if (overlay.type === 'safe') {
+            return `<label title="Size of the safe area as a share of the frame">
+                <input type="number" data-prop="size" min="1" max="100" step="0.5" value="${overlay.size || 90}"> %</label>`;
+        }
+        if (overlay.type === 'grid') {
+            return `<label title="Rows"><input type="number" data-prop="rows" min="1" max="12" value="${overlay.rows || 3}"></label>
+                <span>&times;</span>
+                <label title="Columns"><input type="number" data-prop="cols" min="1" max="12" value="${overlay.cols || 3}"></label>`;
+        }
+        return `<input type="text" data-prop="ratio" value="${HtmlUtils.escapeHtml(overlay.ratio || '')}" placeholder="9:16" title="Aspect ratio of the crop">
+            <label title="Darken the area outside the crop"><input type="checkbox" data-prop="shade" ${overlay.shade ? 'checked' : ''}> Shade</label>`;
+    }
+
+    renderRows(list, overlays) {
+        if (overlays.length === 0) {
+            list.innerHTML = '<p class="frame-overlay-empty">No overlays. Add one below.</p>';
+            return;
+        }
+        list.innerHTML = overlays.map((overlay, index) => `
+            <div class="frame-overlay-row" data-index="${index}">
+                <input type="checkbox" data-prop="enabled" ${overlay.enabled ? 'checked' : ''} title="Show this overlay">
+                <input type="text" data-prop="name" value="${HtmlUtils.escapeHtml(overlay.name)}" placeholder="Name">
+                <select data-prop="type" title="Kind of overlay">
+                    ${FrameOverlayService.getTypes().map(type => `<option value="${type.id}"${type.id === overlay.type ? ' selected' : ''}>${type.label}</option>`).join('')}
+                </select>
+                <div class="frame-overlay-params">${this.renderParams(overlay)}</div>
+                <input type="color" data-prop="color" value="${overlay.color || '#ffffff'}" title="Line color">
+                <input type="number" data-prop="opacity" min="0" max="100" step="5" value="${overlay.opacity !== undefined ? overlay.opacity : 80}" title="Line opacity (%)">
+                <button type="button" data-action="remove" title="Remove overlay">&times;</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Read the inputs of the dialog back into the draft overlays
+     */
+    readRows(list, overlays) {
+        list.querySelectorAll('.frame-overlay-row').forEach(row => {
+            const overlay = overlays[parseInt(row.dataset.index, 10)];
+            const input = (prop) => row.querySelector(`[data-prop="${prop}"]`);
+            overlay.enabled = input('enabled').checked;
+            overlay.name = input('name').value;
+            overlay.color = input('color').value;
+            overlay.opacity = Math.min(100, Math.max(0, parseFloat(input('opacity').value) || 0));
+            if (overlay.type === 'safe') {
+                overlay.size = Math.min(100, Math.max(1, parseFloat(input('size').value) || 90));
+            } else if (overlay.type === 'grid') {
+                overlay.rows = Math.min(12, Math.max(1, parseInt(input('rows').value, 10) || 3));
+                overlay.cols = Math.min(12, Math.max(1, parseInt(input('cols').value, 10) || 3));
+            } else {
+                overlay.ratio = input('ratio').value.trim();
+                overlay.shade = input('shade').checked;
+            }
+        });
+    }
+
+    /**
+     * Open the frame overlays dialog
+     * @returns {Promise<boolean>} True if the overlays were changed
+     */
+    openOverlaysDialog() {
+        const service = this.app.frameOverlayService;
+        if (!service) return Promise.resolve(false);
+        const overlays = service.getOverlays().map(overlay => ({ ...overlay }));
+        const targets = FrameOverlayService.getTargets();
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 760px;">
+                    <div class="modal-header">
+                        <h2>Frame Overlays</h2>
+                        <span class="close" id="frameOverlaysClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p class="frame-overlay-note">Guides drawn over every frame. Crops are centered in the frame; safe areas are a share of its width and height.</p>
+                        <div class="frame-overlay-list" id="frameOverlayList"></div>
+                        <div style="display: flex; gap: 8px; margin-bottom: 16px;">
+                            <button type="button" id="frameOverlayAddBtn" class="btn btn-secondary">Add Overlay</button>
+                            <button type="button" id="frameOverlayDefaultsBtn" class="btn btn-secondary">Restore Defaults</button>
+                        </div>
+                        <h4>Show In</h4>
+                        <div class="frame-overlay-targets">
+                            ${targets.map(target => `
+                                <label><input type="checkbox" value="${target.id}" ${service.isShown(target.id) ? 'checked' : ''}> ${target.label}</label>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="frameOverlaysCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="frameOverlaysApplyBtn" class="btn btn-primary">Apply</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const list = document.getElementById('frameOverlayList');
+            this.renderRows(list, overlays);
+
+            list.addEventListener('change', (e) => {
+                if (e.target.dataset.prop !== 'type') return;
+                this.readRows(list, overlays);
+                overlays[parseInt(e.target.closest('.frame-overlay-row').dataset.index, 10)].type = e.target.value;
+                this.renderRows(list, overlays);
+            });
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action="remove"]');
+                if (!button) return;
+                this.readRows(list, overlays);
+                overlays.splice(parseInt(button.closest('.frame-overlay-row').dataset.index, 10), 1);
+                this.renderRows(list, overlays);
+            });
+            document.getElementById('frameOverlayAddBtn').addEventListener('click', () => {
+                this.readRows(list, overlays);
+                overlays.push({ id: `overlay-${Date.now()}`, name: 'Crop', type: 'crop', enabled: true, ratio: '9:16', shade: false, color: '#ffffff', opacity: 80 });
+                this.renderRows(list, overlays);
+                const inputs = list.querySelectorAll('[data-prop="name"]');
+                inputs[inputs.length - 1].select();
+            });
+            document.getElementById('frameOverlayDefaultsBtn').addEventListener('click', () => {
+                overlays.splice(0, overlays.length, ...FrameOverlayService.getDefaultOverlays());
+                this.renderRows(list, overlays);
+            });
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                closeModal();
+                resolve(false);
+            };
+
+            document.getElementById('frameOverlaysClose').addEventListener('click', handleCancel);
+            document.getElementById('frameOverlaysCancelBtn').addEventListener('click', handleCancel);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) handleCancel();
+            });
+            document.getElementById('frameOverlaysApplyBtn').addEventListener('click', async () => {
+                this.readRows(list, overlays);
+                const invalid = overlays.find(overlay => overlay.type === 'crop' && !FrameOverlays.parseOverlayRatio(overlay.ratio));
+                if (invalid) {
+                    await this.app.customAlert(`"${invalid.name || 'Crop'}" needs an aspect ratio such as 9:16 or 2.39.`);
+                    return;
+                }
+                closeModal();
+                service.setOverlays(overlays);
+                modal.querySelectorAll('.frame-overlay-targets input').forEach(input => {
+                    service.setShown(input.value, input.checked);
+                });
+                this.updateSummary();
+                this.app.markChanged();
+                this.refresh();
+                resolve(true);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameOverlayController;
+}
@@ -23,6 +23,10 @@ class ImageSettingsController {
         document.getElementById('imageSettingsShot').value = actualImage.shotNumber || '';
         // Don't use filename as fallback - respect empty frameNumber
         document.getElementById('imageSettingsFrame').value = actualImage.frameNumber || '';
+        const tagsInput = document.getElementById('imageSettingsTags');
+        if (tagsInput) {
+            tagsInput.value = (actualImage.tags || []).join(', ');
+        }
         // Show file path
         const filePathInput = document.getElementById('imageSettingsFilePath');
         if (filePathInput) {
@@ -82,6 +86,13 @@ class ImageSettingsController {
         if (resetEditsBtn) {
             resetEditsBtn.onclick = () => this.resetImageEdits();
         }
+        const historyBtn = document.getElementById('imageSettingsHistory');
+        if (historyBtn) {
+            const versionCount = (actualImage.versions || []).length;
+            historyBtn.textContent = versionCount > 0 ? `Version History (${versionCount + 1})` : 'Version History';
+            historyBtn.style.display = this.app.versionHistoryController ? 'block' : 'none';
+            historyBtn.onclick = () => this.app.versionHistoryController.showHistory(actualImage);
+        }
         
         modal.style.display = 'block';
     }
@@ -224,9 +235,9 @@ class ImageSettingsController {
                 }
             }
             
-            // Re-render storyboard to show the restored original image
-            if (this.app.renderStoryboard) {
-                this.app.renderStoryboard();
+            // Redraw the frame to show the restored original image
+            if (this.app.updateFrame) {
+                this.app.updateFrame(image.name);
             }
             
             // The old rasterized URL (oldRasterizedUrl) is now unreferenced and will be garbage collected
@@ -255,8 +266,19 @@ class ImageSettingsController {
                     // Preserve the original image's metadata
                     const oldImage = { ...this.app.currentEditingImage };
                     
+                    // Keep the replaced art in the frame's version history
+                    if (this.app.imageManager) {
+                        this.app.imageManager.recordImageVersion(this.app.currentEditingImage, newImageData.url, { source: 'replace', note: newFile.name });
+                    }
+                    
                     // Update the image with new data
                     Object.assign(this.app.currentEditingImage, newImageData);
+                    if (newImageData.editLayers) {
+                        delete this.app.currentEditingImage.compositeUrl; // Layers changed - rebuild the composite
+                    }
+                    // A replaced placeholder is a real frame now (shot list metadata is keyed by scene/shot)
+                    delete this.app.currentEditingImage.isPlaceholder;
+                    delete this.app.currentEditingImage.perceptualHash;
                     
                     // Preserve scene/shot/frame numbers if they exist
                     if (oldImage.sceneNumber) {
@@ -270,9 +292,8 @@ class ImageSettingsController {
                     }
                     
                     // Preserve frame text
-                    if (this.app.project.frameTexts[oldImage.name]) {
-                        this.app.project.frameTexts[this.app.currentEditingImage.name] = this.app.project.frameTexts[oldImage.name];
-                        delete this.app.project.frameTexts[oldImage.name];
+                    if (this.app.frameFieldService) {
+                        this.app.frameFieldService.moveValues(oldImage.name, this.app.currentEditingImage.name);
                     }
                     
                     // Update image scenes mapping
@@ -309,6 +330,19 @@ class ImageSettingsController {
         // Update frame number
         this.app.currentEditingImage.frameNumber = newFrame;
         
+        // Update tags (used to pick frames for partial exports)
+        const tagsInput = document.getElementById('imageSettingsTags');
+        if (tagsInput) {
+            const tags = this.app.exportFilterService
+                ? this.app.exportFilterService.parseTags(tagsInput.value)
+                : tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+            if (tags.length > 0) {
+                this.app.currentEditingImage.tags = tags;
+            } else {
+                delete this.app.currentEditingImage.tags;
+            }
+        }
+        
         // Re-sort images after updating scene/shot/frame numbers
         if (this.app.sortImagesByStructure) {
             this.app.sortImagesByStructure();
@@ -321,8 +355,9 @@ class ImageSettingsController {
         
         this.app.markChanged();
         document.getElementById('imageSettingsModal').style.display = 'none';
-        if (this.app.renderStoryboard) {
-            this.app.renderStoryboard();
+        // Only this frame changed unless the new numbers moved it to another page
+        if (this.app.updateFrame) {
+            this.app.updateFrame(this.app.currentEditingImage.name);
         }
     }
     
@@ -338,7 +373,9 @@ class ImageSettingsController {
             this.app.project.images = this.app.project.images.filter(img => img.name !== this.app.currentEditingImage.name);
             
             // Remove associated data
-            delete this.app.project.frameTexts[this.app.currentEditingImage.name];
+            if (this.app.frameFieldService) {
+                this.app.frameFieldService.removeValues(this.app.currentEditingImage.name);
+            }
             delete this.app.project.imageScenes[this.app.currentEditingImage.name];
             
             this.app.currentEditingImage = null;
@@ -366,6 +403,20 @@ class ImageSettingsController {
      * Load a single image file and return image data
      */
     async loadSingleImageFile(file) {
+        const layered = this.app.layeredImageImportService ? await this.app.layeredImageImportService.importFile(file) : null;
+        if (layered) {
+            await this.app.layeredImageImportService.showWarnings([{ fileName: file.name, warnings: layered.warnings }]);
+            return {
+                name: file.name,
+                originalName: file.name,
+                filePath: file.name,
+                ...layered.fields,
+                sceneNumber: '',
+                shotNumber: '',
+                frameNumber: ''
+            };
+        }
+        
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
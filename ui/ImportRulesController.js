@@ -0,0 +1,212 @@
+/**
+ * ImportRulesController - Handles the custom naming rule editor in the Image Import modal
+ * Rules are stored in project.settings.importRules and applied by ImageStructureParser
+ */
+class ImportRulesController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Setup rule editor event listeners
+     */
+    init() {
+        const header = document.querySelector('.import-rules-header');
+        const container = document.querySelector('.import-rules-container');
+        if (header && container) {
+            header.addEventListener('click', () => {
+                const isHidden = container.style.display === 'none';
+                container.style.display = isHidden ? 'block' : 'none';
+                const toggleIcon = header.querySelector('.toggle-icon');
+                if (toggleIcon) {
+                    toggleIcon.textContent = isHidden ? '▼' : '▶';
+                }
+            });
+        }
+
+        const addBtn = document.getElementById('addImportRule');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                const rules = this.getRules();
+                rules.push({
+                    id: `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    name: `Rule ${rules.length + 1}`,
+                    pattern: '',
+                    enabled: true
+                });
+                this.saveRules(rules);
+                this.renderRules();
+            });
+        }
+    }
+
+    /**
+     * Get the project's import rules (creates the array if missing)
+     * @returns {Array} Rules array
+     */
+    getRules() {
+        if (!Array.isArray(this.app.project.settings.importRules)) {
+            this.app.project.settings.importRules = [];
+        }
+        return this.app.project.settings.importRules;
+    }
+
+    /**
+     * Store rules on the project and push them to the parser
+     * @param {Array} rules - Rules array
+     */
+    saveRules(rules) {
+        this.app.project.settings.importRules = rules;
+        this.applyRulesToParser();
+        this.app.markChanged();
+        this.refreshPreview();
+    }
+
+    /**
+     * Push current project rules to the structure parser
+     */
+    applyRulesToParser() {
+        if (this.app.imageStructureParser && typeof this.app.imageStructureParser.setCustomRules === 'function') {
+            this.app.imageStructureParser.setCustomRules(this.getRules());
+        }
+    }
+
+    /**
+     * Re-run structure analysis for the currently selected files
+     */
+    refreshPreview() {
+        if (this.app.pendingImportFiles) {
+            this.app.analyzeImageStructure(this.app.pendingImportFiles);
+        }
+    }
+
+    /**
+     * Render the rule list
+     */
+    renderRules() {
+        const list = document.getElementById('importRulesList');
+        if (!list) return;
+
+        const rules = this.getRules();
+        list.innerHTML = '';
+
+        if (rules.length === 0) {
+            list.innerHTML = '<p class="import-rules-empty">No custom rules. Built-in naming conventions will be used.</p>';
+            return;
+        }
+
+        rules.forEach((rule, index) => {
+            const row = document.createElement('div');
+            row.className = 'import-rule-row';
+
+            const enabledInput = document.createElement('input');
+            enabledInput.type = 'checkbox';
+            enabledInput.checked = rule.enabled !== false;
+            enabledInput.title = 'Enable rule';
+            enabledInput.addEventListener('change', () => {
+                rule.enabled = enabledInput.checked;
+                this.saveRules(rules);
+            });
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'import-rule-name';
+            nameInput.value = rule.name || '';
+            nameInput.placeholder = 'Rule name';
+            nameInput.addEventListener('change', () => {
+                rule.name = nameInput.value.trim() || `Rule ${index + 1}`;
+                this.saveRules(rules);
+            });
+
+            const patternInput = document.createElement('input');
+            patternInput.type = 'text';
+            patternInput.className = 'import-rule-pattern';
+            patternInput.value = rule.pattern || '';
+            patternInput.placeholder = 'e.g. SQ{scene}_SH{shot}_v{version}_f{frame}';
+            // Debounce saving - it re-analyses every selected file
+            let patternTimeout;
+            patternInput.addEventListener('input', () => {
+                rule.pattern = patternInput.value;
+                const valid = !rule.pattern || !!this.app.imageStructureParser.compileCustomRule(rule);
+                patternInput.classList.toggle('invalid', !valid);
+                clearTimeout(patternTimeout);
+                patternTimeout = setTimeout(() => this.saveRules(rules), 500); // Save 500ms after typing stops
+            });
+            patternInput.addEventListener('change', () => {
+                clearTimeout(patternTimeout);
+                this.saveRules(rules);
+            });
+
+            const upBtn = document.createElement('button');
+            upBtn.className = 'btn btn-secondary import-rule-btn';
+            upBtn.textContent = '▲';
+            upBtn.title = 'Try this rule earlier';
+            upBtn.disabled = index === 0;
+            upBtn.addEventListener('click', () => {
+                rules.splice(index - 1, 0, rules.splice(index, 1)[0]);
+                this.saveRules(rules);
+                this.renderRules();
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-secondary import-rule-btn';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Delete rule';
+            deleteBtn.addEventListener('click', () => {
+                rules.splice(index, 1);
+                this.saveRules(rules);
+                this.renderRules();
+            });
+
+            row.appendChild(enabledInput);
+            row.appendChild(nameInput);
+            row.appendChild(patternInput);
+            row.appendChild(upBtn);
+            row.appendChild(deleteBtn);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Render per-file match results
+     * @param {Array} images - Parsed images from ImageStructureParser
+     */
+    renderPreview(images) {
+        const preview = document.getElementById('importRulesPreview');
+        if (!preview) return;
+
+        if (!images || images.length === 0 || !images.some(img => img.matchedRule !== undefined)) {
+            preview.style.display = 'none';
+            preview.innerHTML = '';
+            return;
+        }
+
+        const maxRows = 100;
+        const rows = images.slice(0, maxRows).map(img => `
+            <tr class="${img.matchedRule ? '' : 'unmatched'}">
+                <td title="${HtmlUtils.escapeHtml(img.path)}">${HtmlUtils.escapeHtml(img.path)}</td>
+                <td>${img.matchedRule ? HtmlUtils.escapeHtml(img.matchedRule) : '—'}</td>
+                <td>${HtmlUtils.escapeHtml(img.sceneNumber)}</td>
+                <td>${HtmlUtils.escapeHtml(img.shotNumber)}</td>
+                <td>${HtmlUtils.escapeHtml(img.frameNumber)}</td>
+                <td>${HtmlUtils.escapeHtml(img.version)}</td>
+            </tr>
+        `).join('');
+
+        preview.innerHTML = `
+            <table class="import-rules-preview-table">
+                <thead>
+                    <tr><th>File</th><th>Rule</th><th>Scene</th><th>Shot</th><th>Frame</th><th>Version</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${images.length > maxRows ? `<p class="import-rules-empty">Showing ${maxRows} of ${images.length} files.</p>` : ''}
+        `;
+        preview.style.display = 'block';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportRulesController;
+}
@@ -0,0 +1,146 @@
+/**
+ * PPTXExportController - Dialog for the PowerPoint export
+ */
+class PPTXExportController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Ask where the presentation goes - while the click that started the export still counts as a user gesture
+     * @returns {Promise<FileSystemFileHandle|null|false>} Handle, null to download, false if cancelled
+     */
+    async requestFileHandle(filename) {
+        if (!this.app.fileManager?.supportsFileSystemAccess) return null;
+        try {
+            return await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{
+                    description: 'PowerPoint presentations',
+                    accept: { 'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'] }
+                }]
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Open the export dialog and run the export
+     * @returns {Promise<boolean>} True if the presentation was exported
+     */
+    openExportDialog() {
+        const service = this.app.pptxExportService;
+        if (!service) return Promise.resolve(false);
+        if (this.app.project.images.length === 0) {
+            return this.app.customAlert('No storyboard to export. Please import images first.').then(() => false);
+        }
+        const config = service.getConfig();
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 480px;">
+                    <div class="modal-header">
+                        <h2>Export PowerPoint</h2>
+                        <span class="close" id="pptxExportClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p class="pptx-export-note">Slides are taken from the storyboard as it is laid out now, with its watermark. Frame notes go into the speaker notes.</p>
+                        <label class="pptx-export-label" for="pptxExportProjectName">Project name</label>
+                        <input type="text" id="pptxExportProjectName" value="${HtmlUtils.escapeHtml(this.app.project.name || 'Storyboard')}">
+                        <div class="pptx-export-options">
+                            ${PPTXExportService.getModes().map(mode => `
+                                <label><input type="radio" name="pptxExportMode" value="${mode.id}" ${config.mode === mode.id ? 'checked' : ''}> ${mode.label}</label>
+                            `).join('')}
+                        </div>
+                        <div class="pptx-export-options pptx-export-checks">
+                            <label><input type="checkbox" id="pptxExportTitleSlide" ${config.titleSlide ? 'checked' : ''}> Cover page as title slide</label>
+                            <label><input type="checkbox" id="pptxExportSceneSlides" ${config.sceneSlides ? 'checked' : ''}> Title slide for each scene</label>
+                            <label><input type="checkbox" id="pptxExportNotes" ${config.notes ? 'checked' : ''}> Frame notes in speaker notes</label>
+                        </div>
+                        <div class="pptx-export-progress" id="pptxExportProgress"></div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="pptxExportCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="pptxExportBtn" class="btn btn-primary">Export</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const projectNameInput = document.getElementById('pptxExportProjectName');
+            const progress = document.getElementById('pptxExportProgress');
+            const exportBtn = document.getElementById('pptxExportBtn');
+            let exporting = false;
+
+            const closeModal = (exported) => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+                resolve(exported);
+            };
+
+            exportBtn.addEventListener('click', async () => {
+                if (exporting) return;
+                service.setConfig({
+                    mode: modal.querySelector('input[name="pptxExportMode"]:checked').value,
+                    titleSlide: document.getElementById('pptxExportTitleSlide').checked,
+                    sceneSlides: document.getElementById('pptxExportSceneSlides').checked,
+                    notes: document.getElementById('pptxExportNotes').checked
+                });
+                this.app.markChanged();
+                const projectName = projectNameInput.value.trim() || 'Storyboard';
+                const version = this.app.project.version || '';
+                const filename = `${projectName.replace(/[^a-z0-9]/gi, '_')}${version ? `_v${version}` : ''}.pptx`;
+
+                let fileHandle = null;
+                try {
+                    fileHandle = await this.requestFileHandle(filename);
+                } catch (error) {
+                    console.error('Error requesting file handle:', error);
+                    await this.app.customAlert('Error: ' + error.message);
+                    return;
+                }
+                if (fileHandle === false) return;
+
+                exporting = true;
+                exportBtn.disabled = true;
+                try {
+                    const result = await service.exportPresentation({ projectName }, fileHandle, filename, (done, total) => {
+                        progress.textContent = `Capturing page ${done + 1} of ${total}…`;
+                    });
+                    if (!result) {
+                        throw new Error('There are no frames to put on slides.');
+                    }
+                    this.app.showToast(`Exported PowerPoint with ${result.slides} slide${result.slides !== 1 ? 's' : ''}`, 'success');
+                    closeModal(true);
+                } catch (error) {
+                    console.error('Error exporting PowerPoint:', error);
+                    exporting = false;
+                    exportBtn.disabled = false;
+                    progress.textContent = '';
+                    await this.app.customAlert('Error exporting PowerPoint: ' + error.message);
+                }
+            });
+
+            const cancel = () => {
+                if (!exporting) closeModal(false);
+            };
+            document.getElementById('pptxExportCancelBtn').addEventListener('click', cancel);
+            document.getElementById('pptxExportClose').addEventListener('click', cancel);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) cancel();
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PPTXExportController;
+}
@@ -0,0 +1,107 @@
+/**
+ * PageTemplateController - Per-page header and footer overrides
+ * Project templates are edited in Text Settings; this dialog lets one page use its own (or none)
+ */
+class PageTemplateController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Open the header/footer dialog for one page
+     * @param {number} pageIndex - Page index
+     * @returns {Promise<boolean>} True if the page's templates were changed
+     */
+    openPageDialog(pageIndex) {
+        const service = this.app.pageTemplateService;
+        if (!service) return Promise.resolve(false);
+        const settings = this.app.project.settings;
+        const positions = [
+            { id: 'header', label: 'Header', projectTemplate: settings.pageHeaderTemplate || '' },
+            { id: 'footer', label: 'Footer', projectTemplate: settings.pageFooterTemplate || '' }
+        ];
+        const tokens = PageTemplateService.getTokens();
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 520px;">
+                    <div class="modal-header">
+                        <h2>Page ${service.getPageNumber(pageIndex)} Header &amp; Footer</h2>
+                        <span class="close" id="pageTemplateClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        ${positions.map(position => {
+                            const override = service.getOverride(position.id, pageIndex);
+                            return `
+                                <div class="page-template-row" data-position="${position.id}">
+                                    <label>
+                                        <input type="checkbox" data-prop="override" ${override !== null ? 'checked' : ''}>
+                                        Own ${position.label.toLowerCase()} on this page
+                                    </label>
+                                    <input type="text" data-prop="template" value="${HtmlUtils.escapeHtml(override !== null ? override : position.projectTemplate)}"
+                                        placeholder="${position.label} (empty hides it on this page)" ${override !== null ? '' : 'disabled'}>
+                                    <div class="page-template-project">Project: ${HtmlUtils.escapeHtml(position.projectTemplate) || '<em>none</em>'}</div>
+                                </div>
+                            `;
+                        }).join('')}
+                        <p class="page-template-tokens">
+                            ${tokens.map(token => `<code title="${HtmlUtils.escapeHtml(token.description)}">${token.token}</code>`).join(' ')}
+                            <br>Separate left, center and right parts with <code>|</code>.
+                        </p>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="pageTemplateCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="pageTemplateApplyBtn" class="btn btn-primary">Apply</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            modal.querySelectorAll('.page-template-row').forEach(row => {
+                const checkbox = row.querySelector('[data-prop="override"]');
+                const input = row.querySelector('[data-prop="template"]');
+                checkbox.addEventListener('change', () => {
+                    input.disabled = !checkbox.checked;
+                    if (checkbox.checked) input.focus();
+                });
+            });
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                closeModal();
+                resolve(false);
+            };
+
+            document.getElementById('pageTemplateClose').addEventListener('click', handleCancel);
+            document.getElementById('pageTemplateCancelBtn').addEventListener('click', handleCancel);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) handleCancel();
+            });
+            document.getElementById('pageTemplateApplyBtn').addEventListener('click', () => {
+                modal.querySelectorAll('.page-template-row').forEach(row => {
+                    const override = row.querySelector('[data-prop="override"]').checked;
+                    const template = row.querySelector('[data-prop="template"]').value;
+                    service.setOverride(pageIndex, row.dataset.position, override ? template : null);
+                });
+                closeModal();
+                this.app.markChanged();
+                this.app.renderStoryboard();
+                resolve(true);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageTemplateController;
+}
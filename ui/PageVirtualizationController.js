@@ -0,0 +1,207 @@
+/**
+ * PageVirtualizationController - Keeps only the storyboard pages near the viewport in the DOM
+ * Every page is laid out as a placeholder of the page's exact size; a page is built when its placeholder
+ * scrolls near the viewport and swapped back for the placeholder once it is far away again. As the sizes
+ * match, the scroll height, scroll position and zoom do not change while pages mount and unmount.
+ * Small storyboards are rendered in full.
+ */
+class PageVirtualizationController {
+    constructor(app) {
+        this.app = app;
+        this.minPages = 12;      // Storyboards with fewer pages are rendered in full
+        this.mountMargin = 1500; // Pages within this many px above/below the viewport are kept mounted
+        this.observer = null;
+        this.slots = new Map();  // pageNumber -> { entry, placeholder, page, buildPage }
+        this.near = new Set();   // pageNumber of slots within the mount margin
+        this.pinned = new Set(); // pageNumber of pages being captured for export
+
+        if (typeof document !== 'undefined') {
+            // Pages kept mounted while they had focus, a drag or a pen stroke can go once that ends
+            ['focusout', 'dragend', 'mouseup'].forEach(type => {
+                document.addEventListener(type, () => {
+                    setTimeout(() => this.unmountFarPages(), 0);
+                });
+            });
+        }
+    }
+
+    /**
+     * Whether a storyboard of this many pages is rendered with placeholders
+     * @param {number} pageCount - Pages after the cover page
+     * @returns {boolean}
+     */
+    shouldVirtualize(pageCount) {
+        return pageCount >= this.minPages &&
+            typeof IntersectionObserver !== 'undefined' &&
+            typeof ZoomUtils !== 'undefined' &&
+            !!this.app.renderService &&
+            !!ZoomUtils.getScrollContainer();
+    }
+
+    isActive() {
+        return this.observer !== null;
+    }
+
+    /**
+     * Forget the pages of the previous render
+     */
+    reset() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.slots.forEach(slot => this.releaseAnnotations(slot));
+        this.slots.clear();
+        this.near.clear();
+        this.pinned.clear();
+    }
+
+    /**
+     * Add a placeholder for each page to the container; pages near the viewport are built right away
+     * @param {HTMLElement} container - Storyboard container
+     * @param {Array} pages - Entries of UIManager.getDocumentPages (without the cover page)
+     * @param {Function} buildPage - Builds the page element of an entry
+     * @param {Object} pageStyle - { orientation, pageSize, pageBgColor }
+     */
+    start(container, pages, buildPage, pageStyle) {
+        this.reset();
+        const box = this.app.renderService.getPageBox(pageStyle.orientation, pageStyle.pageSize);
+
+        this.observer = new IntersectionObserver(
+            (entries) => this.handleIntersections(entries),
+            { root: ZoomUtils.getScrollContainer(), rootMargin: `${this.mountMargin}px 0px` }
+        );
+
+        pages.forEach(entry => {
+            const placeholder = document.createElement('div');
+            placeholder.className = `storyboard-page-placeholder ${pageStyle.orientation}`;
+            placeholder.style.width = `${box.width}px`;
+            placeholder.style.height = `${box.height}px`;
+            placeholder.style.backgroundColor = pageStyle.pageBgColor;
+            placeholder.dataset.pageWidth = box.widthMm;
+            placeholder.dataset.pageHeight = box.heightMm;
+            placeholder.dataset.scale = box.scaleFactor;
+            placeholder.dataset.documentPage = entry.pageNumber;
+            container.appendChild(placeholder);
+
+            this.slots.set(entry.pageNumber, { entry, placeholder, page: null, buildPage });
+            this.observer.observe(placeholder);
+        });
+    }
+
+    handleIntersections(entries) {
+        entries.forEach(entry => {
+            const index = parseInt(entry.target.dataset.documentPage, 10);
+            const slot = this.slots.get(index);
+            if (!slot) return;
+            if (entry.isIntersecting) {
+                this.near.add(index);
+                this.mount(slot);
+            } else {
+                this.near.delete(index);
+                this.unmount(slot);
+            }
+        });
+    }
+
+    /**
+     * Build a page in place of its placeholder
+     * @returns {HTMLElement} The page
+     */
+    mount(slot) {
+        if (slot.page) return slot.page;
+        const page = slot.buildPage(slot.entry);
+        if (this.observer) this.observer.unobserve(slot.placeholder);
+        slot.placeholder.replaceWith(page);
+        slot.page = page;
+        if (this.observer) this.observer.observe(page);
+        return page;
+    }
+
+    /**
+     * Swap a page back for its placeholder, unless it is in use
+     */
+    unmount(slot) {
+        if (!slot.page || this.isInUse(slot)) return;
+        const page = slot.page;
+        if (this.observer) this.observer.unobserve(page);
+        this.releaseAnnotations(slot);
+        page.replaceWith(slot.placeholder);
+        slot.page = null;
+        if (this.observer) this.observer.observe(slot.placeholder);
+    }
+
+    /**
+     * Whether a mounted page has to stay - it has focus, is being drawn on, dragged from or exported
+     */
+    isInUse(slot) {
+        if (this.pinned.has(slot.entry.pageNumber)) return true;
+        if (slot.page.contains(document.activeElement)) return true;
+        if (this.app.storyboardDragController && this.app.storyboardDragController.drag) return true;
+        const annotationSystem = this.app.annotationSystem;
+        const state = annotationSystem && slot.page.dataset.pageIndex !== undefined &&
+            annotationSystem.drawingState.get(parseInt(slot.page.dataset.pageIndex, 10));
+        return !!(state && state.isDrawing);
+    }
+
+    unmountFarPages() {
+        this.slots.forEach((slot, index) => {
+            if (slot.page && !this.near.has(index)) this.unmount(slot);
+        });
+    }
+
+    /**
+     * Drop the annotation canvas of a page that leaves the DOM (its annotations are saved on the project)
+     */
+    releaseAnnotations(slot) {
+        if (!slot.page || slot.page.dataset.pageIndex === undefined) return;
+        const pageIndex = parseInt(slot.page.dataset.pageIndex, 10);
+        if (this.app.annotationSystem) {
+            this.app.annotationSystem.removeCanvas(pageIndex, slot.page);
+        } else if (this.app.drawingSystem) {
+            this.app.drawingSystem.removeCanvas(pageIndex);
+        }
+    }
+
+    /**
+     * Pages and placeholders of the storyboard in order, cover page first
+     * @returns {Array<HTMLElement>}
+     */
+    getPageElements() {
+        const container = document.getElementById('storyboardContainer');
+        if (!container) return [];
+        return Array.from(container.children).filter(element =>
+            element.classList.contains('storyboard-page') || element.classList.contains('storyboard-page-placeholder')
+        );
+    }
+
+    /**
+     * Get the built page for an element of getPageElements, mounting it if needed
+     * The page stays mounted until releasePage is called
+     * @param {HTMLElement} element - Page or placeholder
+     * @returns {HTMLElement} The page
+     */
+    acquirePage(element) {
+        const slot = this.slots.get(parseInt(element.dataset.documentPage, 10));
+        if (!slot) return element;
+        this.pinned.add(slot.entry.pageNumber);
+        return this.mount(slot);
+    }
+
+    /**
+     * Let a page from acquirePage unmount again once it is away from the viewport
+     * @param {HTMLElement} page - Page
+     */
+    releasePage(page) {
+        const index = parseInt(page.dataset.documentPage, 10);
+        const slot = this.slots.get(index);
+        if (!slot) return;
+        this.pinned.delete(index);
+        if (!this.near.has(index)) this.unmount(slot);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageVirtualizationController;
+}
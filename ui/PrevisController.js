@@ -94,6 +94,14 @@ class PrevisController {
         if (snapToggleBtn) {
             snapToggleBtn.addEventListener('click', () => this.toggleSnap());
         }
+        const overlaysToggleBtn = document.getElementById('previzOverlaysToggle');
+        if (overlaysToggleBtn) {
+            overlaysToggleBtn.addEventListener('click', () => {
+                if (this.app.frameOverlayController) {
+                    this.app.frameOverlayController.toggle('preview');
+                }
+            });
+        }
         if (loopBtn) {
             loopBtn.addEventListener('click', () => this.toggleLoop());
         }
@@ -285,6 +293,8 @@ class PrevisController {
         const clip = this.previsManager.getClipAtTime(this.previsManager.currentTime);
         // Use imageUrl if available, otherwise fall back to fileUrl for imported images
         const imageUrl = clip ? (clip.imageUrl || (clip.fileType === 'image' ? clip.fileUrl : null)) : null;
+        const frameAspect = this.getPreviewFrameAspect(clip);
+        previewContainer.dataset.frameAspect = frameAspect || '';
 
         if (imageUrl) {
             // Create image element
@@ -293,6 +303,17 @@ class PrevisController {
             imgEl.style.cssText = 'max-width: 100%; max-height: 100%; object-fit: contain; display: block;';
             imgEl.alt = 'Current frame';
             
+            // Storyboard frames are shown in their frame aspect ratio, like the storyboard and the video export
+            let frameEl = imgEl;
+            if (frameAspect) {
+                frameEl = this.createPreviewFrameBox(previewContainer, frameAspect);
+                const fitMode = FrameAspect.getFitMode(this.app.project.settings);
+                imgEl.style.cssText = `width: 100%; height: 100%; object-fit: ${fitMode === 'crop' ? 'cover' : 'contain'}; display: block;`;
+                frameEl.classList.toggle('is-letterboxed', fitMode === 'letterbox');
+                frameEl.appendChild(imgEl);
+            }
+            this.addPreviewOverlays(previewContainer, frameEl, imgEl, clip, frameAspect);
+            
             // Add frame info overlay
             const infoOverlay = document.createElement('div');
             infoOverlay.style.cssText = `
@@ -317,7 +338,7 @@ class PrevisController {
                 `;
             }
             
-            previewContainer.appendChild(imgEl);
+            previewContainer.appendChild(frameEl);
             previewContainer.appendChild(infoOverlay);
         } else {
             // Show placeholder
@@ -329,6 +350,78 @@ class PrevisController {
         }
     }
 
+    /**
+     * Frame aspect ratio for a clip in the preview
+     * @param {Object} clip - Timeline clip
+     * @returns {number|null} Width / height, or null to show the image as it is (external files, 'none')
+     */
+    getPreviewFrameAspect(clip) {
+        if (!clip || clip.isExternalFile || typeof FrameAspect === 'undefined') return null;
+        return FrameAspect.getFrameAspect(this.app.project.settings, clip.sceneNumber);
+    }
+
+    /**
+     * Lay the frame overlays (safe areas, grids, crops) over a storyboard frame in the preview
+     * A frame that follows its image's ratio is boxed once the image has loaded
+     * @param {HTMLElement} previewContainer - #previzVideoPreview
+     * @param {HTMLElement} frameEl - Frame box, or the image itself when the frame follows the image
+     * @param {HTMLImageElement} imgEl - Frame image
+     * @param {Object} clip - Timeline clip
+     * @param {number|null} frameAspect - Frame aspect ratio
+     */
+    addPreviewOverlays(previewContainer, frameEl, imgEl, clip, frameAspect) {
+        const service = this.app.frameOverlayService;
+        if (!clip || clip.isExternalFile || !service || typeof FrameOverlays === 'undefined') return;
+        const overlays = service.getOverlaysFor('preview');
+        if (overlays.length === 0) return;
+
+        if (frameAspect) {
+            frameEl.appendChild(FrameOverlays.createOverlayElement(overlays, frameAspect));
+            return;
+        }
+        imgEl.addEventListener('load', () => {
+            if (!imgEl.naturalWidth || !imgEl.naturalHeight || !imgEl.isConnected || imgEl.parentElement !== previewContainer) return;
+            const imageAspect = imgEl.naturalWidth / imgEl.naturalHeight;
+            const box = this.createPreviewFrameBox(previewContainer, imageAspect);
+            imgEl.replaceWith(box);
+            imgEl.style.cssText = 'width: 100%; height: 100%; display: block;';
+            box.appendChild(imgEl);
+            box.appendChild(FrameOverlays.createOverlayElement(overlays, imageAspect));
+        }, { once: true });
+    }
+
+    /**
+     * Create the largest box of a frame aspect ratio that fits the preview area
+     * @param {HTMLElement} previewContainer - #previzVideoPreview
+     * @param {number} frameAspect - Width / height
+     * @returns {HTMLElement} Frame box
+     */
+    createPreviewFrameBox(previewContainer, frameAspect) {
+        const box = document.createElement('div');
+        box.className = 'previz-frame-box';
+        if (!this.previewResizeObserver && typeof ResizeObserver !== 'undefined') {
+            // The box is sized in pixels, so redraw it when the preview area changes size
+            this.previewResizeObserver = new ResizeObserver(() => {
+                if (previewContainer.dataset.frameAspect) {
+                    this.renderVideoPreview();
+                }
+            });
+            this.previewResizeObserver.observe(previewContainer);
+        }
+        const width = previewContainer.clientWidth;
+        const height = previewContainer.clientHeight;
+        if (width > 0 && height > 0) {
+            const rect = FrameAspect.fitRect(frameAspect, 1, width, height, 'fit');
+            box.style.width = `${Math.floor(rect.width)}px`;
+            box.style.height = `${Math.floor(rect.height)}px`;
+        } else {
+            // Preview not laid out yet (workspace hidden) - let CSS keep the ratio
+            box.style.width = '100%';
+            box.style.aspectRatio = `${frameAspect}`;
+        }
+        return box;
+    }
+
     /**
      * Update video preview with current frame
      */
@@ -340,7 +433,11 @@ class PrevisController {
         const imageUrl = clip ? (clip.imageUrl || (clip.fileType === 'image' ? clip.fileUrl : null)) : null;
         if (clip && imageUrl) {
             const img = previewContainer.querySelector('img');
-            if (img) {
+            // A clip from a scene with another frame aspect ratio needs a new frame box
+            const sameFrame = (previewContainer.dataset.frameAspect || '') === String(this.getPreviewFrameAspect(clip) || '');
+            // Overlays over a frame that follows its image are boxed to that image
+            const boxedToImage = !previewContainer.dataset.frameAspect && !!previewContainer.querySelector('.frame-overlay');
+            if (img && sameFrame && !boxedToImage) {
                 img.src = imageUrl;
             } else {
                 this.renderVideoPreview();
@@ -0,0 +1,305 @@
+/**
+ * RenumberController - Frame context menu for inserting frames, moving shots, renumbering and alternates
+ * Every numbering command shows a before/after preview built by RenumberService before it is applied
+ */
+class RenumberController {
+    constructor(app) {
+        this.app = app;
+        this.menu = null;
+    }
+
+    /**
+     * Show the context menu for a storyboard frame
+     * @param {MouseEvent} event - contextmenu event
+     * @param {Object} image - Image the frame shows
+     */
+    showFrameMenu(event, image) {
+        if (!this.app.renumberService) return;
+        event.preventDefault();
+        this.closeMenu();
+
+        const scene = image.sceneNumber || '';
+        const shot = image.shotNumber || '';
+        const items = [
+            { label: 'Insert Frame Before', action: () => this.insertFrame(image, 'before') },
+            { label: 'Insert Frame After', action: () => this.insertFrame(image, 'after') },
+            { separator: true },
+            { label: 'Move Shot to Scene…', action: () => this.moveShot(image), disabled: !shot },
+            { label: 'Renumber Frames in Shot…', action: () => this.renumberFrames(image) },
+            { label: 'Renumber Shots in Scene…', action: () => this.renumberShots(image), disabled: !scene }
+        ];
+        if (this.app.variantService) {
+            items.push(
+                { separator: true },
+                { label: 'Add Alternate Frame', action: () => this.addVariant(image) },
+                { label: image.variant ? `Variant Label (${image.variant})…` : 'Set Variant Label…', action: () => this.setVariantLabel(image) }
+            );
+        }
+
+        if (this.app.pageTemplateController && this.app.uiManager) {
+            const pageIndex = this.app.uiManager.getImagePageMap().get(image.name);
+            items.push(
+                { separator: true },
+                { label: 'Page Header & Footer…', action: () => this.app.pageTemplateController.openPageDialog(pageIndex), disabled: pageIndex === undefined }
+            );
+        }
+
+        const menu = document.createElement('div');
+        menu.className = 'frame-context-menu';
+        items.forEach(item => {
+            if (item.separator) {
+                menu.appendChild(document.createElement('hr'));
+                return;
+            }
+            const button = document.createElement('button');
+            button.textContent = item.label;
+            button.disabled = !!item.disabled;
+            button.addEventListener('click', () => {
+                this.closeMenu();
+                item.action();
+            });
+            menu.appendChild(button);
+        });
+        document.body.appendChild(menu);
+
+        // Keep the menu inside the viewport
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = Math.min(event.clientX, window.innerWidth - rect.width - 4) + 'px';
+        menu.style.top = Math.min(event.clientY, window.innerHeight - rect.height - 4) + 'px';
+
+        this.menu = menu;
+        this.menuCloseHandler = (e) => {
+            if (e.type === 'keydown' && e.key !== 'Escape') return;
+            if (e.type === 'mousedown' && menu.contains(e.target)) return;
+            this.closeMenu();
+        };
+        setTimeout(() => {
+            document.addEventListener('mousedown', this.menuCloseHandler);
+            document.addEventListener('keydown', this.menuCloseHandler);
+            window.addEventListener('scroll', this.menuCloseHandler, true);
+        }, 0);
+    }
+
+    closeMenu() {
+        if (!this.menu) return;
+        if (this.menu.parentNode) {
+            this.menu.parentNode.removeChild(this.menu);
+        }
+        document.removeEventListener('mousedown', this.menuCloseHandler);
+        document.removeEventListener('keydown', this.menuCloseHandler);
+        window.removeEventListener('scroll', this.menuCloseHandler, true);
+        this.menu = null;
+    }
+
+    async insertFrame(image, position) {
+        const plan = await this.app.renumberService.planInsert(image, position);
+        await this.showPlanDialog(plan.title, '', () => plan);
+    }
+
+    async moveShot(image) {
+        const service = this.app.renumberService;
+        const scenes = [...new Set(this.app.project.images.map(img => img.sceneNumber).filter(Boolean))]
+            .sort((a, b) => service.compare(a, b));
+        const fields = `
+            <div class="renumber-preview-field">
+                <label>Target scene</label>
+                <input type="text" data-field="scene" list="renumberSceneList" value="${HtmlUtils.escapeHtml(image.sceneNumber)}">
+                <datalist id="renumberSceneList">
+                    ${scenes.map(scene => `<option value="${HtmlUtils.escapeHtml(scene)}">`).join('')}
+                </datalist>
+            </div>
+            <div class="renumber-preview-field">
+                <label>New shot number</label>
+                <input type="text" data-field="shot" placeholder="Keep ${HtmlUtils.escapeHtml(image.shotNumber)} if free">
+            </div>
+        `;
+        await this.showPlanDialog('Move Shot to Scene', fields, (values) =>
+            service.planMoveShot(image.sceneNumber || '', image.shotNumber || '', values.scene, values.shot)
+        );
+    }
+
+    async renumberFrames(image) {
+        const service = this.app.renumberService;
+        const scene = image.sceneNumber || '';
+        const shot = image.shotNumber || '';
+        const values = service.getShotFrames(scene, shot).map(img => img.frameNumber || '');
+        const defaults = service.resolveSequenceOptions(values, {}, 4);
+        await this.showPlanDialog(`Renumber Frames in Shot ${shot || '(none)'}`, this.sequenceFields(defaults), (options) =>
+            service.planRenumberFrames(scene, shot, options)
+        );
+    }
+
+    async renumberShots(image) {
+        const service = this.app.renumberService;
+        const scene = image.sceneNumber || '';
+        const defaults = service.resolveSequenceOptions(service.getSceneShots(scene), {}, 3);
+        await this.showPlanDialog(`Renumber Shots in Scene ${scene}`, this.sequenceFields(defaults), (options) =>
+            service.planRenumberShots(scene, options)
+        );
+    }
+
+    async addVariant(image) {
+        const variant = await this.app.variantService.addVariant(image);
+        this.app.showToast(`Added variant ${variant.variant} - click the frame to give it art`);
+    }
+
+    async setVariantLabel(image) {
+        const label = await this.app.customPrompt(
+            'Variant label for this frame (A, B, C…). Frames with the same scene, shot and frame number are alternates of each other. Leave empty to remove the label.',
+            image.variant || ''
+        );
+        if (label === null) return;
+        const error = await this.app.variantService.setLabel(image, label);
+        if (error) {
+            await this.app.customAlert(error);
+        }
+    }
+
+    sequenceFields(defaults) {
+        return `
+            <div class="renumber-preview-options">
+                <label>Start <input type="number" min="0" data-field="start" value="${defaults.start}"></label>
+                <label>Step <input type="number" min="1" data-field="step" value="${defaults.step}"></label>
+                <label>Digits <input type="number" min="1" max="8" data-field="width" value="${defaults.width}"></label>
+            </div>
+        `;
+    }
+
+    /**
+     * Build preview rows for a plan, ordered by the numbering after the change
+     * @param {Object} plan - Plan from RenumberService
+     * Shots that move without frames (only a shot list entry) get a row of their own
+     * @returns {Array} { name, before, after, isNew }
+     */
+    getPreviewRows(plan) {
+        const label = (numbers) => [numbers.sceneNumber, numbers.shotNumber, numbers.frameNumber]
+            .map(value => value || '—')
+            .join(' / ');
+        const service = this.app.renumberService;
+
+        const rows = [];
+        plan.changes.forEach((numbers, image) => {
+            rows.push({ name: image.name, before: label(image), after: label(numbers), sortKey: numbers, isNew: false });
+        });
+        plan.inserts.forEach(image => {
+            rows.push({ name: 'New blank frame', before: '—', after: label(image), sortKey: image, isNew: true });
+        });
+        plan.shotMoves.forEach(move => {
+            const hasFrames = Array.from(plan.changes.keys()).some(image =>
+                (image.sceneNumber || '') === (move.from.sceneNumber || '') && (image.shotNumber || '') === (move.from.shotNumber || '')
+            );
+            if (hasFrames) return;
+            rows.push({ name: 'Shot list entry', before: label(move.from), after: label(move.to), sortKey: move.to, isNew: false });
+        });
+        return rows.sort((a, b) =>
+            service.compare(a.sortKey.sceneNumber, b.sortKey.sceneNumber) ||
+            service.compare(a.sortKey.shotNumber, b.sortKey.shotNumber) ||
+            service.compare(a.sortKey.frameNumber, b.sortKey.frameNumber)
+        );
+    }
+
+    /**
+     * Show a command dialog with option fields and a live before/after preview
+     * @param {string} title - Dialog title
+     * @param {string} fieldsHtml - Option inputs, each with a data-field attribute
+     * @param {Function} buildPlan - (values) => plan, called whenever an option changes
+     * @returns {Promise<boolean>} True if the plan was applied
+     */
+    showPlanDialog(title, fieldsHtml, buildPlan) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 620px;">
+                    <div class="modal-header">
+                        <h2>${HtmlUtils.escapeHtml(title)}</h2>
+                        <span class="close" id="renumberClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        ${fieldsHtml}
+                        <div class="renumber-preview-message" id="renumberMessage"></div>
+                        <div class="renumber-preview-list">
+                            <table class="renumber-preview-table">
+                                <thead>
+                                    <tr><th>Frame</th><th>Before (Scene / Shot / Frame)</th><th>After</th></tr>
+                                </thead>
+                                <tbody id="renumberPreviewBody"></tbody>
+                            </table>
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="renumberCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="renumberApplyBtn" class="btn btn-primary">Apply</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const applyBtn = document.getElementById('renumberApplyBtn');
+            const message = document.getElementById('renumberMessage');
+            const body = document.getElementById('renumberPreviewBody');
+            let plan = null;
+
+            const refresh = () => {
+                const values = {};
+                modal.querySelectorAll('[data-field]').forEach(input => {
+                    values[input.dataset.field] = input.value;
+                });
+                plan = buildPlan(values);
+
+                const rows = plan.error ? [] : this.getPreviewRows(plan);
+                body.innerHTML = rows.length > 0
+                    ? rows.map(row => `
+                        <tr class="${row.isNew ? 'is-new' : ''}">
+                            <td title="${HtmlUtils.escapeHtml(row.name)}">${HtmlUtils.escapeHtml(row.name)}</td>
+                            <td>${HtmlUtils.escapeHtml(row.before)}</td>
+                            <td>${HtmlUtils.escapeHtml(row.after)}</td>
+                        </tr>
+                    `).join('')
+                    : `<tr><td colspan="3" class="renumber-preview-empty">${plan.error ? '' : 'Nothing to change.'}</td></tr>`;
+
+                const notes = plan.error ? [plan.error] : plan.warnings;
+                message.textContent = notes.join(' ');
+                message.classList.toggle('is-error', !!plan.error);
+                applyBtn.disabled = !!plan.error || rows.length === 0;
+            };
+
+            modal.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('input', refresh);
+            });
+            refresh();
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            const handleCancel = () => {
+                closeModal();
+                resolve(false);
+            };
+
+            document.getElementById('renumberClose').addEventListener('click', handleCancel);
+            document.getElementById('renumberCancelBtn').addEventListener('click', handleCancel);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) handleCancel();
+            });
+            applyBtn.addEventListener('click', async () => {
+                closeModal();
+                const applied = await this.app.renumberService.applyPlan(plan);
+                if (applied) {
+                    this.app.showToast(`${plan.title}: ${plan.changes.size + plan.inserts.length} frame${plan.changes.size + plan.inserts.length !== 1 ? 's' : ''} updated`);
+                }
+                resolve(applied);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RenumberController;
+}
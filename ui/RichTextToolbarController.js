@@ -0,0 +1,134 @@
+/**
+ * RichTextToolbarController - Floating formatting toolbar for frame notes and page text
+ * Shown above whichever rich text editor has focus; formatting is applied to the editor's selection
+ */
+class RichTextToolbarController {
+    constructor(app) {
+        this.app = app;
+        this.toolbar = null;
+        this.activeEditor = null;
+        this.hideTimeout = null;
+        this.setup();
+    }
+
+    setup() {
+        if (typeof document === 'undefined' || typeof RichText === 'undefined') return;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'rich-text-toolbar';
+        toolbar.style.display = 'none';
+        toolbar.innerHTML = `
+            <button type="button" data-command="bold" title="Bold (Ctrl+B)"><b>B</b></button>
+            <button type="button" data-command="italic" title="Italic (Ctrl+I)"><i>I</i></button>
+            <button type="button" data-command="underline" title="Underline (Ctrl+U)"><u>U</u></button>
+            <button type="button" data-command="insertUnorderedList" title="Bullet list">&bull;&equiv;</button>
+            <span class="rich-text-toolbar-separator"></span>
+            ${RichText.HIGHLIGHT_COLORS.map(color => `
+                <button type="button" class="rich-text-swatch" data-highlight="${color.value}" title="Highlight ${color.label}" style="background-color: ${color.value};"></button>
+            `).join('')}
+            <button type="button" data-highlight="transparent" title="Remove highlight">&times;</button>
+            <span class="rich-text-toolbar-separator"></span>
+            <button type="button" data-command="removeFormat" title="Clear formatting">T&#x338;</button>
+        `;
+        document.body.appendChild(toolbar);
+        this.toolbar = toolbar;
+
+        // Keep the selection in the editor while clicking the toolbar
+        toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button || !this.activeEditor) return;
+            if (button.dataset.command) {
+                this.applyCommand(button.dataset.command);
+            } else if (button.dataset.highlight) {
+                this.applyHighlight(button.dataset.highlight);
+            }
+        });
+
+        document.addEventListener('focusin', (e) => {
+            const editor = e.target.closest && e.target.closest('.rich-text-editor');
+            if (editor) this.show(editor);
+        });
+        document.addEventListener('focusout', () => {
+            clearTimeout(this.hideTimeout);
+            this.hideTimeout = setTimeout(() => {
+                const focused = document.activeElement;
+                if (!focused || !focused.closest || !focused.closest('.rich-text-editor')) this.hide();
+            }, 100);
+        });
+        document.addEventListener('selectionchange', () => this.updateState());
+        // The storyboard scrolls inside its own container, so listen in the capture phase
+        document.addEventListener('scroll', () => this.position(), true);
+        window.addEventListener('resize', () => this.position());
+    }
+
+    show(editor) {
+        clearTimeout(this.hideTimeout);
+        this.activeEditor = editor;
+        this.toolbar.style.display = 'flex';
+        this.position();
+        this.updateState();
+    }
+
+    hide() {
+        this.activeEditor = null;
+        if (this.toolbar) this.toolbar.style.display = 'none';
+    }
+
+    /**
+     * Place the toolbar above the active editor, or below it near the top of the window
+     */
+    position() {
+        if (!this.activeEditor || !this.toolbar) return;
+        if (!this.activeEditor.isConnected) {
+            this.hide();
+            return;
+        }
+        const rect = this.activeEditor.getBoundingClientRect();
+        const height = this.toolbar.offsetHeight;
+        const top = rect.top - height - 4 >= 0 ? rect.top - height - 4 : rect.bottom + 4;
+        const left = Math.min(Math.max(4, rect.left), window.innerWidth - this.toolbar.offsetWidth - 4);
+        this.toolbar.style.top = `${top}px`;
+        this.toolbar.style.left = `${left}px`;
+    }
+
+    /**
+     * Mark the buttons whose formatting applies at the cursor
+     */
+    updateState() {
+        if (!this.activeEditor || !this.toolbar) return;
+        this.toolbar.querySelectorAll('button[data-command]').forEach(button => {
+            const command = button.dataset.command;
+            if (command === 'removeFormat') return;
+            let active = false;
+            try {
+                active = document.queryCommandState(command);
+            } catch (e) {
+                active = false;
+            }
+            button.classList.toggle('active', active);
+        });
+    }
+
+    applyCommand(command) {
+        this.activeEditor.focus();
+        document.execCommand(command);
+        if (command === 'removeFormat') {
+            // removeFormat leaves highlights in place in some browsers
+            document.execCommand('hiliteColor', false, 'transparent');
+        }
+        this.updateState();
+    }
+
+    applyHighlight(color) {
+        this.activeEditor.focus();
+        document.execCommand('styleWithCSS', false, true);
+        document.execCommand('hiliteColor', false, color);
+        document.execCommand('styleWithCSS', false, false);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RichTextToolbarController;
+}
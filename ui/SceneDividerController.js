@@ -0,0 +1,125 @@
+/**
+ * SceneDividerController - Dialog to edit the details shown on scene title pages and in the contents
+ */
+class SceneDividerController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Show how many scenes have details in Page Settings
+     */
+    updateSummary() {
+        const summary = document.getElementById('sceneDetailsSummary');
+        if (!summary || !this.app.sceneDividerService) return;
+        const count = Object.keys(this.app.project.settings.sceneDetails || {}).length;
+        summary.textContent = count > 0 ? `${count} scene${count !== 1 ? 's' : ''} described` : '';
+    }
+
+    renderOptions(options, selected) {
+        return options.map(option =>
+            `<option value="${HtmlUtils.escapeHtml(option)}"${option === selected ? ' selected' : ''}>${option || '—'}</option>`
+        ).join('');
+    }
+
+    /**
+     * Open the scene details dialog
+     * @param {string} focusScene - Scene to scroll to and focus (optional)
+     * @returns {Promise<boolean>} True if the details were applied
+     */
+    openSceneDetailsDialog(focusScene = null) {
+        const service = this.app.sceneDividerService;
+        if (!service) return Promise.resolve(false);
+        const scenes = service.getScenes();
+        if (scenes.length === 0) {
+            this.app.customAlert('No scenes yet. Scene numbers come from the image file names or the image settings.');
+            return Promise.resolve(false);
+        }
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 640px;">
+                    <div class="modal-header">
+                        <h2>Scene Details</h2>
+                        <span class="close" id="sceneDetailsClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p class="scene-details-hint">Shown on scene title pages and in the table of contents.</p>
+                        <div class="scene-details-list">
+                            ${scenes.map(scene => {
+                                const details = service.getDetails(scene);
+                                return `
+                                    <div class="scene-details-row" data-scene="${HtmlUtils.escapeHtml(scene)}">
+                                        <div class="scene-details-number">Scene ${HtmlUtils.escapeHtml(scene)}</div>
+                                        <div class="scene-details-slug">
+                                            <select data-field="intExt" title="Interior / exterior">
+                                                ${this.renderOptions(SceneDividerService.getIntExtOptions(), details.intExt)}
+                                            </select>
+                                            <input type="text" data-field="heading" value="${HtmlUtils.escapeHtml(details.heading)}" placeholder="Location (e.g. Kitchen)">
+                                            <select data-field="timeOfDay" title="Time of day">
+                                                ${this.renderOptions(SceneDividerService.getTimeOfDayOptions(), details.timeOfDay)}
+                                            </select>
+                                        </div>
+                                        <textarea data-field="synopsis" rows="2" placeholder="Synopsis">${HtmlUtils.escapeHtml(details.synopsis)}</textarea>
+                                    </div>
+                                `;
+                            }).join('')}
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="sceneDetailsCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="sceneDetailsApplyBtn" class="btn btn-primary">Apply</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            if (focusScene !== null) {
+                const row = Array.from(modal.querySelectorAll('.scene-details-row'))
+                    .find(element => element.dataset.scene === String(focusScene));
+                if (row) {
+                    row.scrollIntoView({ block: 'center' });
+                    row.querySelector('[data-field="heading"]').focus();
+                }
+            }
+
+            const closeModal = (applied) => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+                resolve(applied);
+            };
+
+            document.getElementById('sceneDetailsApplyBtn').addEventListener('click', () => {
+                modal.querySelectorAll('.scene-details-row').forEach(row => {
+                    const value = (field) => row.querySelector(`[data-field="${field}"]`).value;
+                    service.setDetails(row.dataset.scene, {
+                        heading: value('heading'),
+                        intExt: value('intExt'),
+                        timeOfDay: value('timeOfDay'),
+                        synopsis: value('synopsis')
+                    });
+                });
+                this.app.markChanged();
+                this.updateSummary();
+                this.app.renderStoryboard();
+                closeModal(true);
+            });
+
+            document.getElementById('sceneDetailsCancelBtn').addEventListener('click', () => closeModal(false));
+            document.getElementById('sceneDetailsClose').addEventListener('click', () => closeModal(false));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) closeModal(false);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneDividerController;
+}
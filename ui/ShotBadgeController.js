@@ -0,0 +1,145 @@
+/**
+ * ShotBadgeController - Dialog to choose the shot list fields shown under frames and how they look
+ */
+class ShotBadgeController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Show the fields shown under frames next to the Text Settings button
+     */
+    updateSummary() {
+        const summary = document.getElementById('shotBadgesSummary');
+        const service = this.app.shotBadgeService;
+        if (!summary || !service) return;
+        summary.textContent = this.app.project.settings.showShotBadges
+            ? service.getSelectedFields().map(field => field.label).join(', ')
+            : 'Off';
+    }
+
+    /**
+     * List the chosen fields first, in their order, then the others
+     */
+    renderRows(list, fields) {
+        list.innerHTML = fields.map((field, index) => `
+            <div class="shot-badge-row" data-index="${index}">
+                <label><input type="checkbox" data-prop="selected" ${field.selected ? 'checked' : ''}> ${HtmlUtils.escapeHtml(field.label)}</label>
+                <button type="button" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" data-action="down" title="Move down" ${index === fields.length - 1 ? 'disabled' : ''}>↓</button>
+            </div>
+        `).join('');
+    }
+
+    readRows(list, fields) {
+        list.querySelectorAll('.shot-badge-row').forEach(row => {
+            fields[parseInt(row.dataset.index, 10)].selected = row.querySelector('[data-prop="selected"]').checked;
+        });
+    }
+
+    /**
+     * Open the shot badges dialog
+     * @returns {Promise<boolean>} True if the settings were changed
+     */
+    openBadgesDialog() {
+        const service = this.app.shotBadgeService;
+        if (!service) return Promise.resolve(false);
+        const settings = this.app.project.settings;
+        const config = service.getConfig();
+        const available = service.getAvailableFields();
+        const fields = config.fields
+            .map(id => available.find(field => field.id === id))
+            .filter(Boolean)
+            .map(field => ({ ...field, selected: true }))
+            .concat(available.filter(field => !config.fields.includes(field.id)).map(field => ({ ...field, selected: false })));
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 560px;">
+                    <div class="modal-header">
+                        <h2>Shot Info Badges</h2>
+                        <span class="close" id="shotBadgesClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p class="shot-badge-note">Values come from the shot list entry of each frame's scene and shot, and follow edits in the shot list.</p>
+                        <div class="shot-badge-list" id="shotBadgeList"></div>
+                        <div class="shot-badge-style">
+                            <label>Style
+                                <select id="shotBadgeStyle">
+                                    ${ShotBadgeService.getStyles().map(style => `<option value="${style.id}"${style.id === config.style ? ' selected' : ''}>${style.label}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label>Size <input type="number" id="shotBadgeFontSize" min="6" max="24" value="${config.fontSize}"> px</label>
+                            <label>Text <input type="color" id="shotBadgeTextColor" value="${config.textColor}"></label>
+                            <label>Badge <input type="color" id="shotBadgeColor" value="${config.badgeColor}"></label>
+                            <label><input type="checkbox" id="shotBadgeShowLabels" ${config.showLabels ? 'checked' : ''}> Field names</label>
+                        </div>
+                        <h4>Show In</h4>
+                        <div class="shot-badge-targets">
+                            <label><input type="checkbox" id="shotBadgeShowStoryboard" ${settings.showShotBadges ? 'checked' : ''}> Storyboard</label>
+                            <label><input type="checkbox" id="shotBadgeShowPdf" ${settings.shotBadgesPdf ? 'checked' : ''}> PDF export</label>
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="shotBadgesCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="shotBadgesApplyBtn" class="btn btn-primary">Apply</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const list = document.getElementById('shotBadgeList');
+            this.renderRows(list, fields);
+
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                this.readRows(list, fields);
+                const index = parseInt(button.closest('.shot-badge-row').dataset.index, 10);
+                const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+                [fields[index], fields[target]] = [fields[target], fields[index]];
+                this.renderRows(list, fields);
+            });
+
+            const closeModal = (applied) => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+                resolve(applied);
+            };
+
+            document.getElementById('shotBadgesApplyBtn').addEventListener('click', () => {
+                this.readRows(list, fields);
+                service.setConfig({
+                    fields: fields.filter(field => field.selected).map(field => field.id),
+                    style: document.getElementById('shotBadgeStyle').value,
+                    fontSize: document.getElementById('shotBadgeFontSize').value,
+                    textColor: document.getElementById('shotBadgeTextColor').value,
+                    badgeColor: document.getElementById('shotBadgeColor').value,
+                    showLabels: document.getElementById('shotBadgeShowLabels').checked
+                });
+                settings.showShotBadges = document.getElementById('shotBadgeShowStoryboard').checked;
+                settings.shotBadgesPdf = document.getElementById('shotBadgeShowPdf').checked;
+                this.updateSummary();
+                this.app.markChanged();
+                this.app.renderStoryboard();
+                closeModal(true);
+            });
+
+            document.getElementById('shotBadgesCancelBtn').addEventListener('click', () => closeModal(false));
+            document.getElementById('shotBadgesClose').addEventListener('click', () => closeModal(false));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) closeModal(false);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShotBadgeController;
+}
@@ -47,6 +47,16 @@ class ShotListController {
             addShotBtn.addEventListener('click', () => this.showAddShotModal());
         }
 
+        // Import CSV button
+        const importCSVBtn = document.getElementById('importShotListCSVBtn');
+        if (importCSVBtn) {
+            importCSVBtn.addEventListener('click', () => {
+                if (this.app.shotListCSVImportService) {
+                    this.app.shotListCSVImportService.showImportDialog();
+                }
+            });
+        }
+
         // Settings button
         const settingsBtn = document.getElementById('shotListSettingsBtn');
         if (settingsBtn) {
@@ -278,6 +288,16 @@ class ShotListController {
                 });
             }
 
+            const exportStoryboardPPTX = document.getElementById('exportStoryboardPPTX');
+            if (exportStoryboardPPTX) {
+                exportStoryboardPPTX.addEventListener('click', async () => {
+                    exportSubmenu.style.display = 'none';
+                    if (this.app.pptxExportController) {
+                        await this.app.pptxExportController.openExportDialog();
+                    }
+                });
+            }
+
             // Export Shot List PDF
             const exportShotListPDF = document.getElementById('exportShotListPDF');
             if (exportShotListPDF) {
@@ -325,6 +345,33 @@ class ShotListController {
         }
     }
 
+    /**
+     * Ask the timeline exporters' questions: which frames (filter or export profile) and which alternate frames
+     * @param {string} title - Title of the export, for the dialogs
+     * @param {Object} timelineData - From PrevisManager.getTimelineData
+     * @returns {Promise<Object|null>} Timeline data to export, or null if cancelled or no frame is left
+     */
+    async prepareTimelineForExport(title, timelineData) {
+        // Partial export: only the frames of a filter or export profile
+        if (this.app.exportFilterController && this.app.exportFilterService) {
+            const filter = await this.app.exportFilterController.chooseFilter(title);
+            if (filter === null) return null;
+            timelineData = this.app.exportFilterService.applyToTimeline(timelineData, filter);
+            if (timelineData.timeline.length === 0) {
+                await this.app.customAlert('No frames on the timeline match the export filter.');
+                return null;
+            }
+        }
+
+        // Alternate frames: use the variants shown in the storyboard or one variant set
+        if (this.app.variantService) {
+            const variantSet = await this.app.variantService.chooseVariantSet(title);
+            if (variantSet === null) return null;
+            timelineData = this.app.variantService.applyToTimeline(timelineData, variantSet);
+        }
+        return timelineData;
+    }
+
     /**
      * Export previz timeline to XML
      */
@@ -344,12 +391,15 @@ class ShotListController {
             }
         }
 
-        const timelineData = this.app.previsController.previsManager.getTimelineData();
+        let timelineData = this.app.previsController.previsManager.getTimelineData();
         if (!timelineData || !timelineData.timeline || timelineData.timeline.length === 0) {
             await this.app.customAlert('Timeline is empty. Add clips to the timeline before exporting.');
             return;
         }
 
+        timelineData = await this.prepareTimelineForExport('Export Timeline XML', timelineData);
+        if (!timelineData) return;
+
         try {
             // Ask user for export folder path
             const exportFolderPath = await this.app.customPrompt(
@@ -393,12 +443,15 @@ class ShotListController {
             }
         }
 
-        const timelineData = this.app.previsController.previsManager.getTimelineData();
+        let timelineData = this.app.previsController.previsManager.getTimelineData();
         if (!timelineData || !timelineData.timeline || timelineData.timeline.length === 0) {
             await this.app.customAlert('Timeline is empty. Add clips to the timeline before exporting.');
             return;
         }
 
+        timelineData = await this.prepareTimelineForExport('Export Timeline EDL', timelineData);
+        if (!timelineData) return;
+
         try {
             // Ask user for export folder path
             const exportFolderPath = await this.app.customPrompt(
@@ -453,12 +506,15 @@ class ShotListController {
             }
         }
 
-        const timelineData = this.app.previsController.previsManager.getTimelineData();
+        let timelineData = this.app.previsController.previsManager.getTimelineData();
         if (!timelineData || !timelineData.timeline || timelineData.timeline.length === 0) {
             await this.app.customAlert('Timeline is empty. Add clips to the timeline before exporting.');
             return;
         }
 
+        timelineData = await this.prepareTimelineForExport('Export Timeline to Folder', timelineData);
+        if (!timelineData) return;
+
         try {
             const projectName = this.app.project.name || 'Storyboard Timeline';
             await this.app.folderExportService.exportToFolder(timelineData, projectName);
@@ -500,12 +556,15 @@ class ShotListController {
             }
         }
 
-        const timelineData = this.app.previsController.previsManager.getTimelineData();
+        let timelineData = this.app.previsController.previsManager.getTimelineData();
         if (!timelineData || !timelineData.timeline || timelineData.timeline.length === 0) {
             await this.app.customAlert('Timeline is empty. Add clips to the timeline before exporting.');
             return;
         }
 
+        timelineData = await this.prepareTimelineForExport('Export Bundled Timeline', timelineData);
+        if (!timelineData) return;
+
         try {
             const projectName = this.app.project.name || 'Storyboard Timeline';
             // Use EDL format for bundled export (works better with DaVinci Resolve)
@@ -1438,336 +1497,233 @@ class ShotListController {
     }
 
     /**
-     * Export shot list to PDF
-     * @param {Object} settings - Export settings from dialog
-     * @param {FileSystemFileHandle} fileHandle - Optional file handle (if already requested)
-     * @param {string} filename - Optional filename (if file handle was requested)
+     * Draw the shot list table into a PDF document
+     * @param {Object} pdf - jsPDF document
+     * @param {Object} settings - Export settings (see exportShotListPDF)
+     * @param {Object} options - { append: start on a new page after the document's pages,
+     *   shotPages: { [shot key]: page } storyboard pages of the same document that shot rows link to,
+     *   shots: shots to list instead of the whole shot list }
+     * @returns {{firstPageNumber: number, pageCount: number, shotRows: Array}} Pages used, and the page
+     *   of each shot row ({ sceneNumber, shotNumber, pageNumber })
      */
-    async exportShotListPDF(settings = {}, fileHandle = null, filename = null) {
-        // Prevent double calls
-        if (this.isExportingPDF) {
-            return false;
-        }
-
-        if (!this.app.shotListManager) {
-            await this.app.customAlert('Shot list manager not available.');
-            return false;
-        }
-
-        const shots = this.app.shotListManager.getAllShots();
-
-        if (shots.length === 0) {
-            await this.app.customAlert('No shots to export. Please add shots to the shot list first.');
-            return false;
-        }
-
-        if (!window.jspdf) {
-            await this.app.customAlert('PDF library not loaded. Please refresh the page.');
-            return false;
-        }
-
-        // Use settings from dialog or defaults
+    drawShotListPages(pdf, settings = {}, options = {}) {
+        const shots = options.shots || this.app.shotListManager.getAllShots();
         const projectName = settings.projectName || this.app.project.name || 'ShotList';
         const includeCustomColumns = settings.includeCustomColumns !== false;
         const backgroundColor = settings.backgroundColor || '#ffffff';
         const textColor = settings.textColor || '#000000';
         const sceneRowBackgroundColor = settings.sceneRowBackgroundColor || '#f0f0f0';
         const sceneRowTextColor = settings.sceneRowTextColor || '#505050';
+        const shotRows = [];
 
-        this.isExportingPDF = true;
-        try {
-            const { jsPDF } = window.jspdf;
-            const pdf = new jsPDF({
-                orientation: 'landscape',
-                unit: 'mm',
-                format: 'a4'
-            });
+        if (options.append) {
+            pdf.addPage('a4', 'landscape');
+        }
+        const firstPageNumber = pdf.getCurrentPageInfo().pageNumber;
 
-            const pageWidth = 297; // A4 landscape width
-            const pageHeight = 210; // A4 landscape height
-            const margin = 10;
-            const headerHeight = 25;
-            const footerHeight = 10;
-            const tableStartY = margin + headerHeight;
-            const tableEndY = pageHeight - margin - footerHeight;
-            const rowHeight = 6;
-            const frameRate = this.app.shotListManager.getFrameRate();
-            const productionMultiplier = this.app.project.settings?.productionTimeMultiplier || 1.5;
-
-            // Define all columns (standard + custom)
-            const standardColumns = [
-                { key: 'sceneNumber', header: 'Scene', width: 12 },
-                { key: 'shotNumber', header: 'Shot', width: 12 },
-                { key: 'frameCount', header: 'Frames', width: 12 },
-                { key: 'description', header: 'Description', width: 50, wrap: true },
-                { key: 'duration', header: 'Duration', width: 25 },
-                { key: 'cameraAngle', header: 'Angle', width: 25, wrap: true },
-                { key: 'cameraMovement', header: 'Movement', width: 25, wrap: true },
-                { key: 'cameraLens', header: 'Lens', width: 20, wrap: true },
-                { key: 'distance', header: 'Distance', width: 20 },
-                { key: 'shotType', header: 'Type', width: 20 },
-                { key: 'location', header: 'Location', width: 30, wrap: true },
-                { key: 'characters', header: 'Characters', width: 25, wrap: true },
-                { key: 'setupTime', header: 'Setup', width: 20 },
-                { key: 'predictedTakes', header: 'Takes', width: 15 },
-                { key: 'status', header: 'Status', width: 20 }
-            ];
-
-            // Add custom columns (only if enabled)
-            const customColumnDefs = includeCustomColumns ? this.customColumns.map(col => ({
-                key: `custom_${col.id}`,
-                header: col.name,
-                width: 25,
-                wrap: true
-            })) : [];
-
-            const allColumns = [...standardColumns, ...customColumnDefs];
-            const totalColumnWidth = allColumns.reduce((sum, col) => sum + col.width, 0);
-            const scaleFactor = (pageWidth - 2 * margin) / totalColumnWidth;
-            const scaledColumnWidths = allColumns.map(col => col.width * scaleFactor);
-
-            // Group shots by scene
-            const sceneGroups = new Map();
-            shots.forEach(shot => {
-                const sceneNum = shot.sceneNumber || 'Unknown';
-                if (!sceneGroups.has(sceneNum)) {
-                    sceneGroups.set(sceneNum, []);
-                }
-                sceneGroups.get(sceneNum).push(shot);
-            });
+        const pageWidth = 297; // A4 landscape width
+        const pageHeight = 210; // A4 landscape height
+        const margin = 10;
+        const headerHeight = 25;
+        const footerHeight = 10;
+        const tableStartY = margin + headerHeight;
+        const tableEndY = pageHeight - margin - footerHeight;
+        const rowHeight = 6;
+        const frameRate = this.app.shotListManager.getFrameRate();
+        const productionMultiplier = this.app.project.settings?.productionTimeMultiplier || 1.5;
 
-            const sortedScenes = Array.from(sceneGroups.entries()).sort((a, b) => {
-                const numA = parseInt(a[0]) || 0;
-                const numB = parseInt(b[0]) || 0;
-                return numA - numB;
-            });
+        // Define all columns (standard + custom)
+        const standardColumns = [
+            { key: 'sceneNumber', header: 'Scene', width: 12 },
+            { key: 'shotNumber', header: 'Shot', width: 12 },
+            { key: 'frameCount', header: 'Frames', width: 12 },
+            { key: 'description', header: 'Description', width: 50, wrap: true },
+            { key: 'duration', header: 'Duration', width: 25 },
+            { key: 'cameraAngle', header: 'Angle', width: 25, wrap: true },
+            { key: 'cameraMovement', header: 'Movement', width: 25, wrap: true },
+            { key: 'cameraLens', header: 'Lens', width: 20, wrap: true },
+            { key: 'distance', header: 'Distance', width: 20 },
+            { key: 'shotType', header: 'Type', width: 20 },
+            { key: 'location', header: 'Location', width: 30, wrap: true },
+            { key: 'characters', header: 'Characters', width: 25, wrap: true },
+            { key: 'setupTime', header: 'Setup', width: 20 },
+            { key: 'predictedTakes', header: 'Takes', width: 15 },
+            { key: 'status', header: 'Status', width: 20 }
+        ];
 
-            // Set background color for all pages
-            const bgRgb = this.hexToRgb(backgroundColor);
-            if (bgRgb) {
-                pdf.setFillColor(bgRgb.r, bgRgb.g, bgRgb.b);
-                pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-            }
+        // Add custom columns (only if enabled)
+        const customColumnDefs = includeCustomColumns ? this.customColumns.map(col => ({
+            key: `custom_${col.id}`,
+            header: col.name,
+            width: 25,
+            wrap: true
+        })) : [];
 
-            let currentPage = 1;
-            let y = tableStartY;
-            let isFirstPage = true;
+        const allColumns = [...standardColumns, ...customColumnDefs];
+        const totalColumnWidth = allColumns.reduce((sum, col) => sum + col.width, 0);
+        const scaleFactor = (pageWidth - 2 * margin) / totalColumnWidth;
+        const scaledColumnWidths = allColumns.map(col => col.width * scaleFactor);
 
-            // Helper function to add page number
-            const addPageNumber = (pageNum) => {
-                pdf.setFontSize(8);
-                pdf.setFont(undefined, 'normal');
-                pdf.setTextColor(180, 180, 180);
-                pdf.text(`Page ${pageNum}`, pageWidth - margin - 10, pageHeight - margin - 5);
-                const textRgb = this.hexToRgb(textColor);
-                if (textRgb) {
-                    pdf.setTextColor(textRgb.r, textRgb.g, textRgb.b);
-                } else {
-                    pdf.setTextColor(0, 0, 0);
-                }
-            };
+        // Group shots by scene
+        const sceneGroups = new Map();
+        shots.forEach(shot => {
+            const sceneNum = shot.sceneNumber || 'Unknown';
+            if (!sceneGroups.has(sceneNum)) {
+                sceneGroups.set(sceneNum, []);
+            }
+            sceneGroups.get(sceneNum).push(shot);
+        });
 
-            // Helper function to draw table headers
-            const drawHeaders = () => {
-                pdf.setFontSize(7);
-                pdf.setFont(undefined, 'bold');
-                const textRgb = this.hexToRgb(textColor);
-                if (textRgb) {
-                    pdf.setTextColor(textRgb.r, textRgb.g, textRgb.b);
-                }
-                let x = margin;
-                allColumns.forEach((col, i) => {
-                    pdf.text(col.header, x, y);
-                    x += scaledColumnWidths[i];
-                });
-                // Draw line under headers
-                pdf.setDrawColor(200, 200, 200);
-                pdf.line(margin, y + 2, pageWidth - margin, y + 2);
-                y += rowHeight + 2;
-            };
+        const sortedScenes = Array.from(sceneGroups.entries()).sort((a, b) => {
+            const numA = parseInt(a[0]) || 0;
+            const numB = parseInt(b[0]) || 0;
+            return numA - numB;
+        });
 
-            // Helper function to wrap text
-            const wrapText = (text, maxWidth) => {
-                if (!text || text === '-') return ['-'];
-                const words = String(text).split(' ');
-                const lines = [];
-                let currentLine = '';
-                
-                words.forEach(word => {
-                    const testLine = currentLine ? `${currentLine} ${word}` : word;
-                    const textWidth = pdf.getTextWidth(testLine);
-                    if (textWidth > maxWidth && currentLine) {
-                        lines.push(currentLine);
-                        currentLine = word;
-                    } else {
-                        currentLine = testLine;
-                    }
-                });
-                if (currentLine) {
-                    lines.push(currentLine);
-                }
-                return lines.length > 0 ? lines : ['-'];
-            };
+        // Set background color for all pages
+        const bgRgb = this.hexToRgb(backgroundColor);
+        if (bgRgb) {
+            pdf.setFillColor(bgRgb.r, bgRgb.g, bgRgb.b);
+            pdf.rect(0, 0, pageWidth, pageHeight, 'F');
+        }
 
-            // Helper function to get cell value
-            const getCellValue = (shot, col) => {
-                if (col.key.startsWith('custom_')) {
-                    const colId = col.key.replace('custom_', '');
-                    return shot.customFields?.[colId] || '-';
-                }
-                switch (col.key) {
-                    case 'duration':
-                        return shot.durationFrames > 0 
-                            ? `${shot.durationFrames}f (${(shot.durationFrames / frameRate).toFixed(1)}s)`
-                            : '-';
-                    case 'setupTime':
-                        return shot.setupTimeMinutes ? `${shot.setupTimeMinutes} min` : (shot.setupTime || '-');
-                    case 'frameCount':
-                        return String(shot.frameCount || 0);
-                    case 'cameraAngle':
-                        return shot.cameraAngle || '-';
-                    case 'cameraMovement':
-                        return shot.cameraMovement || '-';
-                    case 'cameraLens':
-                        return shot.cameraLens || '-';
-                    case 'distance':
-                        return shot.distance || '-';
-                    case 'shotType':
-                        return shot.shotType || '-';
-                    case 'location':
-                        return shot.location || '-';
-                    case 'characters':
-                        return shot.characters || '-';
-                    case 'predictedTakes':
-                        return shot.predictedTakes || '-';
-                    case 'status':
-                        return shot.status || '-';
-                    case 'description':
-                        return shot.description || '-';
-                    case 'sceneNumber':
-                        return shot.sceneNumber || '-';
-                    case 'shotNumber':
-                        return shot.shotNumber || '-';
-                    default:
-                        // Fallback: try direct property access
-                        const value = shot[col.key];
-                        return value !== undefined && value !== null && value !== '' ? String(value) : '-';
-                }
-            };
+        let currentPage = 1;
+        let y = tableStartY;
+        let isFirstPage = true;
 
-            // Title and project info (only on first page)
-            if (isFirstPage) {
-                const version = this.app.project.version || '';
-                const versionSuffix = version ? ` v${version}` : '';
-                
-                pdf.setFontSize(18);
-                pdf.setFont(undefined, 'bold');
-                const titleRgb = this.hexToRgb(textColor);
-                if (titleRgb) {
-                    pdf.setTextColor(titleRgb.r, titleRgb.g, titleRgb.b);
-                }
-                pdf.text(`${projectName}${versionSuffix} - ShotList`, margin, 15);
-                
-                pdf.setFontSize(9);
-                pdf.setFont(undefined, 'normal');
-                const date = new Date().toLocaleDateString();
-                pdf.text(`Generated: ${date}`, margin, 22);
-                
-                isFirstPage = false;
+        // Helper function to add page number
+        const addPageNumber = (pageNum) => {
+            pdf.setFontSize(8);
+            pdf.setFont(undefined, 'normal');
+            pdf.setTextColor(180, 180, 180);
+            pdf.text(`Page ${pageNum}`, pageWidth - margin - 10, pageHeight - margin - 5);
+            const textRgb = this.hexToRgb(textColor);
+            if (textRgb) {
+                pdf.setTextColor(textRgb.r, textRgb.g, textRgb.b);
+            } else {
+                pdf.setTextColor(0, 0, 0);
             }
+        };
 
-            // Draw headers on first page
-            drawHeaders();
-
-            // Process shots grouped by scene
-            sortedScenes.forEach(([sceneNum, sceneShots], sceneIndex) => {
-                // Draw a line before each scene (except the first one)
-                if (sceneIndex > 0) {
-                    if (y + rowHeight * 2 > tableEndY) {
-                        addPageNumber(currentPage);
-                        pdf.addPage();
-                        currentPage++;
-                        // Set background for new page
-                        if (bgRgb) {
-                            pdf.setFillColor(bgRgb.r, bgRgb.g, bgRgb.b);
-                            pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-                        }
-                        y = tableStartY;
-                        drawHeaders();
-                    }
-                    pdf.setDrawColor(200, 200, 200);
-                    pdf.line(margin, y, pageWidth - margin, y);
-                    y += 3;
-                }
+        // Helper function to draw table headers
+        const drawHeaders = () => {
+            pdf.setFontSize(7);
+            pdf.setFont(undefined, 'bold');
+            const textRgb = this.hexToRgb(textColor);
+            if (textRgb) {
+                pdf.setTextColor(textRgb.r, textRgb.g, textRgb.b);
+            }
+            let x = margin;
+            allColumns.forEach((col, i) => {
+                pdf.text(col.header, x, y);
+                x += scaledColumnWidths[i];
+            });
+            // Draw line under headers
+            pdf.setDrawColor(200, 200, 200);
+            pdf.line(margin, y + 2, pageWidth - margin, y + 2);
+            y += rowHeight + 2;
+        };
 
-                sceneShots.forEach((shot, shotIndex) => {
-                    // Check if we need a new page
-                    if (y + rowHeight * 3 > tableEndY) {
-                        addPageNumber(currentPage);
-                        pdf.addPage();
-                        currentPage++;
-                        // Set background for new page
-                        if (bgRgb) {
-                            pdf.setFillColor(bgRgb.r, bgRgb.g, bgRgb.b);
-                            pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-                        }
-                        y = tableStartY;
-                        drawHeaders();
-                    }
+        // Helper function to wrap text
+        const wrapText = (text, maxWidth) => {
+            if (!text || text === '-') return ['-'];
+            const words = String(text).split(' ');
+            const lines = [];
+            let currentLine = '';
+            
+            words.forEach(word => {
+                const testLine = currentLine ? `${currentLine} ${word}` : word;
+                const textWidth = pdf.getTextWidth(testLine);
+                if (textWidth > maxWidth && currentLine) {
+                    lines.push(currentLine);
+                    currentLine = word;
+                } else {
+                    currentLine = testLine;
+                }
+            });
+            if (currentLine) {
+                lines.push(currentLine);
+            }
+            return lines.length > 0 ? lines : ['-'];
+        };
 
-                    // Draw row - ensure shots use default text color and no background
-                    pdf.setFontSize(6);
-                    pdf.setFont(undefined, 'normal');
-                    // Always use the main text color for shots (not scene summary color)
-                    const textRgb = this.hexToRgb(textColor);
-                    if (textRgb) {
-                        pdf.setTextColor(textRgb.r, textRgb.g, textRgb.b);
-                    } else {
-                        pdf.setTextColor(0, 0, 0); // Default to black
-                    }
-                    // Ensure no background color is set for shot rows
-                    // (scene summary will set its own background later)
-                    let x = margin;
-                    let maxLines = 1;
-
-                    allColumns.forEach((col, colIndex) => {
-                        const cellValue = getCellValue(shot, col);
-                        const cellWidth = scaledColumnWidths[colIndex];
-                        
-                        // Make scene number bold
-                        if (col.key === 'sceneNumber') {
-                            pdf.setFont(undefined, 'bold');
-                        } else {
-                            pdf.setFont(undefined, 'normal');
-                        }
-                        
-                        if (col.wrap) {
-                            const lines = wrapText(cellValue, cellWidth - 2);
-                            maxLines = Math.max(maxLines, lines.length);
-                            lines.forEach((line, lineIndex) => {
-                                pdf.text(line, x + 1, y + (lineIndex * 3.5) + 3);
-                            });
-                        } else {
-                            const text = String(cellValue);
-                            const truncated = pdf.splitTextToSize(text, cellWidth - 2);
-                            maxLines = Math.max(maxLines, truncated.length);
-                            truncated.forEach((line, lineIndex) => {
-                                pdf.text(line, x + 1, y + (lineIndex * 3.5) + 3);
-                            });
-                        }
-                        x += cellWidth;
-                    });
+        // Helper function to get cell value
+        const getCellValue = (shot, col) => {
+            if (col.key.startsWith('custom_')) {
+                const colId = col.key.replace('custom_', '');
+                return shot.customFields?.[colId] || '-';
+            }
+            switch (col.key) {
+                case 'duration':
+                    return shot.durationFrames > 0 
+                        ? `${shot.durationFrames}f (${(shot.durationFrames / frameRate).toFixed(1)}s)`
+                        : '-';
+                case 'setupTime':
+                    return shot.setupTimeMinutes ? `${shot.setupTimeMinutes} min` : (shot.setupTime || '-');
+                case 'frameCount':
+                    return String(shot.frameCount || 0);
+                case 'cameraAngle':
+                    return shot.cameraAngle || '-';
+                case 'cameraMovement':
+                    return shot.cameraMovement || '-';
+                case 'cameraLens':
+                    return shot.cameraLens || '-';
+                case 'distance':
+                    return shot.distance || '-';
+                case 'shotType':
+                    return shot.shotType || '-';
+                case 'location':
+                    return shot.location || '-';
+                case 'characters':
+                    return shot.characters || '-';
+                case 'predictedTakes':
+                    return shot.predictedTakes || '-';
+                case 'status':
+                    return shot.status || '-';
+                case 'description':
+                    return shot.description || '-';
+                case 'sceneNumber':
+                    return shot.sceneNumber || '-';
+                case 'shotNumber':
+                    return shot.shotNumber || '-';
+                default:
+                    // Fallback: try direct property access
+                    const value = shot[col.key];
+                    return value !== undefined && value !== null && value !== '' ? String(value) : '-';
+            }
+        };
 
-                    y += rowHeight * maxLines + 1;
-                });
+        // Title and project info (only on first page)
+        if (isFirstPage) {
+            const version = this.app.project.version || '';
+            const versionSuffix = version ? ` v${version}` : '';
+            
+            pdf.setFontSize(18);
+            pdf.setFont(undefined, 'bold');
+            const titleRgb = this.hexToRgb(textColor);
+            if (titleRgb) {
+                pdf.setTextColor(titleRgb.r, titleRgb.g, titleRgb.b);
+            }
+            pdf.text(`${projectName}${versionSuffix} - ShotList`, margin, 15);
+            
+            pdf.setFontSize(9);
+            pdf.setFont(undefined, 'normal');
+            const date = new Date().toLocaleDateString();
+            pdf.text(`Generated: ${date}`, margin, 22);
+            
+            isFirstPage = false;
+        }
 
-                // Add spacing between shots and scene summary to prevent overlap
-                y += 2;
+        // Draw headers on first page
+        drawHeaders();
 
-                // Add scene summary after each scene
+        // Process shots grouped by scene
+        sortedScenes.forEach(([sceneNum, sceneShots], sceneIndex) => {
+            // Draw a line before each scene (except the first one)
+            if (sceneIndex > 0) {
                 if (y + rowHeight * 2 > tableEndY) {
                     addPageNumber(currentPage);
-                    pdf.addPage();
+                    pdf.addPage('a4', 'landscape');
                     currentPage++;
                     // Set background for new page
                     if (bgRgb) {
@@ -1777,82 +1733,123 @@ class ShotListController {
                     y = tableStartY;
                     drawHeaders();
                 }
+                pdf.setDrawColor(200, 200, 200);
+                pdf.line(margin, y, pageWidth - margin, y);
+                y += 3;
+            }
 
-                // Calculate scene summary
-                let sceneSetupTime = 0;
-                let sceneDurationFrames = 0;
-                let sceneExpectedTime = 0;
-
-                sceneShots.forEach(shot => {
-                    const setupTime = shot.setupTimeMinutes || 0;
-                    sceneSetupTime += setupTime;
-                    sceneDurationFrames += shot.durationFrames || 0;
-                    const takes = parseInt(shot.predictedTakes) || 1;
-                    const durationMinutes = (shot.durationFrames / frameRate) / 60;
-                    sceneExpectedTime += ((takes * durationMinutes) + setupTime) * productionMultiplier;
-                });
-
-                const formatTime = (minutes) => {
-                    const hours = Math.floor(minutes / 60);
-                    const mins = Math.round(minutes % 60);
-                    return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
-                };
-
-                // Draw scene summary row with grey background
-                // Ensure proper spacing from shots above - summary starts AFTER the last shot
-                const summaryHeight = rowHeight + 2;
-                
-                // Draw background rectangle with custom color - positioned AFTER shots, not overlapping
-                const sceneBgRgb = this.hexToRgb(sceneRowBackgroundColor);
-                if (sceneBgRgb) {
-                    pdf.setFillColor(sceneBgRgb.r, sceneBgRgb.g, sceneBgRgb.b);
-                    // Draw background starting at current y (after shots), with proper height
-                    pdf.rect(margin, y, pageWidth - 2 * margin, summaryHeight, 'F');
+            sceneShots.forEach((shot, shotIndex) => {
+                // Check if we need a new page
+                if (y + rowHeight * 3 > tableEndY) {
+                    addPageNumber(currentPage);
+                    pdf.addPage('a4', 'landscape');
+                    currentPage++;
+                    // Set background for new page
+                    if (bgRgb) {
+                        pdf.setFillColor(bgRgb.r, bgRgb.g, bgRgb.b);
+                        pdf.rect(0, 0, pageWidth, pageHeight, 'F');
+                    }
+                    y = tableStartY;
+                    drawHeaders();
                 }
-                
-                // Draw summary text with custom color - positioned on the background
-                pdf.setFontSize(7);
-                pdf.setFont(undefined, 'italic');
-                const sceneTextRgb = this.hexToRgb(sceneRowTextColor);
-                if (sceneTextRgb) {
-                    pdf.setTextColor(sceneTextRgb.r, sceneTextRgb.g, sceneTextRgb.b);
+
+                // Draw row - ensure shots use default text color and no background
+                pdf.setFontSize(6);
+                pdf.setFont(undefined, 'normal');
+                // Always use the main text color for shots (not scene summary color)
+                const textRgb = this.hexToRgb(textColor);
+                if (textRgb) {
+                    pdf.setTextColor(textRgb.r, textRgb.g, textRgb.b);
                 } else {
-                    pdf.setTextColor(80, 80, 80);
+                    pdf.setTextColor(0, 0, 0); // Default to black
                 }
-                const summaryText = `Scene ${sceneNum} Summary: ${sceneShots.length} shots | Setup: ${formatTime(sceneSetupTime)} | Duration: ${sceneDurationFrames} frames | Expected: ${formatTime(sceneExpectedTime)}`;
-                // Position text in the center of the background rectangle
-                pdf.text(summaryText, margin, y + rowHeight);
-                // Reset text color back to main text color (not black, but the user's text color setting)
-                const mainTextRgb = this.hexToRgb(textColor);
-                if (mainTextRgb) {
-                    pdf.setTextColor(mainTextRgb.r, mainTextRgb.g, mainTextRgb.b);
-                } else {
-                    pdf.setTextColor(0, 0, 0);
+                // Ensure no background color is set for shot rows
+                // (scene summary will set its own background later)
+                let x = margin;
+                let maxLines = 1;
+                const rowTop = y;
+                // Rows of shots on the storyboard pages of the same document link to them
+                const linkedPage = options.shotPages && typeof PDFNavigation !== 'undefined'
+                    ? options.shotPages[PDFNavigation.getShotKey(shot.sceneNumber, shot.shotNumber)]
+                    : null;
+
+                allColumns.forEach((col, colIndex) => {
+                    const cellValue = getCellValue(shot, col);
+                    const cellWidth = scaledColumnWidths[colIndex];
+                    
+                    // Make scene number bold
+                    if (col.key === 'sceneNumber') {
+                        pdf.setFont(undefined, 'bold');
+                    } else {
+                        pdf.setFont(undefined, 'normal');
+                    }
+                    // Linked shot numbers are shown in link blue
+                    if (col.key === 'shotNumber' && linkedPage) {
+                        pdf.setTextColor(0, 102, 204);
+                    } else if (textRgb) {
+                        pdf.setTextColor(textRgb.r, textRgb.g, textRgb.b);
+                    } else {
+                        pdf.setTextColor(0, 0, 0);
+                    }
+                    
+                    if (col.wrap) {
+                        const lines = wrapText(cellValue, cellWidth - 2);
+                        maxLines = Math.max(maxLines, lines.length);
+                        lines.forEach((line, lineIndex) => {
+                            pdf.text(line, x + 1, y + (lineIndex * 3.5) + 3);
+                        });
+                    } else {
+                        const text = String(cellValue);
+                        const truncated = pdf.splitTextToSize(text, cellWidth - 2);
+                        maxLines = Math.max(maxLines, truncated.length);
+                        truncated.forEach((line, lineIndex) => {
+                            pdf.text(line, x + 1, y + (lineIndex * 3.5) + 3);
+                        });
+                    }
+                    x += cellWidth;
+                });
+
+                shotRows.push({
+                    sceneNumber: shot.sceneNumber,
+                    shotNumber: shot.shotNumber,
+                    pageNumber: pdf.getCurrentPageInfo().pageNumber
+                });
+                if (linkedPage) {
+                    pdf.link(margin, rowTop, pageWidth - 2 * margin, rowHeight * maxLines + 1, { pageNumber: linkedPage });
                 }
-                pdf.setFont(undefined, 'normal');
-                y += rowHeight + 2;
+
+                y += rowHeight * maxLines + 1;
             });
 
-            // Add project summary at the end
-            if (y + rowHeight * 5 > tableEndY) {
+            // Add spacing between shots and scene summary to prevent overlap
+            y += 2;
+
+            // Add scene summary after each scene
+            if (y + rowHeight * 2 > tableEndY) {
                 addPageNumber(currentPage);
-                pdf.addPage();
+                pdf.addPage('a4', 'landscape');
                 currentPage++;
-                y = margin;
+                // Set background for new page
+                if (bgRgb) {
+                    pdf.setFillColor(bgRgb.r, bgRgb.g, bgRgb.b);
+                    pdf.rect(0, 0, pageWidth, pageHeight, 'F');
+                }
+                y = tableStartY;
+                drawHeaders();
             }
 
-            // Calculate project totals
-            let totalSetupTime = 0;
-            let totalDurationFrames = 0;
-            let totalExpectedTime = 0;
+            // Calculate scene summary
+            let sceneSetupTime = 0;
+            let sceneDurationFrames = 0;
+            let sceneExpectedTime = 0;
 
-            shots.forEach(shot => {
+            sceneShots.forEach(shot => {
                 const setupTime = shot.setupTimeMinutes || 0;
-                totalSetupTime += setupTime;
-                totalDurationFrames += shot.durationFrames || 0;
+                sceneSetupTime += setupTime;
+                sceneDurationFrames += shot.durationFrames || 0;
                 const takes = parseInt(shot.predictedTakes) || 1;
                 const durationMinutes = (shot.durationFrames / frameRate) / 60;
-                totalExpectedTime += ((takes * durationMinutes) + setupTime) * productionMultiplier;
+                sceneExpectedTime += ((takes * durationMinutes) + setupTime) * productionMultiplier;
             });
 
             const formatTime = (minutes) => {
@@ -1861,37 +1858,160 @@ class ShotListController {
                 return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
             };
 
-            const formatDuration = (frames) => {
-                const totalSeconds = frames / frameRate;
-                const hours = Math.floor(totalSeconds / 3600);
-                const minutes = Math.floor((totalSeconds % 3600) / 60);
-                const seconds = Math.floor(totalSeconds % 60);
-                if (hours > 0) return `${hours}h ${minutes}m ${seconds}s (${frames} frames)`;
-                if (minutes > 0) return `${minutes}m ${seconds}s (${frames} frames)`;
-                return `${seconds}s (${frames} frames)`;
-            };
-
-            y += 5;
-            pdf.setFontSize(10);
-            pdf.setFont(undefined, 'bold');
-            pdf.text('Project Summary', margin, y);
-            y += 6;
-
-            pdf.setFontSize(8);
+            // Draw scene summary row with grey background
+            // Ensure proper spacing from shots above - summary starts AFTER the last shot
+            const summaryHeight = rowHeight + 2;
+            
+            // Draw background rectangle with custom color - positioned AFTER shots, not overlapping
+            const sceneBgRgb = this.hexToRgb(sceneRowBackgroundColor);
+            if (sceneBgRgb) {
+                pdf.setFillColor(sceneBgRgb.r, sceneBgRgb.g, sceneBgRgb.b);
+                // Draw background starting at current y (after shots), with proper height
+                pdf.rect(margin, y, pageWidth - 2 * margin, summaryHeight, 'F');
+            }
+            
+            // Draw summary text with custom color - positioned on the background
+            pdf.setFontSize(7);
+            pdf.setFont(undefined, 'italic');
+            const sceneTextRgb = this.hexToRgb(sceneRowTextColor);
+            if (sceneTextRgb) {
+                pdf.setTextColor(sceneTextRgb.r, sceneTextRgb.g, sceneTextRgb.b);
+            } else {
+                pdf.setTextColor(80, 80, 80);
+            }
+            const summaryText = `Scene ${sceneNum} Summary: ${sceneShots.length} shots | Setup: ${formatTime(sceneSetupTime)} | Duration: ${sceneDurationFrames} frames | Expected: ${formatTime(sceneExpectedTime)}`;
+            // Position text in the center of the background rectangle
+            pdf.text(summaryText, margin, y + rowHeight);
+            // Reset text color back to main text color (not black, but the user's text color setting)
+            const mainTextRgb = this.hexToRgb(textColor);
+            if (mainTextRgb) {
+                pdf.setTextColor(mainTextRgb.r, mainTextRgb.g, mainTextRgb.b);
+            } else {
+                pdf.setTextColor(0, 0, 0);
+            }
             pdf.setFont(undefined, 'normal');
-            pdf.text(`Total Shots: ${shots.length}`, margin, y);
-            y += 5;
-            pdf.text(`Total Setup Time: ${formatTime(totalSetupTime)}`, margin, y);
-            y += 5;
-            pdf.text(`Total Duration: ${formatDuration(totalDurationFrames)}`, margin, y);
-            y += 5;
-            pdf.setFont(undefined, 'bold');
-            pdf.setTextColor(0, 122, 204);
-            pdf.text(`Expected Production Time: ${formatTime(totalExpectedTime)}`, margin, y);
-            pdf.setTextColor(0, 0, 0);
+            y += rowHeight + 2;
+        });
 
-            // Add page number to last page
+        // Add project summary at the end
+        if (y + rowHeight * 5 > tableEndY) {
             addPageNumber(currentPage);
+            pdf.addPage('a4', 'landscape');
+            currentPage++;
+            y = margin;
+        }
+
+        // Calculate project totals
+        let totalSetupTime = 0;
+        let totalDurationFrames = 0;
+        let totalExpectedTime = 0;
+
+        shots.forEach(shot => {
+            const setupTime = shot.setupTimeMinutes || 0;
+            totalSetupTime += setupTime;
+            totalDurationFrames += shot.durationFrames || 0;
+            const takes = parseInt(shot.predictedTakes) || 1;
+            const durationMinutes = (shot.durationFrames / frameRate) / 60;
+            totalExpectedTime += ((takes * durationMinutes) + setupTime) * productionMultiplier;
+        });
+
+        const formatTime = (minutes) => {
+            const hours = Math.floor(minutes / 60);
+            const mins = Math.round(minutes % 60);
+            return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+        };
+
+        const formatDuration = (frames) => {
+            const totalSeconds = frames / frameRate;
+            const hours = Math.floor(totalSeconds / 3600);
+            const minutes = Math.floor((totalSeconds % 3600) / 60);
+            const seconds = Math.floor(totalSeconds % 60);
+            if (hours > 0) return `${hours}h ${minutes}m ${seconds}s (${frames} frames)`;
+            if (minutes > 0) return `${minutes}m ${seconds}s (${frames} frames)`;
+            return `${seconds}s (${frames} frames)`;
+        };
+
+        y += 5;
+        pdf.setFontSize(10);
+        pdf.setFont(undefined, 'bold');
+        pdf.text('Project Summary', margin, y);
+        y += 6;
+
+        pdf.setFontSize(8);
+        pdf.setFont(undefined, 'normal');
+        pdf.text(`Total Shots: ${shots.length}`, margin, y);
+        y += 5;
+        pdf.text(`Total Setup Time: ${formatTime(totalSetupTime)}`, margin, y);
+        y += 5;
+        pdf.text(`Total Duration: ${formatDuration(totalDurationFrames)}`, margin, y);
+        y += 5;
+        pdf.setFont(undefined, 'bold');
+        pdf.setTextColor(0, 122, 204);
+        pdf.text(`Expected Production Time: ${formatTime(totalExpectedTime)}`, margin, y);
+        pdf.setTextColor(0, 0, 0);
+
+        // Add page number to last page
+        addPageNumber(currentPage);
+
+        return {
+            firstPageNumber,
+            pageCount: pdf.getNumberOfPages() - firstPageNumber + 1,
+            shotRows
+        };
+    }
+
+    /**
+     * Export shot list to PDF
+     * @param {Object} settings - Export settings from dialog
+     * @param {FileSystemFileHandle} fileHandle - Optional file handle (if already requested)
+     * @param {string} filename - Optional filename (if file handle was requested)
+     */
+    async exportShotListPDF(settings = {}, fileHandle = null, filename = null) {
+        // Prevent double calls
+        if (this.isExportingPDF) {
+            return false;
+        }
+
+        if (!this.app.shotListManager) {
+            await this.app.customAlert('Shot list manager not available.');
+            return false;
+        }
+
+        const shots = this.app.shotListManager.getAllShots();
+
+        if (shots.length === 0) {
+            await this.app.customAlert('No shots to export. Please add shots to the shot list first.');
+            return false;
+        }
+
+        if (!window.jspdf) {
+            await this.app.customAlert('PDF library not loaded. Please refresh the page.');
+            return false;
+        }
+
+        // Use settings from dialog or defaults
+        const projectName = settings.projectName || this.app.project.name || 'ShotList';
+
+        this.isExportingPDF = true;
+        try {
+            const { jsPDF } = window.jspdf;
+            const pdf = new jsPDF({
+                orientation: 'landscape',
+                unit: 'mm',
+                format: 'a4'
+            });
+
+            const shotList = this.drawShotListPages(pdf, settings);
+            // Bookmarks per scene and shot, and page labels
+            if (typeof PDFNavigation !== 'undefined') {
+                if (pdf.outline) {
+                    PDFNavigation.addShotOutline(pdf, null, shotList.shotRows);
+                }
+                PDFNavigation.setPageLabels(pdf, Array.from({ length: shotList.pageCount }, (item, index) => ({
+                    prefix: 'Shot List ',
+                    number: index + 1
+                })));
+            }
 
             // Generate filename if not provided
             if (!filename) {
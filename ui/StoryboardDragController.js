@@ -0,0 +1,221 @@
+/**
+ * StoryboardDragController - Drag-and-drop reordering of frames and shots in the storyboard view
+ * Ctrl/Cmd/Shift-click selects several frames; dragging a frame's image moves the selection,
+ * dragging its shot number (or holding Alt) moves whole shots. Drops are planned and applied
+ * by RenumberService, and Ctrl/Cmd+Z undoes the last one.
+ */
+class StoryboardDragController {
+    constructor(app) {
+        this.app = app;
+        this.selected = [];
+        this.drag = null;      // { images, shots } while a drag is in progress
+        this.dropTarget = null; // { frame, image, position }
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * Make a rendered frame selectable and draggable
+     * Called from RenderService.createFrame
+     * @param {HTMLElement} frame - .storyboard-frame element
+     * @param {Object} image - Image the frame shows
+     */
+    attachFrame(frame, image) {
+        frame.dataset.imageName = image.name;
+        frame.classList.toggle('is-selected', this.selected.includes(image));
+
+        // Only the image and the shot number start a drag, so the frame text stays editable
+        frame.addEventListener('mousedown', (e) => {
+            frame.draggable = !!e.target.closest('.frame-image-container, .shot-number-container') &&
+                !e.target.closest('.frame-variant-switcher');
+        });
+
+        frame.addEventListener('dragstart', (e) => {
+            if (!frame.draggable) return;
+            const wholeShot = e.altKey || !!e.target.closest('.shot-number-container');
+            this.startDrag(e, frame, image, wholeShot);
+        });
+        frame.addEventListener('dragend', () => this.endDrag());
+
+        frame.addEventListener('dragover', (e) => {
+            if (!this.drag) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            const rect = frame.getBoundingClientRect();
+            this.setDropTarget(frame, image, e.clientX < rect.left + rect.width / 2 ? 'before' : 'after');
+        });
+        frame.addEventListener('drop', (e) => {
+            if (!this.drag) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.handleDrop();
+        });
+    }
+
+    /**
+     * Handle a click on a frame's image
+     * @param {MouseEvent} event - click event
+     * @param {Object} image - Image the frame shows
+     * @returns {boolean} True if the click changed the selection and should not open the image settings
+     */
+    handleFrameClick(event, image) {
+        if (event.shiftKey && this.selected.length > 0) {
+            // Select the range between the last selected frame and this one
+            const images = this.app.project.images;
+            const from = images.indexOf(this.selected[this.selected.length - 1]);
+            const to = images.indexOf(image);
+            const range = images.slice(Math.min(from, to), Math.max(from, to) + 1);
+            range.forEach(img => {
+                if (!this.selected.includes(img)) this.selected.push(img);
+            });
+            this.updateSelection();
+            return true;
+        }
+        if (event.ctrlKey || event.metaKey || event.shiftKey) {
+            const index = this.selected.indexOf(image);
+            if (index === -1) {
+                this.selected.push(image);
+            } else {
+                this.selected.splice(index, 1);
+            }
+            this.updateSelection();
+            return true;
+        }
+        this.clearSelection();
+        return false;
+    }
+
+    clearSelection() {
+        if (this.selected.length === 0) return;
+        this.selected = [];
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        const images = this.app.project.images;
+        this.selected = this.selected.filter(img => images.includes(img));
+        const names = new Set(this.selected.map(img => img.name));
+        document.querySelectorAll('.storyboard-frame').forEach(frame => {
+            frame.classList.toggle('is-selected', names.has(frame.dataset.imageName));
+        });
+    }
+
+    /**
+     * Shots of a set of frames, in storyboard order
+     * @param {Array} images - Frames
+     * @returns {Array} { sceneNumber, shotNumber }
+     */
+    getShots(images) {
+        const shots = [];
+        images.forEach(img => {
+            const sceneNumber = img.sceneNumber || '';
+            const shotNumber = img.shotNumber || '';
+            if (!shotNumber) return;
+            if (!shots.some(shot => shot.sceneNumber === sceneNumber && shot.shotNumber === shotNumber)) {
+                shots.push({ sceneNumber, shotNumber });
+            }
+        });
+        return shots;
+    }
+
+    startDrag(event, frame, image, wholeShot) {
+        // Dragging an unselected frame drags just that frame
+        if (!this.selected.includes(image)) {
+            this.selected = [image];
+            this.updateSelection();
+        }
+        const images = this.app.project.images.filter(img => this.selected.includes(img));
+        const shots = wholeShot ? this.getShots(images) : null;
+
+        this.drag = { images, shots: shots && shots.length > 0 ? shots : null };
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag when data is set
+        event.dataTransfer.setData('text/plain', image.name);
+        if (this.drag.shots) {
+            // Show every frame of the dragged shots as moving
+            this.app.project.images.forEach(img => {
+                if (this.drag.shots.some(shot => shot.sceneNumber === (img.sceneNumber || '') && shot.shotNumber === img.shotNumber) &&
+                    !this.selected.includes(img)) {
+                    this.selected.push(img);
+                }
+            });
+            this.updateSelection();
+        }
+        document.body.classList.add('storyboard-dragging');
+    }
+
+    endDrag() {
+        this.drag = null;
+        this.setDropTarget(null);
+        document.body.classList.remove('storyboard-dragging');
+    }
+
+    setDropTarget(frame, image, position) {
+        if (this.dropTarget && (this.dropTarget.frame !== frame || this.dropTarget.position !== position)) {
+            this.dropTarget.frame.classList.remove('drop-before', 'drop-after');
+        }
+        this.dropTarget = frame ? { frame, image, position } : null;
+        if (frame) {
+            frame.classList.add(position === 'before' ? 'drop-before' : 'drop-after');
+        }
+    }
+
+    async handleDrop() {
+        const drag = this.drag;
+        const target = this.dropTarget;
+        this.endDrag();
+        if (!drag || !target || !this.app.renumberService) return;
+
+        const service = this.app.renumberService;
+        const plan = drag.shots
+            ? service.planReorderShots(drag.shots, target.image.sceneNumber || '', target.image.shotNumber || '', target.position)
+            : service.planReorderFrames(drag.images, target.image, target.position);
+
+        if (plan.error) {
+            this.app.showToast(plan.error, 'error');
+            return;
+        }
+        if (await service.applyPlan(plan)) {
+            const undoKey = navigator.platform.includes('Mac') ? '⌘Z' : 'Ctrl+Z';
+            const message = plan.warnings.length > 0 ? plan.warnings.join(' ') : plan.title;
+            this.app.showToast(`${message} (${undoKey} to undo)`);
+        }
+    }
+
+    /**
+     * Ctrl/Cmd+Z in the storyboard undoes the last reorder or renumber; Escape clears the selection
+     */
+    async handleKeydown(e) {
+        const workspace = this.app.activeWorkspace || this.app.project.activeWorkspace || 'storyboard';
+        if (workspace !== 'storyboard') return;
+        const target = e.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
+            return;
+        }
+        // Leave keys alone while a dialog is open
+        const openModal = Array.from(document.querySelectorAll('.modal')).some(modal =>
+            modal.style.display === 'block' || modal.style.display === 'flex'
+        );
+        if (openModal) return;
+
+        if (e.key === 'Escape') {
+            this.clearSelection();
+            return;
+        }
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z') {
+            const service = this.app.renumberService;
+            if (!service || !service.canUndo()) return;
+            e.preventDefault();
+            const title = await service.undo();
+            if (title) {
+                this.updateSelection();
+                this.app.showToast(`Undone: ${title}`);
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoryboardDragController;
+}
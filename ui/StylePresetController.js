@@ -0,0 +1,207 @@
+/**
+ * StylePresetController - Dialog to save, apply, share and remove style presets
+ */
+class StylePresetController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Fill the one-click preset menu and show the number of presets in Page Settings
+     */
+    updateSummary() {
+        if (!this.app.stylePresetService) return;
+        const presets = this.app.stylePresetService.getPresets();
+        const select = document.getElementById('stylePresetSelect');
+        if (select) {
+            select.innerHTML = `<option value="">${presets.length > 0 ? 'Choose a preset…' : 'No presets saved'}</option>` +
+                presets.map(preset => `<option value="${HtmlUtils.escapeHtml(preset.id)}">${HtmlUtils.escapeHtml(preset.name)}</option>`).join('');
+            select.disabled = presets.length === 0;
+        }
+        const summary = document.getElementById('stylePresetsSummary');
+        if (summary) {
+            summary.textContent = presets.length > 0 ? `${presets.length} preset${presets.length !== 1 ? 's' : ''}` : '';
+        }
+    }
+
+    renderList(list) {
+        const service = this.app.stylePresetService;
+        const presets = service.getPresets();
+        if (presets.length === 0) {
+            list.innerHTML = '<p class="style-preset-empty">No presets yet. Save the current look below.</p>';
+            return;
+        }
+        list.innerHTML = presets.map(preset => `
+            <div class="style-preset-row" data-id="${HtmlUtils.escapeHtml(preset.id)}">
+                <div class="style-preset-info">
+                    <div class="style-preset-name">${HtmlUtils.escapeHtml(preset.name)}</div>
+                    <div class="style-preset-groups">${HtmlUtils.escapeHtml(service.getPresetGroups(preset).map(group => group.label).join(', '))}</div>
+                </div>
+                <button type="button" class="btn btn-primary" data-action="apply">Apply</button>
+                <button type="button" class="btn btn-secondary" data-action="export" title="Save as a JSON file to use in other projects">Export</button>
+                <button type="button" class="btn btn-secondary" data-action="delete" title="Delete preset">&times;</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Apply a preset and refresh everything that shows settings
+     * @param {string} presetId - Preset id
+     */
+    applyPreset(presetId) {
+        const service = this.app.stylePresetService;
+        const preset = service.getPreset(presetId);
+        if (!preset || !service.applyPreset(presetId)) return;
+        this.app.loadProjectToUI();
+        this.app.markChanged();
+        this.app.renderStoryboard();
+        if (this.app.previsController) {
+            this.app.previsController.renderVideoPreview();
+        }
+        this.app.showToast(`Applied preset "${preset.name}"`, 'success');
+    }
+
+    /**
+     * Let the user pick a preset JSON file and add it
+     * @returns {Promise<boolean>} True if a preset was imported
+     */
+    importFromFile() {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.onchange = async (e) => {
+                const file = e.target.files[0];
+                if (!file) {
+                    resolve(false);
+                    return;
+                }
+                try {
+                    const preset = this.app.stylePresetService.importPreset(await file.text());
+                    this.app.markChanged();
+                    this.updateSummary();
+                    this.app.showToast(`Imported preset "${preset.name}"`, 'success');
+                    resolve(true);
+                } catch (error) {
+                    await this.app.customAlert('Could not import preset: ' + error.message);
+                    resolve(false);
+                }
+            };
+            input.click();
+        });
+    }
+
+    /**
+     * Open the style presets dialog
+     * @returns {Promise<void>} Resolves when the dialog is closed
+     */
+    openPresetsDialog() {
+        const service = this.app.stylePresetService;
+        if (!service) return Promise.resolve();
+        const groups = StylePresetService.getGroups();
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 560px;">
+                    <div class="modal-header">
+                        <h2>Style Presets</h2>
+                        <span class="close" id="stylePresetsClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="style-preset-list" id="stylePresetList"></div>
+                        <div class="style-preset-save">
+                            <h4>Save Current Look</h4>
+                            <input type="text" id="stylePresetName" placeholder="Preset name (e.g. Client, Crew)">
+                            <div class="style-preset-group-list">
+                                ${groups.map(group => `
+                                    <label><input type="checkbox" value="${group.id}" checked> ${HtmlUtils.escapeHtml(group.label)}</label>
+                                `).join('')}
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="stylePresetImportBtn" class="btn btn-secondary" style="margin-right: auto;">Import…</button>
+                        <button id="stylePresetDoneBtn" class="btn btn-secondary">Close</button>
+                        <button id="stylePresetSaveBtn" class="btn btn-primary">Save Preset</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const list = document.getElementById('stylePresetList');
+            const nameInput = document.getElementById('stylePresetName');
+            this.renderList(list);
+
+            list.addEventListener('click', async (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                const presetId = button.closest('.style-preset-row').dataset.id;
+                const preset = service.getPreset(presetId);
+                if (!preset) return;
+                if (button.dataset.action === 'apply') {
+                    this.applyPreset(presetId);
+                } else if (button.dataset.action === 'export') {
+                    service.exportPreset(presetId);
+                } else if (button.dataset.action === 'delete') {
+                    const confirmed = await this.app.customConfirm(`Delete the preset "${preset.name}"?`);
+                    if (!confirmed) return;
+                    service.deletePreset(presetId);
+                    this.app.markChanged();
+                    this.renderList(list);
+                    this.updateSummary();
+                }
+            });
+
+            document.getElementById('stylePresetSaveBtn').addEventListener('click', async () => {
+                const name = nameInput.value.trim();
+                const groupIds = Array.from(modal.querySelectorAll('.style-preset-group-list input:checked')).map(input => input.value);
+                if (!name) {
+                    nameInput.focus();
+                    return;
+                }
+                if (groupIds.length === 0) {
+                    await this.app.customAlert('Choose at least one group of settings to save.');
+                    return;
+                }
+                const existing = service.getPresets().find(preset => preset.name.toLowerCase() === name.toLowerCase());
+                if (existing) {
+                    const confirmed = await this.app.customConfirm(`Replace the preset "${existing.name}"?`);
+                    if (!confirmed) return;
+                }
+                service.savePreset(name, groupIds);
+                this.app.markChanged();
+                nameInput.value = '';
+                this.renderList(list);
+                this.updateSummary();
+            });
+
+            document.getElementById('stylePresetImportBtn').addEventListener('click', async () => {
+                if (await this.importFromFile()) {
+                    this.renderList(list);
+                }
+            });
+
+            const closeModal = () => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+                resolve();
+            };
+
+            document.getElementById('stylePresetsClose').addEventListener('click', closeModal);
+            document.getElementById('stylePresetDoneBtn').addEventListener('click', closeModal);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) closeModal();
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StylePresetController;
+}
@@ -0,0 +1,232 @@
+/**
+ * VersionHistoryController - Version history dialog for a storyboard frame
+ * Lists earlier art with author, date and note, compares any two versions side by side
+ * or with a slider, and promotes an earlier version back to current
+ */
+class VersionHistoryController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    formatDate(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : 'Before history';
+    }
+
+    /**
+     * All versions of a frame, oldest first, with the current art last
+     * @param {Object} image - Image in the project
+     * @returns {Array} Versions with label and isCurrent
+     */
+    getVersionList(image) {
+        const versions = (image.versions || []).map((version, index) => ({
+            ...version,
+            label: `v${index + 1}`,
+            isCurrent: false
+        }));
+        versions.push({
+            ...(image.currentVersion || { id: 'current', author: '', createdAt: null, note: 'Original', source: 'original' }),
+            url: image.url,
+            label: `v${versions.length + 1}`,
+            isCurrent: true
+        });
+        return versions;
+    }
+
+    /**
+     * Show the version history dialog for a frame
+     * @param {Object} image - Image in the project
+     */
+    showHistory(image) {
+        const sourceLabels = {
+            original: 'Original',
+            drawing: 'Drawn over',
+            replace: 'File replaced',
+            import: 'Re-imported'
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.display = 'block';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 860px;">
+                <div class="modal-header">
+                    <h2>Version History – ${HtmlUtils.escapeHtml(image.name)}</h2>
+                    <span class="close" id="versionHistoryClose">&times;</span>
+                </div>
+                <div class="modal-body" id="versionHistoryBody"></div>
+                <div class="modal-footer" style="display: flex; gap: 8px; justify-content: space-between; align-items: center;">
+                    <div class="version-history-settings">
+                        <label>Your name <input type="text" id="versionHistoryAuthor" value="${HtmlUtils.escapeHtml(this.app.imageManager.getVersionAuthor())}" placeholder="Recorded on new versions"></label>
+                        <label title="Older versions are left out of saved project files. 0 keeps every version.">
+                            Keep when saving <input type="number" id="versionHistoryKeep" min="0" value="${parseInt(this.app.project.settings.versionHistory?.keepVersions) || 0}">
+                        </label>
+                    </div>
+                    <button id="versionHistoryDoneBtn" class="btn btn-primary">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const body = document.getElementById('versionHistoryBody');
+        const state = { left: null, right: null, mode: 'side', slider: 50 };
+
+        const render = () => {
+            const versions = this.getVersionList(image);
+            const byId = (id) => versions.find(version => version.id === id);
+            if (!byId(state.right)) state.right = versions[versions.length - 1].id;
+            if (!byId(state.left)) state.left = versions[Math.max(0, versions.length - 2)].id;
+            const left = byId(state.left);
+            const right = byId(state.right);
+
+            const options = (selected) => versions.slice().reverse().map(version => `
+                <option value="${HtmlUtils.escapeHtml(version.id)}" ${version.id === selected ? 'selected' : ''}>
+                    ${version.label}${version.isCurrent ? ' (current)' : ''} – ${HtmlUtils.escapeHtml(this.formatDate(version.createdAt))}
+                </option>
+            `).join('');
+
+            const compare = state.mode === 'slider'
+                ? `
+                    <div class="version-compare-slider">
+                        <img src="${right.url}" alt="">
+                        <img src="${left.url}" alt="" style="clip-path: inset(0 ${100 - state.slider}% 0 0);" id="versionCompareTop">
+                        <div class="version-compare-divider" id="versionCompareDivider" style="left: ${state.slider}%;"></div>
+                    </div>
+                    <input type="range" id="versionCompareRange" min="0" max="100" value="${state.slider}" style="width: 100%;">
+                `
+                : `
+                    <div class="version-compare-side">
+                        <img src="${left.url}" alt="">
+                        <img src="${right.url}" alt="">
+                    </div>
+                `;
+
+            const rows = versions.slice().reverse().map(version => `
+                <div class="version-history-row ${version.isCurrent ? 'is-current' : ''}">
+                    <img src="${version.url}" alt="">
+                    <div class="version-history-info">
+                        <div>
+                            <strong>${version.label}</strong>${version.isCurrent ? ' <span class="version-history-badge">Current</span>' : ''}
+                            <span class="version-history-meta">${HtmlUtils.escapeHtml(sourceLabels[version.source] || version.source || '')} · ${HtmlUtils.escapeHtml(this.formatDate(version.createdAt))}${version.author ? ' · ' + HtmlUtils.escapeHtml(version.author) : ''}</span>
+                        </div>
+                        <input type="text" data-note="${HtmlUtils.escapeHtml(version.id)}" value="${HtmlUtils.escapeHtml(version.note)}" placeholder="Add a note">
+                    </div>
+                    ${version.isCurrent ? '' : `<button class="btn btn-secondary" data-promote="${HtmlUtils.escapeHtml(version.id)}">Make Current</button>`}
+                </div>
+            `).join('');
+
+            body.innerHTML = `
+                ${versions.length > 1 ? `
+                    <div class="version-compare-controls">
+                        <select id="versionCompareLeft">${options(state.left)}</select>
+                        <select id="versionCompareRight">${options(state.right)}</select>
+                        <button class="btn btn-secondary ${state.mode === 'side' ? 'active' : ''}" data-mode="side">Side by Side</button>
+                        <button class="btn btn-secondary ${state.mode === 'slider' ? 'active' : ''}" data-mode="slider">Slider</button>
+                    </div>
+                    ${compare}
+                ` : `
+                    <p style="color: #a0a0a0; font-size: 13px; margin-top: 0;">
+                        No earlier versions yet. Drawing over this frame or replacing its file adds the previous art here.
+                    </p>
+                `}
+                <div class="version-history-list">${rows}</div>
+            `;
+
+            const leftSelect = document.getElementById('versionCompareLeft');
+            if (leftSelect) {
+                leftSelect.addEventListener('change', () => { state.left = leftSelect.value; render(); });
+                const rightSelect = document.getElementById('versionCompareRight');
+                rightSelect.addEventListener('change', () => { state.right = rightSelect.value; render(); });
+            }
+
+            body.querySelectorAll('[data-mode]').forEach(btn => {
+                btn.addEventListener('click', () => { state.mode = btn.dataset.mode; render(); });
+            });
+
+            const range = document.getElementById('versionCompareRange');
+            if (range) {
+                range.addEventListener('input', () => {
+                    state.slider = parseInt(range.value);
+                    document.getElementById('versionCompareTop').style.clipPath = `inset(0 ${100 - state.slider}% 0 0)`;
+                    document.getElementById('versionCompareDivider').style.left = `${state.slider}%`;
+                });
+            }
+
+            body.querySelectorAll('[data-note]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const id = input.dataset.note;
+                    const target = image.currentVersion && image.currentVersion.id === id
+                        ? image.currentVersion
+                        : (image.versions || []).find(version => version.id === id);
+                    if (target) {
+                        target.note = input.value.trim();
+                    } else if (id === 'current') {
+                        image.currentVersion = { id: this.app.imageManager.generateVersionId(), author: '', createdAt: null, note: input.value.trim(), source: 'original' };
+                    }
+                    this.app.markChanged();
+                });
+            });
+
+            body.querySelectorAll('[data-promote]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const confirmed = await this.app.customConfirm('Make this version the current art? The art it replaces stays in the history.');
+                    if (!confirmed) return;
+                    if (this.app.imageManager.promoteImageVersion(image, btn.dataset.promote)) {
+                        state.left = null;
+                        state.right = null;
+                        await this.onImageChanged(image);
+                        render();
+                    }
+                });
+            });
+        };
+
+        render();
+
+        document.getElementById('versionHistoryAuthor').addEventListener('change', (e) => {
+            this.app.imageManager.setVersionAuthor(e.target.value);
+        });
+        document.getElementById('versionHistoryKeep').addEventListener('change', (e) => {
+            this.app.project.settings.versionHistory = {
+                ...(this.app.project.settings.versionHistory || {}),
+                keepVersions: Math.max(0, parseInt(e.target.value) || 0)
+            };
+            this.app.markChanged();
+        });
+
+        const closeModal = () => {
+            modal.style.display = 'none';
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+        };
+
+        document.getElementById('versionHistoryClose').addEventListener('click', closeModal);
+        document.getElementById('versionHistoryDoneBtn').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+    }
+
+    /**
+     * Refresh everything that shows a frame's art after its current version changed
+     * @param {Object} image - Image in the project
+     */
+    async onImageChanged(image) {
+        await this.app.refreshAfterStructureChange();
+
+        // Keep the image settings dialog underneath in step
+        const previewImg = document.getElementById('imageSettingsPreviewImg');
+        if (previewImg && this.app.currentEditingImage === image) {
+            previewImg.src = image.url || '';
+            const historyBtn = document.getElementById('imageSettingsHistory');
+            if (historyBtn) {
+                historyBtn.textContent = `Version History (${(image.versions || []).length + 1})`;
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VersionHistoryController;
+}
@@ -0,0 +1,169 @@
+/**
+ * WatermarkBatchController - Dialog for the per-recipient watermarked PDF export
+ */
+class WatermarkBatchController {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Ask where the copies go - while the click that opened it still counts as a user gesture
+     * @param {string} output - 'folder' or 'zip'
+     * @param {string} zipFilename - Suggested ZIP name
+     * @returns {Promise<Object|null>} Target for WatermarkBatchService.exportBatch, null if cancelled
+     */
+    async requestTarget(output, zipFilename) {
+        if (output === 'folder') {
+            if (!('showDirectoryPicker' in window)) {
+                throw new Error('This browser cannot write into a folder. Choose ZIP instead.');
+            }
+            try {
+                return { directoryHandle: await window.showDirectoryPicker({ mode: 'readwrite', startIn: 'downloads' }) };
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                throw error;
+            }
+        }
+        if (this.app.fileManager?.supportsFileSystemAccess) {
+            try {
+                const fileHandle = await window.showSaveFilePicker({
+                    suggestedName: zipFilename,
+                    types: [{
+                        description: 'ZIP files',
+                        accept: { 'application/zip': ['.zip'] }
+                    }]
+                });
+                return { fileHandle, filename: zipFilename };
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                throw error;
+            }
+        }
+        return { filename: zipFilename };
+    }
+
+    /**
+     * Open the batch dialog and run the export
+     * @param {Object} exportSettings - Storyboard PDF export settings chosen in the export dialog
+     * @returns {Promise<boolean>} True if the copies were exported
+     */
+    openBatchDialog(exportSettings) {
+        const service = this.app.watermarkBatchService;
+        if (!service) return Promise.resolve(false);
+        const config = service.getConfig();
+        const version = this.app.project.version || '';
+        const zipFilename = `${(exportSettings.projectName || 'Storyboard').replace(/[^a-z0-9]/gi, '_')}${version ? `_v${version}` : ''}_recipients.zip`;
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.style.display = 'block';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 520px;">
+                    <div class="modal-header">
+                        <h2>Export PDF per Recipient</h2>
+                        <span class="close" id="watermarkBatchClose">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p class="watermark-batch-note">Each recipient gets a copy of the storyboard PDF with their own text watermark, in place of the project watermark. A manifest with the SHA-256 hash of every copy is written alongside.</p>
+                        <label class="watermark-batch-label" for="watermarkBatchRecipients">Recipients (one per line)</label>
+                        <textarea id="watermarkBatchRecipients" class="watermark-batch-recipients" rows="8" placeholder="Camera Department&#10;Jane Doe">${HtmlUtils.escapeHtml(config.recipients.join('\n'))}</textarea>
+                        <label class="watermark-batch-label" for="watermarkBatchTemplate">Watermark</label>
+                        <input type="text" id="watermarkBatchTemplate" value="${HtmlUtils.escapeHtml(config.template)}">
+                        <div class="watermark-batch-tokens">${WatermarkBatchService.getTokens().map(token => `<code title="${HtmlUtils.escapeHtml(token.description)}">${token.token}</code>`).join(' ')}</div>
+                        <div class="watermark-batch-preview" id="watermarkBatchPreview"></div>
+                        <div class="watermark-batch-output">
+                            <label><input type="radio" name="watermarkBatchOutput" value="folder" ${config.output === 'folder' ? 'checked' : ''}> Folder</label>
+                            <label><input type="radio" name="watermarkBatchOutput" value="zip" ${config.output === 'zip' ? 'checked' : ''}> ZIP file</label>
+                        </div>
+                        <div class="watermark-batch-progress" id="watermarkBatchProgress"></div>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button id="watermarkBatchCancelBtn" class="btn btn-secondary">Cancel</button>
+                        <button id="watermarkBatchExportBtn" class="btn btn-primary">Export</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const recipientsInput = document.getElementById('watermarkBatchRecipients');
+            const templateInput = document.getElementById('watermarkBatchTemplate');
+            const preview = document.getElementById('watermarkBatchPreview');
+            const progress = document.getElementById('watermarkBatchProgress');
+            const exportBtn = document.getElementById('watermarkBatchExportBtn');
+            let exporting = false;
+
+            const updatePreview = () => {
+                const recipients = service.parseRecipients(recipientsInput.value);
+                preview.textContent = recipients.length > 0
+                    ? `${recipients.length} cop${recipients.length === 1 ? 'y' : 'ies'} · e.g. "${service.resolveWatermark(templateInput.value, recipients[0], 0)}"`
+                    : 'No recipients yet';
+            };
+            recipientsInput.addEventListener('input', updatePreview);
+            templateInput.addEventListener('input', updatePreview);
+            updatePreview();
+
+            const closeModal = (exported) => {
+                modal.style.display = 'none';
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
+                resolve(exported);
+            };
+
+            exportBtn.addEventListener('click', async () => {
+                if (exporting) return;
+                service.setConfig({
+                    recipients: recipientsInput.value,
+                    template: templateInput.value,
+                    output: modal.querySelector('input[name="watermarkBatchOutput"]:checked').value
+                });
+                this.app.markChanged();
+                const saved = service.getConfig();
+                if (saved.recipients.length === 0) {
+                    await this.app.customAlert('Add at least one recipient.');
+                    return;
+                }
+
+                let target = null;
+                try {
+                    target = await this.requestTarget(saved.output, zipFilename);
+                } catch (error) {
+                    await this.app.customAlert('Error: ' + error.message);
+                    return;
+                }
+                if (!target) return;
+
+                exporting = true;
+                exportBtn.disabled = true;
+                try {
+                    const manifest = await service.exportBatch(exportSettings, target, (done, total, recipient) => {
+                        progress.textContent = `Exporting ${done + 1} of ${total}: ${recipient}…`;
+                    });
+                    this.app.showToast(`Exported ${manifest.files.length} watermarked PDF${manifest.files.length !== 1 ? 's' : ''} with manifest`, 'success');
+                    closeModal(true);
+                } catch (error) {
+                    console.error('Error exporting watermarked PDFs:', error);
+                    exporting = false;
+                    exportBtn.disabled = false;
+                    progress.textContent = '';
+                    await this.app.customAlert('Error exporting watermarked PDFs: ' + error.message);
+                }
+            });
+
+            const cancel = () => {
+                if (!exporting) closeModal(false);
+            };
+            document.getElementById('watermarkBatchCancelBtn').addEventListener('click', cancel);
+            document.getElementById('watermarkBatchClose').addEventListener('click', cancel);
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) cancel();
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatermarkBatchController;
+}
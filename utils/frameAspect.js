@@ -0,0 +1,109 @@
+/**
+ * Frame Aspect Utility
+ * Resolves the frame aspect ratio of a project (with optional per-scene overrides) and
+ * places images whose own ratio does not match the frame (crop to fill, letterbox or fit)
+ */
+
+// Frame height as a share of width used for layout when frames follow their images ('none')
+const DEFAULT_FRAME_HEIGHT_RATIO = 0.5;
+
+const FRAME_FIT_MODES = ['crop', 'letterbox', 'fit'];
+
+/**
+ * Parse an aspect ratio setting
+ * @param {string} value - 'none', 'custom', 'W:H' (e.g. '16:9', '2.39:1') or a plain number ('2.39')
+ * @param {number} customWidth - Width used for 'custom'
+ * @param {number} customHeight - Height used for 'custom'
+ * @returns {number|null} Width / height, or null if frames follow their images
+ */
+function parseAspectRatio(value, customWidth, customHeight) {
+    if (!value || value === 'none') return null;
+    let ratio;
+    if (value === 'custom') {
+        ratio = (parseFloat(customWidth) || 16) / (parseFloat(customHeight) || 9);
+    } else {
+        const parts = String(value).split(':');
+        ratio = parts.length === 2
+            ? parseFloat(parts[0]) / parseFloat(parts[1])
+            : parseFloat(parts[0]);
+    }
+    return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+}
+
+/**
+ * Get the frame aspect ratio for a scene
+ * A scene override (settings.sceneAspectRatios) wins over the project ratio
+ * @param {Object} settings - Project settings
+ * @param {string} sceneNumber - Scene of the frame (optional)
+ * @returns {number|null} Width / height, or null if frames follow their images
+ */
+function getFrameAspect(settings, sceneNumber) {
+    const overrides = settings.sceneAspectRatios || {};
+    const override = sceneNumber ? overrides[sceneNumber] : null;
+    if (override) {
+        return parseAspectRatio(override, settings.customAspectRatioWidth, settings.customAspectRatioHeight);
+    }
+    return parseAspectRatio(settings.imageAspectRatio, settings.customAspectRatioWidth, settings.customAspectRatioHeight);
+}
+
+/**
+ * Get the frame height as a share of frame width used to lay out pages
+ * With per-scene overrides the tallest frame wins, so every page fits the grid
+ * @param {Object} settings - Project settings
+ * @returns {number} Height / width
+ */
+function getLayoutHeightRatio(settings) {
+    const ratios = [getFrameAspect(settings)];
+    Object.keys(settings.sceneAspectRatios || {}).forEach(scene => {
+        ratios.push(getFrameAspect(settings, scene));
+    });
+    const heights = ratios.map(ratio => ratio ? 1 / ratio : DEFAULT_FRAME_HEIGHT_RATIO);
+    return Math.max(...heights);
+}
+
+/**
+ * Get how mismatched images are placed in their frame
+ * @param {Object} settings - Project settings
+ * @returns {string} 'crop', 'letterbox' or 'fit'
+ */
+function getFitMode(settings) {
+    return FRAME_FIT_MODES.includes(settings.frameFitMode) ? settings.frameFitMode : 'crop';
+}
+
+/**
+ * Place an image inside a frame
+ * 'crop' fills the frame and cuts off the overflow; 'letterbox' and 'fit' show the whole image
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @param {string} mode - 'crop', 'letterbox' or 'fit'
+ * @returns {{x: number, y: number, width: number, height: number}} Image rectangle relative to the frame
+ */
+function fitRect(imageWidth, imageHeight, frameWidth, frameHeight, mode) {
+    const scaleX = frameWidth / imageWidth;
+    const scaleY = frameHeight / imageHeight;
+    const scale = mode === 'crop' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+    return {
+        x: (frameWidth - width) / 2,
+        y: (frameHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseAspectRatio, getFrameAspect, getLayoutHeightRatio, getFitMode, fitRect, DEFAULT_FRAME_HEIGHT_RATIO };
+} else {
+    window.FrameAspect = {
+        parseAspectRatio,
+        getFrameAspect,
+        getLayoutHeightRatio,
+        getFitMode,
+        fitRect,
+        DEFAULT_FRAME_HEIGHT_RATIO
+    };
+}
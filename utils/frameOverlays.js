@@ -0,0 +1,206 @@
+/**
+ * Frame Overlay Utility
+ * Framing guides laid over frames: safe areas, grids (rule of thirds) and delivery crops
+ * (e.g. the 9:16 extraction of a 16:9 frame). Shapes are in frame units (0-1 on both axes),
+ * so one definition fits any frame; crops also need the frame's aspect ratio.
+ */
+
+const OVERLAY_TYPES = ['safe', 'grid', 'crop'];
+
+// Darkening outside a shaded crop
+const OVERLAY_SHADE_OPACITY = 0.5;
+
+/**
+ * Parse a crop ratio ('9:16', '1:1' or a plain number)
+ * @param {string} value - Ratio
+ * @returns {number|null} Width / height
+ */
+function parseOverlayRatio(value) {
+    const parts = String(value || '').split(':');
+    const ratio = parts.length === 2 ? parseFloat(parts[0]) / parseFloat(parts[1]) : parseFloat(parts[0]);
+    return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+}
+
+/**
+ * Get the shapes of an overlay
+ * @param {Object} overlay - { type, size (safe: % of the frame), rows, cols (grid), ratio, shade (crop) }
+ * @param {number} frameAspect - Width / height of the frame
+ * @returns {{rects: Array, lines: Array, shade: Object|null}} Outlines {x, y, width, height}, lines {x1, y1, x2, y2}
+ *   and the crop whose outside is darkened, in frame units
+ */
+function getOverlayShapes(overlay, frameAspect) {
+    const shapes = { rects: [], lines: [], shade: null };
+    if (overlay.type === 'safe') {
+        const size = Math.min(100, Math.max(1, parseFloat(overlay.size) || 90)) / 100;
+        const inset = (1 - size) / 2;
+        shapes.rects.push({ x: inset, y: inset, width: size, height: size });
+    } else if (overlay.type === 'grid') {
+        const rows = Math.min(12, Math.max(1, parseInt(overlay.rows, 10) || 3));
+        const cols = Math.min(12, Math.max(1, parseInt(overlay.cols, 10) || 3));
+        for (let i = 1; i < cols; i++) {
+            shapes.lines.push({ x1: i / cols, y1: 0, x2: i / cols, y2: 1 });
+        }
+        for (let i = 1; i < rows; i++) {
+            shapes.lines.push({ x1: 0, y1: i / rows, x2: 1, y2: i / rows });
+        }
+    } else if (overlay.type === 'crop') {
+        const ratio = parseOverlayRatio(overlay.ratio);
+        if (!ratio || !frameAspect) return shapes;
+        // Largest centered box of the crop ratio inside the frame
+        const width = ratio < frameAspect ? ratio / frameAspect : 1;
+        const height = ratio < frameAspect ? 1 : frameAspect / ratio;
+        const rect = { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+        shapes.rects.push(rect);
+        if (overlay.shade) shapes.shade = rect;
+    }
+    return shapes;
+}
+
+function getOverlayOpacity(overlay) {
+    const opacity = parseFloat(overlay.opacity);
+    return Number.isFinite(opacity) ? Math.min(100, Math.max(0, opacity)) / 100 : 0.8;
+}
+
+/**
+ * Create an SVG element drawing overlays over a frame; it stretches to its positioned parent
+ * @param {Array} overlays - Overlay definitions
+ * @param {number} frameAspect - Width / height of the frame
+ * @returns {SVGElement}
+ */
+function createOverlayElement(overlays, frameAspect) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('class', 'frame-overlay');
+    svg.setAttribute('viewBox', '0 0 1 1');
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('aria-hidden', 'true');
+
+    const create = (tag, attributes) => {
+        const element = document.createElementNS(ns, tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        return element;
+    };
+    overlays.forEach(overlay => {
+        const shapes = getOverlayShapes(overlay, frameAspect);
+        if (shapes.shade) {
+            const { x, y, width, height } = shapes.shade;
+            svg.appendChild(create('path', {
+                d: `M0 0H1V1H0Z M${x} ${y}V${y + height}H${x + width}V${y}Z`,
+                fill: '#000000',
+                'fill-opacity': OVERLAY_SHADE_OPACITY,
+                'fill-rule': 'evenodd'
+            }));
+        }
+        const stroke = {
+            fill: 'none',
+            stroke: overlay.color || '#ffffff',
+            'stroke-opacity': getOverlayOpacity(overlay),
+            'stroke-width': 1.5,
+            'vector-effect': 'non-scaling-stroke'
+        };
+        shapes.rects.forEach(rect => {
+            svg.appendChild(create('rect', Object.assign({ x: rect.x, y: rect.y, width: rect.width, height: rect.height }, stroke)));
+        });
+        shapes.lines.forEach(line => {
+            svg.appendChild(create('line', Object.assign({ x1: line.x1, y1: line.y1, x2: line.x2, y2: line.y2 }, stroke)));
+        });
+    });
+    return svg;
+}
+
+/**
+ * Draw overlays on a canvas, over a frame drawn at the given rectangle (video and PDF exports)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} overlays - Overlay definitions
+ * @param {{x: number, y: number, width: number, height: number}} frame - Frame rectangle in canvas px
+ */
+function drawOverlays(ctx, overlays, frame) {
+    if (!overlays || overlays.length === 0 || frame.width <= 0 || frame.height <= 0) return;
+    const frameAspect = frame.width / frame.height;
+    const toX = (x) => frame.x + x * frame.width;
+    const toY = (y) => frame.y + y * frame.height;
+
+    ctx.save();
+    ctx.lineWidth = Math.max(1, Math.round(Math.min(frame.width, frame.height) / 360));
+    overlays.forEach(overlay => {
+        const shapes = getOverlayShapes(overlay, frameAspect);
+        if (shapes.shade) {
+            const { x, y, width, height } = shapes.shade;
+            ctx.globalAlpha = OVERLAY_SHADE_OPACITY;
+            ctx.fillStyle = '#000000';
+            ctx.beginPath();
+            ctx.rect(frame.x, frame.y, frame.width, frame.height);
+            ctx.rect(toX(x), toY(y), width * frame.width, height * frame.height);
+            ctx.fill('evenodd');
+        }
+        ctx.globalAlpha = getOverlayOpacity(overlay);
+        ctx.strokeStyle = overlay.color || '#ffffff';
+        shapes.rects.forEach(rect => {
+            ctx.strokeRect(toX(rect.x), toY(rect.y), rect.width * frame.width, rect.height * frame.height);
+        });
+        if (shapes.lines.length > 0) {
+            ctx.beginPath();
+            shapes.lines.forEach(line => {
+                ctx.moveTo(toX(line.x1), toY(line.y1));
+                ctx.lineTo(toX(line.x2), toY(line.y2));
+            });
+            ctx.stroke();
+        }
+    });
+    ctx.restore();
+}
+
+/**
+ * Draw overlays as vector lines into a jsPDF document, over a frame at the given rectangle (vector PDF export)
+ * @param {Object} pdf - jsPDF document
+ * @param {Array} overlays - Overlay definitions
+ * @param {{x: number, y: number, width: number, height: number}} frame - Frame rectangle in mm
+ */
+function drawOverlaysPdf(pdf, overlays, frame) {
+    if (!overlays || overlays.length === 0 || frame.width <= 0 || frame.height <= 0) return;
+    const frameAspect = frame.width / frame.height;
+    const toX = (x) => frame.x + x * frame.width;
+    const toY = (y) => frame.y + y * frame.height;
+
+    pdf.saveGraphicsState();
+    pdf.setLineWidth(Math.max(0.15, Math.min(frame.width, frame.height) / 360));
+    overlays.forEach(overlay => {
+        const shapes = getOverlayShapes(overlay, frameAspect);
+        if (shapes.shade) {
+            // The darkened outside of the crop, as the bands around it
+            const { x, y, width, height } = shapes.shade;
+            pdf.setGState(new pdf.GState({ opacity: OVERLAY_SHADE_OPACITY }));
+            pdf.setFillColor(0, 0, 0);
+            [
+                [0, 0, 1, y], [0, y + height, 1, 1 - y - height],
+                [0, y, x, height], [x + width, y, 1 - x - width, height]
+            ].filter(band => band[2] > 0 && band[3] > 0).forEach(band => {
+                pdf.rect(toX(band[0]), toY(band[1]), band[2] * frame.width, band[3] * frame.height, 'F');
+            });
+        }
+        const opacity = getOverlayOpacity(overlay);
+        pdf.setGState(new pdf.GState({ opacity, 'stroke-opacity': opacity }));
+        pdf.setDrawColor(overlay.color || '#ffffff');
+        shapes.rects.forEach(rect => {
+            pdf.rect(toX(rect.x), toY(rect.y), rect.width * frame.width, rect.height * frame.height, 'S');
+        });
+        shapes.lines.forEach(line => {
+            pdf.line(toX(line.x1), toY(line.y1), toX(line.x2), toY(line.y2));
+        });
+    });
+    pdf.restoreGraphicsState();
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseOverlayRatio, getOverlayShapes, createOverlayElement, drawOverlays, drawOverlaysPdf, OVERLAY_TYPES };
+} else {
+    window.FrameOverlays = {
+        parseOverlayRatio,
+        getOverlayShapes,
+        createOverlayElement,
+        drawOverlays,
+        drawOverlaysPdf,
+        OVERLAY_TYPES
+    };
+}
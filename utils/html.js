@@ -0,0 +1,22 @@
+/**
+ * HTML Utilities
+ * Helpers for dialogs that build their markup as strings
+ */
+
+/**
+ * Escape a value for HTML text and quoted attribute values
+ * @param {*} value - Value to show (0 and false are kept; null and undefined show as nothing)
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml };
+} else {
+    window.HtmlUtils = {
+        escapeHtml
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * Image Hash Utility
+ * Perceptual (difference) hashes for spotting re-rendered or re-exported copies of a frame
+ * Two images with a small Hamming distance between their hashes look nearly the same,
+ * regardless of file name, format or compression
+ */
+
+const HASH_WIDTH = 9; // One extra column - each bit compares a pixel with its right neighbour
+const HASH_HEIGHT = 8;
+
+/**
+ * Load an image URL into an HTMLImageElement
+ * @param {string} url - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadHashImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image for hashing'));
+        img.src = url;
+    });
+}
+
+/**
+ * Compute a 64-bit difference hash (dHash) of an image
+ * @param {string} url - Image URL or data URL
+ * @returns {Promise<string>} 16-character hex hash
+ */
+async function computeImageHash(url) {
+    const img = await loadHashImage(url);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = HASH_WIDTH;
+    canvas.height = HASH_HEIGHT;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+
+    const data = ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT).data;
+    const luma = (x, y) => {
+        const i = (y * HASH_WIDTH + x) * 4;
+        return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    };
+
+    let hash = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        let byte = 0;
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            byte = (byte << 1) | (luma(x, y) < luma(x + 1, y) ? 1 : 0);
+        }
+        hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+}
+
+/**
+ * Hamming distance between two hashes (0 = identical, 64 = completely different)
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Number of differing bits
+ */
+function hashDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { computeImageHash, hashDistance };
+} else {
+    window.ImageHash = {
+        computeImageHash,
+        hashDistance
+    };
+}
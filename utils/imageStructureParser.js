@@ -25,6 +25,113 @@ class ImageStructureParser {
             separatedNumbers: /[_\-\s]+(\d+)[_\-\s]+(\d+)[_\-\s]+(\d+)/,
             twoNumbers: /[_\-\s]+(\d+)[_\-\s]+(\d+)/,
         };
+
+        // User-defined naming rules (saved with the project in settings.importRules)
+        // Each rule: { id, name, pattern, enabled } where pattern uses tokens
+        // {scene}, {shot}, {frame}, {version} and {*}, e.g. "SQ{scene}_SH{shot}_v{version}_f{frame}"
+        this.customRules = [];
+        this.compiledRules = [];
+    }
+
+    /**
+     * Set user-defined naming rules. Custom rules are tried before the built-in patterns.
+     * @param {Array} rules - Array of { id, name, pattern, enabled }
+     */
+    setCustomRules(rules) {
+        this.customRules = Array.isArray(rules) ? rules : [];
+        this.compiledRules = this.customRules
+            .filter(rule => rule && rule.enabled !== false && rule.pattern)
+            .map(rule => this.compileCustomRule(rule))
+            .filter(Boolean);
+    }
+
+    /**
+     * Compile a rule pattern into a regular expression
+     * @param {Object} rule - Rule with a token pattern
+     * @returns {Object|null} { rule, regex, tokens, matchPath } or null if the pattern is invalid
+     */
+    compileCustomRule(rule) {
+        const tokenRegex = /\{(scene|shot|frame|version|\*)\}/gi;
+        const tokens = [];
+        let source = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tokenRegex.exec(rule.pattern)) !== null) {
+            source += this.escapeRegex(rule.pattern.slice(lastIndex, match.index));
+            const token = match[1].toLowerCase();
+            if (token === '*') {
+                source += '.*?';
+            } else {
+                tokens.push(token);
+                // Scene/shot/frame may carry a letter suffix (e.g. 0010A)
+                source += token === 'version' ? '(\\d+)' : '(\\d+[a-z]?)';
+            }
+            lastIndex = tokenRegex.lastIndex;
+        }
+        source += this.escapeRegex(rule.pattern.slice(lastIndex));
+
+        if (tokens.length === 0) {
+            return null;
+        }
+
+        try {
+            return {
+                rule: rule,
+                regex: new RegExp(`^${source}$`, 'i'),
+                tokens: tokens,
+                // Patterns containing "/" are matched against the relative path instead of the filename
+                matchPath: rule.pattern.includes('/')
+            };
+        } catch (error) {
+            console.warn('Invalid import rule pattern:', rule.pattern, error);
+            return null;
+        }
+    }
+
+    /**
+     * Escape a literal string for use inside a regular expression
+     */
+    escapeRegex(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Try the custom rules against a single file
+     * @param {Object} file - File or wrapper object
+     * @returns {Object|null} Matched values with the rule name, or null if no rule matched
+     */
+    matchCustomRules(file) {
+        const fileName = file.name || (file.file && file.file.name) || '';
+        const path = file.webkitRelativePath || fileName;
+        const baseName = fileName.replace(/\.[^/.]+$/, '');
+        const basePath = path.replace(/\.[^/.]+$/, '');
+
+        for (const compiled of this.compiledRules) {
+            const match = compiled.regex.exec(compiled.matchPath ? basePath : baseName);
+            if (!match) continue;
+
+            const values = { sceneNumber: '', shotNumber: '', frameNumber: '', version: '' };
+            compiled.tokens.forEach((token, index) => {
+                const value = match[index + 1];
+                if (token === 'version') {
+                    values.version = value;
+                } else {
+                    values[`${token}Number`] = this.padTokenValue(value);
+                }
+            });
+            values.matchedRule = compiled.rule.name || compiled.rule.pattern;
+            return values;
+        }
+
+        return null;
+    }
+
+    /**
+     * Pad the numeric part of a token value and normalize its letter suffix ("40a" -> "040A")
+     */
+    padTokenValue(value) {
+        return value.replace(/^\d+/, digits => this.padNumber(digits)).toUpperCase();
     }
 
     /**
@@ -44,6 +151,18 @@ class ImageStructureParser {
             return structure;
         }
 
+        // User-defined rules take precedence over the built-in conventions
+        if (this.compiledRules.length > 0) {
+            const customStructure = this.detectCustomRuleStructure(files);
+            if (customStructure.recognized) {
+                structure.type = 'custom_rules';
+                structure.images = customStructure.images;
+                structure.recognized = true;
+                structure.structureInfo = customStructure.info;
+                return structure;
+            }
+        }
+
         // Check for nested folder structure (scene/shot/images)
         const folderStructure = this.detectFolderStructure(files);
         if (folderStructure.recognized) {
@@ -71,6 +190,67 @@ class ImageStructureParser {
         return structure;
     }
 
+    /**
+     * Detect structure using the user-defined naming rules
+     * Files that match no rule keep a frame number from their filename and report matchedRule: null
+     */
+    detectCustomRuleStructure(files) {
+        const images = [];
+        const ruleCounts = {};
+        let recognizedCount = 0;
+
+        files.forEach(file => {
+            const fileName = file.name || (file.file && file.file.name) || 'unknown';
+            const path = file.webkitRelativePath || fileName;
+            const match = this.matchCustomRules(file);
+
+            if (match) {
+                recognizedCount++;
+                ruleCounts[match.matchedRule] = (ruleCounts[match.matchedRule] || 0) + 1;
+                images.push({
+                    file: file,
+                    sceneNumber: match.sceneNumber,
+                    shotNumber: match.shotNumber,
+                    frameNumber: match.frameNumber,
+                    version: match.version,
+                    matchedRule: match.matchedRule,
+                    path: path
+                });
+            } else {
+                images.push({
+                    file: file,
+                    sceneNumber: '',
+                    shotNumber: '',
+                    frameNumber: this.extractFrameNumber(fileName),
+                    version: '',
+                    matchedRule: null,
+                    path: path
+                });
+            }
+        });
+
+        images.sort((a, b) => this.compareParsedImages(a, b));
+
+        // Same threshold as the built-in flat file detection
+        // Images are still returned so the per-file results can be previewed
+        if (recognizedCount < files.length * 0.5) {
+            return { recognized: false, images: images };
+        }
+
+        return {
+            recognized: true,
+            images: images,
+            info: {
+                structure: 'custom naming rules',
+                recognized: recognizedCount,
+                total: files.length,
+                rules: ruleCounts,
+                scenes: new Set(images.map(img => img.sceneNumber).filter(Boolean)).size,
+                shots: new Set(images.map(img => img.shotNumber).filter(Boolean)).size
+            }
+        };
+    }
+
     /**
      * Detect nested folder structure (scene/shot/images)
      */
@@ -246,23 +426,7 @@ class ImageStructureParser {
         });
 
         // Sort by scene, shot, frame
-        images.sort((a, b) => {
-            if (a.sceneNumber && b.sceneNumber) {
-                const sceneDiff = parseInt(a.sceneNumber) - parseInt(b.sceneNumber);
-                if (sceneDiff !== 0) return sceneDiff;
-            } else if (a.sceneNumber) return -1;
-            else if (b.sceneNumber) return 1;
-
-            if (a.shotNumber && b.shotNumber) {
-                const shotDiff = parseInt(a.shotNumber) - parseInt(b.shotNumber);
-                if (shotDiff !== 0) return shotDiff;
-            } else if (a.shotNumber) return -1;
-            else if (b.shotNumber) return 1;
-
-            const frameA = parseInt(a.frameNumber) || 0;
-            const frameB = parseInt(b.frameNumber) || 0;
-            return frameA - frameB;
-        });
+        images.sort((a, b) => this.compareParsedImages(a, b));
 
         // Consider recognized if at least 50% of files match patterns
         const recognized = recognizedCount >= files.length * 0.5;
@@ -289,6 +453,30 @@ class ImageStructureParser {
         return { recognized: false };
     }
 
+    /**
+     * Compare two parsed images by scene, shot, then frame (missing values sort last)
+     */
+    compareParsedImages(a, b) {
+        if (a.sceneNumber && b.sceneNumber) {
+            const sceneDiff = parseInt(a.sceneNumber) - parseInt(b.sceneNumber);
+            if (sceneDiff !== 0) return sceneDiff;
+        } else if (a.sceneNumber) return -1;
+        else if (b.sceneNumber) return 1;
+
+        if (a.shotNumber && b.shotNumber) {
+            const shotDiff = parseInt(a.shotNumber) - parseInt(b.shotNumber);
+            if (shotDiff !== 0) return shotDiff;
+        } else if (a.shotNumber) return -1;
+        else if (b.shotNumber) return 1;
+
+        const frameA = parseInt(a.frameNumber) || 0;
+        const frameB = parseInt(b.frameNumber) || 0;
+        if (frameA !== frameB) return frameA - frameB;
+
+        // Same number - letter suffixes (0010A) sort after the plain frame
+        return String(a.frameNumber).localeCompare(String(b.frameNumber));
+    }
+
     /**
      * Parse simple structure (just use filenames)
      */
@@ -3,7 +3,7 @@
  * Pure functions for mathematical calculations
  */
 
-import { LAYOUT_CONSTANTS } from '../config/constants.js';
+import { LAYOUT_CONSTANTS, IMAGE_ASPECT_RATIO } from '../config/constants.js';
 
 /**
  * Convert millimeters to pixels
@@ -43,7 +43,7 @@ export function calculateOptimalLayout(imagesPerPage, pageSize, orientation, opt
         componentMarginsPx = LAYOUT_CONSTANTS.COMPONENT_MARGINS_PX,
         minFrameWidthPx = LAYOUT_CONSTANTS.MIN_FRAME_WIDTH_PX,
         heightTolerancePx = LAYOUT_CONSTANTS.HEIGHT_TOLERANCE_PX,
-        imageAspectRatio = 0.5
+        imageAspectRatio = IMAGE_ASPECT_RATIO
     } = options;
 
     // Get page dimensions in mm
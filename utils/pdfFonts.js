@@ -0,0 +1,79 @@
+/**
+ * PDF Font Utility
+ * Maps the CSS font stacks the app offers to fonts jsPDF can write as real text.
+ * The web fonts (the handwriting faces) are embedded from the static TrueType files of the
+ * @expo-google-fonts packages, pinned to a version on jsDelivr like the other libraries; system fonts
+ * map to the PDF standard fonts (Helvetica, Times, Courier), which every reader has and which are not embedded.
+ */
+
+const PDF_FONT_BASE_URL = 'https://cdn.jsdelivr.net/npm/@expo-google-fonts/';
+
+// TrueType files of the web fonts, by family; faces without a bold file use the regular one
+const PDF_EMBEDDED_FONTS = {
+    'Kalam': { normal: 'kalam@0.4.1/400Regular/Kalam_400Regular.ttf', bold: 'kalam@0.4.1/700Bold/Kalam_700Bold.ttf' },
+    'Caveat': { normal: 'caveat@0.4.2/400Regular/Caveat_400Regular.ttf', bold: 'caveat@0.4.2/700Bold/Caveat_700Bold.ttf' },
+    'Permanent Marker': { normal: 'permanent-marker@0.4.0/400Regular/PermanentMarker_400Regular.ttf' },
+    'Shadows Into Light': { normal: 'shadows-into-light@0.4.1/400Regular/ShadowsIntoLight_400Regular.ttf' },
+    'Dancing Script': { normal: 'dancing-script@0.4.2/400Regular/DancingScript_400Regular.ttf', bold: 'dancing-script@0.4.2/700Bold/DancingScript_700Bold.ttf' },
+    'Pacifico': { normal: 'pacifico@0.4.1/400Regular/Pacifico_400Regular.ttf' }
+};
+
+/**
+ * Split a CSS font-family value into family names
+ * @param {string} fontFamily - e.g. "'Kalam', cursive"
+ * @returns {Array<string>}
+ */
+function parseFontFamilies(fontFamily) {
+    return String(fontFamily || '')
+        .split(',')
+        .map(name => name.trim().replace(/^['"]|['"]$/g, ''))
+        .filter(Boolean);
+}
+
+function getStandardFont(name) {
+    if (/mono|courier|consolas/i.test(name)) return 'courier';
+    if (/sans|arial|helvetica|verdana|trebuchet|tahoma|system-ui/i.test(name)) return 'helvetica';
+    if (/serif|times|georgia|garamond|palatino/i.test(name)) return 'times';
+    return null;
+}
+
+/**
+ * Pick the PDF font for a CSS font
+ * @param {string} fontFamily - CSS font-family
+ * @param {string|number} fontWeight - CSS font-weight
+ * @param {string} fontStyle - CSS font-style
+ * @returns {{family: string, style: string, file: string|null, url: string|null}} jsPDF family and style;
+ *   file and url are set when the font has to be embedded
+ */
+function resolvePdfFont(fontFamily, fontWeight, fontStyle) {
+    const bold = fontWeight === 'bold' || parseInt(fontWeight, 10) >= 600;
+    const italic = fontStyle === 'italic' || fontStyle === 'oblique';
+    const families = parseFontFamilies(fontFamily);
+
+    for (const name of families) {
+        const files = PDF_EMBEDDED_FONTS[name];
+        if (files) {
+            const style = bold && files.bold ? 'bold' : 'normal';
+            const path = files[style];
+            return { family: name, style, file: path.split('/').pop(), url: PDF_FONT_BASE_URL + path };
+        }
+        const standard = getStandardFont(name);
+        if (standard) {
+            const style = bold && italic ? 'bolditalic' : bold ? 'bold' : italic ? 'italic' : 'normal';
+            return { family: standard, style, file: null, url: null };
+        }
+    }
+    return { family: 'helvetica', style: bold ? 'bold' : 'normal', file: null, url: null };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseFontFamilies, resolvePdfFont, PDF_EMBEDDED_FONTS, PDF_FONT_BASE_URL };
+} else {
+    window.PDFFonts = {
+        parseFontFamilies,
+        resolvePdfFont,
+        PDF_EMBEDDED_FONTS,
+        PDF_FONT_BASE_URL
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * PDF Navigation Utility
+ * Bookmarks (document outline) and page labels for exported PDFs. jsPDF writes the outline itself;
+ * page labels are added to the document catalog, so readers show e.g. "Cover", "Scene 3" and "12"
+ * instead of the physical page number.
+ */
+
+/**
+ * Key of a shot, the same one the shot list groups storyboard images by
+ */
+function getShotKey(sceneNumber, shotNumber) {
+    return `${sceneNumber || ''}_${shotNumber || ''}`;
+}
+
+function escapePdfString(text) {
+    return String(text).replace(/[\\()]/g, c => `\\${c}`).replace(/[^\x20-\x7e]/g, '?');
+}
+
+/**
+ * Set the page labels of a document; call once, before the document is written
+ * @param {Object} pdf - jsPDF document
+ * @param {Array} labels - One per page, in order: { prefix, number } - number is null for a page labelled
+ *   by its prefix alone ("Cover"); consecutive numbered pages with the same prefix share one range
+ */
+function setPageLabels(pdf, labels) {
+    const ranges = [];
+    labels.forEach((label, index) => {
+        const previous = index > 0 ? labels[index - 1] : null;
+        const continues = previous && label.number !== null && previous.number !== null &&
+            label.prefix === previous.prefix && label.number === previous.number + 1;
+        if (continues) return;
+        const entries = [];
+        if (label.number !== null) entries.push('/S /D', `/St ${label.number}`);
+        if (label.prefix) entries.push(`/P (${escapePdfString(label.prefix)})`);
+        ranges.push(`${index} << ${entries.join(' ')} >>`);
+    });
+    if (ranges.length === 0) return;
+    pdf.internal.events.subscribe('putCatalog', () => {
+        pdf.internal.write(`/PageLabels << /Nums [${ranges.join(' ')}] >>`);
+    });
+}
+
+/**
+ * Add scene → shot bookmarks, each pointing to the first page that shows it
+ * @param {Object} pdf - jsPDF document
+ * @param {Object|null} parent - Outline node to add to (null for the top level)
+ * @param {Array} shots - { sceneNumber, shotNumber, pageNumber } in document order
+ * @param {Object} scenePages - Optional page of each scene (e.g. its title page): { [sceneNumber]: pageNumber }
+ */
+function addShotOutline(pdf, parent, shots, scenePages = {}) {
+    const scenes = new Map();
+    const seen = new Set();
+    shots.forEach(shot => {
+        const key = getShotKey(shot.sceneNumber, shot.shotNumber);
+        if (seen.has(key)) return;
+        seen.add(key);
+        const sceneKey = shot.sceneNumber || '';
+        if (!scenes.has(sceneKey)) {
+            const pageNumber = scenePages[sceneKey] || shot.pageNumber;
+            scenes.set(sceneKey, pdf.outline.add(parent, sceneKey ? `Scene ${sceneKey}` : 'No scene', { pageNumber }));
+        }
+        if (shot.shotNumber) {
+            pdf.outline.add(scenes.get(sceneKey), `Shot ${shot.shotNumber}`, { pageNumber: shot.pageNumber });
+        }
+    });
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getShotKey, setPageLabels, addShotOutline };
+} else {
+    window.PDFNavigation = {
+        getShotKey,
+        setPageLabels,
+        addShotOutline
+    };
+}
@@ -0,0 +1,331 @@
+/**
+ * PPTX Writer Utility
+ * Writes a PowerPoint presentation (Office Open XML) with JSZip, in the browser. Slides hold pictures and
+ * text boxes on a solid background, plus optional speaker notes; that is all the storyboard exports need.
+ * Positions and sizes are in mm, font sizes in points.
+ * The helpers are scoped to this file; only window.PPTXWriter is global (utils/frameAspect.js has its own fitRect).
+ */
+
+(function () {
+    const EMU_PER_MM = 36000;
+    const NOTES_SIZE = { cx: 6858000, cy: 9144000 };
+
+    const NS_A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+    const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const NS_P = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+    const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml';
+    const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+    function emu(mm) {
+        return Math.round(mm * EMU_PER_MM);
+    }
+
+    function escapeXml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    }
+
+    function color(hex, fallback = '000000') {
+        const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim());
+        return (match ? match[1] : fallback).toUpperCase();
+    }
+
+    function solidFill(hex, opacity = 1) {
+        const alpha = opacity < 1 ? `<a:alpha val="${Math.round(Math.max(0, opacity) * 100000)}"/>` : '';
+        return `<a:solidFill><a:srgbClr val="${color(hex)}">${alpha}</a:srgbClr></a:solidFill>`;
+    }
+
+    function relationships(entries) {
+        return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+            entries.map(entry => `<Relationship Id="${entry.id}" Type="${entry.type}" Target="${entry.target}"/>`).join('') +
+            '</Relationships>';
+    }
+
+    /**
+     * Largest rectangle of a given aspect ratio that fits in a box, centred
+     * @param {number} width - Content width (any unit)
+     * @param {number} height - Content height
+     * @param {Object} box - { x, y, width, height }
+     * @returns {Object} { x, y, width, height } in the units of the box
+     */
+    function fitRect(width, height, box) {
+        const scale = Math.min(box.width / width, box.height / height);
+        const fitted = { width: width * scale, height: height * scale };
+        return { x: box.x + (box.width - fitted.width) / 2, y: box.y + (box.height - fitted.height) / 2, ...fitted };
+    }
+
+    function transform(item) {
+        // Rotation is clockwise, in 60000ths of a degree
+        const rotation = item.rotation ? ` rot="${Math.round((((item.rotation % 360) + 360) % 360) * 60000)}"` : '';
+        return `<a:xfrm${rotation}><a:off x="${emu(item.x)}" y="${emu(item.y)}"/><a:ext cx="${emu(item.width)}" cy="${emu(item.height)}"/></a:xfrm>`;
+    }
+
+    function groupShapeProperties() {
+        return '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+            '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+    }
+
+    function pictureXml(item, shapeId, relId) {
+        const alpha = item.opacity !== undefined && item.opacity < 1
+            ? `<a:alphaModFix amt="${Math.round(Math.max(0, item.opacity) * 100000)}"/>`
+            : '';
+        return `<p:pic><p:nvPicPr><p:cNvPr id="${shapeId}" name="${escapeXml(item.name || `Picture ${shapeId}`)}" descr="${escapeXml(item.description || '')}"/>` +
+            '<p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>' +
+            `<p:blipFill><a:blip r:embed="${relId}">${alpha}</a:blip><a:stretch><a:fillRect/></a:stretch></p:blipFill>` +
+            `<p:spPr>${transform(item)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>`;
+    }
+
+    function paragraphsXml(text, runProperties, align) {
+        const lines = String(text || '').split(/\r?\n/);
+        return lines.map(line => `<a:p><a:pPr algn="${align}"/>` +
+            (line ? `<a:r>${runProperties}<a:t>${escapeXml(line)}</a:t></a:r>` : '') +
+            `<a:endParaRPr lang="en-US" dirty="0"/></a:p>`).join('');
+    }
+
+    function textXml(item, shapeId) {
+        const size = Math.round((item.fontSize || 18) * 100);
+        const font = item.fontFamily ? `<a:latin typeface="${escapeXml(item.fontFamily)}"/>` : '';
+        const runProperties = `<a:rPr lang="en-US" sz="${size}"${item.bold ? ' b="1"' : ''}${item.italic ? ' i="1"' : ''} dirty="0">` +
+            `${solidFill(item.color || '#000000', item.opacity !== undefined ? item.opacity : 1)}${font}</a:rPr>`;
+        const anchor = { top: 't', middle: 'ctr', bottom: 'b' }[item.anchor] || 't';
+        const align = { left: 'l', center: 'ctr', right: 'r' }[item.align] || 'l';
+        return `<p:sp><p:nvSpPr><p:cNvPr id="${shapeId}" name="${escapeXml(item.name || `TextBox ${shapeId}`)}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+            `<p:spPr>${transform(item)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>` +
+            `<p:txBody><a:bodyPr wrap="${item.wrap === false ? 'none' : 'square'}" lIns="0" tIns="0" rIns="0" bIns="0" anchor="${anchor}"><a:noAutofit/></a:bodyPr><a:lstStyle/>` +
+            `${paragraphsXml(item.text, runProperties, align)}</p:txBody></p:sp>`;
+    }
+
+    function slideXml(slide, shapes) {
+        return `${XML_HEADER}<p:sld xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld>` +
+            `<p:bg><p:bgPr>${solidFill(slide.background || '#ffffff')}<a:effectLst/></p:bgPr></p:bg>` +
+            `<p:spTree>${groupShapeProperties()}${shapes}</p:spTree></p:cSld>` +
+            '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>';
+    }
+
+    function notesSlideXml(notes) {
+        return `${XML_HEADER}<p:notes xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld><p:spTree>${groupShapeProperties()}` +
+            '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>' +
+            '<p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr/></p:sp>' +
+            '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' +
+            '<p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:spPr/>' +
+            `<p:txBody><a:bodyPr/><a:lstStyle/>${paragraphsXml(notes, '<a:rPr lang="en-US" dirty="0"/>', 'l')}</p:txBody></p:sp>` +
+            '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>';
+    }
+
+    function themeXml(name) {
+        const fonts = '<a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/>';
+        const phClr = (mods = '') => `<a:solidFill><a:schemeClr val="phClr">${mods}</a:schemeClr></a:solidFill>`;
+        const line = width => `<a:ln w="${width}" cap="flat" cmpd="sng" algn="ctr">${phClr()}<a:prstDash val="solid"/><a:miter lim="800000"/></a:ln>`;
+        return `${XML_HEADER}<a:theme xmlns:a="${NS_A}" name="${name}"><a:themeElements>` +
+            '<a:clrScheme name="Office"><a:dk1><a:srgbClr val="000000"/></a:dk1><a:lt1><a:srgbClr val="FFFFFF"/></a:lt1>' +
+            '<a:dk2><a:srgbClr val="44546A"/></a:dk2><a:lt2><a:srgbClr val="E7E6E6"/></a:lt2>' +
+            '<a:accent1><a:srgbClr val="4472C4"/></a:accent1><a:accent2><a:srgbClr val="ED7D31"/></a:accent2>' +
+            '<a:accent3><a:srgbClr val="A5A5A5"/></a:accent3><a:accent4><a:srgbClr val="FFC000"/></a:accent4>' +
+            '<a:accent5><a:srgbClr val="5B9BD5"/></a:accent5><a:accent6><a:srgbClr val="70AD47"/></a:accent6>' +
+            '<a:hlink><a:srgbClr val="0563C1"/></a:hlink><a:folHlink><a:srgbClr val="954F72"/></a:folHlink></a:clrScheme>' +
+            `<a:fontScheme name="Office"><a:majorFont>${fonts}</a:majorFont><a:minorFont>${fonts}</a:minorFont></a:fontScheme>` +
+            '<a:fmtScheme name="Office">' +
+            `<a:fillStyleLst>${phClr()}${phClr('<a:tint val="50000"/>')}${phClr('<a:shade val="80000"/>')}</a:fillStyleLst>` +
+            `<a:lnStyleLst>${line(6350)}${line(12700)}${line(19050)}</a:lnStyleLst>` +
+            '<a:effectStyleLst><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle></a:effectStyleLst>' +
+            `<a:bgFillStyleLst>${phClr()}${phClr('<a:tint val="95000"/>')}${phClr('<a:shade val="90000"/>')}</a:bgFillStyleLst>` +
+            '</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>';
+    }
+
+    const COLOR_MAP = 'bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" ' +
+        'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"';
+
+    function slideMasterXml() {
+        return `${XML_HEADER}<p:sldMaster xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld>` +
+            '<p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>' +
+            `<p:spTree>${groupShapeProperties()}</p:spTree></p:cSld><p:clrMap ${COLOR_MAP}/>` +
+            '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst></p:sldMaster>';
+    }
+
+    function slideLayoutXml() {
+        return `${XML_HEADER}<p:sldLayout xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}" type="blank" preserve="1">` +
+            `<p:cSld name="Blank"><p:spTree>${groupShapeProperties()}</p:spTree></p:cSld>` +
+            '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>';
+    }
+
+    function notesMasterXml() {
+        const placeholder = (id, name, type, x, y, cx, cy) =>
+            `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${name}"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>` +
+            `<p:nvPr><p:ph type="${type}"${type === 'body' ? ' idx="1"' : ''}/></p:nvPr></p:nvSpPr>` +
+            `<p:spPr><a:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>` +
+            (type === 'body' ? '<p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:endParaRPr lang="en-US"/></a:p></p:txBody>' : '') +
+            '</p:sp>';
+        return `${XML_HEADER}<p:notesMaster xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld>` +
+            '<p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>' +
+            `<p:spTree>${groupShapeProperties()}` +
+            placeholder(2, 'Slide Image Placeholder 1', 'sldImg', 685800, 685800, 5486400, 3429000) +
+            placeholder(3, 'Notes Placeholder 2', 'body', 685800, 4343400, 5486400, 4114800) +
+            `</p:spTree></p:cSld><p:clrMap ${COLOR_MAP}/></p:notesMaster>`;
+    }
+
+    /**
+     * Split a data URL into what JSZip stores
+     * @returns {{base64: string, extension: string, contentType: string}}
+     */
+    function readDataUrl(dataUrl) {
+        const match = /^data:(image\/(png|jpe?g|gif));base64,(.*)$/i.exec(dataUrl || '');
+        if (!match) {
+            throw new Error('Slide pictures must be PNG, JPEG or GIF data URLs.');
+        }
+        const extension = match[2].toLowerCase() === 'jpg' ? 'jpeg' : match[2].toLowerCase();
+        return { base64: match[3], extension, contentType: `image/${extension}` };
+    }
+
+    /**
+     * Build a presentation
+     * @param {Object} presentation - { width, height (mm), title, author, slides: [{ background, items, notes }] }
+     *   items: { type: 'image', dataUrl, x, y, width, height, opacity, name, description }
+     *        | { type: 'text', text, x, y, width, height, fontSize, fontFamily, color, bold, italic,
+     *            align: 'left'|'center'|'right', anchor: 'top'|'middle'|'bottom', rotation (degrees), opacity, wrap }
+     * @returns {Promise<Blob>} The .pptx file
+     */
+    async function buildPresentation(presentation) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded. Please refresh the page.');
+        }
+        const zip = new JSZip();
+        const slides = presentation.slides || [];
+        // PowerPoint accepts slide sides of 1 to 56 inches
+        const slideSize = {
+            cx: Math.min(51206400, Math.max(914400, emu(presentation.width))),
+            cy: Math.min(51206400, Math.max(914400, emu(presentation.height)))
+        };
+        const overrides = [];
+        const override = (partName, contentType) => overrides.push({ partName, contentType });
+        const media = new Map(); // data URL → file name, so a picture used on many slides is stored once
+        const extensions = new Set();
+
+        slides.forEach((slide, index) => {
+            const number = index + 1;
+            const rels = [{ id: 'rId1', type: `${REL}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' }];
+            let shapeId = 2;
+            const shapes = (slide.items || []).map(item => {
+                if (item.type === 'image') {
+                    if (!media.has(item.dataUrl)) {
+                        const picture = readDataUrl(item.dataUrl);
+                        const file = `image${media.size + 1}.${picture.extension}`;
+                        zip.file(`ppt/media/${file}`, picture.base64, { base64: true });
+                        extensions.add(picture.extension);
+                        media.set(item.dataUrl, file);
+                    }
+                    let rel = rels.find(entry => entry.target === `../media/${media.get(item.dataUrl)}`);
+                    if (!rel) {
+                        rel = { id: `rId${rels.length + 1}`, type: `${REL}/image`, target: `../media/${media.get(item.dataUrl)}` };
+                        rels.push(rel);
+                    }
+                    return pictureXml(item, shapeId++, rel.id);
+                }
+                return textXml(item, shapeId++);
+            }).join('');
+
+            if (slide.notes) {
+                rels.push({ id: `rId${rels.length + 1}`, type: `${REL}/notesSlide`, target: `../notesSlides/notesSlide${number}.xml` });
+                zip.file(`ppt/notesSlides/notesSlide${number}.xml`, notesSlideXml(slide.notes));
+                zip.file(`ppt/notesSlides/_rels/notesSlide${number}.xml.rels`, relationships([
+                    { id: 'rId1', type: `${REL}/notesMaster`, target: '../notesMasters/notesMaster1.xml' },
+                    { id: 'rId2', type: `${REL}/slide`, target: `../slides/slide${number}.xml` }
+                ]));
+                override(`/ppt/notesSlides/notesSlide${number}.xml`, `${CONTENT_TYPE}.notesSlide+xml`);
+            }
+            zip.file(`ppt/slides/slide${number}.xml`, slideXml(slide, shapes));
+            zip.file(`ppt/slides/_rels/slide${number}.xml.rels`, relationships(rels));
+            override(`/ppt/slides/slide${number}.xml`, `${CONTENT_TYPE}.slide+xml`);
+        });
+
+        // Presentation: master, notes master, then the slides
+        const presentationRels = [
+            { id: 'rId1', type: `${REL}/slideMaster`, target: 'slideMasters/slideMaster1.xml' },
+            { id: 'rId2', type: `${REL}/notesMaster`, target: 'notesMasters/notesMaster1.xml' },
+            { id: 'rId3', type: `${REL}/theme`, target: 'theme/theme1.xml' },
+            { id: 'rId4', type: `${REL}/presProps`, target: 'presProps.xml' },
+            { id: 'rId5', type: `${REL}/viewProps`, target: 'viewProps.xml' },
+            { id: 'rId6', type: `${REL}/tableStyles`, target: 'tableStyles.xml' }
+        ];
+        const slideIds = slides.map((slide, index) => {
+            const id = `rId${presentationRels.length + 1}`;
+            presentationRels.push({ id, type: `${REL}/slide`, target: `slides/slide${index + 1}.xml` });
+            return `<p:sldId id="${256 + index}" r:id="${id}"/>`;
+        });
+        zip.file('ppt/presentation.xml', `${XML_HEADER}<p:presentation xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}" saveSubsetFonts="1">` +
+            '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+            '<p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>' +
+            (slideIds.length > 0 ? `<p:sldIdLst>${slideIds.join('')}</p:sldIdLst>` : '') +
+            `<p:sldSz cx="${slideSize.cx}" cy="${slideSize.cy}"/><p:notesSz cx="${NOTES_SIZE.cx}" cy="${NOTES_SIZE.cy}"/></p:presentation>`);
+        zip.file('ppt/_rels/presentation.xml.rels', relationships(presentationRels));
+        zip.file('ppt/presProps.xml', `${XML_HEADER}<p:presentationPr xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"/>`);
+        zip.file('ppt/viewProps.xml', `${XML_HEADER}<p:viewPr xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"/>`);
+        zip.file('ppt/tableStyles.xml', `${XML_HEADER}<a:tblStyleLst xmlns:a="${NS_A}" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`);
+
+        zip.file('ppt/slideMasters/slideMaster1.xml', slideMasterXml());
+        zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', relationships([
+            { id: 'rId1', type: `${REL}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' },
+            { id: 'rId2', type: `${REL}/theme`, target: '../theme/theme1.xml' }
+        ]));
+        zip.file('ppt/slideLayouts/slideLayout1.xml', slideLayoutXml());
+        zip.file('ppt/slideLayouts/_rels/slideLayout1.xml.rels', relationships([
+            { id: 'rId1', type: `${REL}/slideMaster`, target: '../slideMasters/slideMaster1.xml' }
+        ]));
+        zip.file('ppt/notesMasters/notesMaster1.xml', notesMasterXml());
+        zip.file('ppt/notesMasters/_rels/notesMaster1.xml.rels', relationships([
+            { id: 'rId1', type: `${REL}/theme`, target: '../theme/theme2.xml' }
+        ]));
+        zip.file('ppt/theme/theme1.xml', themeXml('Storyboard'));
+        zip.file('ppt/theme/theme2.xml', themeXml('Notes'));
+
+        const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        zip.file('docProps/core.xml', `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            `<dc:title>${escapeXml(presentation.title || '')}</dc:title><dc:creator>${escapeXml(presentation.author || '')}</dc:creator>` +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+            '</cp:coreProperties>');
+        zip.file('docProps/app.xml', `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">` +
+            `<Application>Storyboard</Application><Slides>${slides.length}</Slides><Notes>${slides.filter(slide => slide.notes).length}</Notes></Properties>`);
+        zip.file('_rels/.rels', relationships([
+            { id: 'rId1', type: `${REL}/officeDocument`, target: 'ppt/presentation.xml' },
+            { id: 'rId2', type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', target: 'docProps/core.xml' },
+            { id: 'rId3', type: `${REL}/extended-properties`, target: 'docProps/app.xml' }
+        ]));
+
+        override('/ppt/presentation.xml', `${CONTENT_TYPE}.presentation.main+xml`);
+        override('/ppt/presProps.xml', `${CONTENT_TYPE}.presProps+xml`);
+        override('/ppt/viewProps.xml', `${CONTENT_TYPE}.viewProps+xml`);
+        override('/ppt/tableStyles.xml', `${CONTENT_TYPE}.tableStyles+xml`);
+        override('/ppt/slideMasters/slideMaster1.xml', `${CONTENT_TYPE}.slideMaster+xml`);
+        override('/ppt/slideLayouts/slideLayout1.xml', `${CONTENT_TYPE}.slideLayout+xml`);
+        override('/ppt/notesMasters/notesMaster1.xml', `${CONTENT_TYPE}.notesMaster+xml`);
+        override('/ppt/theme/theme1.xml', 'application/vnd.openxmlformats-officedocument.theme+xml');
+        override('/ppt/theme/theme2.xml', 'application/vnd.openxmlformats-officedocument.theme+xml');
+        override('/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml');
+        override('/docProps/app.xml', 'application/vnd.openxmlformats-officedocument.extended-properties+xml');
+        zip.file('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            Array.from(extensions).map(extension => `<Default Extension="${extension}" ContentType="image/${extension}"/>`).join('') +
+            overrides.map(entry => `<Override PartName="${entry.partName}" ContentType="${entry.contentType}"/>`).join('') +
+            '</Types>');
+
+        return zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            compression: 'DEFLATE'
+        });
+    }
+
+    // Export functions
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { EMU_PER_MM, fitRect, buildPresentation };
+    } else {
+        window.PPTXWriter = {
+            EMU_PER_MM,
+            fitRect,
+            buildPresentation
+        };
+    }
+})();
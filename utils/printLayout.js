@@ -0,0 +1,226 @@
+/**
+ * Print Layout Utility
+ * Places the pages of a PDF export on printer sheets: bleed around each page, crop and registration marks,
+ * sheet margins, and imposition (several pages per sheet, saddle-stitched booklets, manual duplex order).
+ * All sizes are in mm. Without print options every page gets its own sheet of the page size, as before.
+ */
+
+const PRINT_MARK_OFFSET = 2; // Gap between the bleed edge and the crop marks
+const PRINT_MARK_LENGTH = 5;
+
+const IMPOSITION_MODES = [
+    { id: 'none', label: 'One page per sheet' },
+    { id: 'nup2', label: '2-up' },
+    { id: 'nup4', label: '4-up' },
+    { id: 'booklet', label: 'Booklet (2-up, saddle stitch)' },
+    { id: 'duplex', label: 'Manual duplex order' }
+];
+
+/**
+ * Fill in missing print options
+ * @param {Object} options - { bleed, marks, margins: { top, right, bottom, left }, imposition, sheetSize: [w, h]|null }
+ * @returns {Object} Complete options
+ */
+function normalizePrintOptions(options = {}) {
+    const margins = options.margins || {};
+    const mm = (value, max) => Math.min(max, Math.max(0, parseFloat(value) || 0));
+    return {
+        bleed: mm(options.bleed, 20),
+        marks: !!options.marks,
+        margins: {
+            top: mm(margins.top, 100),
+            right: mm(margins.right, 100),
+            bottom: mm(margins.bottom, 100),
+            left: mm(margins.left, 100)
+        },
+        imposition: IMPOSITION_MODES.some(mode => mode.id === options.imposition) ? options.imposition : 'none',
+        sheetSize: Array.isArray(options.sheetSize) ? options.sheetSize : null
+    };
+}
+
+/**
+ * Whether the pages end up on the sheets in another order or several to a sheet
+ */
+function isImposed(options) {
+    return normalizePrintOptions(options).imposition !== 'none';
+}
+
+/**
+ * Lay out one sheet
+ * @param {Array<number>} pageSize - [width, height] of a storyboard page
+ * @param {Object} options - Print options (see normalizePrintOptions)
+ * @returns {Object} { sheetSize, scale, unitPages, unitSize, slots: [{ x, y }], options } - slots are the
+ *   top-left corners of the trim boxes of the units (one page, or a booklet spread of two) on the sheet
+ */
+function getSheetLayout(pageSize, options = {}) {
+    const print = normalizePrintOptions(options);
+    const { margins } = print;
+    const slug = print.bleed + (print.marks ? PRINT_MARK_OFFSET + PRINT_MARK_LENGTH : 0);
+    const unitPages = print.imposition === 'booklet' ? 2 : 1;
+    const unitSize = [pageSize[0] * unitPages, pageSize[1]];
+    const item = [unitSize[0] + 2 * slug, unitSize[1] + 2 * slug];
+    const perSheet = print.imposition === 'nup2' ? 2 : print.imposition === 'nup4' ? 4 : 1;
+    const grids = perSheet === 2 ? [[2, 1], [1, 2]] : perSheet === 4 ? [[2, 2]] : [[1, 1]];
+
+    let sheetSizes;
+    if (print.sheetSize) {
+        sheetSizes = [print.sheetSize, [print.sheetSize[1], print.sheetSize[0]]];
+    } else if (perSheet === 1) {
+        // The sheet grows around the page (or booklet spread) to hold the bleed, marks and margins
+        sheetSizes = [[item[0] + margins.left + margins.right, item[1] + margins.top + margins.bottom]];
+    } else {
+        sheetSizes = [pageSize, [pageSize[1], pageSize[0]]];
+    }
+
+    // The sheet orientation and grid that show the pages largest (never above their size)
+    let best = null;
+    sheetSizes.forEach(sheetSize => {
+        grids.forEach(([cols, rows]) => {
+            const width = sheetSize[0] - margins.left - margins.right;
+            const height = sheetSize[1] - margins.top - margins.bottom;
+            const scale = Math.min(1, width / (cols * item[0]), height / (rows * item[1]));
+            if (scale > 0 && (!best || scale > best.scale + 1e-6)) {
+                best = { sheetSize, cols, rows, scale, width, height };
+            }
+        });
+    });
+    if (!best) {
+        throw new Error('The sheet margins leave no room for the pages.');
+    }
+
+    const cell = [item[0] * best.scale, item[1] * best.scale];
+    const left = margins.left + (best.width - best.cols * cell[0]) / 2;
+    const top = margins.top + (best.height - best.rows * cell[1]) / 2;
+    const slots = [];
+    for (let row = 0; row < best.rows; row++) {
+        for (let col = 0; col < best.cols; col++) {
+            slots.push({ x: left + col * cell[0] + slug * best.scale, y: top + row * cell[1] + slug * best.scale });
+        }
+    }
+    return { sheetSize: best.sheetSize, scale: best.scale, unitPages, unitSize, slots, options: print };
+}
+
+/**
+ * Order of the pages on the sheets
+ * @returns {Array<Array<number|null>>} One entry per unit in sheet order, listing its pages left to right (null = blank)
+ */
+function getUnitOrder(imposition, pageCount) {
+    const page = index => (index < pageCount ? index : null);
+    if (imposition === 'booklet') {
+        // Folded sheets: the first side holds the last and the first page, the back of it the second and second-last
+        const padded = Math.ceil(pageCount / 4) * 4;
+        const sides = [];
+        for (let side = 0; side < padded / 2; side++) {
+            sides.push(side % 2 === 0 ? [page(padded - 1 - side), page(side)] : [page(side), page(padded - 1 - side)]);
+        }
+        return sides;
+    }
+    if (imposition === 'duplex') {
+        // Fronts first, then the backs last to first, so the printed stack goes back into the tray as it is
+        const sheets = Math.ceil(pageCount / 2);
+        const fronts = [];
+        const backs = [];
+        for (let sheet = 0; sheet < sheets; sheet++) {
+            fronts.push([page(sheet * 2)]);
+            backs.unshift([page(sheet * 2 + 1)]);
+        }
+        return fronts.concat(backs);
+    }
+    return Array.from({ length: pageCount }, (item, index) => [index]);
+}
+
+/**
+ * Where each page goes
+ * @param {Object} layout - From getSheetLayout
+ * @param {number} pageCount - Number of storyboard pages
+ * @returns {Object} { sheetCount, placements, units } - placements[pageIndex] = { sheetIndex, trim, bleedBox, scale };
+ *   units = { sheetIndex, trim, folds } for the marks
+ */
+function getPlacements(layout, pageCount) {
+    const { scale, unitPages, unitSize, slots, options } = layout;
+    const order = getUnitOrder(options.imposition, pageCount);
+    const pageWidth = unitSize[0] / unitPages * scale;
+    const pageHeight = unitSize[1] * scale;
+    const bleed = options.bleed * scale;
+    const placements = [];
+    const units = [];
+
+    order.forEach((pages, unitIndex) => {
+        const sheetIndex = Math.floor(unitIndex / slots.length);
+        const slot = slots[unitIndex % slots.length];
+        const trim = { x: slot.x, y: slot.y, width: unitSize[0] * scale, height: pageHeight };
+        units.push({ sheetIndex, trim, folds: unitPages > 1 ? [slot.x + pageWidth] : [] });
+        pages.forEach((pageIndex, position) => {
+            if (pageIndex === null) return;
+            const x = slot.x + position * pageWidth;
+            // Pages of a spread meet at the fold, so they only bleed on the outer edges
+            const bleedLeft = position === 0 ? bleed : 0;
+            const bleedRight = position === pages.length - 1 ? bleed : 0;
+            placements[pageIndex] = {
+                sheetIndex,
+                scale,
+                trim: { x, y: slot.y, width: pageWidth, height: pageHeight },
+                bleedBox: {
+                    x: x - bleedLeft,
+                    y: slot.y - bleed,
+                    width: pageWidth + bleedLeft + bleedRight,
+                    height: pageHeight + 2 * bleed
+                }
+            };
+        });
+    });
+    return { sheetCount: Math.ceil(order.length / slots.length), placements, units };
+}
+
+/**
+ * Draw crop and registration marks around a unit, and fold marks on booklet spreads
+ * @param {Object} pdf - jsPDF document, on the unit's sheet
+ * @param {Object} unit - From getPlacements
+ * @param {Object} layout - From getSheetLayout
+ */
+function drawPrintMarks(pdf, unit, layout) {
+    const { trim, folds } = unit;
+    const scale = layout.scale;
+    const offset = (layout.options.bleed + PRINT_MARK_OFFSET) * scale;
+    const length = PRINT_MARK_LENGTH * scale;
+    const right = trim.x + trim.width;
+    const bottom = trim.y + trim.height;
+
+    pdf.setDrawColor(0, 0, 0);
+    pdf.setLineWidth(0.1);
+    // Crop marks: two lines at each corner, in line with the trim edges and clear of the bleed
+    [[trim.x, trim.y, -1, -1], [right, trim.y, 1, -1], [trim.x, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+        pdf.line(x + dx * offset, y, x + dx * (offset + length), y);
+        pdf.line(x, y + dy * offset, x, y + dy * (offset + length));
+    });
+    // Fold marks at the spine, top and bottom
+    folds.forEach(x => {
+        pdf.line(x, trim.y - offset, x, trim.y - offset - length);
+        pdf.line(x, bottom + offset, x, bottom + offset + length);
+    });
+    // Registration marks in the middle of each side
+    const radius = length * 0.35;
+    const distance = offset + length / 2;
+    const centerX = trim.x + trim.width / 2 + (folds.length > 0 ? trim.width / 4 : 0);
+    const centerY = trim.y + trim.height / 2;
+    [[centerX, trim.y - distance], [centerX, bottom + distance], [trim.x - distance, centerY], [right + distance, centerY]].forEach(([x, y]) => {
+        pdf.circle(x, y, radius, 'S');
+        pdf.line(x - radius * 1.5, y, x + radius * 1.5, y);
+        pdf.line(x, y - radius * 1.5, x, y + radius * 1.5);
+    });
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IMPOSITION_MODES, normalizePrintOptions, isImposed, getSheetLayout, getUnitOrder, getPlacements, drawPrintMarks };
+} else {
+    window.PrintLayout = {
+        IMPOSITION_MODES,
+        normalizePrintOptions,
+        isImposed,
+        getSheetLayout,
+        getUnitOrder,
+        getPlacements,
+        drawPrintMarks
+    };
+}
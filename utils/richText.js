@@ -0,0 +1,299 @@
+/**
+ * Rich Text Utility
+ * Frame notes and page text are stored either as plain text (as before) or as rich text: a small,
+ * sanitized subset of HTML (bold, italic, underline, colour highlights, bullet lists) behind a marker
+ * prefix, so any existing plain string stays valid and is never read as markup.
+ */
+
+const RICH_TEXT_PREFIX = '<!--rich-->';
+
+const HIGHLIGHT_COLORS = [
+    { value: '#fff176', label: 'Yellow' },
+    { value: '#a5d6a7', label: 'Green' },
+    { value: '#f48fb1', label: 'Pink' },
+    { value: '#81d4fa', label: 'Blue' },
+    { value: '#ffcc80', label: 'Orange' }
+];
+
+// Source tags mapped to the tag they are stored as; anything else is unwrapped to its text
+const RICH_TEXT_TAGS = {
+    B: 'b', STRONG: 'b',
+    I: 'i', EM: 'i',
+    U: 'u', INS: 'u',
+    MARK: 'mark',
+    UL: 'ul', OL: 'ul',
+    LI: 'li',
+    BR: 'br',
+    DIV: 'div', P: 'div'
+};
+
+const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'META', 'LINK', 'TITLE', 'HEAD', 'IMG', 'SVG', 'IFRAME', 'OBJECT'];
+
+/**
+ * Check whether a stored value is rich text
+ * @param {string} value - Stored text
+ * @returns {boolean}
+ */
+function isRichText(value) {
+    return typeof value === 'string' && value.startsWith(RICH_TEXT_PREFIX);
+}
+
+/**
+ * Accept only plain colour values for highlights (no url(), expressions etc.)
+ * @param {string} color - CSS colour
+ * @returns {string|null} The colour, or null if it is not a visible highlight
+ */
+function normalizeHighlightColor(color) {
+    const value = String(color || '').trim().toLowerCase();
+    if (!value || value === 'transparent' || /^rgba\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*,\s*0\s*\)$/.test(value)) return null;
+    // Text pasted from web pages often carries the page's white background
+    if (['#fff', '#ffffff', 'white', 'rgb(255, 255, 255)'].includes(value)) return null;
+    if (/^#[0-9a-f]{3}([0-9a-f]{3})?$/.test(value) || /^rgba?\([\d\s.,%]+\)$/.test(value)) return value;
+    return null;
+}
+
+/**
+ * Convert a CSS colour (#rgb, #rrggbb, rgb(), rgba()) to RGB components
+ * @param {string} color - CSS colour
+ * @returns {{r: number, g: number, b: number}|null}
+ */
+function colorToRgb(color) {
+    const value = normalizeHighlightColor(color);
+    if (!value) return null;
+    if (value.startsWith('#')) {
+        const hex = value.length === 4 ? value.slice(1).split('').map(c => c + c).join('') : value.slice(1);
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16)
+        };
+    }
+    const parts = value.replace(/^rgba?\(|\)$/g, '').split(',').map(part => parseFloat(part));
+    return { r: parts[0] || 0, g: parts[1] || 0, b: parts[2] || 0 };
+}
+
+function parseHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content;
+}
+
+/**
+ * Copy the allowed formatting of a node into a clean parent
+ * Inline styles the browser's editing commands produce (font-weight, font-style,
+ * text-decoration, background-color) are turned into the matching tags
+ */
+function sanitizeInto(node, parent) {
+    node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+            parent.appendChild(document.createTextNode(child.nodeValue));
+            return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        const tagName = child.tagName.toUpperCase();
+        if (DROPPED_TAGS.includes(tagName)) return;
+
+        const tag = RICH_TEXT_TAGS[tagName];
+        if (tag === 'br') {
+            parent.appendChild(document.createElement('br'));
+            return;
+        }
+
+        let target = parent;
+        const wrap = (name) => {
+            const el = document.createElement(name);
+            target.appendChild(el);
+            target = el;
+            return el;
+        };
+
+        if (tag && tag !== 'mark') wrap(tag);
+        const style = child.style || {};
+        if (tag !== 'b' && (style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600)) wrap('b');
+        if (tag !== 'i' && style.fontStyle === 'italic') wrap('i');
+        if (tag !== 'u' && /underline/.test(style.textDecoration || style.textDecorationLine || '')) wrap('u');
+        const highlight = normalizeHighlightColor(style.backgroundColor) ||
+            (tag === 'mark' ? HIGHLIGHT_COLORS[0].value : null);
+        if (highlight) wrap('mark').style.backgroundColor = highlight;
+
+        sanitizeInto(child, target);
+    });
+}
+
+/**
+ * Reduce HTML (editor content or pasted HTML) to the supported formatting
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html) {
+    const container = document.createElement('div');
+    sanitizeInto(parseHtml(html), container);
+    return container.innerHTML;
+}
+
+/**
+ * Get the HTML to show for a stored value
+ * @param {string} value - Stored text (plain or rich)
+ * @returns {string} Safe HTML
+ */
+function toHtml(value) {
+    if (!value) return '';
+    if (isRichText(value)) return sanitizeHtml(value.slice(RICH_TEXT_PREFIX.length));
+    return HtmlUtils.escapeHtml(value).replace(/\n/g, '<br>');
+}
+
+/**
+ * Split a stored value into paragraphs of styled runs, for renderers that draw text themselves (jsPDF)
+ * @param {string} value - Stored text (plain or rich)
+ * @returns {Array} { bullet, runs: [{ text, bold, italic, underline, highlight }] }
+ */
+function toParagraphs(value) {
+    if (!value) return [];
+    if (!isRichText(value)) {
+        return String(value).split('\n').map(line => ({
+            bullet: false,
+            runs: line ? [{ text: line, bold: false, italic: false, underline: false, highlight: null }] : []
+        }));
+    }
+
+    const paragraphs = [];
+    let current = null;
+    const ensureLine = (bullet = false) => {
+        if (!current) {
+            current = { bullet, runs: [] };
+            paragraphs.push(current);
+        }
+        return current;
+    };
+    const walk = (node, state) => {
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                // Whitespace between list items is markup formatting, not text
+                if (!current && !child.nodeValue.trim()) return;
+                ensureLine().runs.push({ text: child.nodeValue, ...state });
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) return;
+            const tag = child.tagName.toLowerCase();
+            if (tag === 'br') {
+                ensureLine();
+                current = null;
+            } else if (tag === 'li') {
+                current = null;
+                ensureLine(true);
+                walk(child, state);
+                current = null;
+            } else if (tag === 'div' || tag === 'ul') {
+                if (current && current.runs.length > 0) current = null;
+                walk(child, state);
+                current = null;
+            } else {
+                walk(child, {
+                    ...state,
+                    bold: state.bold || tag === 'b',
+                    italic: state.italic || tag === 'i',
+                    underline: state.underline || tag === 'u',
+                    highlight: tag === 'mark' ? normalizeHighlightColor(child.style.backgroundColor) : state.highlight
+                });
+            }
+        });
+    };
+    walk(parseHtml(toHtml(value)), { bold: false, italic: false, underline: false, highlight: null });
+    return paragraphs;
+}
+
+/**
+ * Get the plain text of a stored value; list items are prefixed with a bullet
+ * @param {string} value - Stored text (plain or rich)
+ * @returns {string}
+ */
+function toPlainText(value) {
+    if (!isRichText(value)) return value || '';
+    return toParagraphs(value)
+        .map(paragraph => (paragraph.bullet ? '• ' : '') + paragraph.runs.map(run => run.text).join(''))
+        .join('\n')
+        .replace(/\n+$/, '');
+}
+
+/**
+ * Get the value to store for editor HTML
+ * Content without any formatting is stored as plain text, so unformatted notes stay plain strings
+ * @param {string} html - Editor innerHTML
+ * @returns {string} Stored text ('' when empty)
+ */
+function fromHtml(html) {
+    const clean = sanitizeHtml(html);
+    const rich = RICH_TEXT_PREFIX + clean;
+    if (/<(b|i|u|mark|ul|li)[\s>]/.test(clean)) return rich;
+    const text = toPlainText(rich);
+    return text.trim() ? text : '';
+}
+
+/**
+ * Join stored values into one, one value per paragraph (e.g. when two pages' texts are merged)
+ * @param {Array<string>} values - Stored texts (plain or rich); empty ones are skipped
+ * @returns {string} Plain text if all values are plain, else rich text
+ */
+function joinValues(values) {
+    const filled = values.filter(Boolean);
+    if (!filled.some(isRichText)) return filled.join('\n');
+    return RICH_TEXT_PREFIX + filled.map(value => `<div>${toHtml(value)}</div>`).join('');
+}
+
+/**
+ * Create a contenteditable rich text editor
+ * Formatting commands come from the shared toolbar (RichTextToolbarController); pasted HTML is sanitized
+ * @param {Object} options - { value, className, placeholder, onInput(value) }
+ * @returns {HTMLElement}
+ */
+function createEditor(options) {
+    const editor = document.createElement('div');
+    editor.className = `${options.className || ''} rich-text-editor`.trim();
+    editor.contentEditable = 'true';
+    editor.spellcheck = true;
+    editor.dataset.placeholder = options.placeholder || '';
+    editor.innerHTML = toHtml(options.value);
+
+    editor.addEventListener('input', () => {
+        const value = fromHtml(editor.innerHTML);
+        // Leftover <br>/<div> after deleting everything would hide the placeholder
+        if (!editor.textContent && editor.innerHTML && !editor.querySelector('li')) editor.innerHTML = '';
+        if (options.onInput) options.onInput(value);
+    });
+    editor.addEventListener('paste', (e) => {
+        if (!e.clipboardData) return;
+        e.preventDefault();
+        const html = e.clipboardData.getData('text/html');
+        const text = e.clipboardData.getData('text/plain');
+        document.execCommand('insertHTML', false, html ? sanitizeHtml(html) : toHtml(text));
+    });
+    editor.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const commands = { b: 'bold', i: 'italic', u: 'underline' };
+        const command = commands[e.key.toLowerCase()];
+        if (command) {
+            e.preventDefault();
+            document.execCommand(command);
+        }
+    });
+    return editor;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { isRichText, sanitizeHtml, toHtml, toParagraphs, toPlainText, fromHtml, joinValues, createEditor, colorToRgb, HIGHLIGHT_COLORS, RICH_TEXT_PREFIX };
+} else {
+    window.RichText = {
+        isRichText,
+        sanitizeHtml,
+        toHtml,
+        toParagraphs,
+        toPlainText,
+        fromHtml,
+        joinValues,
+        createEditor,
+        colorToRgb,
+        HIGHLIGHT_COLORS,
+        RICH_TEXT_PREFIX
+    };
+}
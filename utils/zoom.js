@@ -57,6 +57,47 @@ const ZoomUtils = {
         if (zoomInput) {
             zoomInput.value = Math.round(app.zoomLevel * 100);
         }
+    },
+
+    /**
+     * Get the element the storyboard scrolls in
+     */
+    getScrollContainer() {
+        const container = document.getElementById('storyboardContainer');
+        return container ? container.closest('.main-content') : null;
+    },
+
+    /**
+     * Change the storyboard without moving the view
+     * Remembers the page at the top of the viewport and how far into it the view is (in unzoomed px),
+     * and scrolls back to the same spot afterwards, so pages can be rebuilt at any zoom level
+     */
+    preserveScroll(app, update) {
+        const scroller = ZoomUtils.getScrollContainer();
+        if (!scroller) {
+            update();
+            return;
+        }
+
+        const zoomLevel = (app && app.zoomLevel) || 1;
+        const viewTop = scroller.getBoundingClientRect().top;
+        let anchor = null;
+        const pages = scroller.querySelectorAll('[data-document-page]');
+        for (let i = 0; i < pages.length; i++) {
+            const rect = pages[i].getBoundingClientRect();
+            if (rect.bottom > viewTop) {
+                anchor = { page: pages[i].dataset.documentPage, offset: (viewTop - rect.top) / zoomLevel };
+                break;
+            }
+        }
+
+        update();
+
+        if (!anchor) return;
+        const page = scroller.querySelector(`[data-document-page="${anchor.page}"]`);
+        if (page) {
+            scroller.scrollTop += page.getBoundingClientRect().top - viewTop + anchor.offset * zoomLevel;
+        }
     }
 };
 